@@ -0,0 +1,64 @@
+/**
+ * run-tests.mjs
+ * Run the headless specs under tests/ with Node's built-in test runner
+ *
+ * Usage (from the repository root):
+ *   node scripts/run-tests.mjs                  # every *.test.mjs under tests/
+ *   node scripts/run-tests.mjs tests/engines    # only specs under a folder
+ *
+ * Specs import the site's ES modules directly, so no browser or build step is
+ * needed. Exits with the test runner's status (1 if a spec fails).
+ */
+
+import { readdir, stat } from 'node:fs/promises';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const TEST_SUFFIX = '.test.mjs';
+
+/**
+ * Find spec files under a folder
+ * @param {string} dir - Folder (absolute)
+ * @returns {Promise<Array<string>>} Spec file paths, sorted
+ */
+async function findSpecs(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findSpecs(file);
+    return entry.name.endsWith(TEST_SUFFIX) ? [file] : [];
+  }));
+  return files.flat().sort();
+}
+
+/**
+ * Collect specs from the command-line paths (default: tests/)
+ * @param {Array<string>} args - Files or folders, relative to the repository root
+ * @returns {Promise<Array<string>>} Spec file paths
+ */
+async function collectSpecs(args) {
+  const targets = args.length > 0 ? args : ['tests'];
+  const specs = await Promise.all(targets.map(async target => {
+    const file = path.resolve(ROOT, target);
+    return (await stat(file)).isDirectory() ? findSpecs(file) : [file];
+  }));
+  return specs.flat();
+}
+
+const specs = await collectSpecs(process.argv.slice(2));
+
+if (specs.length === 0) {
+  console.error('No specs found');
+  process.exit(1);
+}
+
+// The site's .js files are ES modules without a package.json saying so
+const result = spawnSync(
+  process.execPath,
+  ['--experimental-default-type=module', '--test', ...specs],
+  { cwd: ROOT, stdio: 'inherit' }
+);
+
+process.exit(result.status === null ? 1 : result.status);
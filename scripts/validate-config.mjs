@@ -0,0 +1,100 @@
+/**
+ * validate-config.mjs
+ * Validate games.json and site-config.json from the command line
+ *
+ * Usage (from the repository root):
+ *   node scripts/validate-config.mjs            # lenient: only errors fail
+ *   node scripts/validate-config.mjs --strict   # unknown fields and bad optional values fail too
+ *
+ * Also checks that the files named in games.json exist.
+ * Exits with 1 if a file is invalid.
+ */
+
+import { readFile, access } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import {
+  validateGamesData,
+  validateSiteConfig,
+  formatIssues,
+  VALIDATION_STRICT,
+  VALIDATION_LENIENT
+} from '../src/js/core/ConfigSchema.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.join(ROOT, 'src/assets/data');
+
+// Paths in games.json that must point to files
+const GAME_FILE_FIELDS = ['thumbnail', 'htmlPath', 'controller'];
+
+const mode = process.argv.includes('--strict') ? VALIDATION_STRICT : VALIDATION_LENIENT;
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - File path
+ * @returns {Promise<{data: any, error: string|null}>}
+ */
+async function readJson(file) {
+  try {
+    return { data: JSON.parse(await readFile(file, 'utf8')), error: null };
+  } catch (error) {
+    return { data: null, error: error.message };
+  }
+}
+
+/**
+ * Find games.json paths that do not exist
+ * Site-relative paths are checked against the repository root.
+ * @param {object} gamesData - Validated games data
+ * @returns {Promise<Array<object>>} Issues [{path, message}]
+ */
+async function checkGameFiles(gamesData) {
+  const issues = [];
+
+  for (const [index, game] of gamesData.games.entries()) {
+    for (const field of GAME_FILE_FIELDS) {
+      const value = game[field];
+      if (!value || /^[a-z]+:/i.test(value) || value.startsWith('/')) continue;
+
+      try {
+        await access(path.join(ROOT, value));
+      } catch {
+        issues.push({ path: `games[${index}].${field}`, message: `File not found: ${value}` });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate one data file and print its issues
+ * @param {string} name - File name in src/assets/data
+ * @param {Function} validator - Validation function
+ * @returns {Promise<boolean>} True if the file passes
+ */
+async function validateFile(name, validator) {
+  const { data, error } = await readJson(path.join(DATA_DIR, name));
+  if (error) {
+    console.log(`✗ ${name}\n  error (root): ${error}`);
+    return false;
+  }
+
+  const result = validator(data, { mode });
+  if (result.value && name === 'games.json') {
+    result.errors.push(...await checkGameFiles(result.value));
+  }
+
+  const passed = result.errors.length === 0;
+
+  console.log(`${passed ? '✓' : '✗'} ${name}`);
+  formatIssues(result).forEach(line => console.log(`  ${line}`));
+  return passed;
+}
+
+const results = [
+  await validateFile('games.json', validateGamesData),
+  await validateFile('site-config.json', validateSiteConfig)
+];
+
+process.exit(results.every(Boolean) ? 0 : 1);
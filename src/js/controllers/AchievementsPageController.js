@@ -0,0 +1,202 @@
+/**
+ * AchievementsPageController.js
+ * Achievements page controller - lists every achievement and the active profile's unlocks
+ */
+
+import { configLoader } from '../core/ConfigLoader.js';
+import { gameDataService } from '../core/GameDataService.js';
+import { achievementService } from '../core/AchievementService.js';
+import { featureFlags } from '../core/FeatureFlagService.js';
+import { themeService } from '../core/ThemeService.js';
+import { i18n, t } from '../core/I18nService.js';
+import ProfileSwitcher from '../ui/ProfileSwitcher.js';
+import { html } from '../utils/helpers.js';
+
+export default class AchievementsPageController {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.configLoader = configLoader;
+    this.gameDataService = gameDataService;
+    this.achievementService = achievementService;
+
+    // State
+    this.state = {
+      games: [],
+      definitions: [],
+      loading: false,
+      error: null
+    };
+
+    // DOM references
+    this.container = null;
+    this.summary = null;
+
+    // Storage subscription and profile switcher
+    this.unsubscribeData = null;
+    this.profileSwitcher = null;
+  }
+
+  /**
+   * Initialize achievements page
+   */
+  async init() {
+    try {
+      this.container = document.getElementById('achievements-container');
+      this.summary = document.getElementById('achievements-summary');
+
+      if (!this.container) {
+        console.error('Achievements container not found');
+        return;
+      }
+
+      await i18n.ready();
+
+      // Show loading state (in the page's language, so after i18n)
+      this.showLoading();
+
+      await this.gameDataService.ready();
+      await featureFlags.ready();
+      await themeService.ready();
+
+      const gamesData = await this.configLoader.loadGamesData();
+      this.state.games = (gamesData.games || [])
+        .filter(game => game.enabled !== false)
+        .map(game => i18n.localizeGame(game));
+      this.state.definitions = (await this.achievementService.load())
+        .map(definition => i18n.localizeAchievement(definition));
+
+      this.render();
+      this.hideLoading();
+
+      // Unlocks are per profile
+      this.profileSwitcher = new ProfileSwitcher(document.getElementById('profile-switcher'), {
+        onChange: () => this.render()
+      });
+
+      // Achievements unlocked in other tabs appear live
+      this.unsubscribeData = this.gameDataService.onDataChange(change => {
+        if (change.type === 'achievements') {
+          this.render();
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize achievements page:', error);
+      this.showError(t('achievements.loadFailed'));
+    }
+  }
+
+  /**
+   * Render the summary and one group per game (plus site-wide achievements)
+   */
+  render() {
+    if (!this.container) return;
+
+    const unlocked = this.achievementService.loadUnlocked();
+    const definitions = this.state.definitions;
+    const unlockedCount = definitions.filter(definition => unlocked[definition.id]).length;
+
+    if (this.summary) {
+      this.summary.textContent = t('achievements.summary', { unlocked: unlockedCount, total: definitions.length });
+    }
+
+    const groups = [
+      ...this.state.games.map(game => ({
+        title: game.title,
+        definitions: definitions.filter(definition => definition.gameId === game.id)
+      })),
+      {
+        title: t('achievements.allGames'),
+        definitions: definitions.filter(definition => !definition.gameId)
+      }
+    ].filter(group => group.definitions.length > 0);
+
+    this.container.innerHTML = html`${groups.map(group => html`
+      <section class="achievements-group">
+        <h3 class="achievements-group__title">${group.title}</h3>
+        <ul class="achievements-list">
+          ${group.definitions.map(definition => this.renderAchievement(definition, unlocked[definition.id]))}
+        </ul>
+      </section>
+    `)}`;
+  }
+
+  /**
+   * Render one achievement
+   * @param {object} definition - Achievement definition
+   * @param {object|undefined} unlock - {unlockedAt} if unlocked
+   * @returns {SafeHtml} Markup
+   */
+  renderAchievement(definition, unlock) {
+    const status = unlock
+      ? t('achievements.unlockedOn', { date: new Date(unlock.unlockedAt).toLocaleDateString(i18n.getLocale()) })
+      : t('achievements.locked');
+
+    return html`
+      <li class="achievement${unlock ? ' achievement--unlocked' : ''}">
+        <span class="achievement__icon">${unlock ? definition.icon || '🏆' : '🔒'}</span>
+        <div class="achievement__text">
+          <strong class="achievement__title">${definition.title}</strong>
+          <span class="achievement__description">${definition.description}</span>
+        </div>
+        <span class="achievement__status">${status}</span>
+      </li>
+    `;
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading() {
+    if (!this.container) return;
+
+    this.state.loading = true;
+    this.container.innerHTML = html`
+      <div class="loading">
+        <div class="loading__spinner"></div>
+        <p>${t('achievements.loading')}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Hide loading state
+   */
+  hideLoading() {
+    this.state.loading = false;
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    if (!this.container) return;
+
+    this.state.error = message;
+    this.container.innerHTML = html`
+      <div class="error">
+        <p class="error__message">${message}</p>
+        <button class="error__retry">${t('common.retry')}</button>
+      </div>
+    `;
+    this.container.querySelector('.error__retry')
+      .addEventListener('click', () => window.location.reload());
+  }
+
+  /**
+   * Cleanup resources (call on page unload)
+   */
+  cleanup() {
+    if (this.unsubscribeData) {
+      this.unsubscribeData();
+      this.unsubscribeData = null;
+    }
+
+    if (this.profileSwitcher) {
+      this.profileSwitcher.destroy();
+      this.profileSwitcher = null;
+    }
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * AppShellController.js
+ * Single-page shell: the game list and every game in one page
+ *
+ * Routes (see Router.js):
+ *   #/                        - game list (TopPageController)
+ *   #/games/{gameId}?daily=1  - a game, mounted through the game registry
+ *
+ * A game's markup and stylesheets are taken from its own page (htmlPath), so
+ * game pages keep working on their own and the shell needs no game-specific code.
+ */
+
+import TopPageController from './TopPageController.js';
+import { gameRegistry } from '../core/GameRegistry.js';
+import { router } from '../core/Router.js';
+import { html } from '../utils/helpers.js';
+import { resolvePath } from '../core/BasePath.js';
+import { t } from '../core/I18nService.js';
+
+export default class AppShellController {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.topPage = new TopPageController();
+    this.gameRegistry = gameRegistry;
+    this.router = router;
+
+    // DOM references
+    this.homeView = null;
+    this.gameView = null;
+
+    // Game list state kept while a game is open
+    this.homeTitle = document.title;
+    this.homeScrollY = 0;
+
+    // Stylesheets added for the open game
+    this.gameStyles = [];
+  }
+
+  /**
+   * Initialize the shell and enter the route in the URL
+   */
+  async init() {
+    this.homeView = document.getElementById('home-view');
+    this.gameView = document.getElementById('game-view');
+
+    if (!this.homeView || !this.gameView) {
+      console.error('Shell views not found');
+      return;
+    }
+
+    // The shell restores the list's scroll position itself
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
+    await this.topPage.init();
+    this.homeTitle = document.title;
+
+    this.router
+      .add('/', () => this.showHome())
+      .add('/games/:gameId', ({ params }) => this.showGame(params.gameId));
+
+    await this.router.start('/');
+  }
+
+  // ====================
+  // Routes
+  // ====================
+
+  /**
+   * Show the game list where it was left
+   */
+  showHome() {
+    this.gameView.hidden = true;
+    this.homeView.hidden = false;
+    document.title = this.homeTitle;
+
+    window.scrollTo(0, this.homeScrollY);
+  }
+
+  /**
+   * Show and mount a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Function|null>} Exit function (unmounts the game)
+   */
+  async showGame(gameId) {
+    if (!this.homeView.hidden) {
+      this.homeScrollY = window.scrollY;
+    }
+
+    const game = await this.gameRegistry.getGame(gameId);
+    if (!game || game.enabled === false) {
+      console.error(`Unknown or disabled game: ${gameId}`);
+      this.router.navigate('/');
+      return null;
+    }
+
+    this.homeView.hidden = true;
+    this.gameView.hidden = false;
+    window.scrollTo(0, 0);
+
+    const exit = () => this.leaveGame(gameId);
+
+    try {
+      await this.loadGameView(game);
+    } catch (error) {
+      console.error(`Failed to load game page for ${gameId}:`, error);
+      this.showGameError(game);
+      return exit;
+    }
+
+    const controller = await this.gameRegistry.mount(gameId);
+    if (!controller) {
+      this.showGameError(game);
+    }
+    return exit;
+  }
+
+  /**
+   * Unmount the open game and clear its view
+   * @param {string} gameId - Game ID
+   */
+  leaveGame(gameId) {
+    this.gameRegistry.unmount(gameId);
+
+    this.gameView.innerHTML = '';
+    this.gameStyles.forEach(link => link.remove());
+    this.gameStyles = [];
+  }
+
+  // ====================
+  // Game View
+  // ====================
+
+  /**
+   * Copy a game's markup and stylesheets from its page into the shell
+   * Scripts and the page footer are left out (the shell mounts the game and
+   * has its own footer).
+   * @param {object} game - Game metadata
+   */
+  async loadGameView(game) {
+    const pageUrl = new URL(resolvePath(game.htmlPath));
+    const response = await fetch(pageUrl);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+    await this.addGameStyles(page, pageUrl);
+
+    this.gameView.innerHTML = '';
+    Array.from(page.body.children)
+      .filter(element => element.tagName !== 'SCRIPT' && !element.classList.contains('site-footer'))
+      .forEach(element => {
+        this.rebaseUrls(element, pageUrl);
+        this.gameView.appendChild(document.adoptNode(element));
+      });
+
+    if (page.title) {
+      document.title = page.title;
+    }
+  }
+
+  /**
+   * Make relative links and images in a game's markup point where they did on its page
+   * @param {Element} root - Element from the game page
+   * @param {URL} pageUrl - Game page URL
+   */
+  rebaseUrls(root, pageUrl) {
+    [root, ...root.querySelectorAll('[src], [href]')].forEach(element => {
+      ['src', 'href'].forEach(name => {
+        const value = element.getAttribute(name);
+        if (value && !value.startsWith('#')) {
+          element.setAttribute(name, new URL(value, pageUrl).href);
+        }
+      });
+    });
+  }
+
+  /**
+   * Add the game page's stylesheets that the shell does not have yet
+   * @param {Document} page - Parsed game page
+   * @param {URL} pageUrl - Game page URL (base for relative links)
+   * @returns {Promise<void>} Resolves when the new stylesheets have loaded (or failed)
+   */
+  addGameStyles(page, pageUrl) {
+    const loaded = new Set(
+      Array.from(document.querySelectorAll('link[rel="stylesheet"]')).map(link => link.href)
+    );
+
+    const pending = [];
+
+    page.querySelectorAll('link[rel="stylesheet"]').forEach(source => {
+      const href = new URL(source.getAttribute('href'), pageUrl).href;
+      if (loaded.has(href)) return;
+
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = href;
+
+      // Show the game once styled; a missing stylesheet is not fatal
+      pending.push(new Promise(resolve => {
+        link.addEventListener('load', resolve);
+        link.addEventListener('error', () => {
+          console.warn(`Failed to load stylesheet: ${href}`);
+          resolve();
+        });
+      }));
+
+      document.head.appendChild(link);
+      this.gameStyles.push(link);
+      loaded.add(href);
+    });
+
+    return Promise.all(pending).then(() => {});
+  }
+
+  /**
+   * Show an error with a way back to the game list
+   * @param {object} game - Game metadata
+   */
+  showGameError(game) {
+    this.gameView.innerHTML = html`
+      <div class="error">
+        <p class="error__message">${t('shell.loadFailed', { title: game.title })}</p>
+        <a href="${this.router.href('/')}">${t('common.backToHome')}</a>
+      </div>
+    `;
+  }
+}
@@ -4,6 +4,31 @@
  */
 
 import Modal from '../ui/Modal.js';
+import PauseOverlay from '../ui/PauseOverlay.js';
+import SoundControls from '../ui/SoundControls.js';
+import TimerScheduler from '../utils/TimerScheduler.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import SeededRandom, { generateSeed, getUrlSeed } from '../utils/SeededRandom.js';
+import { scoreRegistry } from '../core/ScoreRegistry.js';
+import { renderAvatar } from '../ui/ProfileSwitcher.js';
+import { html } from '../utils/helpers.js';
+import { getDateKey, getDailySeed, isDailyMode } from '../core/DailyChallenge.js';
+import { achievementService } from '../core/AchievementService.js';
+import {
+  gameEvents,
+  GAME_EVENT_TYPES,
+  GAME_START,
+  GAME_END,
+  PAUSE,
+  RESUME
+} from '../core/GameEvents.js';
+import { showToast } from '../ui/Toast.js';
+import { router } from '../core/Router.js';
+import { resolvePath } from '../core/BasePath.js';
+import { featureFlags } from '../core/FeatureFlagService.js';
+import { themeService } from '../core/ThemeService.js';
+import { audioService } from '../core/AudioService.js';
+import { i18n, t } from '../core/I18nService.js';
 
 export default class GameController {
   /**
@@ -19,6 +44,63 @@ export default class GameController {
     this.gameId = gameId;
     this.gameDataService = gameDataService;
     this.resultModal = null;
+
+    // Site features (sound, ads...), see FeatureFlagService.js
+    this.features = featureFlags;
+
+    // All of this game's timeouts, intervals and animation frames
+    // (paused with the game, cancelled on reset and cleanup)
+    this.timers = new TimerScheduler();
+
+    // Game events (see GameEvents.js), also forwarded to the site-wide gameEvents bus
+    this.events = new EventEmitter(GAME_EVENT_TYPES);
+
+    // Seeded random source shared with the game's engine; reseeded for each
+    // game (a ?seed= URL parameter replays the same seed every game)
+    this.urlSeed = getUrlSeed();
+    this.rng = new SeededRandom(this.urlSeed !== null ? this.urlSeed : generateSeed());
+    this.random = () => this.rng.next();
+
+    // Daily Challenge (?daily=1): today's shared seed; the first started
+    // game of the day is the official attempt
+    this.daily = isDailyMode();
+    this.dailyDate = null;          // Challenge date of the current game
+    this.dailyOfficial = false;     // Current (or last) game is the official attempt
+
+    // Session start time (ms) for history duration
+    this.sessionStartedAt = null;
+
+    // Pause state
+    this.paused = false;
+    this.pausedAt = null;
+    this.pausedDuration = 0;       // Paused time (ms) excluded from session duration
+    this.pauseKeys = ['KeyP', 'Escape'];
+    this.pauseOverlay = null;
+    this.pauseHandlers = null;
+
+    // Listeners on shared elements (document, window), removed by cleanup()
+    this.domListeners = [];
+
+    // Mute button and volume in the game header
+    this.soundControls = null;
+
+    // Keep the shown record current when it changes (also from other tabs)
+    this.unsubscribeRecord = gameDataService.onRecordChange(
+      gameId,
+      record => this.handleRecordChange(record)
+    );
+
+    // Redraw theme-dependent graphics (e.g. canvas) when the theme changes
+    this.unsubscribeTheme = themeService.onChange(({ theme }) => this.handleThemeChange(theme));
+
+    // Announce achievements unlocked by this game's events
+    this.unsubscribeAchievements = achievementService.onUnlock(definition => {
+      showToast({
+        icon: definition.icon,
+        title: t('achievements.unlocked'),
+        message: i18n.localizeAchievement(definition).title
+      });
+    });
   }
 
   /**
@@ -45,11 +127,173 @@ export default class GameController {
 
   /**
    * Reset game (abstract method - must be implemented by subclass)
+   * Implementations start with this.timers.clearAll() so nothing scheduled
+   * by the previous round fires into the new one.
    */
   resetGame() {
     throw new Error('resetGame() method must be implemented by subclass');
   }
 
+  // ====================
+  // Events
+  // ====================
+
+  /**
+   * Subscribe to this game's events
+   * @param {string} type - Event type (GAME_START, GAME_END, SCORE_CHANGE, MOVE, HIT, MISS, PAUSE, RESUME)
+   * @param {Function} listener - (data) => void, data includes gameId
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  /**
+   * Emit a game event here and on the site-wide gameEvents bus
+   * @param {string} type - Event type
+   * @param {object} [data] - Event payload (gameId is added)
+   */
+  emit(type, data = {}) {
+    const payload = { gameId: this.gameId, ...data };
+    this.events.emit(type, payload);
+    gameEvents.emit(type, payload);
+  }
+
+  // ====================
+  // Pause / Resume
+  // ====================
+
+  /**
+   * Check if the game can be paused right now
+   * Timed games override this to return true while they are running.
+   * @returns {boolean}
+   */
+  canPause() {
+    return false;
+  }
+
+  /**
+   * Called after the game's timers have been paused (subclass hook)
+   */
+  onPause() {
+    // Subclass can override to freeze anything not driven by this.timers
+  }
+
+  /**
+   * Called after the game's timers have been resumed (subclass hook)
+   */
+  onResume() {
+    // Subclass can override, e.g. to reset frame timing
+  }
+
+  /**
+   * Pause the game and show the pause overlay
+   * @returns {boolean} True if the game was paused
+   */
+  pause() {
+    if (this.paused || !this.canPause()) return false;
+
+    this.paused = true;
+    this.pausedAt = this.timers.now();
+    this.timers.pauseAll();
+    this.onPause();
+    this.emit(PAUSE);
+
+    if (!this.pauseOverlay) {
+      this.pauseOverlay = new PauseOverlay();
+    }
+    this.pauseOverlay.show({
+      hint: t('game.pauseHint', { keys: i18n.formatList(this.pauseKeys.map(formatKey), 'disjunction') }),
+      onResume: () => this.resume()
+    });
+
+    return true;
+  }
+
+  /**
+   * Resume a paused game
+   * @returns {boolean} True if the game was resumed
+   */
+  resume() {
+    if (!this.paused) return false;
+
+    this.paused = false;
+    this.pausedDuration += this.timers.now() - this.pausedAt;
+    this.pausedAt = null;
+
+    if (this.pauseOverlay) {
+      this.pauseOverlay.hide();
+    }
+    this.timers.resumeAll();
+    this.onResume();
+    this.emit(RESUME);
+
+    return true;
+  }
+
+  /**
+   * Toggle between paused and running
+   */
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+  }
+
+  /**
+   * Add a listener to an element that outlives the game (document, window)
+   * Removed by cleanup(), so an unmounted game stops reacting to input.
+   * @param {EventTarget} target - Event target
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.domListeners.push({ target, type, handler });
+  }
+
+  /**
+   * Setup pause shortcut keys and automatic pausing
+   * (tab hidden or window loses focus)
+   */
+  setupPauseListeners() {
+    if (this.pauseHandlers) return;
+
+    this.pauseHandlers = {
+      keydown: (e) => {
+        if (!this.pauseKeys.includes(e.code)) return;
+        if (!this.paused && !this.canPause()) return;
+
+        e.preventDefault();
+        this.togglePause();
+      },
+      visibilitychange: () => {
+        if (document.hidden) {
+          this.pause();
+        }
+      },
+      blur: () => this.pause()
+    };
+
+    document.addEventListener('keydown', this.pauseHandlers.keydown);
+    document.addEventListener('visibilitychange', this.pauseHandlers.visibilitychange);
+    window.addEventListener('blur', this.pauseHandlers.blur);
+  }
+
+  /**
+   * Remove pause listeners
+   */
+  removePauseListeners() {
+    if (!this.pauseHandlers) return;
+
+    document.removeEventListener('keydown', this.pauseHandlers.keydown);
+    document.removeEventListener('visibilitychange', this.pauseHandlers.visibilitychange);
+    window.removeEventListener('blur', this.pauseHandlers.blur);
+    this.pauseHandlers = null;
+  }
+
   /**
    * Load game data from storage
    * @returns {any} Loaded game data
@@ -69,67 +313,224 @@ export default class GameController {
     return false;
   }
 
+  /**
+   * Reseed the random source for a new game (call before the engine deals/starts)
+   * Daily Challenge games use the day's seed, then a ?seed= URL parameter,
+   * otherwise a fresh seed.
+   * @returns {number} Seed of the new game
+   */
+  reseed() {
+    if (this.daily) {
+      this.dailyDate = getDateKey();
+      this.rng.reset(getDailySeed(this.gameId, this.dailyDate));
+    } else {
+      this.rng.reset(this.urlSeed !== null ? this.urlSeed : generateSeed());
+    }
+    return this.rng.seed;
+  }
+
+  /**
+   * Mark the start of a play session (call when the game actually starts)
+   * In daily mode the first game of the day claims the official attempt.
+   * Emits game:start.
+   */
+  beginSession() {
+    this.sessionStartedAt = this.timers.now();
+    this.pausedDuration = 0;
+    this.dailyOfficial = this.daily && this.dailyDate !== null &&
+      this.gameDataService.startDailyAttempt(this.gameId, this.dailyDate, { seed: this.rng.seed });
+    this.emit(GAME_START, { seed: this.rng.seed, daily: this.daily });
+  }
+
+  /**
+   * Save a finished game's result through the score registry
+   * Also appends the session (with its duration, excluding paused time, and seed) to the play history,
+   * records the result of the official Daily Challenge attempt, then emits game:end.
+   * @param {object} result - Game result (shape declared by this game's score definition)
+   * @param {object} [details] - Session details {outcome, difficulty}
+   * @returns {{isNewRecord: boolean, record: number|object|null}} Save outcome
+   */
+  recordResult(result, details = {}) {
+    const duration = this.sessionStartedAt !== null
+      ? this.timers.now() - this.sessionStartedAt - this.pausedDuration
+      : null;
+    this.sessionStartedAt = null;
+
+    this.dailyOfficial = this.dailyOfficial &&
+      this.gameDataService.recordDailyAttempt(this.gameId, this.dailyDate, result, {
+        seed: this.rng.seed,
+        ...details
+      });
+
+    const sessionDetails = { duration, seed: this.rng.seed, ...details };
+    const saved = this.gameDataService.saveResult(this.gameId, result, sessionDetails);
+
+    this.emit(GAME_END, {
+      result,
+      details: sessionDetails,
+      record: saved.record,
+      isNewRecord: saved.isNewRecord,
+      daily: this.dailyOfficial
+    });
+
+    return saved;
+  }
+
+  /**
+   * Load this game's saved record
+   * @returns {number|object|null} Best value, tally record, or null
+   */
+  loadRecord() {
+    return this.gameDataService.loadRecord(this.gameId);
+  }
+
+  /**
+   * Called when this game's saved record changes, including saves in other tabs
+   * Subclasses override to refresh their cached record and its display.
+   * @param {number|object|null} record - Current record
+   */
+  handleRecordChange(record) {
+    // Subclass can override to update record display
+  }
+
+  /**
+   * Called when the colour theme changes
+   * Subclasses that draw with theme colours (canvas) override to redraw.
+   * @param {string} theme - 'light', 'dark' or 'high-contrast'
+   */
+  handleThemeChange(theme) {
+    // Subclass can override to redraw with the new colours
+  }
+
+  /**
+   * Play a sound effect (silent unless sound is on, see AudioService.js)
+   * @param {string} name - Effect name (e.g. SOUND_FLIP)
+   */
+  playSound(name) {
+    audioService.play(name);
+  }
+
+  /**
+   * Format a score value with this game's unit
+   * @param {number|object|null} value - Score or record
+   * @returns {string} Formatted value ('--' if empty)
+   */
+  formatScore(value) {
+    return scoreRegistry.format(this.gameId, value);
+  }
+
   /**
    * Show result modal
    * @param {object} result - Result data {score, highScore, isNewRecord, message, etc.}
    */
   showResultModal(result) {
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
-
     // Construct modal content
     const content = this.buildModalContent(result);
     const buttons = this.buildModalButtons();
 
     // Show modal
-    this.resultModal.show('Game Over!', content, buttons);
+    this.openResultModal(t('game.over'), content, buttons);
   }
 
   /**
-   * Build modal content HTML
-   * @param {object} result - Result data
-   * @returns {string} HTML content
+   * Show the result modal with the active player's profile above the content
+   * and the game's seed (and Daily Challenge status) below it
+   * @param {string} title - Modal title
+   * @param {SafeHtml} content - Modal content (html``)
+   * @param {Array<object>} buttons - Button configuration
    */
-  buildModalContent(result) {
-    let html = '<div class="result-stats">';
-
-    // Add result message if provided
-    if (result.message) {
-      html += `<p class="text-center mb-2">${result.message}</p>`;
+  openResultModal(title, content, buttons) {
+    if (!this.resultModal) {
+      this.resultModal = new Modal('result-modal');
     }
 
-    // Add score
-    if (result.score !== undefined) {
-      html += `
-        <div class="stat-item">
-          <span class="stat-label">Your Score:</span>
-          <span class="stat-value">${result.score}</span>
-        </div>
-      `;
-    }
+    this.resultModal.show(
+      title,
+      html`${this.buildProfileBadge()}${content}${this.buildDailyInfo()}${this.buildSeedInfo()}`,
+      buttons
+    );
+  }
 
-    // Add high score
-    if (result.highScore !== undefined && result.highScore !== null) {
-      html += `
-        <div class="stat-item">
-          <span class="stat-label">Best Score:</span>
-          <span class="stat-value">${result.highScore}</span>
-        </div>
-      `;
-    }
+  /**
+   * Build the Daily Challenge line (official attempt or practice)
+   * @returns {SafeHtml|string} Markup ('' outside daily mode)
+   */
+  buildDailyInfo() {
+    if (!this.daily) return '';
 
-    html += '</div>';
+    const status = this.gameDataService.getDailyStatus(this.gameId, this.dailyDate || undefined);
+    const message = this.dailyOfficial
+      ? t('daily.official', { count: status.streak })
+      : t('daily.practice');
 
-    // Add new record badge
-    if (result.isNewRecord) {
-      html = '<div class="new-record">⭐ NEW RECORD! ⭐</div>' + html;
+    return html`<p class="daily-info">📅 ${t('daily.challengeOn', { date: status.date })}: ${message}</p>`;
+  }
+
+  /**
+   * Build the seed line with a link that replays this game
+   * @returns {SafeHtml} Markup
+   */
+  buildSeedInfo() {
+    const seed = this.rng.seed;
+    let href;
+
+    if (router.isStarted()) {
+      const { path, query } = router.getCurrent();
+      href = router.href(path, { ...query, daily: null, seed });
+    } else {
+      const url = new URL(window.location.href);
+      url.searchParams.delete('daily');
+      url.searchParams.set('seed', seed);
+      href = url.href;
     }
 
-    // Add ad container
-    html += '<div class="ad-container"><!-- Ad placement --></div>';
+    return html`<p class="seed-info">${t('game.seed')} <a href="${href}">${seed}</a></p>`;
+  }
+
+  /**
+   * Build the badge naming the player whose record was saved
+   * @returns {SafeHtml} Markup
+   */
+  buildProfileBadge() {
+    const profile = this.gameDataService.profiles.getActiveProfile();
+    return html`<div class="profile-badge">${renderAvatar(profile)} ${profile.name}</div>`;
+  }
+
+  /**
+   * Build modal content
+   * @param {object} result - Result data
+   * @returns {SafeHtml} Markup
+   */
+  buildModalContent(result) {
+    return html`
+      ${result.isNewRecord && html`<div class="new-record">⭐ ${t('game.newRecord')} ⭐</div>`}
+      <div class="result-stats">
+        ${result.message && html`<p class="text-center mb-2">${result.message}</p>`}
+        ${result.score !== undefined && html`
+          <div class="stat-item">
+            <span class="stat-label">${t('game.yourScore')}</span>
+            <span class="stat-value">${this.formatScore(result.score)}</span>
+          </div>
+        `}
+        ${result.highScore !== undefined && result.highScore !== null && html`
+          <div class="stat-item">
+            <span class="stat-label">${t('game.bestScore')}</span>
+            <span class="stat-value">${this.formatScore(result.highScore)}</span>
+          </div>
+        `}
+      </div>
+      ${this.buildAdSlot()}
+    `;
+  }
 
-    return html;
+  /**
+   * Build the ad slot for result content
+   * @returns {SafeHtml|string} Markup ('' while adsEnabled is off)
+   */
+  buildAdSlot() {
+    return this.features.isEnabled('adsEnabled')
+      ? html`<div class="ad-container"><!-- Ad placement --></div>`
+      : '';
   }
 
   /**
@@ -139,7 +540,7 @@ export default class GameController {
   buildModalButtons() {
     return [
       {
-        label: 'Play Again',
+        label: t('common.playAgain'),
         primary: true,
         onClick: () => {
           this.resultModal.hide();
@@ -147,7 +548,7 @@ export default class GameController {
         }
       },
       {
-        label: 'Back to Home',
+        label: t('common.backToHome'),
         primary: false,
         onClick: () => this.navigateToHome()
       }
@@ -158,11 +559,17 @@ export default class GameController {
    * Navigate to home page
    */
   navigateToHome() {
+    // Inside the single-page shell, go back to the game list
+    if (router.isStarted()) {
+      router.navigate('/');
+      return;
+    }
+
     // If current page is a module version, navigate to module version of index
     if (window.location.pathname.includes('module.html')) {
-      window.location.href = '/browser-game-collection/index-module.html';
+      window.location.href = resolvePath('index-module.html');
     } else {
-      window.location.href = '/browser-game-collection/index.html';
+      window.location.href = resolvePath('index.html');
     }
   }
 
@@ -182,12 +589,94 @@ export default class GameController {
     if (resetBtn) {
       resetBtn.addEventListener('click', () => this.resetGame());
     }
+
+    // Pause shortcut and automatic pausing
+    this.setupPauseListeners();
+
+    // Mark the page as today's Daily Challenge
+    this.showDailyBadge();
+
+    this.showSoundControls();
   }
 
   /**
-   * Cleanup resources (call on page unload)
+   * Show a Daily Challenge badge in the game header (daily mode only)
+   */
+  showDailyBadge() {
+    if (!this.daily) return;
+
+    const header = document.querySelector('.game-header');
+    if (!header) return;
+
+    const badge = document.createElement('div');
+    badge.className = 'daily-badge';
+    badge.textContent = `📅 ${t('daily.challenge')} · ${getDateKey()}`;
+    header.appendChild(badge);
+  }
+
+  /**
+   * Add the mute button and volume slider to the game header
+   */
+  showSoundControls() {
+    const header = document.querySelector('.game-header');
+    if (!header || this.soundControls) return;
+
+    this.soundControls = new SoundControls(header);
+  }
+
+  /**
+   * Cleanup resources (call on page unload or when the shell leaves the game)
    */
   cleanup() {
-    // Subclass can override to cleanup timers, intervals, etc.
+    // Subclass can override to cleanup other resources (call super.cleanup())
+    this.timers.clearAll();
+    this.removePauseListeners();
+
+    this.domListeners.forEach(({ target, type, handler }) => {
+      target.removeEventListener(type, handler);
+    });
+    this.domListeners = [];
+
+    if (this.pauseOverlay) {
+      this.pauseOverlay.destroy();
+      this.pauseOverlay = null;
+    }
+
+    if (this.soundControls) {
+      this.soundControls.destroy();
+      this.soundControls = null;
+    }
+
+    // Also restores page scrolling
+    if (this.resultModal) {
+      this.resultModal.hide();
+    }
+
+    if (this.unsubscribeRecord) {
+      this.unsubscribeRecord();
+      this.unsubscribeRecord = null;
+    }
+
+    if (this.unsubscribeAchievements) {
+      this.unsubscribeAchievements();
+      this.unsubscribeAchievements = null;
+    }
+
+    if (this.unsubscribeTheme) {
+      this.unsubscribeTheme();
+      this.unsubscribeTheme = null;
+    }
+
+    this.events.clear();
   }
 }
+
+/**
+ * Readable name for a KeyboardEvent.code
+ * @param {string} code - Key code (e.g. 'KeyP', 'Escape')
+ * @returns {string} Key name (e.g. 'P', 'Esc')
+ */
+function formatKey(code) {
+  if (code === 'Escape') return 'Esc';
+  return code.startsWith('Key') ? code.slice(3) : code;
+}
@@ -1,10 +1,14 @@
 /**
  * MemoryGameController.js
- * Memory Game logic and state management
+ * Memory Game UI and state management (rules in MemoryEngine)
  */
 
 import GameController from './GameController.js';
-import { shuffleArray } from '../utils/helpers.js';
+import MemoryEngine from '../engines/MemoryEngine.js';
+import { SCORE_CHANGE, MOVE, HIT, MISS } from '../core/GameEvents.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+import { SOUND_FLIP, SOUND_MATCH, SOUND_MISS, SOUND_WIN } from '../core/AudioService.js';
 
 export default class MemoryGameController extends GameController {
   /**
@@ -14,23 +18,12 @@ export default class MemoryGameController extends GameController {
   constructor(gameDataService) {
     super('memory-game', gameDataService);
 
-    // Game state
-    this.state = {
-      // Card data
-      cards: [],              // [1,1,2,2,...,8,8] shuffled
-
-      // Card states
-      flippedIndices: [],     // Currently flipped card indices (max 2)
-      matchedIndices: [],     // All matched card indices
-
-      // Game progress
-      moves: 0,               // Number of move pairs made
-
-      // Game control
-      isLocked: false,        // Prevent clicks during flip-back animation
-      gameStarted: false,     // Has game started?
-      gameComplete: false,    // All pairs matched?
+    // Rules and board state
+    this.engine = new MemoryEngine({ random: this.random });
+    this.setupEngineListeners();
 
+    // UI state
+    this.state = {
       // High score
       highScore: null,        // Best score from LocalStorage
 
@@ -46,7 +39,7 @@ export default class MemoryGameController extends GameController {
    */
   async init() {
     // Load high score from storage
-    this.state.highScore = this.gameDataService.loadMemoryGameHighScore();
+    this.state.highScore = this.loadRecord();
 
     // Cache DOM elements
     this.state.movesDisplay = document.getElementById('moves-value');
@@ -64,25 +57,48 @@ export default class MemoryGameController extends GameController {
   }
 
   /**
-   * Start new game
+   * Update the page and emit game events from engine events
+   * (move: card flipped, score:change: moves, hit: pair matched, miss: mismatch)
    */
-  startGame() {
-    // Create cards array [1,1,2,2,...,8,8]
-    this.state.cards = [];
-    for (let i = 1; i <= 8; i++) {
-      this.state.cards.push(i, i);
-    }
+  setupEngineListeners() {
+    this.engine.on('flip', ({ index, value }) => {
+      this.flipCard(index);
+      this.playSound(SOUND_FLIP);
+      this.emit(MOVE, { index, value });
+    });
+    this.engine.on('move', ({ moves }) => {
+      this.updateMovesDisplay();
+      this.emit(SCORE_CHANGE, { score: moves });
+    });
+
+    this.engine.on('match', ({ indices }) => {
+      indices.forEach(index => this.state.cardElements[index]?.classList.add('matched'));
+      this.playSound(SOUND_MATCH);
+      this.emit(HIT, { indices });
+    });
+
+    // Wait 1 second, then flip back
+    this.engine.on('mismatch', ({ indices }) => {
+      this.playSound(SOUND_MISS);
+      this.emit(MISS, { indices });
+      this.timers.setTimeout(() => this.engine.hideMismatch(), 1000);
+    });
+    this.engine.on('unflip', ({ indices }) => {
+      indices.forEach(index => this.unflipCard(index));
+    });
 
-    // Shuffle cards
-    shuffleArray(this.state.cards);
+    this.engine.on('complete', () => {
+      this.timers.setTimeout(() => this.handleGameComplete(), 500);  // Delay for effect
+    });
+  }
 
-    // Reset state
-    this.state.flippedIndices = [];
-    this.state.matchedIndices = [];
-    this.state.moves = 0;
-    this.state.isLocked = false;
-    this.state.gameStarted = false;
-    this.state.gameComplete = false;
+  /**
+   * Start new game
+   */
+  startGame() {
+    // Deal shuffled cards (new seed per game)
+    this.reseed();
+    this.engine.start();
 
     // Update display
     this.updateMovesDisplay();
@@ -95,6 +111,8 @@ export default class MemoryGameController extends GameController {
    * Reset game (alias for startGame)
    */
   resetGame() {
+    // Drop a pending flip-back or completion from the previous round
+    this.timers.clearAll();
     this.startGame();
   }
 
@@ -102,7 +120,7 @@ export default class MemoryGameController extends GameController {
    * End game
    */
   endGame() {
-    this.state.gameComplete = true;
+    this.engine.state.complete = true;
   }
 
   /**
@@ -120,7 +138,7 @@ export default class MemoryGameController extends GameController {
     this.state.cardElements = [];
 
     // Create card elements
-    this.state.cards.forEach((value, index) => {
+    this.engine.state.cards.forEach((value, index) => {
       const card = this.createCardElement(value, index);
       gridContainer.appendChild(card);
       this.state.cardElements.push(card);
@@ -139,7 +157,7 @@ export default class MemoryGameController extends GameController {
     card.dataset.index = index;
     card.dataset.value = value;
 
-    card.innerHTML = `
+    card.innerHTML = html`
       <div class="card-inner">
         <div class="card-back">?</div>
         <div class="card-front">${value}</div>
@@ -157,98 +175,32 @@ export default class MemoryGameController extends GameController {
    * @param {number} index - Clicked card index
    */
   handleCardClick(index) {
-    // Validation checks
-    if (this.state.isLocked) return;                         // Game locked (animation)
-    if (this.state.flippedIndices.includes(index)) return;   // Already flipped
-    if (this.state.matchedIndices.includes(index)) return;   // Already matched
-
-    // Start game on first click
-    if (!this.state.gameStarted) {
-      this.state.gameStarted = true;
-    }
-
-    // Flip card
-    this.flipCard(index);
-    this.state.flippedIndices.push(index);
-
-    // Check if two cards flipped
-    if (this.state.flippedIndices.length === 2) {
-      // Increment move counter (CRITICAL: after second card flip)
-      this.state.moves++;
-      this.updateMovesDisplay();
-
-      // Check for match
-      const [index1, index2] = this.state.flippedIndices;
-      const isMatch = this.state.cards[index1] === this.state.cards[index2];
+    if (!this.engine.canFlip(index)) return;
 
-      if (isMatch) {
-        this.handleMatch();
-      } else {
-        this.handleMismatch();
-      }
+    // Start the session on the first flip (game:start before its move event)
+    if (!this.engine.state.started) {
+      this.beginSession();
     }
-  }
-
-  /**
-   * Handle successful match
-   */
-  handleMatch() {
-    const [index1, index2] = this.state.flippedIndices;
-
-    // Add to matched indices
-    this.state.matchedIndices.push(index1, index2);
-
-    // Apply matched CSS class
-    this.state.cardElements[index1].classList.add('matched');
-    this.state.cardElements[index2].classList.add('matched');
-
-    // Clear flipped indices
-    this.state.flippedIndices = [];
-
-    // Check game completion
-    if (this.isGameComplete()) {
-      setTimeout(() => this.handleGameComplete(), 500);  // Delay for effect
-    }
-  }
-
-  /**
-   * Handle mismatch (cards don't match)
-   */
-  handleMismatch() {
-    const [index1, index2] = this.state.flippedIndices;
-
-    // Lock game to prevent clicks (CRITICAL)
-    this.state.isLocked = true;
 
-    // Wait 1 second, then flip back
-    setTimeout(() => {
-      // Flip both cards back
-      this.unflipCard(index1);
-      this.unflipCard(index2);
-
-      // Clear flipped indices
-      this.state.flippedIndices = [];
-
-      // Unlock game
-      this.state.isLocked = false;
-    }, 1000);  // 1 second delay
+    this.engine.flip(index);
   }
 
   /**
    * Handle game completion
    */
   handleGameComplete() {
-    this.state.gameComplete = true;
+    const moves = this.engine.state.moves;
 
     // Check if new high score (CRITICAL: lower is better)
     const isNewRecord = this.checkAndSaveHighScore();
+    this.playSound(SOUND_WIN);
 
     // Show result modal
     this.showResultModal({
-      score: this.state.moves,
+      score: moves,
       highScore: this.state.highScore,
       isNewRecord: isNewRecord,
-      message: `Congratulations! You completed the game in ${this.state.moves} moves.`
+      message: t('memory.completed', { count: moves })
     });
   }
 
@@ -257,25 +209,18 @@ export default class MemoryGameController extends GameController {
    * @returns {boolean} True if new record
    */
   checkAndSaveHighScore() {
-    // Lower is better for Memory Game
-    const isNewRecord = this.gameDataService.saveMemoryGameScore(this.state.moves);
+    // Lower is better for Memory Game (declared in ScoreRegistry)
+    const { isNewRecord, record } = this.recordResult(
+      { moves: this.engine.state.moves },
+      { outcome: 'complete' }
+    );
 
-    if (isNewRecord) {
-      this.state.highScore = this.state.moves;
-      this.updateHighScoreDisplay();
-    }
+    this.state.highScore = record;
+    this.updateHighScoreDisplay();
 
     return isNewRecord;
   }
 
-  /**
-   * Check if game is complete
-   * @returns {boolean} True if all 8 pairs matched
-   */
-  isGameComplete() {
-    return this.state.matchedIndices.length === 16;  // 8 pairs × 2 cards
-  }
-
   /**
    * Flip card face-up
    * @param {number} index - Card index
@@ -303,7 +248,7 @@ export default class MemoryGameController extends GameController {
    */
   updateMovesDisplay() {
     if (this.state.movesDisplay) {
-      this.state.movesDisplay.textContent = this.state.moves;
+      this.state.movesDisplay.textContent = this.engine.state.moves;
     }
   }
 
@@ -316,4 +261,13 @@ export default class MemoryGameController extends GameController {
         this.state.highScore !== null ? this.state.highScore : '--';
     }
   }
+
+  /**
+   * Refresh high score when the saved record changes (e.g. from another tab)
+   * @param {number|null} record - Current best moves
+   */
+  handleRecordChange(record) {
+    this.state.highScore = record;
+    this.updateHighScoreDisplay();
+  }
 }
@@ -2,58 +2,42 @@
  * NBackGameController.js
  * Dual N-Back memory training game
  * Players remember both position and number from N steps back
+ * (rules and trial timing in NBackEngine)
  */
 
 import GameController from './GameController.js';
-import Modal from '../ui/Modal.js';
+import NBackEngine from '../engines/NBackEngine.js';
+import { MOVE, HIT, MISS } from '../core/GameEvents.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+import { SOUND_TICK, SOUND_CLICK, SOUND_MATCH, SOUND_MISS, SOUND_WIN, SOUND_END } from '../core/AudioService.js';
 
-// Constants
-const GAME_DURATION = 30; // 30 seconds
-const STIMULUS_DURATION = 500; // 500ms to show stimulus
-const RESPONSE_WINDOW = 2000; // 2000ms for player to respond (increased from 1000ms)
-const GRID_SIZE = 3; // 3x3 grid
-const NUMBER_RANGE = 9; // Numbers 1-9
+// Difficulty message names by N-back level
+const DIFFICULTY_NAMES = ['', 'easy', 'normal', 'hard'];
 
 export default class NBackGameController extends GameController {
   constructor(gameDataService) {
     super('nback-game', gameDataService);
 
+    // Rules, stimuli and scoring (on this game's timers, so pause applies)
+    this.engine = new NBackEngine({ random: this.random, timers: this.timers });
+    this.setupEngineListeners();
+
+    // UI state
     this.state = {
-      gameState: 'difficulty-select', // difficulty-select | ready | running | finished
+      screen: 'difficulty-select', // difficulty-select | game
 
       // Difficulty (N-back level)
       difficulty: 2, // 1=Easy, 2=Normal, 3=Hard
 
-      // Current stimulus
-      currentPosition: null, // 0-8 (grid index)
-      currentNumber: null, // 1-9
-
-      // History
-      positionHistory: [],
-      numberHistory: [],
-
-      // Trial tracking
-      trialIndex: 0,
-      totalTrials: 0,
-
-      // Player responses (only for trials where comparison is possible)
-      positionResponses: [], // [{expected: bool, actual: bool, correct: bool}]
-      numberResponses: [],
-
-      // Response tracking for current trial
-      currentPositionResponse: false,
-      currentNumberResponse: false,
-
-      // Timer
-      timeRemaining: GAME_DURATION,
-      gameTimer: null,
-      stimulusTimer: null,
-
       // UI elements
       cells: [],
       positionButton: null,
       numberButton: null
     };
+
+    // P is the position-match key, so only Escape pauses
+    this.pauseKeys = ['Escape'];
   }
 
   /**
@@ -100,8 +84,8 @@ export default class NBackGameController extends GameController {
     });
 
     // Keyboard support (P for position, N for number)
-    document.addEventListener('keydown', (e) => {
-      if (this.state.gameState !== 'running') return;
+    this.listen(document, 'keydown', (e) => {
+      if (this.engine.state.gameState !== 'running' || this.paused) return;
 
       if (e.code === 'KeyP' || e.code === 'KeyA') {
         e.preventDefault();
@@ -113,11 +97,53 @@ export default class NBackGameController extends GameController {
     });
   }
 
+  /**
+   * Update the page and emit game events from engine events
+   * (hit/miss: each judged answer, including matches left unanswered)
+   */
+  setupEngineListeners() {
+    this.engine.on('tick', () => this.updateTimerDisplay());
+
+    this.engine.on('stimulus', ({ position, number }) => {
+      // Reset button states
+      this.state.positionButton.classList.remove('pressed', 'correct', 'incorrect');
+      this.state.numberButton.classList.remove('pressed', 'correct', 'incorrect');
+
+      this.showStimulus(position, number);
+      this.playSound(SOUND_TICK);
+    });
+
+    this.engine.on('stimulusHidden', () => this.hideStimulus());
+
+    this.engine.on('respond', ({ type }) => {
+      const button = type === 'position' ? this.state.positionButton : this.state.numberButton;
+      button.classList.add('pressed');
+      this.playSound(SOUND_CLICK);
+      this.emit(MOVE, { type });
+    });
+
+    this.engine.on('feedback', ({ position, number }) => {
+      if (position) this.showFeedback(this.state.positionButton, position);
+      if (number) this.showFeedback(this.state.numberButton, number);
+
+      // One sound per trial: a miss if either answer was wrong
+      const judgements = [
+        this.emitJudgement('position', position),
+        this.emitJudgement('number', number)
+      ].filter(correct => correct !== null);
+      if (judgements.length > 0) {
+        this.playSound(judgements.includes(false) ? SOUND_MISS : SOUND_MATCH);
+      }
+    });
+
+    this.engine.on('end', ({ results }) => this.handleGameEnd(results));
+  }
+
   /**
    * Show difficulty selection screen
    */
   showDifficultySelection() {
-    this.state.gameState = 'difficulty-select';
+    this.state.screen = 'difficulty-select';
     document.getElementById('difficulty-screen')?.classList.remove('hidden');
     document.getElementById('game-screen')?.classList.add('hidden');
   }
@@ -127,18 +153,18 @@ export default class NBackGameController extends GameController {
    */
   selectDifficulty(level) {
     this.state.difficulty = level;
+    this.state.screen = 'game';
     document.getElementById('difficulty-screen')?.classList.add('hidden');
     document.getElementById('game-screen')?.classList.remove('hidden');
 
     // Update difficulty display
-    const difficultyNames = ['', 'Easy (1-back)', 'Normal (2-back)', 'Hard (3-back)'];
     const difficultyEl = document.getElementById('difficulty-value');
     if (difficultyEl) {
-      difficultyEl.textContent = difficultyNames[level];
+      difficultyEl.textContent = t('nBack.levelName', { name: t(`difficulty.${DIFFICULTY_NAMES[level]}`), n: level });
     }
 
     // Start game after brief delay
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       this.startGame();
     }, 500);
   }
@@ -147,19 +173,9 @@ export default class NBackGameController extends GameController {
    * Start new game
    */
   startGame() {
-    // Reset state
-    this.state.gameState = 'running';
-    this.state.trialIndex = 0;
-    this.state.totalTrials = 0;
-    this.state.positionHistory = [];
-    this.state.numberHistory = [];
-    this.state.positionResponses = [];
-    this.state.numberResponses = [];
-    this.state.currentPosition = null;
-    this.state.currentNumber = null;
-    this.state.currentPositionResponse = false;
-    this.state.currentNumberResponse = false;
-    this.state.timeRemaining = GAME_DURATION;
+    // New seed per round, before the session so game:start reports it
+    this.reseed();
+    this.beginSession();
 
     // Enable buttons
     this.state.positionButton.disabled = false;
@@ -169,27 +185,17 @@ export default class NBackGameController extends GameController {
     this.state.positionButton.classList.remove('pressed');
     this.state.numberButton.classList.remove('pressed');
 
-    // Start game timer
-    this.startGameTimer();
-
-    // Start first trial
-    this.startTrial();
+    // Start the 30 second round and the first trial
+    this.engine.start(this.state.difficulty);
+    this.updateTimerDisplay();
   }
 
   /**
-   * Start game timer (30 seconds)
+   * N-Back can be paused while a round is running
+   * @returns {boolean}
    */
-  startGameTimer() {
-    this.updateTimerDisplay();
-
-    this.state.gameTimer = setInterval(() => {
-      this.state.timeRemaining--;
-      this.updateTimerDisplay();
-
-      if (this.state.timeRemaining <= 0) {
-        this.handleGameEnd();
-      }
-    }, 1000);
+  canPause() {
+    return this.engine.state.gameState === 'running';
   }
 
   /**
@@ -198,66 +204,23 @@ export default class NBackGameController extends GameController {
   updateTimerDisplay() {
     const timerEl = document.getElementById('timer-value');
     if (timerEl) {
-      timerEl.textContent = `${this.state.timeRemaining}s`;
+      timerEl.textContent = `${this.engine.state.timeRemaining}s`;
     }
   }
 
-  /**
-   * Start a new trial (show stimulus)
-   */
-  startTrial() {
-    if (this.state.gameState !== 'running') return;
-
-    // Generate random position and number
-    this.state.currentPosition = Math.floor(Math.random() * (GRID_SIZE * GRID_SIZE));
-    this.state.currentNumber = Math.floor(Math.random() * NUMBER_RANGE) + 1;
-
-    // Add to history
-    this.state.positionHistory.push(this.state.currentPosition);
-    this.state.numberHistory.push(this.state.currentNumber);
-
-    // Reset current trial responses
-    this.state.currentPositionResponse = false;
-    this.state.currentNumberResponse = false;
-
-    // Reset button states
-    this.state.positionButton.classList.remove('pressed', 'correct', 'incorrect');
-    this.state.numberButton.classList.remove('pressed', 'correct', 'incorrect');
-
-    // Show stimulus
-    this.showStimulus();
-
-    // Schedule hiding stimulus
-    setTimeout(() => {
-      this.hideStimulus();
-
-      // Schedule recording response
-      setTimeout(() => {
-        this.recordResponse();
-
-        // Wait 500ms to show feedback, then start next trial
-        setTimeout(() => {
-          this.state.trialIndex++;
-          this.startTrial();
-        }, 500);
-      }, RESPONSE_WINDOW);
-    }, STIMULUS_DURATION);
-  }
-
   /**
    * Show stimulus on grid
+   * @param {number} position - Grid index (0-8)
+   * @param {number} number - Number (1-9)
    */
-  showStimulus() {
+  showStimulus(position, number) {
     // Clear all cells
-    this.state.cells.forEach(cell => {
-      cell.classList.remove('active');
-      cell.textContent = '';
-    });
+    this.hideStimulus();
 
     // Activate current cell
-    const cell = this.state.cells[this.state.currentPosition];
+    const cell = this.state.cells[position];
     cell.classList.add('active');
-    cell.textContent = this.state.currentNumber;
+    cell.textContent = number;
   }
 
   /**
@@ -274,113 +237,52 @@ export default class NBackGameController extends GameController {
    * Handle position match button press
    */
   handlePositionMatch() {
-    if (this.state.gameState !== 'running') return;
-
-    this.state.currentPositionResponse = true;
-    this.state.positionButton.classList.add('pressed');
+    this.engine.respond('position');
   }
 
   /**
    * Handle number match button press
    */
   handleNumberMatch() {
-    if (this.state.gameState !== 'running') return;
-
-    this.state.currentNumberResponse = true;
-    this.state.numberButton.classList.add('pressed');
+    this.engine.respond('number');
   }
 
   /**
-   * Record response for current trial
+   * Show whether a response was right on its button
+   * Feedback is shown if pressed (correct or incorrect), or if not pressed
+   * but a match was missed. Correctly not pressing shows nothing.
+   * @param {HTMLElement} button - Match button
+   * @param {object} response - {expected, actual, correct}
    */
-  recordResponse() {
-    const currentTrial = this.state.trialIndex;
-    const nBack = this.state.difficulty;
-
-    // Only record if we have enough history to compare
-    if (currentTrial >= nBack) {
-      // Check if position matched
-      const positionExpected =
-        this.state.positionHistory[currentTrial] ===
-        this.state.positionHistory[currentTrial - nBack];
-
-      // Check if number matched
-      const numberExpected =
-        this.state.numberHistory[currentTrial] ===
-        this.state.numberHistory[currentTrial - nBack];
-
-      // Record position response
-      const positionCorrect =
-        this.state.currentPositionResponse === positionExpected;
-      this.state.positionResponses.push({
-        expected: positionExpected,
-        actual: this.state.currentPositionResponse,
-        correct: positionCorrect
-      });
-
-      // Record number response
-      const numberCorrect =
-        this.state.currentNumberResponse === numberExpected;
-      this.state.numberResponses.push({
-        expected: numberExpected,
-        actual: this.state.currentNumberResponse,
-        correct: numberCorrect
-      });
-
-      // Update button visual feedback for position
-      this.state.positionButton.classList.remove('pressed');
-      // Show feedback only if: (1) pressed and correct, (2) pressed and incorrect, (3) not pressed and incorrect
-      if (this.state.currentPositionResponse) {
-        // User pressed the button
-        if (positionCorrect) {
-          this.state.positionButton.classList.add('correct');
-        } else {
-          this.state.positionButton.classList.add('incorrect');
-        }
-      } else {
-        // User did NOT press the button
-        if (!positionCorrect) {
-          // Should have pressed but didn't - show incorrect
-          this.state.positionButton.classList.add('incorrect');
-        }
-        // If correct and didn't press - no feedback (correct behavior)
-      }
-
-      // Update button visual feedback for number
-      this.state.numberButton.classList.remove('pressed');
-      // Show feedback only if: (1) pressed and correct, (2) pressed and incorrect, (3) not pressed and incorrect
-      if (this.state.currentNumberResponse) {
-        // User pressed the button
-        if (numberCorrect) {
-          this.state.numberButton.classList.add('correct');
-        } else {
-          this.state.numberButton.classList.add('incorrect');
-        }
-      } else {
-        // User did NOT press the button
-        if (!numberCorrect) {
-          // Should have pressed but didn't - show incorrect
-          this.state.numberButton.classList.add('incorrect');
-        }
-        // If correct and didn't press - no feedback (correct behavior)
-      }
-
-      this.state.totalTrials++;
+  showFeedback(button, response) {
+    button.classList.remove('pressed');
+
+    if (response.actual) {
+      button.classList.add(response.correct ? 'correct' : 'incorrect');
+    } else if (!response.correct) {
+      // Should have pressed but didn't
+      button.classList.add('incorrect');
     }
   }
 
   /**
-   * End game
+   * Emit hit or miss for a judged response
+   * Trials with nothing to press and nothing pressed are not announced.
+   * @param {string} type - 'position' or 'number'
+   * @param {object|null} response - {expected, actual, correct}
+   * @returns {boolean|null} Whether the response was correct, or null if not announced
    */
-  handleGameEnd() {
-    this.state.gameState = 'finished';
-
-    // Clear timers
-    if (this.state.gameTimer) {
-      clearInterval(this.state.gameTimer);
-      this.state.gameTimer = null;
-    }
+  emitJudgement(type, response) {
+    if (!response || (!response.expected && !response.actual)) return null;
+    this.emit(response.correct ? HIT : MISS, { type, expected: response.expected });
+    return response.correct;
+  }
 
+  /**
+   * End game
+   * @param {object} results - Results from the engine
+   */
+  handleGameEnd(results) {
     // Disable buttons
     this.state.positionButton.disabled = true;
     this.state.numberButton.disabled = true;
@@ -388,117 +290,76 @@ export default class NBackGameController extends GameController {
     // Hide stimulus
     this.hideStimulus();
 
-    // Calculate results
-    const results = this.calculateResults();
+    // Save best overall accuracy
+    const { isNewRecord, record } = this.recordResult(results, {
+      outcome: 'complete',
+      difficulty: results.difficulty
+    });
+    results.isNewRecord = isNewRecord;
+    results.bestAccuracy = record;
+    this.playSound(isNewRecord ? SOUND_WIN : SOUND_END);
 
     // Show results modal with delay
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       this.showResultsModal(results);
     }, 500);
   }
 
-  /**
-   * Calculate game results
-   */
-  calculateResults() {
-    const positionCorrect = this.state.positionResponses.filter(
-      r => r.correct
-    ).length;
-    const positionTotal = this.state.positionResponses.length;
-    const positionAccuracy =
-      positionTotal > 0 ? (positionCorrect / positionTotal) * 100 : 0;
-
-    const numberCorrect = this.state.numberResponses.filter(r => r.correct)
-      .length;
-    const numberTotal = this.state.numberResponses.length;
-    const numberAccuracy =
-      numberTotal > 0 ? (numberCorrect / numberTotal) * 100 : 0;
-
-    const totalCorrect = positionCorrect + numberCorrect;
-    const totalAttempts = positionTotal + numberTotal;
-    const overallAccuracy =
-      totalAttempts > 0 ? (totalCorrect / totalAttempts) * 100 : 0;
-
-    return {
-      position: {
-        correct: positionCorrect,
-        total: positionTotal,
-        accuracy: positionAccuracy
-      },
-      number: {
-        correct: numberCorrect,
-        total: numberTotal,
-        accuracy: numberAccuracy
-      },
-      overall: {
-        correct: totalCorrect,
-        total: totalAttempts,
-        accuracy: overallAccuracy
-      },
-      difficulty: this.state.difficulty
-    };
-  }
-
   /**
    * Show results modal with animated progress bars
+   * @param {object} results - Game results
    */
   showResultsModal(results) {
-    const difficultyNames = ['', 'Easy', 'Normal', 'Hard'];
+    const newRecordBadge = results.isNewRecord
+      ? html`<div class="new-record">⭐ ${t('game.newRecord')} ⭐</div>`
+      : '';
 
-    let html = `<div class="result-difficulty">Difficulty: ${difficultyNames[results.difficulty]}</div>`;
+    const content = html`
+      ${newRecordBadge}
+      <div class="result-difficulty">${t('nBack.difficulty', { name: t(`difficulty.${DIFFICULTY_NAMES[results.difficulty]}`) })}</div>
 
-    // Position accuracy
-    html += `
       <div class="result-item">
-        <div class="result-label">Position Match</div>
+        <div class="result-label">${t('nBack.positionMatch')}</div>
         <div class="progress-bar-container">
           <div class="progress-bar" data-accuracy="${results.position.accuracy.toFixed(0)}">
             <div class="progress-fill position-fill"></div>
           </div>
           <div class="progress-text">${results.position.accuracy.toFixed(0)}%</div>
         </div>
-        <div class="result-detail">${results.position.correct}/${results.position.total} correct</div>
+        <div class="result-detail">${t('nBack.correct', { correct: results.position.correct, total: results.position.total })}</div>
       </div>
-    `;
 
-    // Number accuracy
-    html += `
       <div class="result-item">
-        <div class="result-label">Number Match</div>
+        <div class="result-label">${t('nBack.numberMatch')}</div>
         <div class="progress-bar-container">
           <div class="progress-bar" data-accuracy="${results.number.accuracy.toFixed(0)}">
             <div class="progress-fill number-fill"></div>
           </div>
           <div class="progress-text">${results.number.accuracy.toFixed(0)}%</div>
         </div>
-        <div class="result-detail">${results.number.correct}/${results.number.total} correct</div>
+        <div class="result-detail">${t('nBack.correct', { correct: results.number.correct, total: results.number.total })}</div>
       </div>
-    `;
 
-    // Overall accuracy
-    html += `
       <div class="result-item overall">
-        <div class="result-label">Overall Accuracy</div>
+        <div class="result-label">${t('nBack.overallAccuracy')}</div>
         <div class="progress-bar-container">
           <div class="progress-bar" data-accuracy="${results.overall.accuracy.toFixed(0)}">
             <div class="progress-fill overall-fill"></div>
           </div>
           <div class="progress-text">${results.overall.accuracy.toFixed(0)}%</div>
         </div>
-        <div class="result-detail">${results.overall.correct}/${results.overall.total} correct</div>
+        <div class="result-detail">${t('nBack.correct', { correct: results.overall.correct, total: results.overall.total })}</div>
       </div>
+
+      <div class="result-detail">${t('nBack.bestAccuracy', { score: this.formatScore(results.bestAccuracy) })}</div>
     `;
 
     const buttons = this.buildModalButtons();
 
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
-
-    this.resultModal.show('Game Complete!', html, buttons);
+    this.openResultModal(t('game.complete'), content, buttons);
 
     // Animate progress bars after modal is shown
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       this.animateProgressBars();
     }, 100);
   }
@@ -514,7 +375,7 @@ export default class NBackGameController extends GameController {
       const accuracy = parseInt(container.dataset.accuracy);
 
       // Animate width
-      setTimeout(() => {
+      this.timers.setTimeout(() => {
         bar.style.width = `${accuracy}%`;
       }, 50);
     });
@@ -524,11 +385,9 @@ export default class NBackGameController extends GameController {
    * Reset game
    */
   resetGame() {
-    // Clear timers
-    if (this.state.gameTimer) {
-      clearInterval(this.state.gameTimer);
-      this.state.gameTimer = null;
-    }
+    // Clear timers (including a pending start or result modal)
+    this.timers.clearAll();
+    this.engine.stop();
 
     // Reset to difficulty selection
     this.showDifficultySelection();
@@ -537,7 +396,7 @@ export default class NBackGameController extends GameController {
     this.hideStimulus();
 
     // Reset timer display
-    this.state.timeRemaining = GAME_DURATION;
+    this.engine.reset(this.state.difficulty);
     this.updateTimerDisplay();
   }
 
@@ -545,14 +404,10 @@ export default class NBackGameController extends GameController {
    * End game (from parent class requirement)
    */
   endGame() {
-    if (this.state.gameState === 'running') {
-      this.handleGameEnd();
+    if (this.engine.state.gameState === 'running') {
+      this.engine.finish();
     } else {
-      if (this.state.gameTimer) {
-        clearInterval(this.state.gameTimer);
-        this.state.gameTimer = null;
-      }
-      this.state.gameState = 'finished';
+      this.engine.stop();
     }
   }
 }
@@ -2,10 +2,18 @@
  * NineGameController.js
  * Nine card game logic - Strategic card game inspired by manga "Ten"
  * Player vs CPU: Use cards 1-9 wisely to score maximum points
+ * (rules and CPU strategy in NineEngine)
  */
 
 import GameController from './GameController.js';
-import Modal from '../ui/Modal.js';
+import NineEngine, { NINE_TURNS } from '../engines/NineEngine.js';
+import { SCORE_CHANGE, MOVE, HIT, MISS } from '../core/GameEvents.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+import { SOUND_FLIP, SOUND_MATCH, SOUND_MISS, SOUND_WIN, SOUND_LOSE, SOUND_END } from '../core/AudioService.js';
+
+// Round winner -> session history outcome
+const NINE_OUTCOMES = { player: 'win', cpu: 'loss', tie: 'draw' };
 
 export default class NineGameController extends GameController {
   /**
@@ -13,37 +21,18 @@ export default class NineGameController extends GameController {
    * @param {GameDataService} gameDataService - Game data service instance
    */
   constructor(gameDataService) {
-    super('nine-game', gameDataService);
-
-    // Game state
-    this.state = {
-      // Card data
-      playerCards: [1, 2, 3, 4, 5, 6, 7, 8, 9],      // Available cards
-      cpuCards: [1, 2, 3, 4, 5, 6, 7, 8, 9],         // Available cards
-      playerUsedCards: [],                            // Already played
-      cpuUsedCards: [],                               // Already played
+    super('number-nine', gameDataService);
 
-      // Turn data
-      currentTurn: 1,                                 // 1-9
-      isPlayerTurn: true,                             // Turn order alternates
-
-      // Selection data
-      playerSelectedCard: null,                       // Current selection
-      cpuSelectedCard: null,                          // Hidden until reveal
-
-      // Revealed cards (for display)
-      lastPlayerCard: null,
-      lastCpuCard: null,
-      lastRoundResult: null,
+    // Rules, cards and CPU opponent
+    this.engine = new NineEngine({ random: this.random });
 
+    // UI state
+    this.state = {
       // Score data
-      playerScore: 0,
-      cpuScore: 0,
       highScore: null,
 
-      // Game state
-      gamePhase: 'selection',  // selection | reveal | complete
-      isLocked: false,         // Lock during animations
+      // UI control
+      isLocked: false,         // Lock while the CPU thinks and the round is shown
 
       // DOM cache
       playerCardElements: [],
@@ -63,7 +52,7 @@ export default class NineGameController extends GameController {
    */
   async init() {
     // Load high score from storage
-    this.state.highScore = this.gameDataService.loadNineGameHighScore();
+    this.state.highScore = this.loadRecord();
 
     // Cache DOM elements
     this.cacheDOM();
@@ -136,22 +125,11 @@ export default class NineGameController extends GameController {
    * Start new game
    */
   startGame() {
-    // Reset state
-    this.state.playerCards = [1, 2, 3, 4, 5, 6, 7, 8, 9];
-    this.state.cpuCards = [1, 2, 3, 4, 5, 6, 7, 8, 9];
-    this.state.playerUsedCards = [];
-    this.state.cpuUsedCards = [];
-    this.state.currentTurn = 1;
-    this.state.isPlayerTurn = true;
-    this.state.playerSelectedCard = null;
-    this.state.cpuSelectedCard = null;
-    this.state.lastPlayerCard = null;
-    this.state.lastCpuCard = null;
-    this.state.lastRoundResult = null;
-    this.state.playerScore = 0;
-    this.state.cpuScore = 0;
-    this.state.gamePhase = 'selection';
+    // Reset cards and scores (new seed for the CPU's choices)
+    this.reseed();
+    this.engine.start();
     this.state.isLocked = false;
+    this.beginSession();
 
     // Render cards
     this.renderCards();
@@ -163,7 +141,7 @@ export default class NineGameController extends GameController {
 
     // Clear result display
     if (this.state.resultDisplay) {
-      this.state.resultDisplay.textContent = 'Select a card and click Confirm!';
+      this.state.resultDisplay.textContent = t('nine.selectCard');
       this.state.resultDisplay.className = 'result-display';
     }
   }
@@ -172,11 +150,13 @@ export default class NineGameController extends GameController {
    * Render all cards
    */
   renderCards() {
+    const game = this.engine.state;
+
     // Render player cards
     this.state.playerCardElements.forEach((cardEl, index) => {
       const cardValue = index + 1;
-      const isUsed = this.state.playerUsedCards.includes(cardValue);
-      const isSelected = this.state.playerSelectedCard === cardValue;
+      const isUsed = game.playerUsedCards.includes(cardValue);
+      const isSelected = game.playerSelectedCard === cardValue;
 
       cardEl.dataset.value = cardValue;
       cardEl.textContent = cardValue;
@@ -197,7 +177,7 @@ export default class NineGameController extends GameController {
     // Render CPU cards (face-down, show as used if played)
     this.state.cpuCardElements.forEach((cardEl, index) => {
       const cardValue = index + 1;
-      const isUsed = this.state.cpuUsedCards.includes(cardValue);
+      const isUsed = game.cpuUsedCards.includes(cardValue);
 
       cardEl.dataset.value = cardValue;
       cardEl.classList.remove('used');
@@ -218,27 +198,13 @@ export default class NineGameController extends GameController {
    * @param {number} index - Card index (0-8)
    */
   handleCardClick(index) {
-    // Validation
     if (this.state.isLocked) return;
-    if (this.state.gamePhase !== 'selection') return;
-
-    const cardValue = index + 1;
 
-    // Cannot select used cards
-    if (this.state.playerUsedCards.includes(cardValue)) return;
-
-    // Toggle selection
-    if (this.state.playerSelectedCard === cardValue) {
-      this.state.playerSelectedCard = null;
-    } else {
-      this.state.playerSelectedCard = cardValue;
+    // Toggle selection (the engine ignores used cards)
+    if (this.engine.select(index + 1)) {
+      this.renderCards();
+      this.updateConfirmButton();
     }
-
-    // Re-render cards
-    this.renderCards();
-
-    // Update confirm button
-    this.updateConfirmButton();
   }
 
   /**
@@ -247,8 +213,8 @@ export default class NineGameController extends GameController {
   async handleConfirm() {
     // Validation
     if (this.state.isLocked) return;
-    if (this.state.playerSelectedCard === null) return;
-    if (this.state.gamePhase !== 'selection') return;
+    if (this.engine.state.playerSelectedCard === null) return;
+    if (this.engine.state.phase !== 'selection') return;
 
     // Lock game
     this.state.isLocked = true;
@@ -260,107 +226,44 @@ export default class NineGameController extends GameController {
 
     // Update result display
     if (this.state.resultDisplay) {
-      this.state.resultDisplay.textContent = 'CPU is thinking...';
+      this.state.resultDisplay.textContent = t('game.cpuThinking');
       this.state.resultDisplay.className = 'result-display';
     }
 
-    // CPU selects card (1 second delay)
+    // CPU selects card (1 second delay), then both cards are revealed
     await this.sleep(1000);
-    this.state.cpuSelectedCard = this.cpuSelectCard();
-
-    // Store cards for display
-    this.state.lastPlayerCard = this.state.playerSelectedCard;
-    this.state.lastCpuCard = this.state.cpuSelectedCard;
-
-    // Mark cards as used
-    this.state.playerUsedCards.push(this.state.playerSelectedCard);
-    this.state.cpuUsedCards.push(this.state.cpuSelectedCard);
-
-    // Remove from available cards
-    this.state.playerCards = this.state.playerCards.filter(
-      c => c !== this.state.playerSelectedCard
-    );
-    this.state.cpuCards = this.state.cpuCards.filter(
-      c => c !== this.state.cpuSelectedCard
-    );
-
-    // Reveal phase
-    this.state.gamePhase = 'reveal';
+    const result = this.engine.play();
+    this.emitRoundEvents(result);
 
     // Reveal and resolve
-    await this.revealCards();
+    await this.revealCards(result);
 
-    // Check if game complete
-    if (this.state.currentTurn >= 9) {
-      this.handleGameComplete();
-    } else {
-      // Next turn
+    // Next turn, or finish after the last one
+    if (this.engine.nextTurn()) {
       this.nextTurn();
+    } else {
+      this.handleGameComplete();
     }
   }
 
   /**
-   * CPU card selection strategy (Medium difficulty)
-   * @returns {number} Selected card value (1-9)
-   */
-  cpuSelectCard() {
-    const availableCards = [...this.state.cpuCards];
-    const playerScore = this.state.playerScore;
-    const cpuScore = this.state.cpuScore;
-    const remainingTurns = 10 - this.state.currentTurn;
-    const scoreDiff = cpuScore - playerScore;
-
-    // Strategy 1: If behind by a lot (>15 points), play high card
-    if (scoreDiff < -15 && availableCards.length > 3) {
-      const topCards = availableCards.slice(-3);
-      return this.randomChoice(topCards);
-    }
-
-    // Strategy 2: If ahead by a lot (>15 points), save high cards
-    if (scoreDiff > 15 && availableCards.length > 3) {
-      const bottomCards = availableCards.slice(0, 3);
-      return this.randomChoice(bottomCards);
-    }
-
-    // Strategy 3: If last 3 turns and losing/tied, play aggressively
-    if (remainingTurns <= 3 && scoreDiff <= 0) {
-      return Math.max(...availableCards);
-    }
-
-    // Strategy 4: Default - play middle-range card with randomness
-    const middleCards = availableCards.filter(c => c >= 4 && c <= 6);
-    if (middleCards.length > 0 && Math.random() < 0.6) {
-      return this.randomChoice(middleCards);
-    }
-
-    // Strategy 5: Fallback - random card
-    return this.randomChoice(availableCards);
-  }
-
-  /**
-   * Reveal cards and resolve round
+   * Show the revealed cards and the round result
+   * @param {object} result - Round result {winner, playerPoints, cpuPoints}
    */
-  async revealCards() {
-    const playerCard = this.state.lastPlayerCard;
-    const cpuCard = this.state.lastCpuCard;
-
+  async revealCards(result) {
     // Re-render to show CPU card
     this.renderCards();
 
-    // Calculate result
-    const result = this.resolveRound(playerCard, cpuCard);
-    this.state.lastRoundResult = result;
-
-    // Update scores
-    this.state.playerScore += result.playerPoints;
-    this.state.cpuScore += result.cpuPoints;
-
     // Update displays
     this.updateScoreDisplays();
 
     // Show result message
     if (this.state.resultDisplay) {
-      this.state.resultDisplay.textContent = result.message;
+      this.state.resultDisplay.textContent = this.formatRoundMessage(
+        result,
+        this.engine.state.lastPlayerCard,
+        this.engine.state.lastCpuCard
+      );
       this.state.resultDisplay.className = `result-display ${result.winner}`;
     }
 
@@ -369,55 +272,51 @@ export default class NineGameController extends GameController {
   }
 
   /**
-   * Resolve round - determine winner and points
+   * Emit game events and play a sound for a played round
+   * (move: both cards, hit/miss: round won/lost, score:change: points scored)
+   * @param {object} result - Round result {winner, playerPoints, cpuPoints}
+   */
+  emitRoundEvents(result) {
+    const { lastPlayerCard, lastCpuCard, playerScore, cpuScore } = this.engine.state;
+
+    this.emit(MOVE, { playerCard: lastPlayerCard, cpuCard: lastCpuCard });
+
+    if (result.winner === 'player') {
+      this.playSound(SOUND_MATCH);
+      this.emit(HIT, { points: result.playerPoints });
+      this.emit(SCORE_CHANGE, { score: playerScore, cpuScore });
+    } else if (result.winner === 'cpu') {
+      this.playSound(SOUND_MISS);
+      this.emit(MISS, { points: result.cpuPoints });
+      this.emit(SCORE_CHANGE, { score: playerScore, cpuScore });
+    } else {
+      this.playSound(SOUND_FLIP);
+    }
+  }
+
+  /**
+   * Describe a round result
+   * @param {object} result - Round result {winner, playerPoints, cpuPoints}
    * @param {number} playerCard - Player's card value
    * @param {number} cpuCard - CPU's card value
-   * @returns {object} Result {winner, playerPoints, cpuPoints, message}
+   * @returns {string} Message
    */
-  resolveRound(playerCard, cpuCard) {
+  formatRoundMessage(result, playerCard, cpuCard) {
     const totalPoints = playerCard + cpuCard;
 
-    if (playerCard > cpuCard) {
-      return {
-        winner: 'player',
-        playerPoints: totalPoints,
-        cpuPoints: 0,
-        message: `You win ${totalPoints} points! (Your ${playerCard} > CPU ${cpuCard})`
-      };
-    } else if (cpuCard > playerCard) {
-      return {
-        winner: 'cpu',
-        playerPoints: 0,
-        cpuPoints: totalPoints,
-        message: `CPU wins ${totalPoints} points! (CPU ${cpuCard} > Your ${playerCard})`
-      };
-    } else {
-      // Tie: No points awarded
-      return {
-        winner: 'tie',
-        playerPoints: 0,
-        cpuPoints: 0,
-        message: `Tie! No points awarded. (${playerCard} = ${cpuCard})`
-      };
+    if (result.winner === 'player') {
+      return t('nine.roundWin', { count: totalPoints, player: playerCard, cpu: cpuCard });
     }
+    if (result.winner === 'cpu') {
+      return t('nine.roundLoss', { count: totalPoints, player: playerCard, cpu: cpuCard });
+    }
+    return t('nine.roundTie', { player: playerCard, cpu: cpuCard });
   }
 
   /**
-   * Advance to next turn
+   * Show the next turn (the engine has already advanced)
    */
   nextTurn() {
-    // Increment turn
-    this.state.currentTurn++;
-
-    // Alternate turn order (player goes first on odd turns)
-    this.state.isPlayerTurn = (this.state.currentTurn % 2 === 1);
-
-    // Reset selection
-    this.state.playerSelectedCard = null;
-    this.state.cpuSelectedCard = null;
-
-    // Back to selection phase
-    this.state.gamePhase = 'selection';
     this.state.isLocked = false;
 
     // Update displays
@@ -429,7 +328,7 @@ export default class NineGameController extends GameController {
 
     // Update result display
     if (this.state.resultDisplay) {
-      this.state.resultDisplay.textContent = 'Select a card and click Confirm!';
+      this.state.resultDisplay.textContent = t('nine.selectCard');
       this.state.resultDisplay.className = 'result-display';
     }
   }
@@ -438,32 +337,25 @@ export default class NineGameController extends GameController {
    * Handle game completion
    */
   handleGameComplete() {
-    this.state.gamePhase = 'complete';
+    const { playerScore, cpuScore } = this.engine.state;
     this.state.isLocked = true;
 
     // Determine winner
-    let winner, message;
-    if (this.state.playerScore > this.state.cpuScore) {
-      winner = 'player';
-      message = 'You Win!';
-    } else if (this.state.cpuScore > this.state.playerScore) {
-      winner = 'cpu';
-      message = 'CPU Wins!';
-    } else {
-      winner = 'tie';
-      message = "It's a Tie!";
-    }
+    const winner = this.engine.getWinner();
+    const messages = { player: 'nine.win', cpu: 'nine.loss', tie: 'nine.tie' };
+    const message = t(messages[winner]);
 
-    // Check for new high score (only if player wins or ties)
-    const isNewRecord = this.checkAndSaveHighScore();
+    // Check for new high score
+    const isNewRecord = this.checkAndSaveHighScore(winner);
+    this.playSound({ player: SOUND_WIN, cpu: SOUND_LOSE, tie: SOUND_END }[winner]);
 
     // Show result modal
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       this.showResultModal({
         winner: winner,
         message: message,
-        playerScore: this.state.playerScore,
-        cpuScore: this.state.cpuScore,
+        playerScore: playerScore,
+        cpuScore: cpuScore,
         highScore: this.state.highScore,
         isNewRecord: isNewRecord
       });
@@ -472,21 +364,20 @@ export default class NineGameController extends GameController {
 
   /**
    * Check and save high score
+   * @param {string} winner - 'player', 'cpu', or 'tie'
    * @returns {boolean} True if new record
    */
-  checkAndSaveHighScore() {
-    const currentScore = this.state.playerScore;
-    const currentBest = this.state.highScore;
-
-    // Higher is better for Nine game
-    if (currentBest === null || currentScore > currentBest) {
-      this.gameDataService.saveNineGameScore(currentScore);
-      this.state.highScore = currentScore;
-      this.updateScoreDisplays();
-      return true;
-    }
+  checkAndSaveHighScore(winner) {
+    // Higher is better for Nine game (declared in ScoreRegistry)
+    const { isNewRecord, record } = this.recordResult(
+      { playerScore: this.engine.state.playerScore },
+      { outcome: NINE_OUTCOMES[winner] }
+    );
 
-    return false;
+    this.state.highScore = record;
+    this.updateScoreDisplays();
+
+    return isNewRecord;
   }
 
   /**
@@ -494,11 +385,11 @@ export default class NineGameController extends GameController {
    */
   updateScoreDisplays() {
     if (this.state.playerScoreDisplay) {
-      this.state.playerScoreDisplay.textContent = this.state.playerScore;
+      this.state.playerScoreDisplay.textContent = this.engine.state.playerScore;
     }
 
     if (this.state.cpuScoreDisplay) {
-      this.state.cpuScoreDisplay.textContent = this.state.cpuScore;
+      this.state.cpuScoreDisplay.textContent = this.engine.state.cpuScore;
     }
 
     if (this.state.highScoreDisplay) {
@@ -507,13 +398,22 @@ export default class NineGameController extends GameController {
     }
   }
 
+  /**
+   * Refresh high score when the saved record changes (e.g. from another tab)
+   * @param {number|null} record - Current best score
+   */
+  handleRecordChange(record) {
+    this.state.highScore = record;
+    this.updateScoreDisplays();
+  }
+
   /**
    * Update turn display
    */
   updateTurnDisplay() {
     if (this.state.turnDisplay) {
-      const turnText = `Turn ${this.state.currentTurn}/9`;
-      const whoseTurn = this.state.isPlayerTurn ? "Your turn" : "CPU's turn";
+      const turnText = t('nine.turn', { turn: this.engine.state.currentTurn, total: NINE_TURNS });
+      const whoseTurn = this.engine.state.isPlayerTurn ? t('nine.playerTurn') : t('nine.cpuTurn');
       this.state.turnDisplay.textContent = `${turnText} - ${whoseTurn}`;
     }
   }
@@ -524,9 +424,9 @@ export default class NineGameController extends GameController {
   updateConfirmButton() {
     if (this.state.confirmButton) {
       this.state.confirmButton.disabled =
-        this.state.playerSelectedCard === null ||
+        this.engine.state.playerSelectedCard === null ||
         this.state.isLocked ||
-        this.state.gamePhase !== 'selection';
+        this.engine.state.phase !== 'selection';
     }
   }
 
@@ -538,63 +438,44 @@ export default class NineGameController extends GameController {
     const content = this.buildModalContent(result);
     const buttons = this.buildModalButtons();
 
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
-
-    this.resultModal.show('Game Over!', content, buttons);
+    this.openResultModal(t('game.over'), content, buttons);
   }
 
   /**
    * Build modal content
    * @param {object} result - Result data
-   * @returns {string} HTML content
+   * @returns {SafeHtml} Markup
    */
   buildModalContent(result) {
-    let html = '';
-
-    // New record badge
-    if (result.isNewRecord) {
-      html += '<div class="new-record">⭐ NEW RECORD! ⭐</div>';
-    }
-
-    // Winner message
-    html += `<p class="result-message ${result.winner}">${result.message}</p>`;
-
-    // Scores
-    html += '<div class="result-stats">';
-    html += `
-      <div class="stat-item">
-        <span class="stat-label">Your Score:</span>
-        <span class="stat-value">${result.playerScore}</span>
-      </div>
-      <div class="stat-item">
-        <span class="stat-label">CPU Score:</span>
-        <span class="stat-value">${result.cpuScore}</span>
-      </div>
-    `;
-
-    if (result.highScore !== null) {
-      html += `
+    return html`
+      ${result.isNewRecord && html`<div class="new-record">⭐ ${t('game.newRecord')} ⭐</div>`}
+      <p class="result-message ${result.winner}">${result.message}</p>
+      <div class="result-stats">
         <div class="stat-item">
-          <span class="stat-label">Best Score:</span>
-          <span class="stat-value">${result.highScore}</span>
+          <span class="stat-label">${t('game.yourScore')}</span>
+          <span class="stat-value">${this.formatScore(result.playerScore)}</span>
         </div>
-      `;
-    }
-
-    html += '</div>';
-
-    // Ad container
-    html += '<div class="ad-container"><!-- Ad placement --></div>';
-
-    return html;
+        <div class="stat-item">
+          <span class="stat-label">${t('nine.cpuScore')}</span>
+          <span class="stat-value">${this.formatScore(result.cpuScore)}</span>
+        </div>
+        ${result.highScore !== null && html`
+          <div class="stat-item">
+            <span class="stat-label">${t('game.bestScore')}</span>
+            <span class="stat-value">${this.formatScore(result.highScore)}</span>
+          </div>
+        `}
+      </div>
+      ${this.buildAdSlot()}
+    `;
   }
 
   /**
    * Reset game
    */
   resetGame() {
+    // Stop a round still in progress (its pending sleep() never resolves)
+    this.timers.clearAll();
     this.startGame();
   }
 
@@ -602,7 +483,7 @@ export default class NineGameController extends GameController {
    * End game
    */
   endGame() {
-    this.state.gamePhase = 'complete';
+    this.engine.state.phase = 'complete';
     this.state.isLocked = true;
   }
 
@@ -612,15 +493,6 @@ export default class NineGameController extends GameController {
    * @returns {Promise}
    */
   sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Utility: Random choice from array
-   * @param {Array} array - Array to choose from
-   * @returns {any} Random element
-   */
-  randomChoice(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return this.timers.delay(ms);
   }
 }
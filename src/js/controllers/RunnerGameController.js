@@ -1,23 +1,41 @@
 /**
  * RunnerGameController.js
  * Horizontal scrolling action game - Run and jump to reach the goal
+ * (physics and obstacles in RunnerEngine; this controller renders to canvas)
  */
 
 import GameController from './GameController.js';
-import Modal from '../ui/Modal.js';
-
-// Constants
-const CANVAS_WIDTH = 800;
-const CANVAS_HEIGHT = 400;
-const GROUND_Y = 320;
-const PLAYER_WIDTH = 30;
-const PLAYER_HEIGHT = 50;
-const PLAYER_X = 100;
-
-const GRAVITY = 0.6;
-const JUMP_POWER = -13;
-const SCROLL_SPEED = 5;
-const GOAL_DISTANCE = 500; // 500 meters
+import RunnerEngine, {
+  VIEW_WIDTH as CANVAS_WIDTH,
+  VIEW_HEIGHT as CANVAS_HEIGHT,
+  GROUND_Y,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  GOAL_DISTANCE
+} from '../engines/RunnerEngine.js';
+import { SCORE_CHANGE, MOVE, MISS } from '../core/GameEvents.js';
+import { getThemeColor } from '../core/ThemeService.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+import { SOUND_JUMP, SOUND_COLLISION, SOUND_WIN, SOUND_LOSE } from '../core/AudioService.js';
+
+// Canvas colours: [CSS custom property in runner-game.css, fallback]
+// Obstacles use the colour named after their type.
+const THEME_COLORS = {
+  sky: ['--runner-sky', '#87CEEB'],
+  cloud: ['--runner-cloud', '#FFFFFF'],
+  ground: ['--runner-ground', '#8B4513'],
+  groundLine: ['--runner-ground-line', '#654321'],
+  player: ['--runner-player', '#000000'],
+  playerFalling: ['--runner-player-falling', '#FFFFFF'],
+  playerHit: ['--runner-player-hit', '#FF0000'],
+  rock: ['--runner-rock', '#696969'],
+  pit: ['--runner-pit', '#000000'],
+  step: ['--runner-step', '#8B4513'],
+  bird: ['--runner-bird', '#FFD700'],
+  text: ['--runner-text', '#000000'],
+  textLight: ['--runner-text-light', '#666666']
+};
 
 export default class RunnerGameController extends GameController {
   constructor(gameDataService) {
@@ -26,38 +44,22 @@ export default class RunnerGameController extends GameController {
     this.canvas = null;
     this.ctx = null;
 
-    this.state = {
-      gameState: 'ready', // ready | running | gameover | goal | falling | hit
-
-      // Player
-      player: {
-        x: PLAYER_X,
-        y: 0,
-        velocityY: 0,
-        isJumping: false,
-        isGrounded: true,
-        animFrame: 0, // For running animation
-        isFalling: false, // Falling into pit
-        fallOffset: 0 // How far fallen into pit
-      },
-
-      // Scroll & distance
-      scrollOffset: 0,
-      distance: 0,
-      scrollSpeed: SCROLL_SPEED,
-
-      // Obstacles
-      obstacles: [],
-      nextObstacleDistance: 10, // First obstacle at 10m
+    // Canvas colours for the current theme (see loadColors)
+    this.colors = {};
 
+    // Rules, physics and obstacles (one step per animation frame)
+    this.engine = new RunnerEngine({ random: this.random });
+    this.setupEngineListeners();
+
+    this.state = {
       // Score
       bestDistance: null,
 
-      // Game loop
+      // Game loop (ID from this.timers)
       animationId: null,
-      lastFrameTime: 0,
-      frameCount: 0,
-      flashCount: 0 // For hit flash animation
+
+      // Last distance announced with score:change
+      lastDistance: 0
     };
   }
 
@@ -66,7 +68,7 @@ export default class RunnerGameController extends GameController {
    */
   async init() {
     // Load high score
-    this.state.bestDistance = this.gameDataService.loadRunnerGameHighScore();
+    this.state.bestDistance = this.loadRecord();
 
     // Get canvas
     this.canvas = document.getElementById('game-canvas');
@@ -76,6 +78,8 @@ export default class RunnerGameController extends GameController {
     this.canvas.width = CANVAS_WIDTH;
     this.canvas.height = CANVAS_HEIGHT;
 
+    this.loadColors();
+
     // Setup event listeners
     this.setupCommonListeners();
     this.setupGameListeners();
@@ -93,394 +97,113 @@ export default class RunnerGameController extends GameController {
    */
   setupGameListeners() {
     // Space key for jump
-    document.addEventListener('keydown', (e) => {
+    this.listen(document, 'keydown', (e) => {
       if (e.code === 'Space') {
         e.preventDefault();
-        if (this.state.gameState === 'ready') {
-          this.startGame();
-        } else if (this.state.gameState === 'running') {
-          this.jump();
-        }
-      }
-    });
+        if (this.paused) return;
 
-    // Click/tap for jump (mobile support)
-    this.canvas.addEventListener('click', () => {
-      if (this.state.gameState === 'ready') {
-        this.startGame();
-      } else if (this.state.gameState === 'running') {
-        this.jump();
+        this.handleAction();
       }
     });
-  }
 
-  /**
-   * Start new game
-   */
-  startGame() {
-    // Reset state
-    this.state.gameState = 'running';
-    this.state.player.y = 0;
-    this.state.player.velocityY = 0;
-    this.state.player.isJumping = false;
-    this.state.player.isGrounded = true;
-    this.state.player.isFalling = false; // Reset falling state
-    this.state.player.fallOffset = 0; // Reset fall offset
-    this.state.scrollOffset = 0;
-    this.state.distance = 0;
-    this.state.obstacles = [];
-    this.state.nextObstacleDistance = 10; // First obstacle at 10m
-    this.state.lastFrameTime = performance.now();
-    this.state.frameCount = 0;
-    this.state.flashCount = 0; // Reset flash count
-
-    // Start game loop
-    this.gameLoop(performance.now());
-  }
-
-  /**
-   * Jump action
-   */
-  jump() {
-    if (this.state.player.isGrounded) {
-      this.state.player.velocityY = JUMP_POWER;
-      this.state.player.isGrounded = false;
-      this.state.player.isJumping = true;
-    }
-  }
-
-  /**
-   * Main game loop
-   */
-  gameLoop(timestamp) {
-    if (this.state.gameState !== 'running') return;
-
-    const deltaTime = timestamp - this.state.lastFrameTime;
-    this.state.lastFrameTime = timestamp;
-    this.state.frameCount++;
-
-    // Update physics
-    this.updatePlayerPhysics();
-
-    // Update scroll
-    this.state.scrollOffset += this.state.scrollSpeed;
-    this.state.distance = Math.floor(this.state.scrollOffset / 10);
-
-    // Update obstacles
-    this.updateObstacles();
-
-    // Generate new obstacles
-    this.generateObstacles();
-
-    // Check collisions
-    this.checkCollisions();
-
-    // Check goal
-    if (this.state.distance >= GOAL_DISTANCE) {
-      this.handleGoal();
-      return;
-    }
-
-    // Render
-    this.render();
-
-    // Update UI
-    this.updateDistanceDisplay();
-
-    // Continue loop
-    this.state.animationId = requestAnimationFrame((ts) => this.gameLoop(ts));
-  }
-
-  /**
-   * Update player physics
-   */
-  updatePlayerPhysics() {
-    if (!this.state.player.isGrounded) {
-      // Apply gravity
-      this.state.player.velocityY += GRAVITY;
-      this.state.player.y -= this.state.player.velocityY; // Subtract to make positive Y go up
-
-      // Check ground collision
-      if (this.state.player.y <= 0) {
-        this.state.player.y = 0;
-        this.state.player.velocityY = 0;
-        this.state.player.isGrounded = true;
-        this.state.player.isJumping = false;
-      }
-    }
-
-    // Update animation frame (for running)
-    if (this.state.frameCount % 10 === 0) {
-      this.state.player.animFrame = (this.state.player.animFrame + 1) % 4;
-    }
-  }
-
-  /**
-   * Update obstacles (move left, remove off-screen)
-   */
-  updateObstacles() {
-    // Remove obstacles that are far behind the player
-    this.state.obstacles = this.state.obstacles.filter(
-      obs => obs.worldX + obs.width > this.state.scrollOffset - 100
-    );
+    // Click/tap for jump (mobile support)
+    this.canvas.addEventListener('click', () => this.handleAction());
   }
 
   /**
-   * Generate new obstacles
+   * Start from the ready screen, or jump while running
    */
-  generateObstacles() {
-    const currentDistance = this.state.distance;
-
-    // Check if it's time to generate next obstacle
-    if (currentDistance >= this.state.nextObstacleDistance) {
-      const type = this.getRandomObstacleType();
-      const obstacle = this.createObstacle(type);
-      this.state.obstacles.push(obstacle);
-
-      // Set next obstacle distance (15-35m ahead for more frequent obstacles)
-      this.state.nextObstacleDistance = currentDistance + 15 + Math.random() * 20;
+  handleAction() {
+    if (this.engine.state.gameState === 'ready') {
+      this.startGame();
+    } else if (this.engine.jump()) {
+      this.playSound(SOUND_JUMP);
+      this.emit(MOVE, { action: 'jump' });
     }
   }
 
   /**
-   * Get random obstacle type based on distance
+   * Handle the end of a run and emit game events from engine events
+   * (miss: crash into a pit or obstacle)
    */
-  getRandomObstacleType() {
-    const distance = this.state.distance;
-
-    // Early game (0-100m): mostly ground obstacles, no birds
-    if (distance < 100) {
-      const rand = Math.random();
-      if (rand < 0.6) return 'rock';
-      if (rand < 0.9) return 'pit';
-      return 'step';
-    }
-
-    // Mid game (100-300m): add birds
-    if (distance < 300) {
-      const rand = Math.random();
-      if (rand < 0.35) return 'rock';
-      if (rand < 0.65) return 'pit';
-      if (rand < 0.85) return 'step';
-      return 'bird';
-    }
-
-    // Late game (300m+): all types with balanced distribution
-    const rand = Math.random();
-    if (rand < 0.3) return 'rock';
-    if (rand < 0.55) return 'pit';
-    if (rand < 0.75) return 'step';
-    return 'bird';
+  setupEngineListeners() {
+    this.engine.on('fall', () => {
+      this.playSound(SOUND_COLLISION);
+      this.emit(MISS, { reason: 'fall' });
+    });
+    this.engine.on('hit', () => {
+      this.playSound(SOUND_COLLISION);
+      this.emit(MISS, { reason: 'hit' });
+    });
+    this.engine.on('gameover', ({ reason }) => this.handleGameOver(reason));
+    this.engine.on('goal', () => this.handleGoal());
   }
 
   /**
-   * Create obstacle object
+   * Start new game
    */
-  createObstacle(type) {
-    // Store absolute position (world coordinates)
-    const obstacle = {
-      type: type,
-      worldX: this.state.scrollOffset + CANVAS_WIDTH, // Absolute position in world
-      passed: false
-    };
-
-    switch (type) {
-      case 'rock':
-        obstacle.y = GROUND_Y - 40;
-        obstacle.width = 40;
-        obstacle.height = 40;
-        obstacle.color = '#696969';
-        break;
-
-      case 'pit':
-        obstacle.y = GROUND_Y;
-        obstacle.width = 60 + Math.random() * 40; // 60-100px wide
-        obstacle.height = 100; // Deep pit
-        obstacle.color = '#000000';
-        break;
-
-      case 'step':
-        obstacle.y = GROUND_Y - 60;
-        obstacle.width = 80;
-        obstacle.height = 60;
-        obstacle.color = '#8B4513';
-        break;
-
-      case 'bird':
-        obstacle.y = GROUND_Y - 120; // Flying height
-        obstacle.width = 30;
-        obstacle.height = 20;
-        obstacle.color = '#FFD700';
-        break;
-    }
+  startGame() {
+    // New seed for the obstacle layout
+    this.reseed();
+    this.engine.start();
+    this.state.lastDistance = 0;
+    this.beginSession();
 
-    return obstacle;
+    // Start game loop
+    this.gameLoop();
   }
 
   /**
-   * Check collisions
+   * Main game loop (running, falling into a pit, or flashing after a hit)
+   * The engine advances one fixed step per frame.
    */
-  checkCollisions() {
-    const playerRect = {
-      x: this.state.player.x,
-      y: GROUND_Y - this.state.player.y - PLAYER_HEIGHT,
-      width: PLAYER_WIDTH,
-      height: PLAYER_HEIGHT
-    };
+  gameLoop() {
+    this.state.animationId = null;
 
-    for (const obstacle of this.state.obstacles) {
-      // Calculate obstacle's screen position
-      const obstacleScreenX = obstacle.worldX - this.state.scrollOffset;
+    this.engine.step();
 
-      // Skip if obstacle is behind player
-      if (obstacleScreenX + obstacle.width < playerRect.x) {
-        if (!obstacle.passed) {
-          obstacle.passed = true;
-        }
-        continue;
-      }
+    // Goal and game over are handled by engine events
+    if (!this.engine.isActive()) return;
 
-      // Skip if obstacle is far ahead
-      if (obstacleScreenX > playerRect.x + playerRect.width) continue;
-
-      // Create obstacle rect with screen position
-      const obstacleRect = {
-        x: obstacleScreenX,
-        y: obstacle.y,
-        width: obstacle.width,
-        height: obstacle.height
-      };
+    this.render();
+    this.updateDistanceDisplay();
 
-      // Check collision based on type
-      if (obstacle.type === 'pit') {
-        // Check if player is over pit and falling
-        if (this.checkPitCollision(playerRect, obstacleRect)) {
-          this.handleFallIntoPit(obstacleRect);
-          return;
-        }
-      } else {
-        // Standard AABB collision for rock, step, bird
-        if (this.checkAABBCollision(playerRect, obstacleRect)) {
-          this.handleHitObstacle();
-          return;
-        }
-      }
+    const { distance } = this.engine.state;
+    if (distance !== this.state.lastDistance) {
+      this.state.lastDistance = distance;
+      this.emit(SCORE_CHANGE, { score: distance });
     }
-  }
-
-  /**
-   * Check AABB collision
-   */
-  checkAABBCollision(rect1, rect2) {
-    return (
-      rect1.x < rect2.x + rect2.width &&
-      rect1.x + rect1.width > rect2.x &&
-      rect1.y < rect2.y + rect2.height &&
-      rect1.y + rect1.height > rect2.y
-    );
-  }
-
-  /**
-   * Check pit collision
-   */
-  checkPitCollision(playerRect, pit) {
-    // Calculate how much of player is over the pit
-    const playerCenter = playerRect.x + playerRect.width / 2;
-    const playerLeft = playerRect.x;
-    const playerRight = playerRect.x + playerRect.width;
 
-    // Calculate overlap
-    const overlapLeft = Math.max(playerLeft, pit.x);
-    const overlapRight = Math.min(playerRight, pit.x + pit.width);
-    const overlapWidth = Math.max(0, overlapRight - overlapLeft);
-
-    // Player must be at least 60% over the pit to fall
-    const overlapRatio = overlapWidth / playerRect.width;
-
-    // Player is falling (not high enough to clear pit)
-    const falling = playerRect.y + playerRect.height >= pit.y;
-
-    return overlapRatio >= 0.6 && falling;
-  }
-
-  /**
-   * Handle falling into pit
-   */
-  handleFallIntoPit(pit) {
-    this.state.gameState = 'falling';
-    this.state.player.isFalling = true;
-    this.state.player.fallOffset = 0;
-
-    // Animate falling
-    this.animateFalling();
+    // Continue loop
+    this.state.animationId = this.timers.requestFrame(() => this.gameLoop());
   }
 
   /**
-   * Animate falling into pit
+   * Runner can be paused while running, falling or flashing after a hit
+   * @returns {boolean}
    */
-  animateFalling() {
-    const fallSpeed = 3;
-    const maxFall = 100;
-
-    const fall = () => {
-      if (this.state.gameState !== 'falling') return;
-
-      this.state.player.fallOffset += fallSpeed;
-      this.render();
-
-      if (this.state.player.fallOffset < maxFall) {
-        requestAnimationFrame(fall);
-      } else {
-        this.handleGameOver('Fell into pit');
-      }
-    };
-
-    requestAnimationFrame(fall);
-  }
-
-  /**
-   * Handle hitting obstacle
-   */
-  handleHitObstacle() {
-    this.state.gameState = 'hit';
-    this.state.flashCount = 0;
-
-    // Flash effect (6 times)
-    const maxFlashes = 6;
-
-    const flash = () => {
-      if (this.state.flashCount < maxFlashes) {
-        this.state.flashCount++;
-        this.render();
-        setTimeout(flash, 100);
-      } else {
-        this.handleGameOver('Hit obstacle');
-      }
-    };
-
-    flash();
+  canPause() {
+    return this.engine.isActive();
   }
 
   /**
    * Handle game over
+   * @param {string} reason - 'Fell into pit' or 'Hit obstacle'
    */
   handleGameOver(reason) {
-    this.state.gameState = 'gameover';
-
-    // Cancel animation loop
-    if (this.state.animationId) {
-      cancelAnimationFrame(this.state.animationId);
-      this.state.animationId = null;
-    }
+    // Show the final frame (player at the bottom of the pit, etc.)
+    this.render();
+    this.updateDistanceDisplay();
 
     // Check and save high score
-    const isNewRecord = this.checkAndSaveHighScore();
+    const isNewRecord = this.checkAndSaveHighScore('gameover');
+    this.playSound(SOUND_LOSE);
 
     // Show result modal
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       this.showResultModal({
         reason: reason,
-        distance: this.state.distance,
+        distance: this.engine.state.distance,
         bestDistance: this.state.bestDistance,
         isNewRecord: isNewRecord
       });
@@ -491,19 +214,12 @@ export default class RunnerGameController extends GameController {
    * Handle goal reached
    */
   handleGoal() {
-    this.state.gameState = 'goal';
-
-    // Cancel animation loop
-    if (this.state.animationId) {
-      cancelAnimationFrame(this.state.animationId);
-      this.state.animationId = null;
-    }
-
     // Save 500m as high score (if better)
-    const isNewRecord = this.checkAndSaveHighScore();
+    const isNewRecord = this.checkAndSaveHighScore('goal');
+    this.playSound(SOUND_WIN);
 
     // Show goal modal
-    setTimeout(() => {
+    this.timers.setTimeout(() => {
       this.showGoalModal({
         distance: GOAL_DISTANCE,
         bestDistance: this.state.bestDistance,
@@ -514,19 +230,19 @@ export default class RunnerGameController extends GameController {
 
   /**
    * Check and save high score
+   * @param {string} outcome - 'goal' or 'gameover'
    */
-  checkAndSaveHighScore() {
-    const currentDistance = this.state.distance;
-    const currentBest = this.state.bestDistance;
-
-    if (currentBest === null || currentDistance > currentBest) {
-      this.gameDataService.saveRunnerGameScore(currentDistance);
-      this.state.bestDistance = currentDistance;
-      this.updateBestDisplay();
-      return true;
-    }
+  checkAndSaveHighScore(outcome) {
+    const { distance, jumps, wastedJumps } = this.engine.state;
+    const { isNewRecord, record } = this.recordResult(
+      { distance, jumps, wastedJumps },
+      { outcome }
+    );
+
+    this.state.bestDistance = record;
+    this.updateBestDisplay();
 
-    return false;
+    return isNewRecord;
   }
 
   /**
@@ -536,11 +252,7 @@ export default class RunnerGameController extends GameController {
     const content = this.buildGameOverContent(result);
     const buttons = this.buildModalButtons();
 
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
-
-    this.resultModal.show('Game Over!', content, buttons);
+    this.openResultModal(t('game.over'), content, buttons);
   }
 
   /**
@@ -550,88 +262,67 @@ export default class RunnerGameController extends GameController {
     const content = this.buildGoalContent(result);
     const buttons = this.buildModalButtons();
 
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
-
-    this.resultModal.show('🎉 Goal Reached!', content, buttons);
+    this.openResultModal(`🎉 ${t('runner.goalReached')}`, content, buttons);
   }
 
   /**
    * Build game over modal content
+   * @param {object} result - Result data
+   * @returns {SafeHtml} Markup
    */
   buildGameOverContent(result) {
-    let html = '';
-
-    if (result.isNewRecord) {
-      html += '<div class="new-record">⭐ NEW RECORD! ⭐</div>';
-    }
-
-    html += `<p class="result-message">You ran ${result.distance}m!</p>`;
-
-    html += '<div class="result-stats">';
-    html += `
-      <div class="stat-item">
-        <span class="stat-label">Distance:</span>
-        <span class="stat-value">${result.distance}m</span>
-      </div>
-    `;
-
-    if (result.bestDistance !== null) {
-      html += `
+    return html`
+      ${result.isNewRecord && html`<div class="new-record">⭐ ${t('game.newRecord')} ⭐</div>`}
+      <p class="result-message">${t('runner.ran', { distance: this.formatScore(result.distance) })}</p>
+      <div class="result-stats">
         <div class="stat-item">
-          <span class="stat-label">Best Distance:</span>
-          <span class="stat-value">${result.bestDistance}m</span>
+          <span class="stat-label">${t('runner.distance')}</span>
+          <span class="stat-value">${this.formatScore(result.distance)}</span>
         </div>
-      `;
-    }
-
-    html += '</div>';
-    html += '<div class="ad-container"><!-- Ad placement --></div>';
-
-    return html;
+        ${result.bestDistance !== null && html`
+          <div class="stat-item">
+            <span class="stat-label">${t('runner.bestDistance')}</span>
+            <span class="stat-value">${this.formatScore(result.bestDistance)}</span>
+          </div>
+        `}
+      </div>
+      ${this.buildAdSlot()}
+    `;
   }
 
   /**
    * Build goal modal content
+   * @param {object} result - Result data
+   * @returns {SafeHtml} Markup
    */
   buildGoalContent(result) {
-    let html = '';
-
-    if (result.isNewRecord) {
-      html += '<div class="new-record">⭐ NEW RECORD! ⭐</div>';
-    }
-
-    html += `<p class="result-message">Congratulations! You reached the ${GOAL_DISTANCE}m goal!</p>`;
-
-    html += '<div class="result-stats">';
-    html += `
-      <div class="stat-item">
-        <span class="stat-label">Goal Distance:</span>
-        <span class="stat-value">${GOAL_DISTANCE}m</span>
-      </div>
-    `;
-
-    if (result.bestDistance !== null) {
-      html += `
+    return html`
+      ${result.isNewRecord && html`<div class="new-record">⭐ ${t('game.newRecord')} ⭐</div>`}
+      <p class="result-message">${t('runner.goalMessage', { distance: this.formatScore(GOAL_DISTANCE) })}</p>
+      <div class="result-stats">
         <div class="stat-item">
-          <span class="stat-label">Best Distance:</span>
-          <span class="stat-value">${result.bestDistance}m</span>
+          <span class="stat-label">${t('runner.goalDistance')}</span>
+          <span class="stat-value">${this.formatScore(GOAL_DISTANCE)}</span>
         </div>
-      `;
-    }
-
-    html += '</div>';
-    html += '<div class="ad-container"><!-- Ad placement --></div>';
-
-    return html;
+        ${result.bestDistance !== null && html`
+          <div class="stat-item">
+            <span class="stat-label">${t('runner.bestDistance')}</span>
+            <span class="stat-value">${this.formatScore(result.bestDistance)}</span>
+          </div>
+        `}
+      </div>
+      ${this.buildAdSlot()}
+    `;
   }
 
   /**
    * Reset game
    */
   resetGame() {
-    this.state.gameState = 'ready';
+    this.timers.clearAll();
+    this.state.animationId = null;
+    this.engine.reset();
+    this.updateDistanceDisplay();
     this.drawStartScreen();
   }
 
@@ -639,11 +330,9 @@ export default class RunnerGameController extends GameController {
    * End game
    */
   endGame() {
-    if (this.state.animationId) {
-      cancelAnimationFrame(this.state.animationId);
-      this.state.animationId = null;
-    }
-    this.state.gameState = 'ready';
+    this.timers.clear(this.state.animationId);
+    this.state.animationId = null;
+    this.engine.reset();
   }
 
   /**
@@ -654,11 +343,11 @@ export default class RunnerGameController extends GameController {
     const remainingEl = document.getElementById('remaining-value');
 
     if (distanceEl) {
-      distanceEl.textContent = `${this.state.distance}m`;
+      distanceEl.textContent = `${this.engine.state.distance}m`;
     }
 
     if (remainingEl) {
-      const remaining = Math.max(0, GOAL_DISTANCE - this.state.distance);
+      const remaining = Math.max(0, GOAL_DISTANCE - this.engine.state.distance);
       remainingEl.textContent = `${remaining}m`;
     }
   }
@@ -669,8 +358,39 @@ export default class RunnerGameController extends GameController {
   updateBestDisplay() {
     const bestEl = document.getElementById('best-value');
     if (bestEl) {
-      bestEl.textContent =
-        this.state.bestDistance !== null ? `${this.state.bestDistance}m` : '--';
+      bestEl.textContent = this.formatScore(this.state.bestDistance);
+    }
+  }
+
+  /**
+   * Refresh best distance when the saved record changes (e.g. from another tab)
+   * @param {number|null} record - Current best distance
+   */
+  handleRecordChange(record) {
+    this.state.bestDistance = record;
+    this.updateBestDisplay();
+  }
+
+  /**
+   * Read canvas colours for the current theme
+   */
+  loadColors() {
+    Object.entries(THEME_COLORS).forEach(([key, [property, fallback]]) => {
+      this.colors[key] = getThemeColor(property, fallback, this.canvas);
+    });
+  }
+
+  /**
+   * Redraw with the new theme's colours
+   */
+  handleThemeChange() {
+    if (!this.canvas) return;
+
+    this.loadColors();
+    if (this.engine.state.gameState === 'ready') {
+      this.drawStartScreen();
+    } else {
+      this.render();
     }
   }
 
@@ -699,12 +419,11 @@ export default class RunnerGameController extends GameController {
    */
   drawBackground() {
     // Sky
-    this.ctx.fillStyle = '#87CEEB';
+    this.ctx.fillStyle = this.colors.sky;
     this.ctx.fillRect(0, 0, CANVAS_WIDTH, GROUND_Y);
 
     // Clouds (scrolling)
-    this.ctx.fillStyle = '#FFFFFF';
-    const cloudOffset = (this.state.scrollOffset * 0.3) % (CANVAS_WIDTH + 200);
+    const cloudOffset = (this.engine.state.scrollOffset * 0.3) % (CANVAS_WIDTH + 200);
 
     // Cloud 1
     this.drawCloud(CANVAS_WIDTH + 100 - cloudOffset, 50);
@@ -721,7 +440,7 @@ export default class RunnerGameController extends GameController {
    * Draw a single cloud
    */
   drawCloud(x, y) {
-    this.ctx.fillStyle = '#FFFFFF';
+    this.ctx.fillStyle = this.colors.cloud;
     this.ctx.beginPath();
     this.ctx.arc(x, y, 20, 0, Math.PI * 2);
     this.ctx.arc(x + 30, y, 25, 0, Math.PI * 2);
@@ -733,11 +452,11 @@ export default class RunnerGameController extends GameController {
    * Draw ground
    */
   drawGround() {
-    this.ctx.fillStyle = '#8B4513';
+    this.ctx.fillStyle = this.colors.ground;
     this.ctx.fillRect(0, GROUND_Y, CANVAS_WIDTH, CANVAS_HEIGHT - GROUND_Y);
 
     // Ground line
-    this.ctx.strokeStyle = '#654321';
+    this.ctx.strokeStyle = this.colors.groundLine;
     this.ctx.lineWidth = 2;
     this.ctx.beginPath();
     this.ctx.moveTo(0, GROUND_Y);
@@ -749,14 +468,16 @@ export default class RunnerGameController extends GameController {
    * Draw obstacles
    */
   drawObstacles() {
-    for (const obstacle of this.state.obstacles) {
+    const { obstacles, scrollOffset } = this.engine.state;
+
+    for (const obstacle of obstacles) {
       // Calculate screen position
-      const screenX = obstacle.worldX - this.state.scrollOffset;
+      const screenX = obstacle.worldX - scrollOffset;
 
       // Skip if off-screen
       if (screenX + obstacle.width < 0 || screenX > CANVAS_WIDTH) continue;
 
-      this.ctx.fillStyle = obstacle.color;
+      this.ctx.fillStyle = this.colors[obstacle.type];
 
       if (obstacle.type === 'pit') {
         // Draw pit as black rectangle
@@ -781,25 +502,26 @@ export default class RunnerGameController extends GameController {
    * Draw player (stickman)
    */
   drawPlayer() {
-    const x = this.state.player.x + PLAYER_WIDTH / 2;
-    let y = GROUND_Y - this.state.player.y - PLAYER_HEIGHT;
+    const { player, gameState, flashCount } = this.engine.state;
+    const x = player.x + PLAYER_WIDTH / 2;
+    let y = GROUND_Y - player.y - PLAYER_HEIGHT;
 
     // If falling into pit, adjust y position
-    if (this.state.player.isFalling) {
-      y += this.state.player.fallOffset;
+    if (player.isFalling) {
+      y += player.fallOffset;
     }
 
     // Determine stroke color based on state
-    let strokeColor = '#000000';
+    let strokeColor = this.colors.player;
     let lineWidth = 3;
 
-    if (this.state.player.isFalling) {
-      // White outline when falling
-      strokeColor = '#FFFFFF';
+    if (player.isFalling) {
+      // Contrasting outline when falling
+      strokeColor = this.colors.playerFalling;
       lineWidth = 4;
-    } else if (this.state.gameState === 'hit') {
+    } else if (gameState === 'hit') {
       // Flash red when hit (alternating)
-      strokeColor = this.state.flashCount % 2 === 0 ? '#FF0000' : '#000000';
+      strokeColor = flashCount % 2 === 0 ? this.colors.playerHit : this.colors.player;
       lineWidth = 4;
     }
 
@@ -819,7 +541,7 @@ export default class RunnerGameController extends GameController {
     this.ctx.stroke();
 
     // Arms
-    const armAngle = this.state.player.animFrame * 0.3;
+    const armAngle = player.animFrame * 0.3;
     this.ctx.beginPath();
     this.ctx.moveTo(x, y + 22);
     this.ctx.lineTo(x - 8, y + 28 + Math.sin(armAngle) * 3);
@@ -831,8 +553,8 @@ export default class RunnerGameController extends GameController {
     this.ctx.stroke();
 
     // Legs (running animation when grounded and not falling)
-    if (this.state.player.isGrounded && !this.state.player.isFalling) {
-      const legAngle = this.state.player.animFrame * 0.5;
+    if (player.isGrounded && !player.isFalling) {
+      const legAngle = player.animFrame * 0.5;
       this.ctx.beginPath();
       this.ctx.moveTo(x, y + 35);
       this.ctx.lineTo(x - 5, y + 50 + Math.sin(legAngle) * 5);
@@ -871,16 +593,16 @@ export default class RunnerGameController extends GameController {
     this.drawPlayer();
 
     // Draw instructions
-    this.ctx.fillStyle = '#000000';
+    this.ctx.fillStyle = this.colors.text;
     this.ctx.font = 'bold 32px Arial';
     this.ctx.textAlign = 'center';
-    this.ctx.fillText('Runner Game', CANVAS_WIDTH / 2, 100);
+    this.ctx.fillText(t('runner.title'), CANVAS_WIDTH / 2, 100);
 
     this.ctx.font = '20px Arial';
-    this.ctx.fillText('Press SPACE or Click to Start', CANVAS_WIDTH / 2, 140);
+    this.ctx.fillText(t('runner.start'), CANVAS_WIDTH / 2, 140);
 
     this.ctx.font = '16px Arial';
-    this.ctx.fillStyle = '#666666';
-    this.ctx.fillText('Jump over obstacles and reach 500m!', CANVAS_WIDTH / 2, 170);
+    this.ctx.fillStyle = this.colors.textLight;
+    this.ctx.fillText(t('runner.hint', { distance: this.formatScore(GOAL_DISTANCE) }), CANVAS_WIDTH / 2, 170);
   }
 }
@@ -0,0 +1,630 @@
+/**
+ * StatsPageController.js
+ * Statistics page controller - renders per-game charts from stored play history
+ */
+
+import { configLoader } from '../core/ConfigLoader.js';
+import { gameDataService } from '../core/GameDataService.js';
+import { scoreRegistry, METRIC_BEST } from '../core/ScoreRegistry.js';
+import { IMPORT_MERGE, IMPORT_REPLACE, GLOBAL_SCOPE } from '../core/StorageService.js';
+import { profileService, PROFILES_KEY } from '../core/ProfileService.js';
+import { featureFlags } from '../core/FeatureFlagService.js';
+import { themeService } from '../core/ThemeService.js';
+import { i18n, t } from '../core/I18nService.js';
+import { drawLineChart, drawBarChart } from '../ui/CanvasChart.js';
+import Modal from '../ui/Modal.js';
+import ProfileSwitcher from '../ui/ProfileSwitcher.js';
+import FeatureSettings from '../ui/FeatureSettings.js';
+import ThemePicker from '../ui/ThemePicker.js';
+import LanguagePicker from '../ui/LanguagePicker.js';
+import { downloadFile, html } from '../utils/helpers.js';
+
+// Number of sessions shown in trend charts
+const TREND_SESSIONS = 30;
+
+// Number of days shown in the sessions-per-day chart
+const ACTIVITY_DAYS = 14;
+
+// Outcomes that count towards a win rate
+const WIN_RATE_OUTCOMES = ['win', 'loss', 'draw'];
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+
+export default class StatsPageController {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.configLoader = configLoader;
+    this.gameDataService = gameDataService;
+
+    // State
+    this.state = {
+      games: [],
+      loading: false,
+      error: null
+    };
+
+    // DOM references
+    this.statsContainer = null;
+    this.dataModal = null;
+
+    // Storage subscription, pending re-render, profile switcher and settings
+    this.unsubscribeData = null;
+    this.renderTimeout = null;
+    this.profileSwitcher = null;
+    this.featureSettings = null;
+    this.themePicker = null;
+    this.languagePicker = null;
+    this.unsubscribeTheme = null;
+
+    // Redraw charts on resize (canvas size follows layout) and theme change
+    this.handleResize = () => {
+      this.state.games.forEach(game => this.drawGameCharts(game));
+    };
+  }
+
+  /**
+   * Initialize stats page
+   */
+  async init() {
+    try {
+      this.statsContainer = document.getElementById('stats-container');
+
+      if (!this.statsContainer) {
+        console.error('Stats container not found');
+        return;
+      }
+
+      await i18n.ready();
+
+      // Show loading state (in the page's language, so after i18n)
+      this.showLoading();
+
+      await this.gameDataService.ready();
+      await featureFlags.ready();
+      await themeService.ready();
+
+      const gamesData = await this.configLoader.loadGamesData();
+      this.state.games = (gamesData.games || [])
+        .filter(game => game.enabled !== false)
+        .map(game => i18n.localizeGame(game));
+
+      this.renderStats(this.state.games);
+      this.hideLoading();
+
+      this.setupDataControls();
+
+      // Stats cover the active profile (export/import cover every profile)
+      this.profileSwitcher = new ProfileSwitcher(document.getElementById('profile-switcher'), {
+        onChange: () => this.renderStats(this.state.games)
+      });
+
+      // Theme and feature settings are saved per profile
+      this.themePicker = new ThemePicker(document.getElementById('theme-picker'));
+      this.featureSettings = new FeatureSettings(document.getElementById('feature-settings'));
+
+      // The language is chosen for this device
+      this.languagePicker = new LanguagePicker(document.getElementById('language-picker'));
+
+      // Charts are drawn with theme colours
+      this.unsubscribeTheme = themeService.onChange(this.handleResize);
+
+      window.addEventListener('resize', this.handleResize);
+
+      // Games finished in other tabs update the stats live
+      this.unsubscribeData = this.gameDataService.onDataChange(change => {
+        if (change.remote) {
+          this.scheduleRender();
+        }
+      });
+    } catch (error) {
+      console.error('Failed to initialize stats page:', error);
+      this.showError(t('stats.loadFailed'));
+    }
+  }
+
+  /**
+   * Render a stats section for each game
+   * @param {Array} games - Array of game objects
+   */
+  renderStats(games) {
+    if (!this.statsContainer) return;
+
+    this.statsContainer.innerHTML = '';
+
+    games.forEach(game => {
+      const section = this.createGameSection(game);
+      this.statsContainer.appendChild(section);
+    });
+
+    // Charts are drawn after sections are in the DOM so canvases have a size
+    games.forEach(game => this.drawGameCharts(game));
+  }
+
+  /**
+   * Re-render stats once after a burst of changes
+   * (a finished game writes its history and record back to back)
+   */
+  scheduleRender() {
+    clearTimeout(this.renderTimeout);
+    this.renderTimeout = setTimeout(() => {
+      this.renderStats(this.state.games);
+    }, 100);
+  }
+
+  /**
+   * Create stats section element for a game
+   * @param {object} game - Game metadata
+   * @returns {HTMLElement} Section element
+   */
+  createGameSection(game) {
+    const history = this.gameDataService.loadHistory(game.id);
+    const section = document.createElement('section');
+    section.className = 'stats-game';
+    section.setAttribute('data-game-id', game.id);
+
+    if (history.length === 0) {
+      section.innerHTML = html`
+        <h3 class="stats-game__title">${game.title}</h3>
+        <p class="stats-game__empty">${t('stats.empty')}</p>
+      `;
+      return section;
+    }
+
+    const charts = this.getChartsForGame(game.id, history);
+
+    section.innerHTML = html`
+      <h3 class="stats-game__title">${game.title}</h3>
+      <div class="stats-game__summary">
+        ${this.renderSummary(game.id, history)}
+      </div>
+      <div class="stats-game__charts">
+        ${charts.map(chart => html`
+          <figure class="stats-chart">
+            <figcaption class="stats-chart__title">${chart.title}</figcaption>
+            <canvas class="stats-chart__canvas" data-chart="${chart.type}"></canvas>
+          </figure>
+        `)}
+      </div>
+    `;
+
+    return section;
+  }
+
+  /**
+   * Render summary figures for a game
+   * @param {string} gameId - Game ID
+   * @param {Array<object>} history - Session history
+   * @returns {Array<SafeHtml>} Summary items
+   */
+  renderSummary(gameId, history) {
+    const definition = scoreRegistry.get(gameId);
+    const averages = this.gameDataService.getAverages(gameId);
+    const items = [
+      { label: t('stats.sessions'), value: i18n.formatNumber(history.length) }
+    ];
+
+    if (definition && definition.metric === METRIC_BEST) {
+      items.push(
+        { label: t('stats.best'), value: scoreRegistry.format(gameId, this.gameDataService.loadRecord(gameId)) },
+        { label: t('stats.bestThisWeek'), value: scoreRegistry.format(gameId, this.gameDataService.getBestThisWeek(gameId)) },
+        { label: t('stats.average'), value: scoreRegistry.format(gameId, roundOrNull(averages.score)) }
+      );
+    } else {
+      items.push({ label: t('stats.record'), value: scoreRegistry.format(gameId, this.gameDataService.loadRecord(gameId)) });
+    }
+
+    if (averages.duration !== null) {
+      items.push({ label: t('stats.averageTime'), value: t('stats.seconds', { count: Math.round(averages.duration / 1000) }) });
+    }
+
+    return items.map(item => html`
+      <div class="stats-summary__item">
+        <span class="stats-summary__label">${item.label}</span>
+        <span class="stats-summary__value">${item.value}</span>
+      </div>
+    `);
+  }
+
+  /**
+   * Decide which charts a game gets, based on its score definition and history
+   * @param {string} gameId - Game ID
+   * @param {Array<object>} history - Session history
+   * @returns {Array<{type: string, title: string}>} Chart descriptors
+   */
+  getChartsForGame(gameId, history) {
+    const definition = scoreRegistry.get(gameId);
+    const charts = [];
+
+    if (definition && definition.metric === METRIC_BEST) {
+      const metricKey = `stats.metrics.${definition.label.toLowerCase()}`;
+      const label = i18n.has(metricKey) ? t(metricKey) : definition.label;
+      charts.push({ type: 'score', title: t('stats.trend', { label }) });
+    }
+
+    if (history.some(session => WIN_RATE_OUTCOMES.includes(session.outcome))) {
+      charts.push({ type: 'winRate', title: t('stats.winRate') });
+    }
+
+    charts.push({ type: 'activity', title: t('stats.activity', { count: ACTIVITY_DAYS }) });
+
+    return charts;
+  }
+
+  /**
+   * Draw all charts of a game section
+   * @param {object} game - Game metadata
+   */
+  drawGameCharts(game) {
+    const section = this.statsContainer.querySelector(`[data-game-id="${game.id}"]`);
+    if (!section) return;
+
+    const history = this.gameDataService.loadHistory(game.id);
+
+    section.querySelectorAll('canvas[data-chart]').forEach(canvas => {
+      switch (canvas.dataset.chart) {
+        case 'score':
+          drawLineChart(canvas, this.buildScorePoints(history));
+          break;
+
+        case 'winRate':
+          drawLineChart(canvas, this.buildWinRatePoints(history), {
+            min: 0,
+            max: 100,
+            formatValue: value => `${Math.round(value)}%`
+          });
+          break;
+
+        case 'activity':
+          drawBarChart(canvas, this.buildActivityBars(history));
+          break;
+      }
+    });
+  }
+
+  /**
+   * Build score-over-time points
+   * @param {Array<object>} history - Session history
+   * @returns {Array<{label: string, value: number}>} Points
+   */
+  buildScorePoints(history) {
+    return history
+      .filter(session => typeof session.score === 'number')
+      .slice(-TREND_SESSIONS)
+      .map(session => ({
+        label: formatDate(session.timestamp),
+        value: session.score
+      }));
+  }
+
+  /**
+   * Build cumulative win rate points (draws count as non-wins)
+   * @param {Array<object>} history - Session history
+   * @returns {Array<{label: string, value: number}>} Points
+   */
+  buildWinRatePoints(history) {
+    const points = [];
+    let wins = 0;
+    let played = 0;
+
+    history.forEach(session => {
+      if (!WIN_RATE_OUTCOMES.includes(session.outcome)) return;
+
+      played++;
+      if (session.outcome === 'win') wins++;
+
+      points.push({
+        label: formatDate(session.timestamp),
+        value: (wins / played) * 100
+      });
+    });
+
+    return points.slice(-TREND_SESSIONS);
+  }
+
+  /**
+   * Build sessions-per-day bars for the last ACTIVITY_DAYS days
+   * @param {Array<object>} history - Session history
+   * @returns {Array<{label: string, value: number}>} Bars (oldest day first)
+   */
+  buildActivityBars(history) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const bars = [];
+    for (let i = ACTIVITY_DAYS - 1; i >= 0; i--) {
+      const dayStart = today.getTime() - i * ONE_DAY_MS;
+      bars.push({ label: formatDate(dayStart), start: dayStart, value: 0 });
+    }
+
+    history.forEach(session => {
+      const bar = bars.find(b => session.timestamp >= b.start && session.timestamp < b.start + ONE_DAY_MS);
+      if (bar) bar.value++;
+    });
+
+    return bars;
+  }
+
+  // ====================
+  // Export / Import
+  // ====================
+
+  /**
+   * Setup export/import buttons
+   */
+  setupDataControls() {
+    const exportBtn = document.getElementById('export-btn');
+    const importBtn = document.getElementById('import-btn');
+    const importFile = document.getElementById('import-file');
+
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => this.handleExport());
+    }
+
+    if (importBtn && importFile) {
+      importBtn.addEventListener('click', () => importFile.click());
+      importFile.addEventListener('change', async () => {
+        const file = importFile.files[0];
+        importFile.value = '';  // Allow re-selecting the same file
+        if (file) {
+          await this.handleImportFile(file);
+        }
+      });
+    }
+  }
+
+  /**
+   * Download all progress as a JSON file
+   */
+  handleExport() {
+    const exported = this.gameDataService.exportProgress();
+    const date = exported.exportedAt.slice(0, 10);
+    downloadFile(`browser-games-progress-${date}.json`, JSON.stringify(exported, null, 2));
+  }
+
+  /**
+   * Read, validate and preview an import file
+   * @param {File} file - Selected file
+   */
+  async handleImportFile(file) {
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      console.error('Failed to read import file:', error);
+      this.showDataMessage(t('data.importFailed'), [t('data.readFailed')]);
+      return;
+    }
+
+    const { exported, errors } = this.gameDataService.parseImport(text);
+
+    if (!exported) {
+      this.showDataMessage(t('data.importFailed'), errors);
+      return;
+    }
+
+    this.showImportPreview(exported);
+  }
+
+  /**
+   * Show import preview with merge/replace choice
+   * @param {object} exported - Validated export document
+   */
+  showImportPreview(exported) {
+    const mergeChanges = this.gameDataService.previewImport(exported, IMPORT_MERGE);
+    const replaceChanges = this.gameDataService.previewImport(exported, IMPORT_REPLACE);
+    const removedCount = replaceChanges.filter(change => change.status === 'removed').length;
+
+    const profiles = this.getImportProfiles(mergeChanges);
+    const rows = mergeChanges.map(change => html`
+      <li class="import-preview__item import-preview__item--${change.status}">
+        <span class="import-preview__key">${describeScope(change.scope, profiles)} · ${change.key}</span>
+        <span class="import-preview__status">${t(`data.status.${change.status}`)}</span>
+        <span class="import-preview__value">${describeValue(change.current)} → ${describeValue(change.result)}</span>
+      </li>
+    `);
+
+    const content = html`
+      <p>${t('data.exportedOn', { date: new Date(exported.exportedAt).toLocaleString(i18n.getLocale()), count: mergeChanges.length })}</p>
+      <p><strong>${t('data.merge')}</strong> – ${t('data.mergeHelp')}</p>
+      <p><strong>${t('data.replace')}</strong> – ${removedCount > 0 ? t('data.replaceHelpRemoved', { count: removedCount }) : t('data.replaceHelp')}</p>
+      <ul class="import-preview">${rows}</ul>
+    `;
+
+    this.getDataModal().show(t('data.import'), content, [
+      {
+        label: t('data.merge'),
+        primary: true,
+        onClick: () => this.applyImport(exported, IMPORT_MERGE)
+      },
+      {
+        label: t('data.replace'),
+        primary: false,
+        onClick: () => this.applyImport(exported, IMPORT_REPLACE)
+      },
+      {
+        label: t('common.cancel'),
+        primary: false,
+        onClick: () => this.dataModal.hide()
+      }
+    ]);
+  }
+
+  /**
+   * Get the profiles an import would leave (this device's plus the file's)
+   * @param {Array<object>} changes - Merge preview changes
+   * @returns {Array<object>} Profiles
+   */
+  getImportProfiles(changes) {
+    const profileChange = changes.find(change => change.scope === GLOBAL_SCOPE && change.key === PROFILES_KEY);
+    const imported = profileChange && Array.isArray(profileChange.result) ? profileChange.result : [];
+    return [...this.gameDataService.profiles.getProfiles(), ...imported];
+  }
+
+  /**
+   * Apply an import and refresh the page's stats
+   * @param {object} exported - Validated export document
+   * @param {string} mode - 'merge' or 'replace'
+   */
+  async applyImport(exported, mode) {
+    const success = this.gameDataService.importProgress(exported, mode);
+
+    // Backends like IndexedDB persist in the background
+    await this.gameDataService.storage.flush();
+
+    if (success) {
+      this.renderStats(this.state.games);
+      this.showDataMessage(t('data.importComplete'), [t('data.imported')]);
+    } else {
+      this.showDataMessage(t('data.importFailed'), [t('data.saveFailed')]);
+    }
+  }
+
+  /**
+   * Show a simple message in the data modal
+   * @param {string} title - Modal title
+   * @param {Array<string>} lines - Message lines
+   */
+  showDataMessage(title, lines) {
+    const content = html`${lines.map(line => html`<p>${line}</p>`)}`;
+
+    this.getDataModal().show(title, content, [
+      {
+        label: t('common.ok'),
+        primary: true,
+        onClick: () => this.dataModal.hide()
+      }
+    ]);
+  }
+
+  /**
+   * Get (lazily create) the data modal
+   * @returns {Modal} Modal instance
+   */
+  getDataModal() {
+    if (!this.dataModal) {
+      this.dataModal = new Modal('data-modal');
+    }
+    return this.dataModal;
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading() {
+    if (!this.statsContainer) return;
+
+    this.state.loading = true;
+    this.statsContainer.innerHTML = html`
+      <div class="loading">
+        <div class="loading__spinner"></div>
+        <p>${t('stats.loading')}</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Hide loading state
+   */
+  hideLoading() {
+    this.state.loading = false;
+  }
+
+  /**
+   * Show error message
+   * @param {string} message - Error message
+   */
+  showError(message) {
+    if (!this.statsContainer) return;
+
+    this.state.error = message;
+    this.statsContainer.innerHTML = html`
+      <div class="error">
+        <p class="error__message">${message}</p>
+        <button class="error__retry">${t('common.retry')}</button>
+      </div>
+    `;
+    this.statsContainer.querySelector('.error__retry')
+      .addEventListener('click', () => window.location.reload());
+  }
+
+  /**
+   * Cleanup resources (call on page unload)
+   */
+  cleanup() {
+    window.removeEventListener('resize', this.handleResize);
+    clearTimeout(this.renderTimeout);
+
+    if (this.unsubscribeData) {
+      this.unsubscribeData();
+      this.unsubscribeData = null;
+    }
+
+    if (this.profileSwitcher) {
+      this.profileSwitcher.destroy();
+      this.profileSwitcher = null;
+    }
+
+    if (this.featureSettings) {
+      this.featureSettings.destroy();
+      this.featureSettings = null;
+    }
+
+    if (this.themePicker) {
+      this.themePicker.destroy();
+      this.themePicker = null;
+    }
+
+    if (this.unsubscribeTheme) {
+      this.unsubscribeTheme();
+      this.unsubscribeTheme = null;
+    }
+  }
+}
+
+/**
+ * Name the profile (or device settings) a storage scope belongs to
+ * @param {string} scope - Storage scope
+ * @param {Array<object>} profiles - Known profiles
+ * @returns {string} Profile name, or the device label for global settings
+ */
+function describeScope(scope, profiles) {
+  if (scope === GLOBAL_SCOPE) return t('data.device');
+  const profile = profiles.find(candidate => profileService.getScope(candidate.id) === scope);
+  return profile ? profile.name : scope;
+}
+
+/**
+ * Describe a stored value briefly for the import preview
+ * @param {any} value - Stored value
+ * @returns {string} Description
+ */
+function describeValue(value) {
+  if (value === null || value === undefined) return '--';
+  if (Array.isArray(value)) return t('data.sessionCount', { count: value.length });
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([key, val]) => `${key}: ${val}`).join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Format timestamp as short date (e.g. "3/14")
+ * @param {number} timestamp - Timestamp in ms
+ * @returns {string} Formatted date
+ */
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+/**
+ * Round a number, keeping null
+ * @param {number|null} value - Value
+ * @returns {number|null} Rounded value
+ */
+function roundOrNull(value) {
+  return value === null ? null : Math.round(value);
+}
@@ -1,27 +1,14 @@
 /**
  * TicTacToeController.js
- * Tic-Tac-Toe game logic - Player vs CPU
+ * Tic-Tac-Toe game - Player vs CPU (rules and CPU AI in TicTacToeEngine)
  */
 
 import GameController from './GameController.js';
-import Modal from '../ui/Modal.js';
-
-// Winning line combinations
-const WINNING_LINES = [
-  // Horizontal
-  [0, 1, 2],  // Top row
-  [3, 4, 5],  // Middle row
-  [6, 7, 8],  // Bottom row
-
-  // Vertical
-  [0, 3, 6],  // Left column
-  [1, 4, 7],  // Center column
-  [2, 5, 8],  // Right column
-
-  // Diagonal
-  [0, 4, 8],  // Top-left to bottom-right
-  [2, 4, 6]   // Top-right to bottom-left
-];
+import TicTacToeEngine from '../engines/TicTacToeEngine.js';
+import { MOVE } from '../core/GameEvents.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+import { SOUND_CLICK, SOUND_WIN, SOUND_LOSE, SOUND_END } from '../core/AudioService.js';
 
 export default class TicTacToeController extends GameController {
   /**
@@ -31,21 +18,12 @@ export default class TicTacToeController extends GameController {
   constructor(gameDataService) {
     super('tic-tac-toe', gameDataService);
 
-    // Game state
-    this.state = {
-      // Board state
-      board: ['', '', '', '', '', '', '', '', ''],  // 9 cells: '' = empty, 'X' or 'O'
-
-      // Player configuration
-      currentPlayer: 'X',
-      playerSymbol: 'X',
-      cpuSymbol: 'O',
-
-      // Game control
-      gameOver: false,
-      winner: null,
-      winningLine: [],
+    // Rules, board and CPU opponent
+    this.engine = new TicTacToeEngine({ random: this.random });
+    this.setupEngineListeners();
 
+    // UI state
+    this.state = {
       // Statistics
       sessionStats: {
         wins: 0,
@@ -58,8 +36,6 @@ export default class TicTacToeController extends GameController {
         draws: 0
       },
 
-      // UI state
-      cpuThinking: false,
       symbolSelected: false,
 
       // DOM references
@@ -112,11 +88,41 @@ export default class TicTacToeController extends GameController {
     });
   }
 
+  /**
+   * Update the page and emit game events from engine events
+   * (move: mark placed by the player or CPU)
+   */
+  setupEngineListeners() {
+    this.engine.on('mark', ({ index, symbol }) => {
+      this.state.cells[index].textContent = symbol;
+      this.state.cells[index].classList.add(symbol.toLowerCase());
+      this.playSound(SOUND_CLICK);
+      this.emit(MOVE, { index, symbol, by: symbol === this.engine.state.playerSymbol ? 'player' : 'cpu' });
+    });
+
+    this.engine.on('turn', ({ cpu }) => {
+      if (cpu) {
+        this.state.messageDisplay.textContent = t('game.cpuThinking');
+
+        // CPU move after delay
+        this.timers.setTimeout(() => {
+          this.engine.cpuMove();
+        }, 500 + this.random() * 500);  // 0.5-1 second delay
+      } else {
+        this.state.messageDisplay.textContent = t('game.yourTurn');
+      }
+    });
+
+    this.engine.on('gameover', ({ winner, line, outcome }) => {
+      this.handleGameOver(winner, line, outcome);
+    });
+  }
+
   /**
    * Show symbol selection screen
    */
   showSymbolSelection() {
-    this.state.messageDisplay.textContent = 'Choose your symbol: X or O';
+    this.state.messageDisplay.textContent = t('ticTacToe.chooseSymbol');
     const symbolSelection = document.getElementById('symbol-selection');
     if (symbolSelection) {
       symbolSelection.classList.remove('hidden');
@@ -128,8 +134,7 @@ export default class TicTacToeController extends GameController {
    * @param {string} symbol - 'X' or 'O'
    */
   handleSymbolSelect(symbol) {
-    this.state.playerSymbol = symbol;
-    this.state.cpuSymbol = symbol === 'X' ? 'O' : 'X';
+    this.engine.setPlayerSymbol(symbol);
     this.state.symbolSelected = true;
 
     // Hide symbol selection
@@ -146,12 +151,10 @@ export default class TicTacToeController extends GameController {
    * Start new game
    */
   startGame() {
-    // Reset board
-    this.state.board = ['', '', '', '', '', '', '', '', ''];
-    this.state.currentPlayer = 'X';  // X always goes first
-    this.state.gameOver = false;
-    this.state.winner = null;
-    this.state.winningLine = [];
+    // Reset board (X always goes first; new seed for the CPU's moves)
+    this.reseed();
+    this.engine.start();
+    this.beginSession();
 
     // Clear cell display
     this.state.cells.forEach(cell => {
@@ -160,11 +163,11 @@ export default class TicTacToeController extends GameController {
     });
 
     // Update message
-    if (this.state.currentPlayer === this.state.playerSymbol) {
-      this.state.messageDisplay.textContent = 'Your turn!';
+    if (this.engine.isCpuTurn()) {
+      this.state.messageDisplay.textContent = t('game.cpuThinking');
+      this.timers.setTimeout(() => this.engine.cpuMove(), 500);
     } else {
-      this.state.messageDisplay.textContent = 'CPU is thinking...';
-      setTimeout(() => this.makeCPUMove(), 500);
+      this.state.messageDisplay.textContent = t('game.yourTurn');
     }
   }
 
@@ -173,193 +176,17 @@ export default class TicTacToeController extends GameController {
    * @param {number} index - Cell index (0-8)
    */
   handleCellClick(index) {
-    // Validate move
-    if (this.state.gameOver) return;
-    if (this.state.board[index] !== '') return;
-    if (this.state.currentPlayer !== this.state.playerSymbol) return;
-    if (this.state.cpuThinking) return;
-
-    // Place player's mark
-    this.placeMarkat(index, this.state.playerSymbol);
-
-    // Check win/draw
-    const winResult = this.checkWin();
-    if (winResult.winner) {
-      this.handleGameOver(winResult.winner, winResult.line);
-      return;
-    }
-
-    if (this.checkDraw()) {
-      this.handleGameOver('draw', []);
-      return;
-    }
-
-    // Switch to CPU turn
-    this.state.currentPlayer = this.state.cpuSymbol;
-    this.state.messageDisplay.textContent = 'CPU is thinking...';
-    this.state.cpuThinking = true;
-
-    // CPU move after delay
-    setTimeout(() => {
-      this.makeCPUMove();
-    }, 500 + Math.random() * 500);  // 0.5-1 second delay
-  }
-
-  /**
-   * Place mark on board
-   * @param {number} index - Cell index
-   * @param {string} symbol - 'X' or 'O'
-   */
-  placeMarkat(index, symbol) {
-    this.state.board[index] = symbol;
-    this.state.cells[index].textContent = symbol;
-    this.state.cells[index].classList.add(symbol.toLowerCase());
-  }
-
-  /**
-   * Make CPU move
-   */
-  makeCPUMove() {
-    const moveIndex = this.getCPUMove();
-
-    // Place CPU's mark
-    this.placeMarkat(moveIndex, this.state.cpuSymbol);
-    this.state.cpuThinking = false;
-
-    // Check win/draw
-    const winResult = this.checkWin();
-    if (winResult.winner) {
-      this.handleGameOver(winResult.winner, winResult.line);
-      return;
-    }
-
-    if (this.checkDraw()) {
-      this.handleGameOver('draw', []);
-      return;
-    }
-
-    // Switch to player turn
-    this.state.currentPlayer = this.state.playerSymbol;
-    this.state.messageDisplay.textContent = 'Your turn!';
-  }
-
-  /**
-   * Get CPU's next move (Medium difficulty AI)
-   * @returns {number} Cell index (0-8)
-   */
-  getCPUMove() {
-    // 1. Win if possible (70% chance)
-    if (Math.random() < 0.7) {
-      const winMove = this.findWinningMove(this.state.cpuSymbol);
-      if (winMove !== null) {
-        return winMove;
-      }
-    }
-
-    // 2. Block player win (80% chance)
-    if (Math.random() < 0.8) {
-      const blockMove = this.findWinningMove(this.state.playerSymbol);
-      if (blockMove !== null) {
-        return blockMove;
-      }
-    }
-
-    // 3. Take center (60% chance)
-    if (Math.random() < 0.6 && this.state.board[4] === '') {
-      return 4;
-    }
-
-    // 4. Take corner (40% preference)
-    if (Math.random() < 0.4) {
-      const corners = [0, 2, 6, 8];
-      const availableCorners = corners.filter(i => this.state.board[i] === '');
-      if (availableCorners.length > 0) {
-        return availableCorners[Math.floor(Math.random() * availableCorners.length)];
-      }
-    }
-
-    // 5. Random available cell
-    return this.getRandomMove();
-  }
-
-  /**
-   * Find winning move for given symbol
-   * @param {string} symbol - 'X' or 'O'
-   * @returns {number|null} Winning cell index or null
-   */
-  findWinningMove(symbol) {
-    for (const line of WINNING_LINES) {
-      const [a, b, c] = line;
-      const cells = [this.state.board[a], this.state.board[b], this.state.board[c]];
-
-      // Count occurrences
-      const symbolCount = cells.filter(cell => cell === symbol).length;
-      const emptyCount = cells.filter(cell => cell === '').length;
-
-      // If 2 symbols and 1 empty, this line can win
-      if (symbolCount === 2 && emptyCount === 1) {
-        if (this.state.board[a] === '') return a;
-        if (this.state.board[b] === '') return b;
-        if (this.state.board[c] === '') return c;
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Get random available cell
-   * @returns {number} Random empty cell index
-   */
-  getRandomMove() {
-    const availableCells = this.state.board
-      .map((cell, index) => (cell === '' ? index : null))
-      .filter(index => index !== null);
-
-    return availableCells[Math.floor(Math.random() * availableCells.length)];
-  }
-
-  /**
-   * Check if there's a winner
-   * @returns {{winner: string|null, line: Array<number>|null}}
-   */
-  checkWin() {
-    for (const line of WINNING_LINES) {
-      const [a, b, c] = line;
-
-      if (
-        this.state.board[a] !== '' &&
-        this.state.board[a] === this.state.board[b] &&
-        this.state.board[a] === this.state.board[c]
-      ) {
-        return {
-          winner: this.state.board[a],
-          line: line
-        };
-      }
-    }
-
-    return { winner: null, line: null };
-  }
-
-  /**
-   * Check if game is a draw
-   * @returns {boolean}
-   */
-  checkDraw() {
-    return this.state.board.every(cell => cell !== '');
+    // The engine ignores illegal moves (occupied cell, CPU's turn, game over)
+    this.engine.playerMove(index);
   }
 
   /**
    * Handle game over
    * @param {string} winner - 'X', 'O', or 'draw'
    * @param {Array<number>} line - Winning line indices
+   * @param {string} outcome - 'win', 'loss' or 'draw' for the player
    */
-  handleGameOver(winner, line) {
-    this.state.gameOver = true;
-    this.state.winner = winner;
-    this.state.winningLine = line;
-
+  handleGameOver(winner, line, outcome) {
     // Highlight winning line
     if (line && line.length > 0) {
       line.forEach(index => {
@@ -368,19 +195,18 @@ export default class TicTacToeController extends GameController {
     }
 
     // Update stats and save
-    if (winner === 'draw') {
+    if (outcome === 'draw') {
       this.state.sessionStats.draws++;
-      this.state.messageDisplay.textContent = "It's a draw!";
-      this.gameDataService.saveTicTacToeResult('draw');
-    } else if (winner === this.state.playerSymbol) {
+      this.state.messageDisplay.textContent = t('ticTacToe.draw');
+    } else if (outcome === 'win') {
       this.state.sessionStats.wins++;
-      this.state.messageDisplay.textContent = 'You win!';
-      this.gameDataService.saveTicTacToeResult('win');
+      this.state.messageDisplay.textContent = t('ticTacToe.win');
     } else {
       this.state.sessionStats.losses++;
-      this.state.messageDisplay.textContent = 'CPU wins!';
-      this.gameDataService.saveTicTacToeResult('loss');
+      this.state.messageDisplay.textContent = t('ticTacToe.loss');
     }
+    this.recordResult({ outcome });
+    this.playSound({ win: SOUND_WIN, loss: SOUND_LOSE, draw: SOUND_END }[outcome]);
 
     // Reload stats from storage to get updated totals
     this.loadStats();
@@ -401,44 +227,40 @@ export default class TicTacToeController extends GameController {
     const content = this.buildModalContent(result);
     const buttons = this.buildModalButtons();
 
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
-
-    let title = 'Game Over!';
+    let title = t('game.over');
     if (result.winner === 'draw') {
-      title = "It's a Draw!";
-    } else if (result.winner === this.state.playerSymbol) {
-      title = 'You Win!';
+      title = t('ticTacToe.drawTitle');
+    } else if (result.winner === this.engine.state.playerSymbol) {
+      title = t('ticTacToe.winTitle');
     } else {
-      title = 'CPU Wins!';
+      title = t('ticTacToe.lossTitle');
     }
 
-    this.resultModal.show(title, content, buttons);
+    this.openResultModal(title, content, buttons);
   }
 
   /**
    * Build modal content
    * @param {object} result - Result data
-   * @returns {string} HTML content
+   * @returns {SafeHtml} Markup
    */
   buildModalContent(result) {
-    return `
+    return html`
       <div class="result-stats">
         <div class="stat-item">
-          <span class="stat-label">Wins:</span>
+          <span class="stat-label">${t('ticTacToe.wins')}</span>
           <span class="stat-value">${result.stats.wins}</span>
         </div>
         <div class="stat-item">
-          <span class="stat-label">Losses:</span>
+          <span class="stat-label">${t('ticTacToe.losses')}</span>
           <span class="stat-value">${result.stats.losses}</span>
         </div>
         <div class="stat-item">
-          <span class="stat-label">Draws:</span>
+          <span class="stat-label">${t('ticTacToe.draws')}</span>
           <span class="stat-value">${result.stats.draws}</span>
         </div>
       </div>
-      <div class="ad-container"><!-- Ad placement --></div>
+      ${this.buildAdSlot()}
     `;
   }
 
@@ -446,6 +268,9 @@ export default class TicTacToeController extends GameController {
    * Reset game
    */
   resetGame() {
+    // Drop a pending CPU move from the previous round
+    this.timers.clearAll();
+
     if (this.state.symbolSelected) {
       this.startGame();
     } else {
@@ -457,22 +282,14 @@ export default class TicTacToeController extends GameController {
    * End game
    */
   endGame() {
-    this.state.gameOver = true;
+    this.engine.state.gameOver = true;
   }
 
   /**
    * Load stats from storage
    */
   loadStats() {
-    const stats = this.gameDataService.loadTicTacToeStats();
-    this.state.totalStats = stats;
-  }
-
-  /**
-   * Save stats to storage
-   */
-  saveStats() {
-    this.gameDataService.saveTicTacToeResult(this.state.totalStats);
+    this.state.totalStats = this.loadRecord();
   }
 
   /**
@@ -480,11 +297,20 @@ export default class TicTacToeController extends GameController {
    */
   updateStatsDisplay() {
     if (this.state.statsDisplay) {
-      this.state.statsDisplay.innerHTML = `
-        <div>W: ${this.state.totalStats.wins}</div>
-        <div>L: ${this.state.totalStats.losses}</div>
-        <div>D: ${this.state.totalStats.draws}</div>
+      this.state.statsDisplay.innerHTML = html`
+        <div>${t('ticTacToe.winsShort')}: ${this.state.totalStats.wins}</div>
+        <div>${t('ticTacToe.lossesShort')}: ${this.state.totalStats.losses}</div>
+        <div>${t('ticTacToe.drawsShort')}: ${this.state.totalStats.draws}</div>
       `;
     }
   }
+
+  /**
+   * Refresh stats when the saved record changes (e.g. from another tab)
+   * @param {object} record - Current {wins, losses, draws}
+   */
+  handleRecordChange(record) {
+    this.state.totalStats = record;
+    this.updateStatsDisplay();
+  }
 }
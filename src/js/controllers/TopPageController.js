@@ -5,7 +5,15 @@
 
 import { configLoader } from '../core/ConfigLoader.js';
 import { gameDataService } from '../core/GameDataService.js';
-import { createGameCard } from '../ui/GameCard.js';
+import { gameRegistry } from '../core/GameRegistry.js';
+import { router } from '../core/Router.js';
+import { resolvePath } from '../core/BasePath.js';
+import { featureFlags } from '../core/FeatureFlagService.js';
+import { themeService } from '../core/ThemeService.js';
+import { i18n, t } from '../core/I18nService.js';
+import { createGameCard, updateGameCardScore, updateGameCardDaily } from '../ui/GameCard.js';
+import ProfileSwitcher from '../ui/ProfileSwitcher.js';
+import { html } from '../utils/helpers.js';
 
 export default class TopPageController {
   /**
@@ -14,6 +22,7 @@ export default class TopPageController {
   constructor() {
     this.configLoader = configLoader;
     this.gameDataService = gameDataService;
+    this.gameRegistry = gameRegistry;
 
     // State
     this.state = {
@@ -25,6 +34,11 @@ export default class TopPageController {
 
     // DOM references
     this.gamesGridContainer = null;
+    this.dailySection = null;
+
+    // Storage subscription and profile switcher
+    this.unsubscribeData = null;
+    this.profileSwitcher = null;
   }
 
   /**
@@ -34,25 +48,30 @@ export default class TopPageController {
     try {
       // Cache DOM elements
       this.gamesGridContainer = document.getElementById('games-grid');
+      this.dailySection = document.getElementById('daily-challenge');
 
       if (!this.gamesGridContainer) {
         console.error('Games grid container not found');
         return;
       }
 
-      // Debug: Show all localStorage items with bgc_ prefix
-      console.log('=== LocalStorage Contents ===');
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith('bgc_')) {
-          console.log(`${key}: ${localStorage.getItem(key)}`);
-        }
-      }
-      console.log('=============================');
+      // Select storage provider and migrate data before reading records
+      await this.gameDataService.ready();
+      await featureFlags.ready();
+      await themeService.ready();
+      await i18n.ready();
 
-      // Show loading state
+      // Show loading state (in the page's language, so after i18n)
       this.showLoading();
 
+      // Debug: Show all stored items
+      const storage = this.gameDataService.storage;
+      console.log(`=== Storage Contents (${storage.getProvider()}) ===`);
+      storage.keys().forEach(key => {
+        console.log(`${storage.prefix}${key}: ${storage.loadRaw(key)}`);
+      });
+      console.log('=============================');
+
       // Load site config and games data
       await this.loadSiteConfig();
       await this.loadAndRenderGames();
@@ -60,9 +79,26 @@ export default class TopPageController {
       // Hide loading state
       this.hideLoading();
 
+      // Cards show the active profile's records
+      this.profileSwitcher = new ProfileSwitcher(document.getElementById('profile-switcher'), {
+        onChange: () => {
+          this.renderGameCards(this.state.games);
+          this.renderDailyChallenge(this.state.games);
+        }
+      });
+
+      // Keep card scores current when games finish in other tabs
+      this.unsubscribeData = this.gameDataService.onDataChange(change => {
+        if (change.type === 'record') {
+          this.refreshGameCard(change.gameId);
+        } else if (change.type === 'daily') {
+          this.refreshDailyStatus();
+        }
+      });
+
     } catch (error) {
       console.error('Failed to initialize top page:', error);
-      this.showError('Failed to load games. Please refresh the page.');
+      this.showError(t('top.loadFailed'));
     }
   }
 
@@ -74,8 +110,9 @@ export default class TopPageController {
       this.state.siteConfig = await this.configLoader.loadSiteConfig();
 
       // Update page title if config loaded
-      if (this.state.siteConfig && this.state.siteConfig.siteName) {
-        document.title = this.state.siteConfig.siteName;
+      const site = this.state.siteConfig && this.state.siteConfig.site;
+      if (site && site.title) {
+        document.title = site.title;
       }
     } catch (error) {
       console.warn('Failed to load site config, using defaults:', error);
@@ -88,18 +125,12 @@ export default class TopPageController {
    */
   async loadAndRenderGames() {
     try {
-      // Load games data
-      const gamesData = await this.configLoader.loadGamesData();
+      // Enabled games from the registry (games.json)
+      this.state.games = await this.gameRegistry.getEnabledGames();
 
-      if (!gamesData || !gamesData.games) {
-        throw new Error('Invalid games data format');
-      }
-
-      // Filter enabled games
-      this.state.games = gamesData.games.filter(game => game.enabled !== false);
-
-      // Render game cards
+      // Render game cards and today's Daily Challenge
       this.renderGameCards(this.state.games);
+      this.renderDailyChallenge(this.state.games);
 
     } catch (error) {
       console.error('Failed to load games data:', error);
@@ -120,9 +151,10 @@ export default class TopPageController {
     // Create and append game cards
     games.forEach(game => {
       const highScore = this.getHighScoreForGame(game.id);
-      const card = createGameCard(game, highScore, (gameData) => {
-        this.handleGameClick(gameData);
-      });
+      const dailyStatus = game.daily ? this.gameDataService.getDailyStatus(game.id) : null;
+      const card = createGameCard(game, highScore, (gameData, options) => {
+        this.handleGameClick(gameData, options);
+      }, dailyStatus);
       this.gamesGridContainer.appendChild(card);
     });
   }
@@ -134,57 +166,98 @@ export default class TopPageController {
    */
   getHighScoreForGame(gameId) {
     try {
-      let highScore;
-      switch (gameId) {
-        case 'memory-game':
-          highScore = this.gameDataService.loadMemoryGameHighScore();
-          console.log(`Memory Game high score:`, highScore);
-          return highScore;
-
-        case 'tic-tac-toe':
-          highScore = this.gameDataService.loadTicTacToeStats();
-          console.log(`Tic-Tac-Toe stats:`, highScore);
-          return highScore;
-
-        case 'whack-a-mole':
-          highScore = this.gameDataService.loadWhackAMoleHighScore();
-          console.log(`Whack-a-Mole high score:`, highScore);
-          return highScore;
-
-        case 'number-nine':
-          highScore = this.gameDataService.loadNineGameHighScore();
-          console.log(`Number Nine high score:`, highScore);
-          return highScore;
-
-        case 'runner-game':
-          highScore = this.gameDataService.loadRunnerGameHighScore();
-          console.log(`Runner Game high score:`, highScore);
-          return highScore;
-
-        case 'nback-game':
-          return null; // No high score for N-Back Game
-
-        default:
-          return null;
-      }
+      return this.gameDataService.loadRecord(gameId);
     } catch (error) {
       console.warn(`Failed to load high score for ${gameId}:`, error);
       return null;
     }
   }
 
+  /**
+   * Refresh the best score shown on a game's card
+   * @param {string} gameId - Game ID
+   */
+  refreshGameCard(gameId) {
+    if (!this.gamesGridContainer) return;
+
+    const card = this.gamesGridContainer.querySelector(`[data-game-id="${gameId}"]`);
+    if (card) {
+      updateGameCardScore(card, gameId, this.getHighScoreForGame(gameId));
+    }
+  }
+
+  /**
+   * Render the Daily Challenge section (streak and one button per daily game)
+   * @param {Array} games - Array of game objects
+   */
+  renderDailyChallenge(games) {
+    if (!this.dailySection) return;
+
+    const dailyGames = games.filter(game => game.daily);
+    this.dailySection.hidden = dailyGames.length === 0;
+    if (dailyGames.length === 0) return;
+
+    const streak = this.gameDataService.getDailyStreak();
+    const playedCount = dailyGames.filter(game => streak.played.includes(game.id)).length;
+
+    const summary = this.dailySection.querySelector('.daily-section__summary');
+    if (summary) {
+      summary.textContent = `${t('daily.summary', { date: streak.date })} ` +
+        `🔥 ${t('daily.streak', { count: streak.streak })} · ` +
+        `${t('daily.bestStreak', { best: streak.bestStreak })} · ` +
+        t('daily.playedToday', { played: playedCount, total: dailyGames.length });
+    }
+
+    const list = this.dailySection.querySelector('.daily-section__games');
+    if (!list) return;
+
+    list.innerHTML = '';
+    dailyGames.forEach(game => {
+      const played = streak.played.includes(game.id);
+      const button = document.createElement('button');
+      button.className = `daily-section__game${played ? ' daily-section__game--done' : ''}`;
+      button.textContent = `${played ? '✅' : '📅'} ${game.title}`;
+      button.addEventListener('click', () => this.handleGameClick(game, { daily: true }));
+      list.appendChild(button);
+    });
+  }
+
+  /**
+   * Refresh the Daily Challenge section and card statuses
+   */
+  refreshDailyStatus() {
+    this.renderDailyChallenge(this.state.games);
+
+    if (!this.gamesGridContainer) return;
+
+    this.state.games.filter(game => game.daily).forEach(game => {
+      const card = this.gamesGridContainer.querySelector(`[data-game-id="${game.id}"]`);
+      if (card) {
+        updateGameCardDaily(card, game.id, this.gameDataService.getDailyStatus(game.id));
+      }
+    });
+  }
+
   /**
    * Handle game card click
    * @param {object} game - Game metadata
+   * @param {object} [options] - {daily: true} to play today's Daily Challenge
    */
-  handleGameClick(game) {
+  handleGameClick(game, options = {}) {
     if (!game || !game.htmlPath) {
       console.error('Invalid game data:', game);
       return;
     }
 
+    // Inside the single-page shell, open the game's route
+    if (router.isStarted()) {
+      router.navigate(`/games/${game.id}`, { daily: options.daily ? 1 : null });
+      return;
+    }
+
     // Navigate to game page
-    this.navigateToGame(game.htmlPath);
+    const url = resolvePath(game.htmlPath);
+    this.navigateToGame(options.daily ? `${url}?daily=1` : url);
   }
 
   /**
@@ -209,10 +282,10 @@ export default class TopPageController {
     if (!this.gamesGridContainer) return;
 
     this.state.loading = true;
-    this.gamesGridContainer.innerHTML = `
+    this.gamesGridContainer.innerHTML = html`
       <div class="loading">
         <div class="loading__spinner"></div>
-        <p>Loading games...</p>
+        <p>${t('top.loading')}</p>
       </div>
     `;
   }
@@ -232,11 +305,28 @@ export default class TopPageController {
     if (!this.gamesGridContainer) return;
 
     this.state.error = message;
-    this.gamesGridContainer.innerHTML = `
+    this.gamesGridContainer.innerHTML = html`
       <div class="error">
         <p class="error__message">${message}</p>
-        <button onclick="location.reload()">Retry</button>
+        <button class="error__retry">${t('common.retry')}</button>
       </div>
     `;
+    this.gamesGridContainer.querySelector('.error__retry')
+      .addEventListener('click', () => window.location.reload());
+  }
+
+  /**
+   * Cleanup resources
+   */
+  cleanup() {
+    if (this.unsubscribeData) {
+      this.unsubscribeData();
+      this.unsubscribeData = null;
+    }
+
+    if (this.profileSwitcher) {
+      this.profileSwitcher.destroy();
+      this.profileSwitcher = null;
+    }
   }
 }
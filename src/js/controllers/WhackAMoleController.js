@@ -1,10 +1,15 @@
 /**
  * WhackAMoleController.js
- * Whack-a-Mole game logic with timer and random mole spawning
+ * Whack-a-Mole game with timer and random mole spawning
+ * (rules and spawning in WhackAMoleEngine)
  */
 
 import GameController from './GameController.js';
-import Modal from '../ui/Modal.js';
+import WhackAMoleEngine, { HOLE_COUNT } from '../engines/WhackAMoleEngine.js';
+import { SCORE_CHANGE, HIT, MISS } from '../core/GameEvents.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+import { SOUND_HIT, SOUND_MISS, SOUND_WIN, SOUND_END } from '../core/AudioService.js';
 
 export default class WhackAMoleController extends GameController {
   /**
@@ -14,34 +19,18 @@ export default class WhackAMoleController extends GameController {
   constructor(gameDataService) {
     super('whack-a-mole', gameDataService);
 
-    // Game state
-    this.state = {
-      // Hole states (9 holes in 3x3 grid)
-      holes: [false, false, false, false, false, false, false, false, false],
-
-      // Game progress
-      score: 0,
-      timeRemaining: 30,
+    // Rules, countdown and spawning (on this game's timers, so pause applies)
+    this.engine = new WhackAMoleEngine({ random: this.random, timers: this.timers });
+    this.setupEngineListeners();
 
+    // UI state
+    this.state = {
       // Game control
-      gameActive: false,
       gameStarted: false,
 
-      // Timers (cleanup references)
-      timerInterval: null,
-      moleTimeouts: {},
-      spawnTimeout: null,
-
       // High score
       highScore: 0,
 
-      // Spawn configuration
-      spawnConfig: {
-        minDelay: 500,      // 0.5 seconds
-        maxDelay: 1500,     // 1.5 seconds
-        moleVisibility: 1000 // 1 second
-      },
-
       // DOM references (cached)
       holeElements: [],
       scoreDisplay: null,
@@ -55,7 +44,7 @@ export default class WhackAMoleController extends GameController {
    */
   async init() {
     // 1. Load high score from storage
-    this.state.highScore = this.gameDataService.loadWhackAMoleHighScore() || 0;
+    this.state.highScore = this.loadRecord() || 0;
 
     // 2. Cache DOM elements
     this.state.scoreDisplay = document.getElementById('score-value');
@@ -85,6 +74,26 @@ export default class WhackAMoleController extends GameController {
     }
   }
 
+  /**
+   * Update the page and emit game events from engine events
+   * (hit: mole whacked, score:change: points)
+   */
+  setupEngineListeners() {
+    this.engine.on('tick', () => this.updateTimerDisplay());
+    this.engine.on('show', ({ index }) => this.showMole(index));
+    this.engine.on('hide', ({ index }) => this.hideMole(index));
+
+    this.engine.on('hit', ({ index, score }) => {
+      this.updateScoreDisplay();
+      this.showHitFeedback(index);
+      this.playSound(SOUND_HIT);
+      this.emit(HIT, { index });
+      this.emit(SCORE_CHANGE, { score });
+    });
+
+    this.engine.on('end', () => this.endGame());
+  }
+
   /**
    * Generate and render all hole elements
    */
@@ -95,7 +104,7 @@ export default class WhackAMoleController extends GameController {
     gridContainer.innerHTML = '';
     this.state.holeElements = [];
 
-    for (let i = 0; i < 9; i++) {
+    for (let i = 0; i < HOLE_COUNT; i++) {
       const hole = this.createHoleElement(i);
       gridContainer.appendChild(hole);
       this.state.holeElements.push(hole);
@@ -133,7 +142,7 @@ export default class WhackAMoleController extends GameController {
     const startBtn = document.getElementById('start-btn');
     if (startBtn) {
       startBtn.disabled = true;
-      startBtn.textContent = 'Game in Progress...';
+      startBtn.textContent = t('whackAMole.inProgress');
     }
   }
 
@@ -141,139 +150,47 @@ export default class WhackAMoleController extends GameController {
    * Start new game
    */
   startGame() {
-    // 1. Reset state
-    this.state.score = 0;
-    this.state.timeRemaining = 30;
-    this.state.gameActive = true;
     this.state.gameStarted = true;
-    this.state.holes = [false, false, false, false, false, false, false, false, false];
 
-    // 2. Update displays
-    this.updateScoreDisplay();
-    this.updateTimerDisplay();
-
-    // 3. Start timer
-    this.startTimer();
+    // New seed per round, before the session so game:start reports it
+    this.reseed();
+    this.beginSession();
 
-    // 4. Start mole spawning
-    this.startMoleSpawning();
-  }
+    // Countdown and mole spawning
+    this.engine.start();
 
-  /**
-   * Start countdown timer
-   */
-  startTimer() {
-    this.state.timeRemaining = 30;
+    this.updateScoreDisplay();
     this.updateTimerDisplay();
-
-    // Update every second
-    this.state.timerInterval = setInterval(() => {
-      this.state.timeRemaining--;
-      this.updateTimerDisplay();
-
-      // Game over when time reaches 0
-      if (this.state.timeRemaining <= 0) {
-        this.endGame();
-      }
-    }, 1000);
-  }
-
-  /**
-   * Stop timer
-   */
-  stopTimer() {
-    if (this.state.timerInterval) {
-      clearInterval(this.state.timerInterval);
-      this.state.timerInterval = null;
-    }
   }
 
   /**
    * Update timer display with color warnings
    */
   updateTimerDisplay() {
+    const timeRemaining = this.engine.state.timeRemaining;
+
     if (this.state.timerDisplay) {
-      this.state.timerDisplay.textContent = `${this.state.timeRemaining}s`;
+      this.state.timerDisplay.textContent = `${timeRemaining}s`;
 
       // Remove all warning classes first
       this.state.timerDisplay.classList.remove('warning', 'critical');
 
       // Warning: 6-10 seconds (orange)
-      if (this.state.timeRemaining > 5 && this.state.timeRemaining <= 10) {
+      if (timeRemaining > 5 && timeRemaining <= 10) {
         this.state.timerDisplay.classList.add('warning');
       }
       // Critical: 1-5 seconds (red, pulsing)
-      else if (this.state.timeRemaining <= 5) {
+      else if (timeRemaining <= 5) {
         this.state.timerDisplay.classList.add('critical');
       }
     }
   }
 
-  /**
-   * Start mole spawning loop
-   */
-  startMoleSpawning() {
-    if (!this.state.gameActive) return;
-
-    // Spawn one mole
-    this.spawnMole();
-
-    // Schedule next spawn (random interval)
-    const nextDelay = this.getRandomSpawnDelay();
-    this.state.spawnTimeout = setTimeout(() => {
-      this.startMoleSpawning(); // Recursive call
-    }, nextDelay);
-  }
-
-  /**
-   * Spawn single mole at random hole
-   */
-  spawnMole() {
-    if (!this.state.gameActive) return;
-
-    // Get random available hole
-    const availableHoles = this.state.holes
-      .map((visible, index) => (visible ? null : index))
-      .filter(index => index !== null);
-
-    if (availableHoles.length === 0) return; // All holes occupied
-
-    const randomIndex = availableHoles[
-      Math.floor(Math.random() * availableHoles.length)
-    ];
-
-    // Show mole
-    this.showMole(randomIndex);
-
-    // Auto-hide after 1 second
-    const hideTimeout = setTimeout(() => {
-      this.hideMole(randomIndex);
-    }, this.state.spawnConfig.moleVisibility);
-
-    // Store timeout reference for cleanup
-    this.state.moleTimeouts[randomIndex] = hideTimeout;
-  }
-
-  /**
-   * Get random spawn delay
-   * @returns {number} Delay in ms (500-1500)
-   */
-  getRandomSpawnDelay() {
-    const { minDelay, maxDelay } = this.state.spawnConfig;
-    return minDelay + Math.random() * (maxDelay - minDelay);
-  }
-
   /**
    * Show mole at specific hole
    * @param {number} index - Hole index (0-8)
    */
   showMole(index) {
-    if (index < 0 || index >= 9) return;
-
-    // Update state
-    this.state.holes[index] = true;
-
-    // Update UI
     const hole = this.state.holeElements[index];
     if (hole) {
       hole.classList.add('active');
@@ -285,45 +202,18 @@ export default class WhackAMoleController extends GameController {
    * @param {number} index - Hole index
    */
   hideMole(index) {
-    if (index < 0 || index >= 9) return;
-
-    // Update state
-    this.state.holes[index] = false;
-
-    // Update UI
     const hole = this.state.holeElements[index];
     if (hole) {
       hole.classList.remove('active');
     }
-
-    // Clear timeout reference
-    if (this.state.moleTimeouts[index]) {
-      delete this.state.moleTimeouts[index];
-    }
   }
 
   /**
-   * Stop mole spawning and clear all timeouts
+   * Whack-a-Mole can be paused while a round is running
+   * @returns {boolean}
    */
-  stopMoleSpawning() {
-    // Clear spawn timeout
-    if (this.state.spawnTimeout) {
-      clearTimeout(this.state.spawnTimeout);
-      this.state.spawnTimeout = null;
-    }
-
-    // Clear all mole hide timeouts
-    Object.values(this.state.moleTimeouts).forEach(timeoutId => {
-      clearTimeout(timeoutId);
-    });
-    this.state.moleTimeouts = {};
-
-    // Hide all moles
-    this.state.holes.forEach((_, index) => {
-      if (this.state.holes[index]) {
-        this.hideMole(index);
-      }
-    });
+  canPause() {
+    return this.engine.state.active;
   }
 
   /**
@@ -331,35 +221,11 @@ export default class WhackAMoleController extends GameController {
    * @param {number} index - Hole index
    */
   handleHoleClick(index) {
-    // Ignore if game not active
-    if (!this.state.gameActive) return;
-
-    // Check if mole is visible
-    if (this.state.holes[index]) {
-      this.handleMoleHit(index);
-    }
-    // else: Miss click, no penalty
-  }
-
-  /**
-   * Handle mole hit
-   * @param {number} index - Hole index
-   */
-  handleMoleHit(index) {
-    // Increment score
-    this.incrementScore();
-
-    // Hide mole immediately
-    this.hideMole(index);
-
-    // Clear auto-hide timeout
-    if (this.state.moleTimeouts[index]) {
-      clearTimeout(this.state.moleTimeouts[index]);
-      delete this.state.moleTimeouts[index];
+    // Misses (empty hole) have no penalty, but are announced
+    if (!this.engine.whack(index) && this.engine.state.active) {
+      this.playSound(SOUND_MISS);
+      this.emit(MISS, { index });
     }
-
-    // Visual feedback
-    this.showHitFeedback(index);
   }
 
   /**
@@ -371,18 +237,18 @@ export default class WhackAMoleController extends GameController {
     if (hole) {
       // Flash effect
       hole.classList.add('hit');
-      setTimeout(() => {
+      this.timers.setTimeout(() => {
         hole.classList.remove('hit');
       }, 200);
 
       // "Hit!!" text animation
       const hitText = document.createElement('div');
       hitText.className = 'hit-text';
-      hitText.textContent = 'Hit!!';
+      hitText.textContent = t('whackAMole.hit');
       hole.appendChild(hitText);
 
       // Remove after animation completes
-      setTimeout(() => {
+      this.timers.setTimeout(() => {
         if (hitText.parentNode === hole) {
           hole.removeChild(hitText);
         }
@@ -390,20 +256,12 @@ export default class WhackAMoleController extends GameController {
     }
   }
 
-  /**
-   * Increment score
-   */
-  incrementScore() {
-    this.state.score++;
-    this.updateScoreDisplay();
-  }
-
   /**
    * Update score display
    */
   updateScoreDisplay() {
     if (this.state.scoreDisplay) {
-      this.state.scoreDisplay.textContent = this.state.score;
+      this.state.scoreDisplay.textContent = this.engine.state.score;
     }
   }
 
@@ -417,48 +275,54 @@ export default class WhackAMoleController extends GameController {
     }
   }
 
+  /**
+   * Refresh high score when the saved record changes (e.g. from another tab)
+   * @param {number|null} record - Current best score
+   */
+  handleRecordChange(record) {
+    this.state.highScore = record || 0;
+    this.updateHighScoreDisplay();
+  }
+
   /**
    * Check if new high score and save
    * @returns {boolean} True if new record
    */
   checkAndSaveHighScore() {
-    // Higher is better for Whack-a-Mole
-    if (this.state.score > this.state.highScore) {
-      this.state.highScore = this.state.score;
-      this.gameDataService.saveWhackAMoleScore(this.state.score);
-      this.updateHighScoreDisplay();
-      return true;
-    }
-    return false;
+    // Higher is better for Whack-a-Mole (declared in ScoreRegistry)
+    const { isNewRecord, record } = this.recordResult(
+      { score: this.engine.state.score },
+      { outcome: 'complete' }
+    );
+
+    this.state.highScore = record || 0;
+    this.updateHighScoreDisplay();
+
+    return isNewRecord;
   }
 
   /**
    * End game
    */
   endGame() {
-    // 1. Stop game
-    this.state.gameActive = false;
+    // 1. Stop countdown and spawning (no-op when time ran out)
+    this.engine.stop();
 
-    // 2. Stop timer
-    this.stopTimer();
-
-    // 3. Stop spawning
-    this.stopMoleSpawning();
-
-    // 4. Check and save high score
+    // 2. Check and save high score
     const isNewRecord = this.checkAndSaveHighScore();
+    this.playSound(isNewRecord ? SOUND_WIN : SOUND_END);
 
-    // 5. Re-enable start button
+    // 3. Re-enable start button
     const startBtn = document.getElementById('start-btn');
     if (startBtn) {
       startBtn.disabled = false;
-      startBtn.textContent = 'Start Game';
+      startBtn.textContent = t('whackAMole.start');
     }
 
-    // 6. Show result modal
-    setTimeout(() => {
+    // 4. Show result modal
+    this.timers.setTimeout(() => {
       this.showResultModal({
-        score: this.state.score,
+        score: this.engine.state.score,
         highScore: this.state.highScore,
         isNewRecord: isNewRecord
       });
@@ -473,38 +337,34 @@ export default class WhackAMoleController extends GameController {
     const content = this.buildModalContent(result);
     const buttons = this.buildModalButtons();
 
-    if (!this.resultModal) {
-      this.resultModal = new Modal('result-modal');
-    }
+    const title = result.isNewRecord ? `⭐ ${t('game.newRecord')} ⭐` : `⏰ ${t('whackAMole.timeUp')} ⏰`;
 
-    const title = result.isNewRecord ? '⭐ NEW RECORD! ⭐' : "⏰ Time's Up! ⏰";
-
-    this.resultModal.show(title, content, buttons);
+    this.openResultModal(title, content, buttons);
   }
 
   /**
    * Build modal content
    * @param {object} result - Result data
-   * @returns {string} HTML content
+   * @returns {SafeHtml} Markup
    */
   buildModalContent(result) {
     const newRecordBadge = result.isNewRecord
-      ? '<div class="new-record">⭐ NEW RECORD! ⭐</div>'
+      ? html`<div class="new-record">⭐ ${t('game.newRecord')} ⭐</div>`
       : '';
 
-    return `
+    return html`
       ${newRecordBadge}
       <div class="result-stats">
         <div class="stat-item">
-          <span class="stat-label">Your Score:</span>
-          <span class="stat-value">${result.score}</span>
+          <span class="stat-label">${t('game.yourScore')}</span>
+          <span class="stat-value">${this.formatScore(result.score)}</span>
         </div>
         <div class="stat-item">
-          <span class="stat-label">High Score:</span>
-          <span class="stat-value">${result.highScore}</span>
+          <span class="stat-label">${t('game.highScore')}</span>
+          <span class="stat-value">${this.formatScore(result.highScore)}</span>
         </div>
       </div>
-      <div class="ad-container"><!-- Ad placement --></div>
+      ${this.buildAdSlot()}
     `;
   }
 
@@ -512,16 +372,20 @@ export default class WhackAMoleController extends GameController {
    * Reset game
    */
   resetGame() {
+    // Cancel the previous round's countdown, spawns and pending result modal
+    this.timers.clearAll();
+    this.engine.stop();
+
     if (this.state.gameStarted) {
       this.startGame();
     }
   }
 
   /**
-   * Cleanup all timers and timeouts
+   * Cleanup all timers (via super) and hide moles
    */
   cleanup() {
-    this.stopTimer();
-    this.stopMoleSpawning();
+    super.cleanup();
+    this.engine.stop();
   }
 }
@@ -0,0 +1,219 @@
+/**
+ * AchievementService.js
+ * Unlocks achievements when game events match their definitions
+ *
+ * Definitions live in src/assets/data/achievements.json:
+ *   { id, gameId?, title, description, icon, event, conditions, i18n? }
+ * conditions maps a dot path in the event to a comparison, e.g.
+ *   { "result.moves": { "lte": 8 }, "details.outcome": { "eq": "win" } }
+ * Every condition must hold. Without gameId the achievement matches any game.
+ * i18n gives the title and description per locale, like games.json.
+ *
+ * event is a game event type from GameEvents.js; the service follows the
+ * site-wide gameEvents bus, e.g.
+ *   game:end {gameId, result, details, record, isNewRecord, daily} - a game was finished and saved
+ */
+
+import { storageService } from './StorageService.js';
+import { configLoader } from './ConfigLoader.js';
+import { gameEvents, GAME_EVENT_TYPES } from './GameEvents.js';
+
+// Storage key for unlocked achievements (per profile)
+export const ACHIEVEMENTS_KEY = 'achievements';
+
+// Comparison operators usable in conditions
+const OPERATORS = {
+  eq: (value, expected) => value === expected,
+  ne: (value, expected) => value !== expected,
+  gt: (value, expected) => typeof value === 'number' && value > expected,
+  gte: (value, expected) => typeof value === 'number' && value >= expected,
+  lt: (value, expected) => typeof value === 'number' && value < expected,
+  lte: (value, expected) => typeof value === 'number' && value <= expected
+};
+
+class AchievementService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {ConfigLoader} loader - Config loader instance
+   * @param {EventEmitter} bus - Game event bus to follow
+   */
+  constructor(storage, loader, bus) {
+    this.storage = storage;
+    this.loader = loader;
+    this.definitions = [];
+    this.loadPromise = null;
+    this.listeners = new Set();
+
+    // Check achievements on every game event
+    GAME_EVENT_TYPES.forEach(type => {
+      bus.on(type, event => {
+        this.handleEvent(type, event)
+          .catch(error => console.error('Failed to check achievements:', error));
+      });
+    });
+  }
+
+  /**
+   * Load achievement definitions (once per page)
+   * @returns {Promise<Array<object>>} Definitions
+   */
+  load() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.loader.loadAchievements().then(data => {
+        this.definitions = (data.achievements || []).filter(definition => {
+          if (!definition.id || !definition.event) {
+            console.warn('Skipping achievement without id or event:', definition);
+            return false;
+          }
+          return true;
+        });
+        return this.definitions;
+      });
+    }
+    return this.loadPromise;
+  }
+
+  /**
+   * Get loaded definitions
+   * @returns {Array<object>} Definitions (empty until load() resolves)
+   */
+  getDefinitions() {
+    return this.definitions;
+  }
+
+  /**
+   * Load the active profile's unlocked achievements
+   * @returns {object} {achievementId: {unlockedAt}}
+   */
+  loadUnlocked() {
+    const unlocked = this.storage.load(ACHIEVEMENTS_KEY, {});
+    return unlocked && typeof unlocked === 'object' && !Array.isArray(unlocked) ? unlocked : {};
+  }
+
+  /**
+   * Check if an achievement is unlocked
+   * @param {string} id - Achievement ID
+   * @returns {boolean}
+   */
+  isUnlocked(id) {
+    return Boolean(this.loadUnlocked()[id]);
+  }
+
+  /**
+   * Evaluate a game event and unlock every achievement it completes
+   * @param {string} type - Event type (e.g. 'game:end')
+   * @param {object} event - Event data ({gameId, ...})
+   * @returns {Promise<Array<object>>} Definitions unlocked by this event
+   */
+  async handleEvent(type, event) {
+    await this.load();
+
+    // Frequent events (score:change, move) usually have no achievements
+    const candidates = this.definitions.filter(definition => definition.event === type);
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const unlocked = this.loadUnlocked();
+    const newlyUnlocked = candidates.filter(definition =>
+      !unlocked[definition.id] && this.matches(definition, type, event)
+    );
+
+    if (newlyUnlocked.length === 0) {
+      return [];
+    }
+
+    const now = Date.now();
+    newlyUnlocked.forEach(definition => {
+      unlocked[definition.id] = { unlockedAt: now };
+    });
+    this.storage.save(ACHIEVEMENTS_KEY, unlocked);
+
+    newlyUnlocked.forEach(definition => this.notify(definition));
+    return newlyUnlocked;
+  }
+
+  /**
+   * Check if an event completes an achievement
+   * @param {object} definition - Achievement definition
+   * @param {string} type - Event type
+   * @param {object} event - Event data
+   * @returns {boolean}
+   */
+  matches(definition, type, event) {
+    if (definition.event !== type) return false;
+    if (definition.gameId && definition.gameId !== event.gameId) return false;
+
+    return Object.entries(definition.conditions || {}).every(([path, comparison]) =>
+      Object.entries(comparison).every(([operator, expected]) => {
+        const compare = OPERATORS[operator];
+        if (!compare) {
+          console.warn(`Unknown operator "${operator}" in achievement ${definition.id}`);
+          return false;
+        }
+        return compare(getPath(event, path), expected);
+      })
+    );
+  }
+
+  /**
+   * Subscribe to unlocks in this page
+   * @param {Function} listener - (definition) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onUnlock(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify unlock listeners
+   * @param {object} definition - Unlocked achievement
+   */
+  notify(definition) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(definition);
+      } catch (error) {
+        console.error('Achievement listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Merge two unlocked-achievement maps (imports, other tabs)
+   * Keeps every unlock, with the earlier timestamp if both have one.
+   * @param {object} current - Current unlocks
+   * @param {object} incoming - Incoming unlocks
+   * @returns {object} Merged unlocks
+   */
+  mergeUnlocked(current, incoming) {
+    const merged = { ...current };
+
+    Object.entries(incoming || {}).forEach(([id, entry]) => {
+      if (!entry) return;
+      if (!merged[id] || entry.unlockedAt < merged[id].unlockedAt) {
+        merged[id] = entry;
+      }
+    });
+
+    return merged;
+  }
+}
+
+/**
+ * Read a dot path from an object
+ * @param {object} object - Source object
+ * @param {string} path - Path (e.g. 'result.overall.accuracy')
+ * @returns {any} Value or undefined
+ */
+function getPath(object, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && value !== undefined ? value[key] : undefined),
+    object
+  );
+}
+
+// Export singleton instance
+export const achievementService = new AchievementService(storageService, configLoader, gameEvents);
@@ -0,0 +1,314 @@
+/**
+ * AudioService.js
+ * Sound effects synthesised with Web Audio oscillators (no audio files)
+ *
+ * Games play effects by name at their key moments:
+ *   this.playSound(SOUND_FLIP);
+ * Nothing plays unless the soundEnabled feature flag is on and the player
+ * has not muted the site. Volume and mute are stored per profile under
+ * bgc_audio_settings.
+ *
+ * Browsers only start audio after a user gesture, so the AudioContext is
+ * created on the first effect (games play their first one from a click or key).
+ */
+
+import { storageService, GLOBAL_SCOPE } from './StorageService.js';
+import { featureFlags } from './FeatureFlagService.js';
+import { ACTIVE_PROFILE_KEY } from './ProfileService.js';
+
+// Storage key for the profile's settings ({volume, muted})
+export const AUDIO_SETTINGS_KEY = 'audio_settings';
+
+export const DEFAULT_VOLUME = 0.6;
+
+// Effect names
+export const SOUND_CLICK = 'click';
+export const SOUND_FLIP = 'flip';
+export const SOUND_MATCH = 'match';
+export const SOUND_MISS = 'miss';
+export const SOUND_HIT = 'hit';
+export const SOUND_JUMP = 'jump';
+export const SOUND_COLLISION = 'collision';
+export const SOUND_TICK = 'tick';
+export const SOUND_WIN = 'win';
+export const SOUND_LOSE = 'lose';
+export const SOUND_END = 'end';
+
+// Effects as tones: {wave, from, to, at, duration, volume}
+// from/to: frequency in Hz (to glides from `from`), at/duration: seconds from the start
+const SOUNDS = {
+  [SOUND_CLICK]: [
+    { wave: 'square', from: 440, at: 0, duration: 0.04, volume: 0.15 }
+  ],
+  [SOUND_FLIP]: [
+    { wave: 'triangle', from: 600, to: 900, at: 0, duration: 0.07, volume: 0.3 }
+  ],
+  [SOUND_MATCH]: [
+    { wave: 'sine', from: 660, at: 0, duration: 0.1, volume: 0.35 },
+    { wave: 'sine', from: 880, at: 0.1, duration: 0.18, volume: 0.35 }
+  ],
+  [SOUND_MISS]: [
+    { wave: 'triangle', from: 300, to: 180, at: 0, duration: 0.18, volume: 0.3 }
+  ],
+  [SOUND_HIT]: [
+    { wave: 'square', from: 220, to: 80, at: 0, duration: 0.12, volume: 0.3 },
+    { wave: 'triangle', from: 1200, at: 0, duration: 0.04, volume: 0.2 }
+  ],
+  [SOUND_JUMP]: [
+    { wave: 'square', from: 300, to: 700, at: 0, duration: 0.15, volume: 0.2 }
+  ],
+  [SOUND_COLLISION]: [
+    { wave: 'sawtooth', from: 180, to: 50, at: 0, duration: 0.35, volume: 0.35 }
+  ],
+  [SOUND_TICK]: [
+    { wave: 'sine', from: 1000, at: 0, duration: 0.03, volume: 0.2 }
+  ],
+  [SOUND_WIN]: [
+    { wave: 'triangle', from: 523, at: 0, duration: 0.12, volume: 0.3 },
+    { wave: 'triangle', from: 659, at: 0.12, duration: 0.12, volume: 0.3 },
+    { wave: 'triangle', from: 784, at: 0.24, duration: 0.12, volume: 0.3 },
+    { wave: 'triangle', from: 1047, at: 0.36, duration: 0.35, volume: 0.35 }
+  ],
+  [SOUND_LOSE]: [
+    { wave: 'triangle', from: 392, at: 0, duration: 0.18, volume: 0.3 },
+    { wave: 'triangle', from: 330, at: 0.18, duration: 0.18, volume: 0.3 },
+    { wave: 'triangle', from: 262, to: 220, at: 0.36, duration: 0.4, volume: 0.3 }
+  ],
+  [SOUND_END]: [
+    { wave: 'sine', from: 784, at: 0, duration: 0.15, volume: 0.3 },
+    { wave: 'sine', from: 523, at: 0.15, duration: 0.3, volume: 0.3 }
+  ]
+};
+
+// Envelope attack (s) and the silent level ramps start from / end at
+const ATTACK = 0.01;
+const SILENT = 0.0001;
+
+class AudioService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {FeatureFlagService} features - Feature flags (soundEnabled)
+   */
+  constructor(storage, features) {
+    this.storage = storage;
+    this.features = features;
+    this.context = null;
+    this.masterGain = null;
+    this.unsupported = false;
+    this.listeners = new Set();
+
+    // Settings changed in another tab, or another profile became active
+    this.storage.onChange(change => {
+      const switchedProfile = change.scope === GLOBAL_SCOPE && change.key === ACTIVE_PROFILE_KEY;
+      const changedSettings = change.key === AUDIO_SETTINGS_KEY && change.scope === this.storage.getScope();
+      if (switchedProfile || changedSettings) {
+        this.handleChange();
+      }
+    });
+  }
+
+  // ====================
+  // Settings
+  // ====================
+
+  /**
+   * Load the active profile's settings
+   * @returns {{volume: number, muted: boolean}}
+   */
+  getSettings() {
+    const saved = this.storage.load(AUDIO_SETTINGS_KEY, {}) || {};
+    return {
+      volume: typeof saved.volume === 'number' ? clampVolume(saved.volume) : DEFAULT_VOLUME,
+      muted: saved.muted === true
+    };
+  }
+
+  /**
+   * Save settings for the active profile
+   * @param {object} changes - {volume, muted}
+   */
+  saveSettings(changes) {
+    this.storage.save(AUDIO_SETTINGS_KEY, { ...this.getSettings(), ...changes });
+  }
+
+  /**
+   * Get the master volume
+   * @returns {number} Volume (0-1)
+   */
+  getVolume() {
+    return this.getSettings().volume;
+  }
+
+  /**
+   * Set the master volume
+   * @param {number} volume - Volume (0-1)
+   */
+  setVolume(volume) {
+    this.saveSettings({ volume: clampVolume(Number(volume)) });
+  }
+
+  /**
+   * Check if the player muted the site
+   * @returns {boolean}
+   */
+  isMuted() {
+    return this.getSettings().muted;
+  }
+
+  /**
+   * Mute or unmute
+   * @param {boolean} muted - Muted
+   */
+  setMuted(muted) {
+    this.saveSettings({ muted: Boolean(muted) });
+  }
+
+  /**
+   * Toggle mute
+   * @returns {boolean} True if now muted
+   */
+  toggleMute() {
+    const muted = !this.isMuted();
+    this.setMuted(muted);
+    return muted;
+  }
+
+  /**
+   * Check if effects are played (soundEnabled flag on, not muted, volume above 0)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    if (!this.features.isEnabled('soundEnabled')) return false;
+
+    const { volume, muted } = this.getSettings();
+    return !muted && volume > 0;
+  }
+
+  /**
+   * Subscribe to settings changes
+   * @param {Function} listener - (settings) => void, settings as returned by getSettings()
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Update the master volume and notify listeners after a change
+   */
+  handleChange() {
+    const settings = this.getSettings();
+    if (this.masterGain) {
+      this.masterGain.gain.value = settings.volume;
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(settings);
+      } catch (error) {
+        console.error('Audio settings listener failed:', error);
+      }
+    });
+  }
+
+  // ====================
+  // Playback
+  // ====================
+
+  /**
+   * Play an effect
+   * @param {string} name - Effect name (e.g. SOUND_FLIP)
+   */
+  play(name) {
+    const sound = SOUNDS[name];
+    if (!sound) {
+      console.warn(`Unknown sound: ${name}`);
+      return;
+    }
+    if (!this.isEnabled()) return;
+
+    const context = this.getContext();
+    if (!context) return;
+
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {});
+    }
+
+    const start = context.currentTime;
+    sound.forEach(tone => this.playTone(context, tone, start));
+  }
+
+  /**
+   * Schedule one oscillator tone
+   * @param {AudioContext} context - Audio context
+   * @param {object} tone - Tone {wave, from, to, at, duration, volume}
+   * @param {number} start - Effect start time (context seconds)
+   */
+  playTone(context, tone, start) {
+    const begin = start + tone.at;
+    const end = begin + tone.duration;
+
+    const oscillator = context.createOscillator();
+    oscillator.type = tone.wave;
+    oscillator.frequency.setValueAtTime(tone.from, begin);
+    if (tone.to) {
+      oscillator.frequency.exponentialRampToValueAtTime(tone.to, end);
+    }
+
+    // Short fade in and out so tones do not click
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(SILENT, begin);
+    envelope.gain.exponentialRampToValueAtTime(tone.volume, begin + ATTACK);
+    envelope.gain.exponentialRampToValueAtTime(SILENT, end);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.masterGain);
+    oscillator.start(begin);
+    oscillator.stop(end + ATTACK);
+  }
+
+  /**
+   * Get the audio context, creating it on first use
+   * @returns {AudioContext|null} Context, or null if Web Audio is unavailable
+   */
+  getContext() {
+    if (this.context || this.unsupported) {
+      return this.context;
+    }
+
+    const AudioContextClass = typeof window !== 'undefined' &&
+      (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContextClass) {
+      console.warn('Web Audio is not supported; sounds are off');
+      this.unsupported = true;
+      return null;
+    }
+
+    try {
+      this.context = new AudioContextClass();
+      this.masterGain = this.context.createGain();
+      this.masterGain.gain.value = this.getVolume();
+      this.masterGain.connect(this.context.destination);
+    } catch (error) {
+      console.warn('Failed to start Web Audio; sounds are off:', error);
+      this.context = null;
+      this.unsupported = true;
+    }
+    return this.context;
+  }
+}
+
+/**
+ * Clamp a volume to 0-1
+ * @param {number} volume - Volume
+ * @returns {number} Volume (default volume if not a number)
+ */
+function clampVolume(volume) {
+  if (Number.isNaN(volume)) return DEFAULT_VOLUME;
+  return Math.min(1, Math.max(0, volume));
+}
+
+// Export singleton instance
+export const audioService = new AudioService(storageService, featureFlags);
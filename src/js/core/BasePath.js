@@ -0,0 +1,44 @@
+/**
+ * BasePath.js
+ * Site base URL, so the site works wherever it is served from
+ *
+ * The base is derived from this module's own URL (it lives at
+ * {base}/src/js/core/BasePath.js): '/browser-game-collection/' on GitHub
+ * Pages, '/' with `python -m http.server` in the repository root.
+ *
+ * Paths in the data files (games.json thumbnail, htmlPath, controller) are
+ * relative to the site root, e.g. 'games/memory-game-module.html'. Absolute
+ * paths ('/...') and full URLs are used as they are.
+ */
+
+// Site root URL (with trailing slash)
+let baseUrl = new URL('../../../', import.meta.url);
+
+/**
+ * Get the site base path
+ * @returns {string} Base path with trailing slash (e.g. '/browser-game-collection/')
+ */
+export function getBasePath() {
+  return baseUrl.pathname;
+}
+
+/**
+ * Override the site base (e.g. when the scripts are served from another location)
+ * @param {string} base - Base path or URL ('/games-site/', 'https://example.com/play/')
+ */
+export function setBasePath(base) {
+  const url = new URL(base, baseUrl);
+  if (!url.pathname.endsWith('/')) {
+    url.pathname += '/';
+  }
+  baseUrl = url;
+}
+
+/**
+ * Resolve a site path against the base
+ * @param {string} path - Site-relative path (e.g. 'src/assets/data/games.json')
+ * @returns {string} URL to fetch, import or navigate to
+ */
+export function resolvePath(path) {
+  return new URL(path, baseUrl).href;
+}
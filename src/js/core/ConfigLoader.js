@@ -3,6 +3,9 @@
  * Loads and caches external JSON configuration files
  */
 
+import { resolvePath } from './BasePath.js';
+import { validateGamesData, validateSiteConfig, formatIssues } from './ConfigSchema.js';
+
 class ConfigLoader {
   /**
    * Constructor
@@ -11,7 +14,9 @@ class ConfigLoader {
     // Cache for loaded configurations
     this.cache = {
       siteConfig: null,
-      gamesData: null
+      gamesData: null,
+      achievements: null,
+      messages: {}       // locale -> message catalogue
     };
   }
 
@@ -26,15 +31,21 @@ class ConfigLoader {
     }
 
     try {
-      const response = await fetch('/browser-game-collection/src/assets/data/site-config.json');
+      const response = await fetch(resolvePath('src/assets/data/site-config.json'));
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const config = await response.json();
-      this.cache.siteConfig = config;
-      return config;
+      // Fill defaults; fall back to the default config if it is unusable
+      const result = validateSiteConfig(await response.json());
+      this.reportValidation('site-config.json', result);
+      if (!result.value) {
+        throw new Error('Invalid site config');
+      }
+
+      this.cache.siteConfig = result.value;
+      return result.value;
     } catch (error) {
       console.error('Failed to load site config, using defaults:', error);
       const defaultConfig = this.getDefaultSiteConfig();
@@ -54,17 +65,22 @@ class ConfigLoader {
     }
 
     try {
-      const response = await fetch('/browser-game-collection/src/assets/data/games.json');
+      const response = await fetch(resolvePath('src/assets/data/games.json'));
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
 
-      const data = await response.json();
+      // Skip invalid games and fill defaults (enabled, daily)
+      const result = validateGamesData(await response.json());
+      this.reportValidation('games.json', result);
+      if (!result.value) {
+        throw new Error('Invalid games data');
+      }
 
       // Cache and return the data object
-      this.cache.gamesData = data;
-      return data;
+      this.cache.gamesData = result.value;
+      return result.value;
     } catch (error) {
       console.error('Failed to load games data:', error);
       this.showWarning('Failed to load games list. Please refresh the page.');
@@ -72,6 +88,59 @@ class ConfigLoader {
     }
   }
 
+  /**
+   * Load achievement definitions
+   * @returns {Promise<object>} Achievements data object with achievements array
+   */
+  async loadAchievements() {
+    // Return cached if available
+    if (this.cache.achievements) {
+      return this.cache.achievements;
+    }
+
+    try {
+      const response = await fetch(resolvePath('src/assets/data/achievements.json'));
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.cache.achievements = data;
+      return data;
+    } catch (error) {
+      console.error('Failed to load achievements:', error);
+      return { achievements: [] };
+    }
+  }
+
+  /**
+   * Load a locale's message catalogue
+   * @param {string} locale - Locale (e.g. 'en')
+   * @returns {Promise<object>} Messages (empty if the catalogue failed to load)
+   */
+  async loadMessages(locale) {
+    // Return cached if available
+    if (this.cache.messages[locale]) {
+      return this.cache.messages[locale];
+    }
+
+    try {
+      const response = await fetch(resolvePath(`src/assets/locales/${locale}.json`));
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.cache.messages[locale] = data;
+      return data;
+    } catch (error) {
+      console.error(`Failed to load ${locale} messages:`, error);
+      return {};
+    }
+  }
+
   /**
    * Get default site config (fallback)
    * @returns {object} Default configuration
@@ -106,6 +175,21 @@ class ConfigLoader {
     };
   }
 
+  /**
+   * Log a config file's validation problems, one line per field
+   * @param {string} file - File name
+   * @param {object} result - Validation result (see ConfigSchema.js)
+   */
+  reportValidation(file, result) {
+    formatIssues(result).forEach(line => {
+      if (line.startsWith('error')) {
+        console.error(`${file}: ${line}`);
+      } else {
+        console.warn(`${file}: ${line}`);
+      }
+    });
+  }
+
   /**
    * Show warning to user
    * @param {string} message - Warning message
@@ -121,6 +205,8 @@ class ConfigLoader {
   clearCache() {
     this.cache.siteConfig = null;
     this.cache.gamesData = null;
+    this.cache.achievements = null;
+    this.cache.messages = {};
   }
 }
 
@@ -0,0 +1,392 @@
+/**
+ * ConfigSchema.js
+ * Schemas and validator for games.json and site-config.json
+ *
+ * No browser APIs, so the same checks run in ConfigLoader and in
+ * scripts/validate-config.mjs (Node).
+ *
+ * Modes:
+ *   strict  - every problem is an error and no value is returned
+ *   lenient - the data is repaired where possible: invalid games are skipped
+ *             (their problems are still errors), invalid optional fields fall
+ *             back to their default and unknown fields are kept (warnings)
+ * Missing optional fields are filled with their defaults in both modes.
+ *
+ * Issues are reported per field: {path: 'games[2].htmlPath', message: 'Required field is missing'}
+ */
+
+export const VALIDATION_STRICT = 'strict';
+export const VALIDATION_LENIENT = 'lenient';
+
+// Difficulty levels, alone or as a range ("easy - hard")
+const DIFFICULTY_LEVELS = 'easy|normal|medium|hard';
+
+// Locales with a message catalogue in src/assets/locales/
+export const SUPPORTED_LOCALES = ['en', 'ja'];
+
+// A game's text in one locale (games.json "i18n": {"ja": {...}}); missing fields use the defaults
+const GAME_TEXT_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 50 },
+    description: { type: 'string', minLength: 1 },
+    estimatedTime: { type: 'string', minLength: 1 }
+  }
+};
+
+// games.json
+export const GAMES_SCHEMA = {
+  type: 'object',
+  properties: {
+    games: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      uniqueBy: 'id',
+      dropInvalid: true,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, format: 'kebab-case' },
+          title: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+          description: { type: 'string', required: true, minLength: 1 },
+          thumbnail: { type: 'string', required: true, pattern: /\.(svg|png|webp|jpe?g)$/, format: 'an image path (.svg, .png, .webp, .jpg)' },
+          difficulty: {
+            type: 'string',
+            required: true,
+            pattern: new RegExp(`^(${DIFFICULTY_LEVELS})( - (${DIFFICULTY_LEVELS}))?$`),
+            format: 'easy, normal, medium, hard or a range like "easy - hard"'
+          },
+          estimatedTime: { type: 'string', required: true, minLength: 1 },
+          category: { type: 'string', required: true, pattern: /^[a-z]+(-[a-z]+)*$/, format: 'kebab-case' },
+          htmlPath: { type: 'string', required: true, pattern: /\.html$/, format: 'a path ending in .html' },
+          controller: { type: 'string', pattern: /\.js$/, format: 'a path ending in .js' },
+          daily: { type: 'boolean', default: false },
+          enabled: { type: 'boolean', default: true },
+          i18n: {
+            type: 'object',
+            properties: Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, GAME_TEXT_SCHEMA]))
+          }
+        }
+      }
+    }
+  }
+};
+
+// site-config.json
+export const SITE_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    site: {
+      type: 'object',
+      required: true,
+      properties: {
+        title: { type: 'string', required: true, minLength: 1 },
+        description: { type: 'string', default: '' },
+        version: { type: 'string', pattern: /^\d+\.\d+\.\d+$/, format: 'a version like 1.0.0', default: '1.0.0' },
+        language: { type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/, format: 'a language code like en', default: 'en' },
+        author: { type: 'string', default: '' },
+        keywords: { type: 'array', items: { type: 'string' }, default: [] }
+      }
+    },
+    features: {
+      type: 'object',
+      default: {},
+      properties: {
+        adsEnabled: { type: 'boolean', default: true },
+        soundEnabled: { type: 'boolean', default: false },
+        darkModeEnabled: { type: 'boolean', default: false },
+        responsiveEnabled: { type: 'boolean', default: false }
+      }
+    },
+    ads: {
+      type: 'object',
+      default: {},
+      properties: {
+        provider: { type: 'string', default: 'Google AdSense' },
+        showOnTopPage: { type: 'boolean', default: true },
+        showBeforeGame: { type: 'boolean', default: true },
+        showAfterGame: { type: 'boolean', default: true },
+        skipDelay: { type: 'number', min: 0, integer: true, default: 5 }
+      }
+    },
+    storage: {
+      type: 'object',
+      default: {},
+      properties: {
+        provider: { type: 'string', enum: ['localStorage', 'indexedDB', 'memory'], default: 'localStorage' },
+        prefix: { type: 'string', pattern: /^[a-z0-9_]+$/i, format: 'letters, digits and _', default: 'bgc_' }
+      }
+    }
+  }
+};
+
+/**
+ * Validate data against a schema
+ * @param {any} data - Parsed JSON
+ * @param {object} schema - Schema (e.g. GAMES_SCHEMA)
+ * @param {object} [options] - {mode: 'strict'|'lenient'} (default lenient)
+ * @returns {{valid: boolean, value: any, errors: Array<object>, warnings: Array<object>}}
+ *   value is the data with defaults applied (repaired in lenient mode), or null if unusable
+ */
+export function validate(data, schema, options = {}) {
+  const strict = options.mode === VALIDATION_STRICT;
+  const report = checkValue(data, schema, '', strict);
+
+  return {
+    valid: report.errors.length === 0,
+    value: report.ok && (!strict || report.errors.length === 0) ? report.value : null,
+    errors: report.errors,
+    warnings: report.warnings
+  };
+}
+
+/**
+ * Validate games.json
+ * @param {any} data - Parsed games.json
+ * @param {object} [options] - {mode}
+ * @returns {object} Validation result (see validate)
+ */
+export function validateGamesData(data, options = {}) {
+  return validate(data, GAMES_SCHEMA, options);
+}
+
+/**
+ * Validate site-config.json
+ * @param {any} data - Parsed site-config.json
+ * @param {object} [options] - {mode}
+ * @returns {object} Validation result (see validate)
+ */
+export function validateSiteConfig(data, options = {}) {
+  return validate(data, SITE_CONFIG_SCHEMA, options);
+}
+
+/**
+ * Format a validation result as readable lines
+ * @param {object} result - Validation result
+ * @returns {Array<string>} Lines like 'error games[2].htmlPath: Required field is missing'
+ */
+export function formatIssues(result) {
+  const format = (level, issue) => `${level} ${issue.path || '(root)'}: ${issue.message}`;
+  return [
+    ...result.errors.map(issue => format('error', issue)),
+    ...result.warnings.map(issue => format('warning', issue))
+  ];
+}
+
+// ====================
+// Checks
+// ====================
+
+/**
+ * Check a value against a schema node
+ * @param {any} value - Value
+ * @param {object} schema - Schema node
+ * @param {string} path - Field path for issues
+ * @param {boolean} strict - Strict mode
+ * @returns {{ok: boolean, value: any, errors: Array<object>, warnings: Array<object>}}
+ *   ok is false if the value cannot be used
+ */
+function checkValue(value, schema, path, strict) {
+  const report = { ok: true, value, errors: [], warnings: [] };
+  const fail = message => {
+    report.ok = false;
+    report.errors.push({ path, message });
+  };
+
+  switch (schema.type) {
+    case 'object':
+      if (!isPlainObject(value)) {
+        fail(`Expected an object, got ${describe(value)}`);
+      } else {
+        checkObject(value, schema, path, strict, report);
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        fail(`Expected an array, got ${describe(value)}`);
+      } else {
+        checkArray(value, schema, path, strict, report);
+      }
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        fail(`Expected a string, got ${describe(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        fail(`Unknown value "${value}", expected one of: ${schema.enum.join(', ')}`);
+      } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail(value.length === 0 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters`);
+      } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail(`Must be at most ${schema.maxLength} characters`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        fail(`Invalid value "${value}", expected ${schema.format || schema.pattern}`);
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        fail(`Expected a number, got ${describe(value)}`);
+      } else if (schema.integer && !Number.isInteger(value)) {
+        fail(`Expected a whole number, got ${value}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        fail(`Must be at least ${schema.min}`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        fail(`Must be at most ${schema.max}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        fail(`Expected true or false, got ${describe(value)}`);
+      }
+      break;
+
+    default:
+      fail(`Unknown schema type: ${schema.type}`);
+  }
+
+  return report;
+}
+
+/**
+ * Check an object's fields (fills defaults, reports unknown fields)
+ * @param {object} value - Object
+ * @param {object} schema - Object schema node
+ * @param {string} path - Object path
+ * @param {boolean} strict - Strict mode
+ * @param {object} report - Report to fill
+ */
+function checkObject(value, schema, path, strict, report) {
+  const result = {};
+
+  Object.entries(schema.properties).forEach(([key, field]) => {
+    const fieldPath = path ? `${path}.${key}` : key;
+
+    if (value[key] === undefined) {
+      if (field.required) {
+        report.ok = false;
+        report.errors.push({ path: fieldPath, message: 'Required field is missing' });
+      } else if ('default' in field) {
+        result[key] = getDefault(field, fieldPath);
+      }
+      return;
+    }
+
+    const child = checkValue(value[key], field, fieldPath, strict);
+    report.warnings.push(...child.warnings);
+
+    if (child.ok) {
+      result[key] = child.value;
+      report.errors.push(...child.errors);
+    } else if (field.required || strict) {
+      report.ok = false;
+      report.errors.push(...child.errors);
+    } else {
+      // Lenient: fall back to the default (or drop the field)
+      report.warnings.push(...child.errors);
+      if ('default' in field) {
+        result[key] = getDefault(field, fieldPath);
+        report.warnings.push({ path: fieldPath, message: `Using default ${JSON.stringify(field.default)}` });
+      } else {
+        report.warnings.push({ path: fieldPath, message: 'Field ignored' });
+      }
+    }
+  });
+
+  Object.keys(value)
+    .filter(key => !(key in schema.properties))
+    .forEach(key => {
+      const issue = { path: path ? `${path}.${key}` : key, message: 'Unknown field' };
+      if (strict) {
+        report.ok = false;
+        report.errors.push(issue);
+      } else {
+        report.warnings.push(issue);
+        result[key] = value[key];
+      }
+    });
+
+  report.value = result;
+}
+
+/**
+ * Check an array's items (skips invalid items in lenient mode if allowed)
+ * @param {Array} value - Array
+ * @param {object} schema - Array schema node
+ * @param {string} path - Array path
+ * @param {boolean} strict - Strict mode
+ * @param {object} report - Report to fill
+ */
+function checkArray(value, schema, path, strict, report) {
+  const items = [];
+  const seen = new Set();
+
+  value.forEach((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    const child = checkValue(item, schema.items, itemPath, strict);
+    report.warnings.push(...child.warnings);
+
+    if (child.ok && schema.uniqueBy) {
+      const key = child.value[schema.uniqueBy];
+      if (seen.has(key)) {
+        child.ok = false;
+        child.errors.push({ path: `${itemPath}.${schema.uniqueBy}`, message: `Duplicate ${schema.uniqueBy} "${key}"` });
+      }
+      seen.add(key);
+    }
+
+    report.errors.push(...child.errors);
+
+    if (child.ok) {
+      items.push(child.value);
+    } else if (strict || !schema.dropInvalid) {
+      report.ok = false;
+    } else {
+      report.warnings.push({ path: itemPath, message: 'Entry skipped' });
+    }
+  });
+
+  // Only dropped entries count against minItems; kept invalid ones already have their own errors
+  const count = strict || !schema.dropInvalid ? value.length : items.length;
+  if (schema.minItems !== undefined && count < schema.minItems) {
+    report.ok = false;
+    report.errors.push({ path, message: `Expected at least ${schema.minItems} valid entr${schema.minItems === 1 ? 'y' : 'ies'}` });
+  }
+
+  report.value = items;
+}
+
+/**
+ * Get a field's default value (objects get their own fields' defaults)
+ * @param {object} field - Schema node with a default
+ * @param {string} path - Field path
+ * @returns {any} Default value (a fresh copy)
+ */
+function getDefault(field, path) {
+  const value = JSON.parse(JSON.stringify(field.default));
+  return field.type === 'object' ? checkValue(value, field, path, false).value : value;
+}
+
+/**
+ * Check for a plain object (not null or an array)
+ * @param {any} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Describe a value's type for messages
+ * @param {any} value - Value
+ * @returns {string} e.g. 'a string ("yes")', 'null', 'an array'
+ */
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `a string ("${value}")`;
+  if (typeof value === 'object') return 'an object';
+  return `${typeof value === 'number' ? 'a number' : `a ${typeof value}`} (${value})`;
+}
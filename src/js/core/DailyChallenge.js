@@ -0,0 +1,115 @@
+/**
+ * DailyChallenge.js
+ * Daily Challenge dates and seeds
+ *
+ * Everyone playing a game's Daily Challenge on the same date gets the same
+ * seed, so the Memory layout, mole pattern, N-Back sequence and Runner course
+ * are shared for the day. Game pages opened with ?daily=1 play the challenge.
+ */
+
+import { parseSeed } from '../utils/SeededRandom.js';
+import { getPageParams } from '../utils/helpers.js';
+
+// Storage key for official attempts (per profile)
+export const DAILY_KEY = 'daily_challenge';
+
+// Days of attempts kept (oldest are dropped first)
+export const DAILY_HISTORY_DAYS = 366;
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date key for a day (local calendar date)
+ * @param {Date|number} date - Date or timestamp (default now)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function getDateKey(date = new Date()) {
+  const day = new Date(date);
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  const dayOfMonth = String(day.getDate()).padStart(2, '0');
+  return `${day.getFullYear()}-${month}-${dayOfMonth}`;
+}
+
+/**
+ * Date key of the day before
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export function getPreviousDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  // Noon avoids landing on the wrong day around daylight saving changes
+  return getDateKey(new Date(year, month - 1, day, 12).getTime() - ONE_DAY_MS);
+}
+
+/**
+ * Seed of a game's challenge on a date
+ * @param {string} gameId - Game ID
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {number} Seed
+ */
+export function getDailySeed(gameId, dateKey) {
+  return parseSeed(`daily:${dateKey}:${gameId}`);
+}
+
+/**
+ * Check if the page was opened as a Daily Challenge (?daily=1)
+ * @returns {boolean}
+ */
+export function isDailyMode() {
+  const value = getPageParams().get('daily');
+  return value !== null && value !== '0' && value !== 'false';
+}
+
+/**
+ * Count consecutive days with an attempt
+ * A streak stays alive until the end of the day after the last attempt, so
+ * it counts back from today, or from yesterday if today is not played yet.
+ * @param {Set<string>} playedDates - Date keys with an attempt
+ * @param {string} today - Today's date key
+ * @returns {number} Current streak (days)
+ */
+export function countStreak(playedDates, today) {
+  let dateKey = playedDates.has(today) ? today : getPreviousDateKey(today);
+  let streak = 0;
+
+  while (playedDates.has(dateKey)) {
+    streak++;
+    dateKey = getPreviousDateKey(dateKey);
+  }
+
+  return streak;
+}
+
+/**
+ * Longest run of consecutive days with an attempt
+ * @param {Set<string>} playedDates - Date keys with an attempt
+ * @returns {number} Best streak (days)
+ */
+export function countBestStreak(playedDates) {
+  let best = 0;
+
+  playedDates.forEach(dateKey => {
+    // Only count from the first day of each run
+    if (playedDates.has(getPreviousDateKey(dateKey))) return;
+
+    let length = 0;
+    let day = dateKey;
+    while (playedDates.has(day)) {
+      length++;
+      day = getNextDateKey(day);
+    }
+    best = Math.max(best, length);
+  });
+
+  return best;
+}
+
+/**
+ * Date key of the day after
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getNextDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getDateKey(new Date(year, month - 1, day, 12).getTime() + ONE_DAY_MS);
+}
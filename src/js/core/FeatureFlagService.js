@@ -0,0 +1,277 @@
+/**
+ * FeatureFlagService.js
+ * Feature flags from site-config.json with per-profile and URL overrides
+ *
+ * A flag's value comes from, in order of precedence:
+ *   1. the page URL, for testing: ?soundEnabled=1&adsEnabled=0 (1/true/on, 0/false/off)
+ *   2. the active profile's override (Settings on the Stats page), stored under bgc_feature_flags
+ *   3. features in site-config.json
+ *
+ * ready() also applies the flags to the page:
+ *   adsEnabled        - ad slots are shown and the AdSense script is loaded
+ *   darkModeEnabled   - the dark theme can be used (applied by ThemeService)
+ *   responsiveEnabled - mobile layout (otherwise a fixed 1024px-wide viewport)
+ *   soundEnabled      - game sound effects (checked by AudioService)
+ */
+
+import { storageService, GLOBAL_SCOPE } from './StorageService.js';
+import { configLoader } from './ConfigLoader.js';
+import { gameDataService } from './GameDataService.js';
+import { ACTIVE_PROFILE_KEY } from './ProfileService.js';
+import { getPageParams } from '../utils/helpers.js';
+
+// Storage key for the profile's overrides ({flag: boolean})
+export const FEATURE_FLAGS_KEY = 'feature_flags';
+
+// Known flags with their labels and defaults (when site-config.json has none)
+export const FEATURE_FLAGS = {
+  adsEnabled: { label: 'Show ads', default: true },
+  soundEnabled: { label: 'Sound effects', default: false },
+  darkModeEnabled: { label: 'Dark theme', default: false },
+  responsiveEnabled: { label: 'Mobile layout', default: false }
+};
+
+// Where a flag's value came from
+export const SOURCE_URL = 'url';
+export const SOURCE_USER = 'user';
+export const SOURCE_CONFIG = 'config';
+
+// Viewport used when the mobile layout is turned off
+const FIXED_VIEWPORT = 'width=1024';
+
+// AdSense script (only added to the page while ads are on)
+const ADSENSE_SCRIPT_URL = 'https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-4826094295702322';
+
+class FeatureFlagService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {ConfigLoader} loader - Config loader instance
+   * @param {GameDataService} dataService - Game data service (storage must be ready before reading overrides)
+   */
+  constructor(storage, loader, dataService) {
+    this.storage = storage;
+    this.loader = loader;
+    this.dataService = dataService;
+    this.config = {};
+    this.readyPromise = null;
+    this.listeners = new Set();
+    this.defaultViewport = null;
+
+    // Overrides changed in another tab, or another profile became active
+    this.storage.onChange(change => {
+      const switchedProfile = change.scope === GLOBAL_SCOPE && change.key === ACTIVE_PROFILE_KEY;
+      const changedOverrides = change.key === FEATURE_FLAGS_KEY && change.scope === this.storage.getScope();
+      if (switchedProfile || changedOverrides) {
+        this.handleChange();
+      }
+    });
+  }
+
+  /**
+   * Load the configured flags and apply them to the page (once per page)
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initialize();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Load site config features after storage is ready, then apply
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.dataService.ready();
+
+    try {
+      const siteConfig = await this.loader.loadSiteConfig();
+      this.config = siteConfig.features || {};
+    } catch (error) {
+      console.warn('Failed to load feature flags, using defaults:', error);
+    }
+
+    this.applyToPage();
+  }
+
+  // ====================
+  // Flags
+  // ====================
+
+  /**
+   * Check if a feature is on
+   * @param {string} flag - Flag name (e.g. 'soundEnabled')
+   * @returns {boolean}
+   */
+  isEnabled(flag) {
+    return this.resolve(flag).enabled;
+  }
+
+  /**
+   * Resolve a flag's value and where it came from
+   * @param {string} flag - Flag name
+   * @returns {{enabled: boolean, source: string}} source: 'url' | 'user' | 'config'
+   */
+  resolve(flag) {
+    if (!FEATURE_FLAGS[flag]) {
+      console.warn(`Unknown feature flag: ${flag}`);
+      return { enabled: false, source: SOURCE_CONFIG };
+    }
+
+    const fromUrl = parseFlagValue(getPageParams().get(flag));
+    if (fromUrl !== null) {
+      return { enabled: fromUrl, source: SOURCE_URL };
+    }
+
+    const overrides = this.loadOverrides();
+    if (typeof overrides[flag] === 'boolean') {
+      return { enabled: overrides[flag], source: SOURCE_USER };
+    }
+
+    const configured = this.config[flag];
+    return {
+      enabled: typeof configured === 'boolean' ? configured : FEATURE_FLAGS[flag].default,
+      source: SOURCE_CONFIG
+    };
+  }
+
+  /**
+   * Get every flag
+   * @returns {object} {flag: {enabled, source, label}}
+   */
+  getFlags() {
+    const flags = {};
+    Object.entries(FEATURE_FLAGS).forEach(([flag, definition]) => {
+      flags[flag] = { ...this.resolve(flag), label: definition.label };
+    });
+    return flags;
+  }
+
+  /**
+   * Load the active profile's overrides
+   * @returns {object} {flag: boolean}
+   */
+  loadOverrides() {
+    const overrides = this.storage.load(FEATURE_FLAGS_KEY, {});
+    return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+  }
+
+  /**
+   * Override a flag for the active profile
+   * @param {string} flag - Flag name
+   * @param {boolean|null} enabled - Value, or null to use the site setting again
+   */
+  setOverride(flag, enabled) {
+    if (!FEATURE_FLAGS[flag]) {
+      console.warn(`Unknown feature flag: ${flag}`);
+      return;
+    }
+
+    const overrides = this.loadOverrides();
+    if (enabled === null) {
+      delete overrides[flag];
+    } else {
+      overrides[flag] = Boolean(enabled);
+    }
+
+    if (Object.keys(overrides).length === 0) {
+      this.storage.remove(FEATURE_FLAGS_KEY);
+    } else {
+      this.storage.save(FEATURE_FLAGS_KEY, overrides);
+    }
+  }
+
+  /**
+   * Subscribe to flag changes
+   * @param {Function} listener - (flags) => void, flags as returned by getFlags()
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Re-apply and notify listeners after a change
+   */
+  handleChange() {
+    if (!this.readyPromise) return;
+
+    this.applyToPage();
+
+    const flags = this.getFlags();
+    this.listeners.forEach(listener => {
+      try {
+        listener(flags);
+      } catch (error) {
+        console.error('Feature flag listener failed:', error);
+      }
+    });
+  }
+
+  // ====================
+  // Page Effects
+  // ====================
+
+  /**
+   * Apply ads and layout flags to the page
+   */
+  applyToPage() {
+    if (typeof document === 'undefined') return;
+
+    this.applyAds(this.isEnabled('adsEnabled'));
+    this.applyResponsive(this.isEnabled('responsiveEnabled'));
+  }
+
+  /**
+   * Load AdSense when ads are on; hide its ad units when they are turned off
+   * (a script already loaded stays, but its units are hidden)
+   * @param {boolean} enabled - Ads on
+   */
+  applyAds(enabled) {
+    document.documentElement.classList.toggle('ads-disabled', !enabled);
+
+    if (enabled && !document.querySelector(`script[src="${ADSENSE_SCRIPT_URL}"]`)) {
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = ADSENSE_SCRIPT_URL;
+      script.crossOrigin = 'anonymous';
+      document.head.appendChild(script);
+    }
+  }
+
+  /**
+   * Switch between the page's own viewport and a fixed desktop width
+   * @param {boolean} enabled - Mobile layout on
+   */
+  applyResponsive(enabled) {
+    const viewport = document.querySelector('meta[name="viewport"]');
+    if (!viewport) return;
+
+    if (this.defaultViewport === null) {
+      this.defaultViewport = viewport.getAttribute('content');
+    }
+    viewport.setAttribute('content', enabled ? this.defaultViewport : FIXED_VIEWPORT);
+  }
+}
+
+/**
+ * Parse a flag value from the URL
+ * @param {string|null} value - Parameter value
+ * @returns {boolean|null} Value or null if not given / not recognised
+ */
+function parseFlagValue(value) {
+  if (value === null) return null;
+
+  const normalized = value.toLowerCase();
+  if (['1', 'true', 'on', ''].includes(normalized)) return true;
+  if (['0', 'false', 'off'].includes(normalized)) return false;
+
+  console.warn(`Ignoring feature flag value "${value}" (use 1 or 0)`);
+  return null;
+}
+
+// Export singleton instance
+export const featureFlags = new FeatureFlagService(storageService, configLoader, gameDataService);
@@ -3,174 +3,825 @@
  * Handles game-specific data operations (high scores, statistics)
  */
 
-import { storageService } from './StorageService.js';
+import { storageService, serialize, IMPORT_MERGE, GLOBAL_SCOPE, CHANGE_IMPORT } from './StorageService.js';
+import { scoreRegistry, METRIC_BEST, METRIC_TALLY } from './ScoreRegistry.js';
+import { migrationService } from './MigrationService.js';
+import { profileService, PROFILES_KEY } from './ProfileService.js';
+import { configLoader } from './ConfigLoader.js';
+import {
+  DAILY_KEY,
+  DAILY_HISTORY_DAYS,
+  getDateKey,
+  countStreak,
+  countBestStreak
+} from './DailyChallenge.js';
+import { achievementService, ACHIEVEMENTS_KEY } from './AchievementService.js';
+
+// Maximum number of sessions kept per game (oldest are dropped first)
+const HISTORY_LIMIT = 100;
+
+const ONE_WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Outcome of an official Daily Challenge attempt that was started but not finished
+const DAILY_UNFINISHED = 'unfinished';
 
 class GameDataService {
   /**
    * Constructor
    * @param {StorageService} storage - Storage service instance
+   * @param {ScoreRegistry} registry - Score registry instance
+   * @param {MigrationService} migrations - Migration service instance
+   * @param {ProfileService} profiles - Profile service instance
    */
-  constructor(storage) {
+  constructor(storage, registry, migrations, profiles) {
     this.storage = storage;
+    this.registry = registry;
+    this.migrations = migrations;
+    this.profiles = profiles;
+    this.readyPromise = null;
+
+    // Repair records that another tab overwrote with a worse value
+    this.storage.onChange(change => this.reconcileRemoteChange(change));
+  }
+
+  /**
+   * Prepare stored data before first use
+   * Switches to the storage provider configured in site-config.json, activates
+   * the last used profile, then upgrades every profile's data to the current
+   * schema. Runs once per page.
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initializeStorage();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Configure storage and run migrations
+   * @returns {Promise<void>}
+   */
+  async initializeStorage() {
+    try {
+      const siteConfig = await configLoader.loadSiteConfig();
+      await this.storage.configure(siteConfig.storage || {});
+    } catch (error) {
+      console.error('Failed to configure storage, using default provider:', error);
+    }
+
+    this.profiles.load();
+
+    // Add ?migrations=dry-run to the URL to only log what would change
+    const dryRun = typeof window !== 'undefined' &&
+      new URLSearchParams(window.location.search).get('migrations') === 'dry-run';
+    this.profiles.getProfiles().forEach(profile => {
+      this.storage.runInScope(this.profiles.getScope(profile.id), () => {
+        this.migrations.run({ dryRun });
+      });
+    });
   }
 
   // ====================
-  // Memory Game Methods
+  // Score Records
   // ====================
 
   /**
-   * Save Memory Game score
-   * @param {number} moves - Number of moves made
-   * @returns {boolean} True if new high score (lower is better)
+   * Save a finished game's result
+   * Best-value games keep the better score according to the game's order,
+   * tally games increment the counter for the result's outcome.
+   * Every result is also appended to the game's session history.
+   * @param {string} gameId - Game ID
+   * @param {object} result - Game result (shape declared by the score definition)
+   * @param {object} [details] - Session details {outcome, difficulty, duration, seed}
+   * @returns {{isNewRecord: boolean, record: number|object|null}} Save outcome
+   */
+  saveResult(gameId, result, details = {}) {
+    const definition = this.registry.get(gameId);
+    if (!definition) {
+      console.error(`No score definition for game: ${gameId}`);
+      return { isNewRecord: false, record: null };
+    }
+
+    this.addSession(definition, result, details);
+
+    if (definition.metric === METRIC_TALLY) {
+      return this.saveTallyResult(definition, result);
+    }
+
+    return this.saveBestResult(definition, result, details);
+  }
+
+  /**
+   * Load a game's record
+   * @param {string} gameId - Game ID
+   * @returns {number|object|null} Best value, tally record, or null if none saved
    */
-  saveMemoryGameScore(moves) {
-    const currentBest = this.loadMemoryGameHighScore();
+  loadRecord(gameId) {
+    const definition = this.registry.get(gameId);
+    if (!definition) {
+      return null;
+    }
+
+    if (definition.metric === METRIC_TALLY) {
+      return this.loadTally(definition);
+    }
 
-    // Lower is better for Memory Game
-    if (currentBest === null || moves < currentBest) {
-      this.storage.save('memory-game_highscore', moves);
-      return true;  // New high score!
+    if (definition.perDifficulty) {
+      return this.loadDifficultyBests(definition);
     }
 
-    return false;  // Not a new record
+    return this.storage.loadNumber(definition.storageKey, null);
   }
 
   /**
-   * Load Memory Game high score
-   * @returns {number|null} High score (minimum moves) or null if no score saved
+   * Save best-value result
+   * Per-difficulty games compare against (and return) the best at the session's difficulty.
+   * @param {object} definition - Score definition
+   * @param {object} result - Game result
+   * @param {object} [details] - Session details {difficulty}
+   * @returns {{isNewRecord: boolean, record: number|null}}
    */
-  loadMemoryGameHighScore() {
-    const score = this.storage.load('memory-game_highscore', null);
-    return score === null ? null : Number(score);
+  saveBestResult(definition, result, details = {}) {
+    const score = Number(definition.getScore(result));
+    const bests = definition.perDifficulty ? this.loadDifficultyBests(definition) || {} : null;
+    const currentBest = bests
+      ? (bests[details.difficulty] !== undefined ? bests[details.difficulty] : null)
+      : this.loadRecord(definition.id);
+
+    if (isNaN(score)) {
+      console.error(`Invalid score for ${definition.id}:`, result);
+      return { isNewRecord: false, record: currentBest };
+    }
+
+    if (this.registry.isBetter(definition.id, score, currentBest)) {
+      this.storage.save(definition.storageKey, bests ? { ...bests, [details.difficulty]: score } : score);
+      return { isNewRecord: true, record: score };  // New high score!
+    }
+
+    return { isNewRecord: false, record: currentBest };  // Not a new record
   }
 
-  // ========================
-  // Tic-Tac-Toe Methods
-  // ========================
+  /**
+   * Load per-difficulty bests, dropping invalid entries
+   * @param {object} definition - Score definition (perDifficulty)
+   * @returns {object|null} {difficulty: best} or null if none saved
+   */
+  loadDifficultyBests(definition) {
+    const stored = this.storage.load(definition.storageKey, null);
+    const bests = {};
+
+    if (isPlainObject(stored)) {
+      Object.entries(stored).forEach(([difficulty, value]) => {
+        if (typeof value === 'number' && !isNaN(value)) {
+          bests[difficulty] = value;
+        }
+      });
+    }
+
+    return Object.keys(bests).length > 0 ? bests : null;
+  }
+
+  /**
+   * Save tally result
+   * @param {object} definition - Score definition
+   * @param {object} result - Game result
+   * @returns {{isNewRecord: boolean, record: object}}
+   */
+  saveTallyResult(definition, result) {
+    const record = this.loadTally(definition);
+    const outcome = definition.getOutcome(result);
+    const field = definition.counters[outcome];
+
+    if (!field) {
+      console.error(`Invalid result: ${outcome}`);
+      return { isNewRecord: false, record };
+    }
+
+    record[field]++;
+    this.storage.save(definition.storageKey, record);
+
+    return { isNewRecord: false, record };
+  }
 
   /**
-   * Save Tic-Tac-Toe game result
-   * @param {string} result - 'win', 'loss', or 'draw'
+   * Load tally record with all counters present
+   * @param {object} definition - Score definition
+   * @returns {object} Counters object (e.g. {wins, losses, draws})
+   */
+  loadTally(definition) {
+    const stored = this.storage.load(definition.storageKey, {});
+    const record = {};
+
+    Object.values(definition.counters).forEach(field => {
+      record[field] = Number(stored && stored[field]) || 0;
+    });
+
+    return record;
+  }
+
+  // ====================
+  // Session History
+  // ====================
+
+  /**
+   * Append a finished session to the game's history
+   * @param {object} definition - Score definition
+   * @param {object} result - Game result
+   * @param {object} details - Session details {outcome, difficulty, duration, seed}
    * @returns {boolean} Success status
    */
-  saveTicTacToeResult(result) {
-    const stats = this.loadTicTacToeStats();
-
-    // Increment appropriate counter
-    if (result === 'win') {
-      stats.wins++;
-    } else if (result === 'loss') {
-      stats.losses++;
-    } else if (result === 'draw') {
-      stats.draws++;
-    } else {
-      console.error(`Invalid result: ${result}`);
-      return false;
+  addSession(definition, result, details) {
+    const score = definition.metric === METRIC_BEST
+      ? Number(definition.getScore(result))
+      : null;
+
+    const outcome = details.outcome !== undefined
+      ? details.outcome
+      : (definition.getOutcome ? definition.getOutcome(result) : null);
+
+    const session = {
+      timestamp: Date.now(),
+      score: score === null || isNaN(score) ? null : score,
+      duration: details.duration !== undefined ? details.duration : null,
+      difficulty: details.difficulty !== undefined ? details.difficulty : null,
+      outcome: outcome !== undefined ? outcome : null,
+      seed: details.seed !== undefined ? details.seed : null
+    };
+
+    const history = this.loadHistory(definition.id);
+    history.push(session);
+
+    // Keep history bounded
+    if (history.length > HISTORY_LIMIT) {
+      history.splice(0, history.length - HISTORY_LIMIT);
     }
 
-    // Save updated stats
-    return this.storage.save('tic-tac-toe_stats', stats);
+    return this.storage.save(this.getHistoryKey(definition.id), history);
+  }
+
+  /**
+   * Load a game's session history
+   * @param {string} gameId - Game ID
+   * @returns {Array<object>} Sessions, oldest first
+   *   [{timestamp, score, duration, difficulty, outcome, seed}]
+   */
+  loadHistory(gameId) {
+    const history = this.storage.load(this.getHistoryKey(gameId), []);
+    return Array.isArray(history) ? history : [];
+  }
+
+  /**
+   * Get the most recent sessions
+   * @param {string} gameId - Game ID
+   * @param {number} count - Number of sessions
+   * @returns {Array<object>} Sessions, newest first
+   */
+  getRecentSessions(gameId, count = 10) {
+    return this.loadHistory(gameId).slice(-count).reverse();
+  }
+
+  /**
+   * Get sessions played since a given time
+   * @param {string} gameId - Game ID
+   * @param {number} since - Timestamp in ms
+   * @returns {Array<object>} Sessions, oldest first
+   */
+  getSessionsSince(gameId, since) {
+    return this.loadHistory(gameId).filter(session => session.timestamp >= since);
   }
 
   /**
-   * Load Tic-Tac-Toe statistics
-   * @returns {object} Statistics object {wins, losses, draws}
+   * Get the best score of the last 7 days
+   * @param {string} gameId - Game ID
+   * @param {number} now - Current timestamp in ms (default Date.now())
+   * @returns {number|object|null} Best score ({difficulty: best} for per-difficulty games)
+   *   or null if no scored session this week
    */
-  loadTicTacToeStats() {
-    return this.storage.load('tic-tac-toe_stats', {
-      wins: 0,
-      losses: 0,
-      draws: 0
+  getBestThisWeek(gameId, now = Date.now()) {
+    const definition = this.registry.get(gameId);
+    const sessions = this.getSessionsSince(gameId, now - ONE_WEEK_MS);
+    const bests = {};
+
+    sessions.forEach(session => {
+      if (session.score === null) return;
+      const group = definition && definition.perDifficulty ? session.difficulty : '';
+      const best = bests[group] !== undefined ? bests[group] : null;
+      if (this.registry.isBetter(gameId, session.score, best)) {
+        bests[group] = session.score;
+      }
     });
+
+    if (definition && definition.perDifficulty) {
+      return Object.keys(bests).length > 0 ? bests : null;
+    }
+    return bests[''] !== undefined ? bests[''] : null;
+  }
+
+  /**
+   * Get average score and duration
+   * @param {string} gameId - Game ID
+   * @param {number} since - Only include sessions from this timestamp (default all)
+   * @returns {{count: number, score: number|null, duration: number|null}} Averages
+   */
+  getAverages(gameId, since = 0) {
+    const sessions = this.getSessionsSince(gameId, since);
+
+    return {
+      count: sessions.length,
+      score: average(sessions.map(session => session.score)),
+      duration: average(sessions.map(session => session.duration))
+    };
   }
 
-  // =======================
-  // Whack-a-Mole Methods
-  // =======================
+  // ====================
+  // Daily Challenge
+  // ====================
 
   /**
-   * Save Whack-a-Mole score
-   * @param {number} score - Score achieved
-   * @returns {boolean} True if new high score (higher is better)
+   * Claim the official Daily Challenge attempt when a daily game starts
+   * Only the first game started that day counts (the official attempt), stored
+   * as unfinished until its result is recorded, so restarting or leaving a bad
+   * run does not give another official try. Later games are practice.
+   * @param {string} gameId - Game ID
+   * @param {string} dateKey - Challenge date 'YYYY-MM-DD'
+   * @param {object} [details] - Session details {seed}
+   * @returns {boolean} True if this game is the official attempt
    */
-  saveWhackAMoleScore(score) {
-    const currentBest = this.loadWhackAMoleHighScore();
+  startDailyAttempt(gameId, dateKey, details = {}) {
+    if (!this.registry.has(gameId)) {
+      console.error(`No score definition for game: ${gameId}`);
+      return false;
+    }
 
-    // Higher is better for Whack-a-Mole
-    if (score > currentBest) {
-      this.storage.save('whack-a-mole_highscore', score);
-      return true;  // New high score!
+    const attempts = this.loadDailyAttempts();
+    if (attempts[dateKey] && attempts[dateKey][gameId]) {
+      return false;
     }
 
-    return false;  // Not a new record
+    attempts[dateKey] = {
+      ...attempts[dateKey],
+      [gameId]: {
+        timestamp: Date.now(),
+        score: null,
+        outcome: DAILY_UNFINISHED,
+        seed: details.seed !== undefined ? details.seed : null
+      }
+    };
+
+    return this.storage.save(DAILY_KEY, trimDailyAttempts(attempts));
   }
 
   /**
-   * Load Whack-a-Mole high score
-   * @returns {number} High score (default 0)
+   * Record the result of the official Daily Challenge attempt
+   * Fills in the attempt claimed by startDailyAttempt (keeping its start time);
+   * does nothing if that attempt is missing or already has a result.
+   * @param {string} gameId - Game ID
+   * @param {string} dateKey - Challenge date 'YYYY-MM-DD'
+   * @param {object} result - Game result (shape declared by the score definition)
+   * @param {object} [details] - Session details {outcome, seed}
+   * @returns {boolean} True if the result was recorded
    */
-  loadWhackAMoleHighScore() {
-    return this.storage.loadNumber('whack-a-mole_highscore', 0);
+  recordDailyAttempt(gameId, dateKey, result, details = {}) {
+    const definition = this.registry.get(gameId);
+    if (!definition) {
+      console.error(`No score definition for game: ${gameId}`);
+      return false;
+    }
+
+    const attempts = this.loadDailyAttempts();
+    const claimed = attempts[dateKey] && attempts[dateKey][gameId];
+    if (!claimed || claimed.outcome !== DAILY_UNFINISHED) {
+      return false;
+    }
+
+    const score = definition.metric === METRIC_BEST
+      ? Number(definition.getScore(result))
+      : null;
+    const outcome = details.outcome !== undefined
+      ? details.outcome
+      : (definition.getOutcome ? definition.getOutcome(result) : null);
+
+    attempts[dateKey] = {
+      ...attempts[dateKey],
+      [gameId]: {
+        timestamp: claimed.timestamp,
+        score: score === null || isNaN(score) ? null : score,
+        outcome: outcome !== undefined ? outcome : null,
+        seed: details.seed !== undefined ? details.seed : null
+      }
+    };
+
+    return this.storage.save(DAILY_KEY, trimDailyAttempts(attempts));
+  }
+
+  /**
+   * Load all official Daily Challenge attempts
+   * @returns {object} {dateKey: {gameId: {timestamp, score, outcome, seed}}}
+   */
+  loadDailyAttempts() {
+    const attempts = this.storage.load(DAILY_KEY, {});
+    return isPlainObject(attempts) ? attempts : {};
+  }
+
+  /**
+   * Get a game's Daily Challenge status
+   * @param {string} gameId - Game ID
+   * @param {string} dateKey - Date 'YYYY-MM-DD' (default today)
+   * @returns {{date: string, attempt: object|null, streak: number, bestStreak: number}}
+   *   Today's official attempt (null if not played) and day streaks for this game
+   */
+  getDailyStatus(gameId, dateKey = getDateKey()) {
+    const attempts = this.loadDailyAttempts();
+    const playedDates = new Set(
+      Object.keys(attempts).filter(date => attempts[date] && attempts[date][gameId])
+    );
+
+    return {
+      date: dateKey,
+      attempt: (attempts[dateKey] && attempts[dateKey][gameId]) || null,
+      streak: countStreak(playedDates, dateKey),
+      bestStreak: countBestStreak(playedDates)
+    };
+  }
+
+  /**
+   * Get the overall Daily Challenge streak (days with any game's official attempt)
+   * @param {string} dateKey - Date 'YYYY-MM-DD' (default today)
+   * @returns {{date: string, played: Array<string>, streak: number, bestStreak: number}}
+   *   Games played on the date and day streaks across all games
+   */
+  getDailyStreak(dateKey = getDateKey()) {
+    const attempts = this.loadDailyAttempts();
+    const playedDates = new Set(
+      Object.keys(attempts).filter(date => attempts[date] && Object.keys(attempts[date]).length > 0)
+    );
+
+    return {
+      date: dateKey,
+      played: Object.keys(attempts[dateKey] || {}),
+      streak: countStreak(playedDates, dateKey),
+      bestStreak: countBestStreak(playedDates)
+    };
   }
 
   // ====================
-  // Nine Game Methods
+  // Cross-Tab Sync
   // ====================
 
   /**
-   * Save Nine Game score
-   * @param {number} score - Score achieved
-   * @returns {boolean} True if new high score (higher is better)
+   * Subscribe to changes of game records, histories, Daily Challenge attempts and achievements
+   * Fires for saves in this tab and in other open tabs (active profile only).
+   * @param {Function} listener - ({gameId, type: 'record'|'history'|'daily'|'achievements', remote}) => void
+   *   (gameId is null for 'daily' and 'achievements')
+   * @returns {Function} Unsubscribe function
    */
-  saveNineGameScore(score) {
-    const currentBest = this.loadNineGameHighScore();
+  onDataChange(listener) {
+    return this.storage.onChange(change => {
+      // Only the active profile's data is shown
+      if (change.scope !== this.storage.getScope()) return;
 
-    // Higher is better for Nine Game
-    if (currentBest === null || score > currentBest) {
-      this.storage.save('nine-game_highscore', score);
-      return true;  // New high score!
+      const target = this.describeKey(change.key);
+      if (target) {
+        listener({ ...target, remote: change.remote });
+      }
+    });
+  }
+
+  /**
+   * Subscribe to changes of one game's record
+   * @param {string} gameId - Game ID
+   * @param {Function} listener - (record, remote) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onRecordChange(gameId, listener) {
+    return this.onDataChange(change => {
+      if (change.gameId === gameId && change.type === 'record') {
+        listener(this.loadRecord(gameId), change.remote);
+      }
+    });
+  }
+
+  /**
+   * Find which game data a storage key holds
+   * @param {string} key - Storage key (without prefix)
+   * @returns {{gameId: string|null, type: string}|null} Target or null for other keys
+   */
+  describeKey(key) {
+    if (key === DAILY_KEY) {
+      return { gameId: null, type: 'daily' };
+    }
+    if (key === ACHIEVEMENTS_KEY) {
+      return { gameId: null, type: 'achievements' };
     }
 
-    return false;  // Not a new record
+    for (const definition of this.registry.getAll()) {
+      if (definition.storageKey === key) {
+        return { gameId: definition.id, type: 'record' };
+      }
+      if (this.getHistoryKey(definition.id) === key) {
+        return { gameId: definition.id, type: 'history' };
+      }
+    }
+    return null;
   }
 
   /**
-   * Load Nine Game high score
-   * @returns {number|null} High score or null if no score saved
+   * Keep the better record when another tab overwrites one
+   * Saves compare against the stored value at write time, but two tabs can
+   * still interleave (or an IndexedDB cache can lag behind), so a stale tab may
+   * write a worse best score, a lower tally or a history missing sessions.
+   * Records only move forward, so merging the value this tab knew with the
+   * incoming one and writing back the result repairs it; the other tabs then
+   * receive the repaired value and see nothing left to merge.
+   * Imports are left alone: a replace import lowers records on purpose.
+   * @param {object} change - Storage change {key, oldValue, newValue, remote, origin}
    */
-  loadNineGameHighScore() {
-    return this.storage.loadNumber('nine-game_highscore', null);
+  reconcileRemoteChange(change) {
+    if (!change.remote || change.origin === CHANGE_IMPORT) return;
+    if (change.oldValue === null || change.newValue === null) return;
+    if (change.scope !== this.storage.getScope()) return;
+    if (!this.describeKey(change.key)) return;
+
+    const merged = this.mergeValue(change.key, change.oldValue, change.newValue);
+
+    if (serialize(merged) !== serialize(change.newValue)) {
+      console.warn(`Another tab overwrote ${change.key} with an older value - keeping the better one`);
+      this.storage.save(change.key, merged);
+    }
   }
 
   // ====================
-  // Runner Game Methods
+  // Export / Import
   // ====================
 
   /**
-   * Save Runner Game score (distance in meters)
-   * @param {number} distance - Distance achieved in meters
-   * @returns {boolean} True if new high score (higher is better)
+   * Export all saved progress (every profile, plus the profile list and device settings)
+   * @returns {object} Versioned export document
+   */
+  exportProgress() {
+    return this.storage.exportAll();
+  }
+
+  /**
+   * Parse and validate an import file's content
+   * Files exported with an older schema are upgraded to the current layout.
+   * @param {string} text - File content
+   * @returns {{exported: object|null, errors: Array<string>}} Parsed document and validation errors
+   */
+  parseImport(text) {
+    const { exported, errors } = this.storage.parseExport(text);
+    if (!exported) {
+      return { exported, errors };
+    }
+
+    // Each profile's records carry their own schema version
+    const data = {};
+    const groups = this.storage.groupByScope(exported.data);
+    for (const [scope, scopeData] of Object.entries(groups)) {
+      let migrated = scopeData;
+      if (scope !== GLOBAL_SCOPE) {
+        const { data: migratedData, report } = this.migrations.migrateData(scopeData);
+        if (report.error) {
+          return { exported: null, errors: [report.error] };
+        }
+        migrated = migratedData;
+      }
+
+      this.storage.runInScope(scope, () => {
+        Object.entries(migrated).forEach(([key, raw]) => {
+          data[this.storage.getScopedKey(key)] = raw;
+        });
+      });
+    }
+
+    return { exported: { ...exported, data }, errors: [] };
+  }
+
+  /**
+   * Preview an import without changing anything
+   * @param {object} exported - Validated export document
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Array<object>} Changes (see StorageService.previewImport)
+   */
+  previewImport(exported, mode = IMPORT_MERGE) {
+    return this.storage.previewImport(exported, {
+      mode,
+      mergeValue: (key, current, incoming, scope) => this.mergeValue(key, current, incoming, scope)
+    });
+  }
+
+  /**
+   * Import saved progress
+   * @param {object} exported - Validated export document
+   * @param {string} mode - 'merge' keeps the better record per game, 'replace' overwrites everything
+   * @returns {boolean} Success status
+   */
+  importProgress(exported, mode = IMPORT_MERGE) {
+    return this.storage.importAll(exported, {
+      mode,
+      mergeValue: (key, current, incoming, scope) => this.mergeValue(key, current, incoming, scope)
+    });
+  }
+
+  /**
+   * Copy another profile's records into the active profile
+   * Uses the import merge rules, so the better record per game is kept.
+   * @param {string} fromProfileId - Source profile ID
+   * @returns {boolean} Success status
    */
-  saveRunnerGameScore(distance) {
-    const currentBest = this.loadRunnerGameHighScore();
+  copyProfileRecords(fromProfileId) {
+    if (!this.profiles.getProfile(fromProfileId)) {
+      console.error(`Profile not found: ${fromProfileId}`);
+      return false;
+    }
+
+    const records = this.storage.runInScope(
+      this.profiles.getScope(fromProfileId),
+      () => this.storage.readScope()
+    );
 
-    // Higher is better for Runner Game (longest distance)
-    if (currentBest === null || distance > currentBest) {
-      this.storage.save('runner-game_highscore', distance);
-      return true;  // New high score!
+    // Into the active profile's scope
+    const data = {};
+    Object.entries(records).forEach(([key, raw]) => {
+      data[this.storage.getScopedKey(key)] = raw;
+    });
+
+    return this.importProgress({ data }, IMPORT_MERGE);
+  }
+
+  /**
+   * Merge a stored value with an imported one
+   * - High scores: the better one by the game's higher/lower rule (per difficulty where kept per difficulty)
+   * - Tallies: the larger count per counter (files may overlap, so counts are not summed)
+   * - Histories: union of sessions (same session in both is kept once), bounded to HISTORY_LIMIT
+   * - Daily Challenge: union of attempts; the earlier one wins if both played the same day
+   *   (the same attempt with its result beats its unfinished copy)
+   * - Achievements: union of unlocks, keeping the earlier unlock time
+   * - Profile list (global): union of profiles, keeping this device's names
+   * - Anything else (including device settings): the current value is kept
+   * @param {string} key - Storage key (without prefix)
+   * @param {any} current - Current value
+   * @param {any} incoming - Imported value
+   * @param {string} [scope] - Scope the key is in (default: a profile's)
+   * @returns {any} Value to keep
+   */
+  mergeValue(key, current, incoming, scope = '') {
+    if (scope === GLOBAL_SCOPE) {
+      return key === PROFILES_KEY && Array.isArray(current) && Array.isArray(incoming)
+        ? this.profiles.mergeProfiles(current, incoming)
+        : current;
     }
 
-    return false;  // Not a new record
+    const definition = this.registry.getAll().find(def => def.storageKey === key);
+
+    if (definition && definition.perDifficulty && isPlainObject(current) && isPlainObject(incoming)) {
+      const merged = { ...current };
+      Object.entries(incoming).forEach(([difficulty, score]) => {
+        const currentScore = merged[difficulty] !== undefined ? Number(merged[difficulty]) : null;
+        if (typeof score === 'number' && this.registry.isBetter(definition.id, score, currentScore)) {
+          merged[difficulty] = score;
+        }
+      });
+      return merged;
+    }
+
+    if (definition && definition.metric === METRIC_BEST && !definition.perDifficulty) {
+      const incomingScore = Number(incoming);
+      if (isNaN(incomingScore)) return current;
+
+      const currentScore = Number(current);
+      return this.registry.isBetter(definition.id, incomingScore, isNaN(currentScore) ? null : currentScore)
+        ? incomingScore
+        : current;
+    }
+
+    if (definition && definition.metric === METRIC_TALLY) {
+      const merged = {};
+      Object.values(definition.counters).forEach(field => {
+        merged[field] = Math.max(Number(current && current[field]) || 0, Number(incoming && incoming[field]) || 0);
+      });
+      return merged;
+    }
+
+    const historyGame = this.registry.getAll().find(def => this.getHistoryKey(def.id) === key);
+    if (historyGame && Array.isArray(current) && Array.isArray(incoming)) {
+      return mergeHistories(current, incoming);
+    }
+
+    if (key === DAILY_KEY && isPlainObject(current) && isPlainObject(incoming)) {
+      const merged = { ...current };
+      Object.entries(incoming).forEach(([dateKey, games]) => {
+        merged[dateKey] = { ...merged[dateKey] };
+        Object.entries(games || {}).forEach(([gameId, attempt]) => {
+          const existing = merged[dateKey][gameId];
+          if (!existing || (attempt && (attempt.timestamp < existing.timestamp ||
+              (attempt.timestamp === existing.timestamp && existing.outcome === DAILY_UNFINISHED)))) {
+            merged[dateKey][gameId] = attempt;
+          }
+        });
+      });
+      return trimDailyAttempts(merged);
+    }
+
+    if (key === ACHIEVEMENTS_KEY && isPlainObject(current) && isPlainObject(incoming)) {
+      return achievementService.mergeUnlocked(current, incoming);
+    }
+
+    return current;
   }
 
   /**
-   * Load Runner Game high score
-   * @returns {number|null} High score (longest distance) or null if no score saved
+   * Get storage key for a game's history
+   * @param {string} gameId - Game ID
+   * @returns {string} Storage key (without prefix)
    */
-  loadRunnerGameHighScore() {
-    return this.storage.loadNumber('runner-game_highscore', null);
+  getHistoryKey(gameId) {
+    return `${gameId}_history`;
   }
 }
 
+/**
+ * Average of numeric values, ignoring null
+ * @param {Array<number|null>} values - Values
+ * @returns {number|null} Average or null if no values
+ */
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length === 0) return null;
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+/**
+ * Check for a non-array object
+ * @param {any} value - Value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge two session histories
+ * Sessions are matched by all their fields, not just the timestamp, so two
+ * games finished in the same millisecond stay separate. A session repeated in
+ * one history (or in both) is kept as many times as the history with more
+ * copies has it, so merging overlapping files does not duplicate sessions.
+ * @param {Array<object>} current - Current sessions, oldest first
+ * @param {Array<object>} incoming - Imported sessions
+ * @returns {Array<object>} Merged sessions, oldest first (current itself if nothing was added)
+ */
+function mergeHistories(current, incoming) {
+  const currentCounts = new Map();
+  current.forEach(session => {
+    const identity = getSessionIdentity(session);
+    currentCounts.set(identity, (currentCounts.get(identity) || 0) + 1);
+  });
+
+  const incomingCounts = new Map();
+  const added = incoming.filter(session => {
+    const identity = getSessionIdentity(session);
+    const count = (incomingCounts.get(identity) || 0) + 1;
+    incomingCounts.set(identity, count);
+    return count > (currentCounts.get(identity) || 0);
+  });
+
+  if (added.length === 0) return current;
+
+  // Stable sort: sessions with equal timestamps keep their order
+  return [...current, ...added]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-HISTORY_LIMIT);
+}
+
+/**
+ * Identity of a history session (every recorded field)
+ * @param {object} session - Session
+ * @returns {string} Identity key
+ */
+function getSessionIdentity(session) {
+  if (!isPlainObject(session)) return serialize(session);
+  return serialize(['timestamp', 'score', 'duration', 'difficulty', 'outcome', 'seed']
+    .map(field => (session[field] === undefined ? null : session[field])));
+}
+
+/**
+ * Drop Daily Challenge attempts older than DAILY_HISTORY_DAYS
+ * @param {object} attempts - {dateKey: {gameId: attempt}}
+ * @returns {object} Bounded attempts
+ */
+function trimDailyAttempts(attempts) {
+  const dates = Object.keys(attempts).sort();
+  dates.slice(0, Math.max(0, dates.length - DAILY_HISTORY_DAYS)).forEach(dateKey => {
+    delete attempts[dateKey];
+  });
+  return attempts;
+}
+
 // Export singleton instance
-export const gameDataService = new GameDataService(storageService);
+export const gameDataService = new GameDataService(
+  storageService,
+  scoreRegistry,
+  migrationService,
+  profileService
+);
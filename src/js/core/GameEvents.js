@@ -0,0 +1,40 @@
+/**
+ * GameEvents.js
+ * Site-wide bus for game events
+ *
+ * Every GameController emits these events (with its gameId) both on itself
+ * and on gameEvents, so any module can follow what is happening without a
+ * reference to the page's controller:
+ *
+ *   import { gameEvents, GAME_END } from './src/js/core/GameEvents.js';
+ *   gameEvents.on(GAME_END, ({ gameId, result }) => { ... });
+ *
+ * Payloads (all also carry gameId):
+ * @typedef {{seed: number, daily: boolean}} GameStartEvent
+ * @typedef {{result: object, details: object, record: any, isNewRecord: boolean, daily: boolean}} GameEndEvent
+ * @typedef {{score: number}} ScoreChangeEvent - The game's own score value (moves, points, meters...)
+ * @typedef {object} MoveEvent - A player or CPU action (game-specific fields, e.g. {index, by})
+ * @typedef {object} HitEvent - The player succeeded at a target (mole whacked, pair matched,
+ *   correct N-Back answer, round won)
+ * @typedef {object} MissEvent - The player failed one (empty hole, mismatch, wrong answer,
+ *   round lost, crash)
+ * @typedef {{}} PauseEvent
+ * @typedef {{}} ResumeEvent
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+
+export const GAME_START = 'game:start';
+export const GAME_END = 'game:end';
+export const SCORE_CHANGE = 'score:change';
+export const MOVE = 'move';
+export const HIT = 'hit';
+export const MISS = 'miss';
+export const PAUSE = 'pause';
+export const RESUME = 'resume';
+
+// All game event types
+export const GAME_EVENT_TYPES = [GAME_START, GAME_END, SCORE_CHANGE, MOVE, HIT, MISS, PAUSE, RESUME];
+
+// Export singleton instance
+export const gameEvents = new EventEmitter(GAME_EVENT_TYPES);
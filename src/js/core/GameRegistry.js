@@ -0,0 +1,160 @@
+/**
+ * GameRegistry.js
+ * Game plugins declared in games.json, with lazily loaded controllers
+ *
+ * Each games.json entry names its controller module (relative to the site root):
+ *   { "id": "memory-game", "controller": "src/js/controllers/MemoryGameController.js", ... }
+ * The module's default export is a GameController subclass taking (gameDataService).
+ * Game pages mount their game by ID, so the page itself imports nothing game-specific:
+ *   gameRegistry.mount('memory-game');
+ */
+
+import { configLoader } from './ConfigLoader.js';
+import { gameDataService } from './GameDataService.js';
+import { resolvePath } from './BasePath.js';
+import { featureFlags } from './FeatureFlagService.js';
+import { themeService } from './ThemeService.js';
+import { i18n } from './I18nService.js';
+
+class GameRegistry {
+  /**
+   * Constructor
+   * @param {ConfigLoader} loader - Config loader instance
+   * @param {GameDataService} dataService - Game data service passed to controllers
+   */
+  constructor(loader, dataService) {
+    this.loader = loader;
+    this.dataService = dataService;
+    this.controllers = new Map();  // gameId -> Promise<controller class>
+    this.mounted = new Map();      // gameId -> controller instance
+  }
+
+  /**
+   * Get every game in games.json (enabled or not)
+   * Titles and descriptions are in the page's locale once i18n is ready.
+   * @returns {Promise<Array<object>>} Game metadata
+   */
+  async getGames() {
+    const data = await this.loader.loadGamesData();
+    const games = Array.isArray(data.games) ? data.games : [];
+    return games.map(game => i18n.localizeGame(game));
+  }
+
+  /**
+   * Get enabled games (the ones listed on the top page)
+   * @returns {Promise<Array<object>>} Game metadata
+   */
+  async getEnabledGames() {
+    const games = await this.getGames();
+    return games.filter(game => game.enabled !== false);
+  }
+
+  /**
+   * Get a game's metadata
+   * @param {string} gameId - Game ID
+   * @returns {Promise<object|null>} Game metadata or null if unknown
+   */
+  async getGame(gameId) {
+    const games = await this.getGames();
+    return games.find(game => game.id === gameId) || null;
+  }
+
+  /**
+   * Load a game's controller class (imported once per page)
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Function>} Controller class
+   */
+  loadController(gameId) {
+    if (!this.controllers.has(gameId)) {
+      const promise = this.getGame(gameId).then(async game => {
+        if (!game) {
+          throw new Error(`Unknown game: ${gameId}`);
+        }
+        if (!game.controller) {
+          throw new Error(`Game ${gameId} has no controller module`);
+        }
+
+        const module = await import(resolvePath(game.controller));
+        if (typeof module.default !== 'function') {
+          throw new Error(`Controller module for ${gameId} has no default export: ${game.controller}`);
+        }
+        return module.default;
+      });
+
+      // Allow a retry after a failed import
+      promise.catch(() => this.controllers.delete(gameId));
+      this.controllers.set(gameId, promise);
+    }
+    return this.controllers.get(gameId);
+  }
+
+  /**
+   * Create and initialize a game's controller
+   * Storage is configured and migrated (and feature flags, theme and
+   * messages loaded) before the game reads records.
+   * @param {string} gameId - Game ID
+   * @returns {Promise<GameController|null>} Mounted controller or null on failure
+   */
+  async mount(gameId) {
+    if (this.mounted.has(gameId)) {
+      return this.mounted.get(gameId);
+    }
+
+    try {
+      const [Controller] = await Promise.all([
+        this.loadController(gameId),
+        this.dataService.ready(),
+        featureFlags.ready(),
+        themeService.ready(),
+        i18n.ready()
+      ]);
+
+      // Markup added since the page loaded (e.g. a game view in the app shell)
+      i18n.translatePage();
+
+      const controller = new Controller(this.dataService);
+      if (controller.gameId !== gameId) {
+        console.warn(`Controller for ${gameId} reports game ID ${controller.gameId}`);
+      }
+
+      this.mounted.set(gameId, controller);
+      await controller.init();
+      return controller;
+    } catch (error) {
+      console.error(`Failed to mount game ${gameId}:`, error);
+      // Release whatever the controller set up before failing
+      this.unmount(gameId);
+      return null;
+    }
+  }
+
+  /**
+   * Clean up a mounted game's controller
+   * @param {string} gameId - Game ID
+   */
+  unmount(gameId) {
+    const controller = this.mounted.get(gameId);
+    if (!controller) return;
+
+    this.mounted.delete(gameId);
+    if (typeof controller.cleanup !== 'function') return;
+
+    try {
+      controller.cleanup();
+    } catch (error) {
+      console.error(`Failed to clean up game ${gameId}:`, error);
+    }
+  }
+
+  /**
+   * Get a mounted game's controller
+   * @param {string} gameId - Game ID
+   * @returns {GameController|null} Controller or null if not mounted
+   */
+  getMounted(gameId) {
+    return this.mounted.get(gameId) || null;
+  }
+}
+
+// Export singleton instance
+export const gameRegistry = new GameRegistry(configLoader, gameDataService);
@@ -0,0 +1,346 @@
+/**
+ * I18nService.js
+ * Message catalogues, locale detection, pluralisation and number formatting
+ *
+ * Messages live in src/assets/locales/{locale}.json as nested objects and are
+ * looked up by dot path with {name} placeholders:
+ *   t('game.yourTurn')                      -> 'Your turn!'
+ *   t('score.moves', { count: 12 })         -> '12 moves'
+ * A message can be plural forms keyed by Intl.PluralRules category
+ * ({"one": "{count} move", "other": "{count} moves"}), picked by params.count.
+ * Number params are formatted for the locale (1,234). Missing messages fall
+ * back to English, then to the key itself.
+ *
+ * The locale comes from, in order of precedence:
+ *   1. the page URL, for testing: ?lang=ja
+ *   2. the choice in Settings on the Stats page (this device, bgc_global:locale)
+ *   3. the browser's preferred languages
+ *   4. site.language in site-config.json
+ *
+ * Static markup is translated with data-i18n="key" (replaces the element's text).
+ * Games and achievements carry their own translations in games.json and
+ * achievements.json ("i18n": {"ja": {"title": ...}}).
+ */
+
+import { storageService, GLOBAL_SCOPE } from './StorageService.js';
+import { configLoader } from './ConfigLoader.js';
+import { SUPPORTED_LOCALES } from './ConfigSchema.js';
+import { getPageParams } from '../utils/helpers.js';
+
+export { SUPPORTED_LOCALES };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Storage key for the chosen locale (global: the device's language, not a player's)
+export const LOCALE_KEY = 'locale';
+
+// Locale names, each in its own language (for the language select)
+export const LOCALE_NAMES = {
+  en: 'English',
+  ja: '日本語'
+};
+
+// Game fields that games.json can localise ("i18n": {"ja": {"title": ...}})
+const LOCALIZED_GAME_FIELDS = ['title', 'description', 'estimatedTime'];
+
+// Achievement fields that achievements.json can localise (same layout)
+const LOCALIZED_ACHIEVEMENT_FIELDS = ['title', 'description'];
+
+class I18nService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {ConfigLoader} loader - Config loader instance
+   */
+  constructor(storage, loader) {
+    this.storage = storage;
+    this.loader = loader;
+    this.locale = DEFAULT_LOCALE;
+    this.messages = {};
+    this.fallbackMessages = {};
+    this.readyPromise = null;
+    this.pluralRules = null;
+    this.numberFormat = null;
+  }
+
+  /**
+   * Detect the locale, load its messages and translate the page (once per page)
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initialize();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Load messages for the detected locale (and English as fallback)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Storage must be configured before reading the choice. Imported here, not
+    // at the top: GameDataService imports ScoreRegistry, whose formats use t().
+    const { gameDataService } = await import('./GameDataService.js');
+    await gameDataService.ready();
+
+    let siteLanguage = DEFAULT_LOCALE;
+    try {
+      const siteConfig = await this.loader.loadSiteConfig();
+      siteLanguage = siteConfig.site.language;
+    } catch (error) {
+      console.warn('Failed to load site language, using English:', error);
+    }
+
+    this.setActiveLocale(this.detectLocale(siteLanguage));
+
+    const [messages, fallbackMessages] = await Promise.all([
+      this.loader.loadMessages(this.locale),
+      this.locale === DEFAULT_LOCALE ? null : this.loader.loadMessages(DEFAULT_LOCALE)
+    ]);
+    this.messages = messages;
+    this.fallbackMessages = fallbackMessages || messages;
+
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = this.locale;
+      this.translatePage();
+    }
+  }
+
+  // ====================
+  // Locale
+  // ====================
+
+  /**
+   * Detect the locale to use
+   * @param {string} siteLanguage - site.language from site-config.json
+   * @returns {string} Supported locale
+   */
+  detectLocale(siteLanguage) {
+    const fromUrl = getPageParams().get('lang');
+    if (fromUrl) {
+      const locale = matchLocale(fromUrl);
+      if (locale) return locale;
+      console.warn(`Unsupported language "${fromUrl}" (supported: ${SUPPORTED_LOCALES.join(', ')})`);
+    }
+
+    const chosen = this.getChoice();
+    if (chosen) return chosen;
+
+    const preferred = typeof navigator !== 'undefined'
+      ? (navigator.languages || [navigator.language])
+      : [];
+    for (const language of preferred) {
+      const locale = matchLocale(language);
+      if (locale) return locale;
+    }
+
+    return matchLocale(siteLanguage) || DEFAULT_LOCALE;
+  }
+
+  /**
+   * Set the locale used for plurals and numbers
+   * @param {string} locale - Supported locale
+   */
+  setActiveLocale(locale) {
+    this.locale = locale;
+    this.pluralRules = new Intl.PluralRules(locale);
+    this.numberFormat = new Intl.NumberFormat(locale);
+  }
+
+  /**
+   * Get the locale in use
+   * @returns {string} Locale (e.g. 'en')
+   */
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * Get the locale chosen in Settings
+   * @returns {string|null} Locale, or null to detect it
+   */
+  getChoice() {
+    const choice = this.storage.runInScope(GLOBAL_SCOPE, () => this.storage.load(LOCALE_KEY, null));
+    return SUPPORTED_LOCALES.includes(choice) ? choice : null;
+  }
+
+  /**
+   * Choose the locale for this device (used from the next page load)
+   * @param {string|null} locale - Supported locale, or null to detect it
+   */
+  setChoice(locale) {
+    if (locale !== null && !SUPPORTED_LOCALES.includes(locale)) {
+      console.warn(`Unsupported language: ${locale}`);
+      return;
+    }
+
+    this.storage.runInScope(GLOBAL_SCOPE, () => {
+      if (locale === null) {
+        this.storage.remove(LOCALE_KEY);
+      } else {
+        this.storage.save(LOCALE_KEY, locale);
+      }
+    });
+  }
+
+  // ====================
+  // Messages
+  // ====================
+
+  /**
+   * Translate a message
+   * @param {string} key - Message key (dot path, e.g. 'common.playAgain')
+   * @param {object} [params] - Placeholder values; count also picks the plural form
+   * @returns {string} Message (the key if missing)
+   */
+  t(key, params = {}) {
+    let message = lookup(this.messages, key);
+    if (message === undefined) {
+      message = lookup(this.fallbackMessages, key);
+    }
+    if (message === undefined) {
+      console.warn(`Missing message: ${key}`);
+      return key;
+    }
+
+    if (message !== null && typeof message === 'object') {
+      message = this.selectPlural(message, params.count);
+    }
+    if (typeof message !== 'string') {
+      console.warn(`Message is not text: ${key}`);
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      const value = params[name];
+      return typeof value === 'number' ? this.formatNumber(value) : String(value);
+    });
+  }
+
+  /**
+   * Check if a message exists (in the locale or the fallback)
+   * @param {string} key - Message key
+   * @returns {boolean}
+   */
+  has(key) {
+    return lookup(this.messages, key) !== undefined || lookup(this.fallbackMessages, key) !== undefined;
+  }
+
+  /**
+   * Pick the plural form for a count
+   * @param {object} forms - {zero, one, two, few, many, other}
+   * @param {number} count - Count
+   * @returns {string|undefined} Form (other if the category has none)
+   */
+  selectPlural(forms, count) {
+    const category = typeof count === 'number' ? this.pluralRules.select(count) : 'other';
+    return category in forms ? forms[category] : forms.other;
+  }
+
+  /**
+   * Format a number for the locale
+   * @param {number} value - Number
+   * @param {object} [options] - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options) {
+    const format = options ? new Intl.NumberFormat(this.locale, options) : this.numberFormat;
+    return format.format(value);
+  }
+
+  /**
+   * Join items as a list for the locale ('P or Esc', 'P または Esc')
+   * @param {Array<string>} items - Items
+   * @param {string} [type] - 'conjunction' (and) or 'disjunction' (or)
+   * @returns {string} List
+   */
+  formatList(items, type = 'conjunction') {
+    return new Intl.ListFormat(this.locale, { type }).format(items);
+  }
+
+  /**
+   * Translate elements marked with data-i18n="key"
+   * @param {ParentNode} [root] - Element to translate inside (default document)
+   */
+  translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+  }
+
+  /**
+   * Apply a game's localised fields from games.json
+   * @param {object} game - Game metadata
+   * @returns {object} Game metadata with title, description and estimatedTime for the locale
+   */
+  localizeGame(game) {
+    return this.localizeFields(game, LOCALIZED_GAME_FIELDS);
+  }
+
+  /**
+   * Apply an achievement's localised fields from achievements.json
+   * @param {object} definition - Achievement definition
+   * @returns {object} Definition with title and description for the locale
+   */
+  localizeAchievement(definition) {
+    return this.localizeFields(definition, LOCALIZED_ACHIEVEMENT_FIELDS);
+  }
+
+  /**
+   * Replace fields with their "i18n": {locale: {...}} values for the locale
+   * @param {object} item - Item with an optional i18n map
+   * @param {Array<string>} fields - Fields that may be localised
+   * @returns {object} Copy with localised fields (the item itself if none)
+   */
+  localizeFields(item, fields) {
+    const localized = item.i18n && item.i18n[this.locale];
+    if (!localized) return item;
+
+    const result = { ...item };
+    fields.forEach(field => {
+      if (localized[field]) {
+        result[field] = localized[field];
+      }
+    });
+    return result;
+  }
+}
+
+/**
+ * Find the supported locale for a language tag
+ * @param {string} language - Language tag (e.g. 'ja-JP')
+ * @returns {string|null} Supported locale or null
+ */
+function matchLocale(language) {
+  if (typeof language !== 'string') return null;
+  const base = language.toLowerCase().split('-')[0];
+  return SUPPORTED_LOCALES.includes(base) ? base : null;
+}
+
+/**
+ * Look up a dot path in a catalogue
+ * @param {object} messages - Catalogue
+ * @param {string} key - Dot path
+ * @returns {any} Value or undefined
+ */
+function lookup(messages, key) {
+  return key.split('.').reduce(
+    (node, part) => (node !== null && typeof node === 'object' ? node[part] : undefined),
+    messages
+  );
+}
+
+// Export singleton instance
+export const i18n = new I18nService(storageService, configLoader);
+
+/**
+ * Translate a message (shorthand for i18n.t)
+ * @param {string} key - Message key
+ * @param {object} [params] - Placeholder values
+ * @returns {string} Message
+ */
+export function t(key, params) {
+  return i18n.t(key, params);
+}
@@ -0,0 +1,311 @@
+/**
+ * MigrationService.js
+ * Tracks the stored schema version and upgrades old data layouts in order
+ */
+
+import { storageService, parseStored, serialize } from './StorageService.js';
+import { MIGRATIONS } from './migrations.js';
+
+// Storage key (without prefix) holding the schema version
+export const SCHEMA_VERSION_KEY = 'schema_version';
+
+// Marker for staged removals
+const REMOVED = Symbol('removed');
+
+class MigrationService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {Array<object>} migrations - Migrations [{version, description, migrate(context)}]
+   */
+  constructor(storage, migrations) {
+    this.storage = storage;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+
+    // Versions must be unique and consecutive so no step is skipped
+    this.migrations.forEach((migration, index) => {
+      if (migration.version !== index + 1) {
+        throw new Error(`Migration versions must be consecutive from 1 (found ${migration.version})`);
+      }
+    });
+  }
+
+  /**
+   * Latest schema version known to this code
+   * @returns {number} Version
+   */
+  getLatestVersion() {
+    return this.migrations.length;
+  }
+
+  /**
+   * Schema version of the data currently stored
+   * @returns {number} Version (0 for data saved before versioning existed)
+   */
+  getCurrentVersion() {
+    return this.storage.loadNumber(SCHEMA_VERSION_KEY, 0);
+  }
+
+  /**
+   * Run all pending migrations against stored data
+   * @param {object} options - {dryRun: boolean, log: boolean}
+   * @returns {object} Report {fromVersion, toVersion, dryRun, applied: [{version, description, changes}], error}
+   */
+  run({ dryRun = false, log = true } = {}) {
+    const fromVersion = this.getCurrentVersion();
+
+    // Nothing stored yet (new browser or new profile): data will be written
+    // in the current layout, so just record the latest version
+    if (fromVersion === 0 && this.storage.keys().length === 0) {
+      if (!dryRun) {
+        this.storage.save(SCHEMA_VERSION_KEY, this.getLatestVersion());
+      }
+      return { fromVersion, toVersion: this.getLatestVersion(), dryRun, applied: [], error: null };
+    }
+    const context = new MigrationContext(
+      key => this.storage.loadRaw(key),
+      () => this.storage.keys()
+    );
+
+    const report = this.migrate(context, fromVersion, dryRun);
+
+    if (!dryRun && !report.error && report.toVersion !== fromVersion) {
+      context.commit(this.storage);
+    }
+
+    if (log) {
+      this.logReport(report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Migrate an in-memory key/raw value map (e.g. an imported export file)
+   * @param {object} data - Key (without prefix) to raw stored string
+   * @returns {{data: object, report: object}} Migrated data and report
+   */
+  migrateData(data) {
+    const fromVersion = Number(data[SCHEMA_VERSION_KEY]) || 0;
+    const context = new MigrationContext(
+      key => (Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null),
+      () => Object.keys(data)
+    );
+
+    const report = this.migrate(context, fromVersion, false);
+    return { data: context.toData(), report };
+  }
+
+  /**
+   * Apply pending migrations to a context
+   * @param {MigrationContext} context - Migration context
+   * @param {number} fromVersion - Starting version
+   * @param {boolean} dryRun - Dry run flag (recorded in the report)
+   * @returns {object} Report
+   */
+  migrate(context, fromVersion, dryRun) {
+    const report = {
+      fromVersion,
+      toVersion: fromVersion,
+      dryRun,
+      applied: [],
+      error: null
+    };
+
+    if (fromVersion > this.getLatestVersion()) {
+      // Data written by a newer version of the site - leave it untouched
+      report.error = `Stored schema version ${fromVersion} is newer than supported version ${this.getLatestVersion()}`;
+      return report;
+    }
+
+    const pending = this.migrations.filter(migration => migration.version > fromVersion);
+
+    for (const migration of pending) {
+      context.beginStep();
+
+      try {
+        migration.migrate(context);
+      } catch (error) {
+        // Stop at the first failure; nothing is committed
+        report.error = `Migration ${migration.version} failed: ${error.message}`;
+        console.error(report.error, error);
+        break;
+      }
+
+      report.applied.push({
+        version: migration.version,
+        description: migration.description,
+        changes: context.endStep()
+      });
+      report.toVersion = migration.version;
+    }
+
+    if (report.toVersion !== fromVersion && !report.error) {
+      context.set(SCHEMA_VERSION_KEY, report.toVersion, null);
+    }
+
+    return report;
+  }
+
+  /**
+   * Log a migration report to the console
+   * @param {object} report - Migration report
+   */
+  logReport(report) {
+    if (report.error) {
+      console.warn(`[Migrations] ${report.error}`);
+      return;
+    }
+
+    if (report.applied.length === 0) return;
+
+    const label = report.dryRun ? ' (dry run - nothing saved)' : '';
+    console.groupCollapsed(`[Migrations] Schema v${report.fromVersion} → v${report.toVersion}${label}`);
+    report.applied.forEach(step => {
+      console.log(`v${step.version}: ${step.description}`);
+      step.changes.forEach(change => console.log(`  - ${change}`));
+    });
+    console.groupEnd();
+  }
+}
+
+/**
+ * Staged view over stored data used by migrations
+ * Reads fall through to the backing store, writes are staged until commit.
+ */
+class MigrationContext {
+  /**
+   * Constructor
+   * @param {Function} readRaw - (key) => raw string or null
+   * @param {Function} listKeys - () => keys in the backing store
+   */
+  constructor(readRaw, listKeys) {
+    this.readRaw = readRaw;
+    this.listKeys = listKeys;
+    this.staged = new Map();  // key -> value, or REMOVED
+    this.stepChanges = [];
+  }
+
+  /**
+   * Start recording changes for a migration step
+   */
+  beginStep() {
+    this.stepChanges = [];
+  }
+
+  /**
+   * Finish a migration step
+   * @returns {Array<string>} Changes recorded during the step
+   */
+  endStep() {
+    return this.stepChanges;
+  }
+
+  /**
+   * List current keys
+   * @returns {Array<string>} Keys (without prefix)
+   */
+  keys() {
+    const keys = new Set(this.listKeys());
+    this.staged.forEach((value, key) => {
+      if (value === REMOVED) {
+        keys.delete(key);
+      } else {
+        keys.add(key);
+      }
+    });
+    return Array.from(keys);
+  }
+
+  /**
+   * Check if a key exists
+   * @param {string} key - Key
+   * @returns {boolean}
+   */
+  has(key) {
+    if (this.staged.has(key)) {
+      return this.staged.get(key) !== REMOVED;
+    }
+    return this.readRaw(key) !== null;
+  }
+
+  /**
+   * Read a value
+   * @param {string} key - Key
+   * @param {any} defaultValue - Default if missing
+   * @returns {any} Parsed value
+   */
+  get(key, defaultValue = null) {
+    if (this.staged.has(key)) {
+      const value = this.staged.get(key);
+      return value === REMOVED ? defaultValue : value;
+    }
+
+    const raw = this.readRaw(key);
+    return raw === null ? defaultValue : parseStored(raw);
+  }
+
+  /**
+   * Stage a write
+   * @param {string} key - Key
+   * @param {any} value - Value
+   * @param {string|null} note - Change description for the report (null: not reported)
+   */
+  set(key, value, note = 'updated') {
+    this.staged.set(key, value);
+    if (note) {
+      this.stepChanges.push(`${key}: ${note}`);
+    }
+  }
+
+  /**
+   * Stage a removal
+   * @param {string} key - Key
+   * @param {string} note - Change description for the report
+   */
+  remove(key, note = 'removed') {
+    this.staged.set(key, REMOVED);
+    this.stepChanges.push(`${key}: ${note}`);
+  }
+
+  /**
+   * Stage a key rename
+   * @param {string} from - Old key
+   * @param {string} to - New key
+   */
+  rename(from, to) {
+    const value = this.get(from);
+    this.staged.set(to, value);
+    this.staged.set(from, REMOVED);
+    this.stepChanges.push(`${from} → ${to}`);
+  }
+
+  /**
+   * Write staged changes to storage
+   * @param {StorageService} storage - Storage service
+   */
+  commit(storage) {
+    this.staged.forEach((value, key) => {
+      if (value === REMOVED) {
+        storage.remove(key);
+      } else {
+        storage.save(key, value);
+      }
+    });
+  }
+
+  /**
+   * Build a key/raw value map with staged changes applied
+   * @returns {object} Data map
+   */
+  toData() {
+    const data = {};
+    this.keys().forEach(key => {
+      data[key] = serialize(this.get(key));
+    });
+    return data;
+  }
+}
+
+// Export singleton instance
+export const migrationService = new MigrationService(storageService, MIGRATIONS);
@@ -0,0 +1,322 @@
+/**
+ * ProfileService.js
+ * Manages local player profiles sharing one device
+ *
+ * Each profile's records live in their own storage scope. The default profile
+ * uses the unscoped keys, so data saved before profiles existed belongs to it.
+ */
+
+import { storageService, GLOBAL_SCOPE } from './StorageService.js';
+import { migrationService } from './MigrationService.js';
+
+// ID of the profile that owns the unscoped (pre-profile) data
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Avatar colours offered when creating a profile
+export const AVATAR_COLORS = [
+  '#3498db',
+  '#e74c3c',
+  '#2ecc71',
+  '#f39c12',
+  '#9b59b6',
+  '#1abc9c',
+  '#e91e63',
+  '#34495e'
+];
+
+// Maximum profile name length
+export const PROFILE_NAME_MAX_LENGTH = 20;
+
+// Global storage keys
+export const PROFILES_KEY = 'profiles';
+export const ACTIVE_PROFILE_KEY = 'active_profile';
+
+class ProfileService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {MigrationService} migrations - Migration service instance
+   */
+  constructor(storage, migrations) {
+    this.storage = storage;
+    this.migrations = migrations;
+    this.profiles = [];
+    this.activeId = DEFAULT_PROFILE_ID;
+  }
+
+  /**
+   * Load profiles and activate the last used one
+   * (call after the storage provider has been configured)
+   */
+  load() {
+    this.profiles = this.loadProfiles();
+
+    const activeId = this.storage.runInScope(GLOBAL_SCOPE, () =>
+      this.storage.load(ACTIVE_PROFILE_KEY, DEFAULT_PROFILE_ID)
+    );
+    this.activate(this.getProfile(activeId) ? activeId : DEFAULT_PROFILE_ID);
+  }
+
+  /**
+   * Read the stored profile list (always contains the default profile)
+   * @returns {Array<object>} Profiles [{id, name, color, createdAt}]
+   */
+  loadProfiles() {
+    const stored = this.storage.runInScope(GLOBAL_SCOPE, () =>
+      this.storage.load(PROFILES_KEY, [])
+    );
+    const profiles = Array.isArray(stored)
+      ? stored.map(profile => this.sanitizeProfile(profile)).filter(Boolean)
+      : [];
+
+    if (!profiles.some(profile => profile.id === DEFAULT_PROFILE_ID)) {
+      profiles.unshift({
+        id: DEFAULT_PROFILE_ID,
+        name: 'Player 1',
+        color: AVATAR_COLORS[0],
+        createdAt: 0
+      });
+    }
+
+    return profiles;
+  }
+
+  /**
+   * Save the profile list
+   * @returns {boolean} Success status
+   */
+  saveProfiles() {
+    return this.storage.runInScope(GLOBAL_SCOPE, () =>
+      this.storage.save(PROFILES_KEY, this.profiles)
+    );
+  }
+
+  // ====================
+  // Queries
+  // ====================
+
+  /**
+   * Get all profiles
+   * @returns {Array<object>} Profiles
+   */
+  getProfiles() {
+    return [...this.profiles];
+  }
+
+  /**
+   * Get a profile by ID
+   * @param {string} id - Profile ID
+   * @returns {object|null} Profile or null if not found
+   */
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Get the active profile
+   * @returns {object} Active profile
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeId) || this.profiles[0];
+  }
+
+  /**
+   * Get the storage scope holding a profile's data
+   * @param {string} id - Profile ID
+   * @returns {string} Storage scope
+   */
+  getScope(id) {
+    return id === DEFAULT_PROFILE_ID ? '' : `profile-${id}`;
+  }
+
+  // ====================
+  // Operations
+  // ====================
+
+  /**
+   * Switch to another profile
+   * @param {string} id - Profile ID
+   * @returns {boolean} True if switched
+   */
+  switchProfile(id) {
+    if (!this.getProfile(id)) {
+      console.error(`Profile not found: ${id}`);
+      return false;
+    }
+
+    this.activate(id);
+    this.storage.runInScope(GLOBAL_SCOPE, () =>
+      this.storage.save(ACTIVE_PROFILE_KEY, id)
+    );
+    return true;
+  }
+
+  /**
+   * Create a profile
+   * @param {string} name - Display name
+   * @param {string} color - Avatar colour
+   * @returns {object|null} Created profile or null if the name is invalid
+   */
+  createProfile(name, color = AVATAR_COLORS[this.profiles.length % AVATAR_COLORS.length]) {
+    const cleanName = this.validateName(name);
+    if (!cleanName) return null;
+
+    const profile = {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: cleanName,
+      color: color,
+      createdAt: Date.now()
+    };
+
+    this.profiles.push(profile);
+    this.saveProfiles();
+
+    // Stamp the new (empty) scope with the current schema version
+    this.storage.runInScope(this.getScope(profile.id), () => {
+      this.migrations.run({ log: false });
+    });
+
+    return profile;
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id - Profile ID
+   * @param {string} name - New name
+   * @returns {boolean} Success status
+   */
+  renameProfile(id, name) {
+    const profile = this.getProfile(id);
+    const cleanName = this.validateName(name);
+
+    if (!profile || !cleanName) return false;
+
+    profile.name = cleanName;
+    return this.saveProfiles();
+  }
+
+  /**
+   * Change a profile's avatar colour
+   * @param {string} id - Profile ID
+   * @param {string} color - Avatar colour
+   * @returns {boolean} Success status
+   */
+  setProfileColor(id, color) {
+    const profile = this.getProfile(id);
+    if (!profile || !AVATAR_COLORS.includes(color)) return false;
+
+    profile.color = color;
+    return this.saveProfiles();
+  }
+
+  /**
+   * Delete a profile and all of its records
+   * The default profile cannot be deleted. Deleting the active profile
+   * switches to the default one.
+   * @param {string} id - Profile ID
+   * @returns {boolean} Success status
+   */
+  deleteProfile(id) {
+    if (id === DEFAULT_PROFILE_ID) {
+      console.warn('The default profile cannot be deleted');
+      return false;
+    }
+
+    if (!this.getProfile(id)) return false;
+
+    this.storage.runInScope(this.getScope(id), () => this.storage.clearAll());
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    this.saveProfiles();
+
+    if (this.activeId === id) {
+      this.switchProfile(DEFAULT_PROFILE_ID);
+    }
+
+    return true;
+  }
+
+  /**
+   * Merge an imported profile list into this device's
+   * @param {Array<object>} current - Stored profiles
+   * @param {Array<object>} incoming - Imported profiles
+   * @returns {Array<object>} Stored profiles followed by imported ones not on this device
+   */
+  mergeProfiles(current, incoming) {
+    const added = incoming
+      .map(profile => this.sanitizeProfile(profile))
+      .filter(profile => profile &&
+        !current.some(existing => existing && existing.id === profile.id)
+      );
+    return added.length > 0 ? [...current, ...added] : current;
+  }
+
+  /**
+   * Subscribe to profile list changes (including other tabs)
+   * @param {Function} listener - () => void
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    return this.storage.onChange(change => {
+      if (change.scope === GLOBAL_SCOPE && change.key === PROFILES_KEY) {
+        // Written by another tab or by an import
+        this.profiles = this.loadProfiles();
+
+        // The profile this tab is using was deleted
+        if (!this.getProfile(this.activeId)) {
+          this.activate(DEFAULT_PROFILE_ID);
+        }
+        listener();
+      }
+    });
+  }
+
+  /**
+   * Make a profile active in this tab
+   * @param {string} id - Profile ID
+   */
+  activate(id) {
+    this.activeId = id;
+    this.storage.setScope(this.getScope(id));
+  }
+
+  /**
+   * Trim and check a profile name
+   * @param {string} name - Name
+   * @returns {string|null} Clean name or null if invalid
+   */
+  validateName(name) {
+    const cleanName = String(name || '').trim().slice(0, PROFILE_NAME_MAX_LENGTH);
+
+    if (!cleanName) {
+      console.warn('Profile name must not be empty');
+      return null;
+    }
+
+    return cleanName;
+  }
+
+  /**
+   * Check a stored or imported profile
+   * Profiles without a usable ID or name are dropped; an unknown colour is
+   * replaced by the first avatar colour.
+   * @param {object} profile - Profile
+   * @returns {object|null} Clean profile or null if invalid
+   */
+  sanitizeProfile(profile) {
+    if (!profile || typeof profile.id !== 'string' || typeof profile.name !== 'string') {
+      return null;
+    }
+
+    const name = this.validateName(profile.name);
+    if (!name) return null;
+
+    return {
+      ...profile,
+      name,
+      color: AVATAR_COLORS.includes(profile.color) ? profile.color : AVATAR_COLORS[0]
+    };
+  }
+}
+
+// Export singleton instance
+export const profileService = new ProfileService(storageService, migrationService);
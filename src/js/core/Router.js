@@ -0,0 +1,229 @@
+/**
+ * Router.js
+ * Hash router for the single-page shell
+ *
+ * Routes live in the URL hash so deep links and reloads work on static
+ * hosting: index-module.html#/games/memory-game?daily=1
+ *
+ * A route handler may return an exit function (or a promise of one), which
+ * is called before the next route is entered and when the page is left:
+ *   router.add('/games/:gameId', async ({ params, query }) => {
+ *     const controller = await mount(params.gameId);
+ *     return () => controller.cleanup();
+ *   });
+ *   router.start();
+ */
+
+class Router {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this.routes = [];              // [{pattern, keys, regex, handler}]
+    this.current = null;           // {path, params, query}
+    this.exitHandler = null;       // Exit function of the current route
+    this.started = false;
+    this.defaultPath = '/';
+
+    // Transitions run one after another (a slow enter finishes before the next exit)
+    this.transition = Promise.resolve();
+
+    this.handleHashChange = () => this.resolve();
+    this.handlePageHide = () => this.exitCurrent();
+  }
+
+  /**
+   * Register a route
+   * @param {string} pattern - Path pattern (e.g. '/', '/games/:gameId')
+   * @param {Function} handler - ({path, params, query}) => exit function | void
+   * @returns {Router} This router (chainable)
+   */
+  add(pattern, handler) {
+    const keys = [];
+    const source = pattern.split('/').map(part => {
+      if (part.startsWith(':')) {
+        keys.push(part.slice(1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    this.routes.push({ pattern, keys, regex: new RegExp(`^${source}$`), handler });
+    return this;
+  }
+
+  /**
+   * Start routing (resolves the current URL)
+   * @param {string} [defaultPath] - Path for unknown routes
+   * @returns {Promise<void>} Resolves when the first route is entered
+   */
+  start(defaultPath = '/') {
+    if (this.started) return this.transition;
+
+    this.started = true;
+    this.defaultPath = defaultPath;
+    window.addEventListener('hashchange', this.handleHashChange);
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    return this.resolve();
+  }
+
+  /**
+   * Stop routing and exit the current route
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.started) return this.transition;
+
+    this.started = false;
+    window.removeEventListener('hashchange', this.handleHashChange);
+    window.removeEventListener('pagehide', this.handlePageHide);
+
+    return this.queue(() => this.exitCurrent());
+  }
+
+  /**
+   * Check if the router is handling navigation
+   * @returns {boolean}
+   */
+  isStarted() {
+    return this.started;
+  }
+
+  /**
+   * Go to a route
+   * @param {string} path - Route path (e.g. '/games/memory-game')
+   * @param {object} [query] - Query parameters (null/undefined values are left out)
+   */
+  navigate(path, query = {}) {
+    const hash = this.href(path, query);
+
+    if (window.location.hash === hash) {
+      // Same URL: re-enter the route (e.g. replay with the same seed)
+      this.resolve();
+    } else {
+      window.location.hash = hash.slice(1);
+    }
+  }
+
+  /**
+   * Build a link to a route
+   * @param {string} path - Route path
+   * @param {object} [query] - Query parameters (null/undefined values are left out)
+   * @returns {string} Hash URL (e.g. '#/games/memory-game?seed=42')
+   */
+  href(path, query = {}) {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        params.set(key, value);
+      }
+    });
+
+    const search = params.toString();
+    return `#${path}${search ? `?${search}` : ''}`;
+  }
+
+  /**
+   * Get the current route
+   * @returns {object|null} {path, params, query} or null before start()
+   */
+  getCurrent() {
+    return this.current;
+  }
+
+  /**
+   * Parse the URL hash into a path and query
+   * Hashes that are not routes (e.g. '#games') count as the default path.
+   * @returns {object} {path, query}
+   */
+  parseHash() {
+    const hash = window.location.hash || '';
+    if (!hash.startsWith('#/')) {
+      return { path: this.defaultPath, query: {} };
+    }
+
+    const [path, search = ''] = hash.slice(1).split('?');
+    return {
+      path: decodeURI(path) || '/',
+      query: Object.fromEntries(new URLSearchParams(search))
+    };
+  }
+
+  /**
+   * Find the route for a path
+   * @param {string} path - Route path
+   * @returns {object|null} {route, params} or null if none matches
+   */
+  match(path) {
+    for (const route of this.routes) {
+      const found = route.regex.exec(path);
+      if (found) {
+        const params = {};
+        route.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(found[index + 1]);
+        });
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Enter the route for the current URL
+   * @returns {Promise<void>}
+   */
+  resolve() {
+    return this.queue(async () => {
+      if (!this.started) return;
+
+      const { path, query } = this.parseHash();
+      const matched = this.match(path);
+
+      if (!matched) {
+        console.warn(`No route for ${path}, going to ${this.defaultPath}`);
+        window.location.replace(this.href(this.defaultPath));
+        return;
+      }
+
+      await this.exitCurrent();
+
+      this.current = { path, params: matched.params, query };
+      try {
+        const exit = await matched.route.handler(this.current);
+        this.exitHandler = typeof exit === 'function' ? exit : null;
+      } catch (error) {
+        console.error(`Failed to enter route ${path}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Run the current route's exit function (once)
+   * @returns {Promise<void>}
+   */
+  async exitCurrent() {
+    const exit = this.exitHandler;
+    this.exitHandler = null;
+    if (!exit) return;
+
+    try {
+      await exit();
+    } catch (error) {
+      console.error('Failed to leave route:', error);
+    }
+  }
+
+  /**
+   * Run a transition after the pending ones
+   * @param {Function} task - Async task
+   * @returns {Promise<void>}
+   */
+  queue(task) {
+    this.transition = this.transition.then(task, task);
+    return this.transition;
+  }
+}
+
+// Export singleton instance
+export const router = new Router();
@@ -0,0 +1,205 @@
+/**
+ * ScoreRegistry.js
+ * Central declaration of how each game measures, compares and displays its record
+ */
+
+import { t } from './I18nService.js';
+
+// Record types
+export const METRIC_BEST = 'best';    // Single best value (compared with `order`)
+export const METRIC_TALLY = 'tally';  // Outcome counters (e.g. wins/losses/draws)
+
+// Comparison order for best-value metrics
+export const ORDER_HIGHER = 'higher';
+export const ORDER_LOWER = 'lower';
+
+class ScoreRegistry {
+  /**
+   * Constructor
+   */
+  constructor() {
+    // Score definitions keyed by game ID
+    this.definitions = new Map();
+  }
+
+  /**
+   * Register a game's score definition
+   *
+   * Best-value definition:
+   *   { id, storageKey, metric: 'best', order: 'higher'|'lower', unit, label,
+   *     getScore(result) => number, format(value) => string, perDifficulty? }
+   *   With perDifficulty: true the best is kept separately for each session
+   *   difficulty and the record is an object {difficulty: best}.
+   *
+   * Tally definition:
+   *   { id, storageKey, metric: 'tally', counters: {outcome: field},
+   *     getOutcome(result) => string, format(record) => string }
+   *
+   * @param {object} definition - Score definition
+   */
+  register(definition) {
+    if (!definition || !definition.id || !definition.storageKey) {
+      throw new Error('Score definition requires id and storageKey');
+    }
+
+    if (definition.metric === METRIC_BEST &&
+        definition.order !== ORDER_HIGHER && definition.order !== ORDER_LOWER) {
+      throw new Error(`Invalid score order for ${definition.id}: ${definition.order}`);
+    }
+
+    this.definitions.set(definition.id, definition);
+  }
+
+  /**
+   * Get a game's score definition
+   * @param {string} gameId - Game ID
+   * @returns {object|null} Score definition or null if not registered
+   */
+  get(gameId) {
+    return this.definitions.get(gameId) || null;
+  }
+
+  /**
+   * Check if a game has a score definition
+   * @param {string} gameId - Game ID
+   * @returns {boolean}
+   */
+  has(gameId) {
+    return this.definitions.has(gameId);
+  }
+
+  /**
+   * Get all registered definitions
+   * @returns {Array<object>} Score definitions
+   */
+  getAll() {
+    return Array.from(this.definitions.values());
+  }
+
+  /**
+   * Check if a score beats the current best
+   * With no current best, higher-is-better scores must be above 0 to count
+   * (a first game scoring nothing is not a record).
+   * @param {string} gameId - Game ID
+   * @param {number} score - Candidate score
+   * @param {number|null} currentBest - Current best (null if none)
+   * @returns {boolean} True if score is a new record
+   */
+  isBetter(gameId, score, currentBest) {
+    const definition = this.get(gameId);
+    if (!definition || definition.metric !== METRIC_BEST) return false;
+
+    if (currentBest === null || currentBest === undefined) {
+      return definition.order === ORDER_LOWER || score > 0;
+    }
+
+    return definition.order === ORDER_LOWER
+      ? score < currentBest
+      : score > currentBest;
+  }
+
+  /**
+   * Format a record for display
+   * @param {string} gameId - Game ID
+   * @param {number|object|null} value - Best value or tally record
+   * @returns {string} Formatted value ('--' if empty)
+   */
+  format(gameId, value) {
+    if (value === null || value === undefined) {
+      return '--';
+    }
+
+    const definition = this.get(gameId);
+    if (!definition || !definition.format) {
+      return String(value);
+    }
+
+    return definition.format(value);
+  }
+}
+
+// Export singleton instance
+export const scoreRegistry = new ScoreRegistry();
+
+// ====================
+// Built-in Games
+// ====================
+
+scoreRegistry.register({
+  id: 'memory-game',
+  storageKey: 'memory-game_highscore',
+  metric: METRIC_BEST,
+  order: ORDER_LOWER,
+  unit: 'moves',
+  label: 'Moves',
+  getScore: result => result.moves,
+  format: value => t('score.moves', { count: value })
+});
+
+scoreRegistry.register({
+  id: 'tic-tac-toe',
+  storageKey: 'tic-tac-toe_stats',
+  metric: METRIC_TALLY,
+  counters: { win: 'wins', loss: 'losses', draw: 'draws' },
+  getOutcome: result => result.outcome,
+  format: record => {
+    if (typeof record !== 'object') return '--';
+    return t('score.tally', {
+      wins: record.wins || 0,
+      losses: record.losses || 0,
+      draws: record.draws || 0
+    });
+  }
+});
+
+scoreRegistry.register({
+  id: 'whack-a-mole',
+  storageKey: 'whack-a-mole_highscore',
+  metric: METRIC_BEST,
+  order: ORDER_HIGHER,
+  unit: 'pts',
+  label: 'Score',
+  getScore: result => result.score,
+  format: value => t('score.points', { count: value })
+});
+
+scoreRegistry.register({
+  id: 'number-nine',
+  storageKey: 'nine-game_highscore',  // Key used before the registry existed
+  metric: METRIC_BEST,
+  order: ORDER_HIGHER,
+  unit: 'pts',
+  label: 'Score',
+  getScore: result => result.playerScore,
+  format: value => t('score.points', { count: value })
+});
+
+scoreRegistry.register({
+  id: 'runner-game',
+  storageKey: 'runner-game_highscore',
+  metric: METRIC_BEST,
+  order: ORDER_HIGHER,
+  unit: 'm',
+  label: 'Distance',
+  getScore: result => result.distance,
+  format: value => t('score.meters', { count: value })
+});
+
+scoreRegistry.register({
+  id: 'nback-game',
+  storageKey: 'nback-game_best',
+  metric: METRIC_BEST,
+  order: ORDER_HIGHER,
+  perDifficulty: true,  // Accuracy at 1-back and 3-back are not comparable
+  unit: '%',
+  label: 'Accuracy',
+  getScore: result => Math.round(result.overall.accuracy),
+  format: value => {
+    // Single scores (sessions, averages) or the per-difficulty record
+    if (typeof value !== 'object') return t('score.percent', { count: value });
+    return Object.keys(value)
+      .sort()
+      .map(level => t('score.nBackLevel', { n: level, score: t('score.percent', { count: value[level] }) }))
+      .join(' / ') || '--';
+  }
+});
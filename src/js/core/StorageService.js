@@ -1,35 +1,231 @@
 /**
  * StorageService.js
- * Provides abstraction for LocalStorage operations with error handling
+ * Provides abstraction for key/value storage with error handling
+ *
+ * Data lives in a pluggable backend (LocalStorage, IndexedDB or in-memory)
+ * selected from site-config.json `storage.provider` via configure().
+ * Keys are scoped (per player profile): the default scope uses the plain
+ * `bgc_{key}` layout, other scopes are stored as `bgc_{scope}:{key}`.
+ * Every write is reported to onChange() listeners, including writes made by
+ * other tabs of the site (via BroadcastChannel, or the `storage` event).
  */
 
+import { hashString } from '../utils/helpers.js';
+import LocalStorageBackend from './storage/LocalStorageBackend.js';
+import IndexedDBStorageBackend from './storage/IndexedDBStorageBackend.js';
+import MemoryStorageBackend from './storage/MemoryStorageBackend.js';
+
+// Storage providers (site-config.json storage.provider)
+export const PROVIDER_LOCAL_STORAGE = 'localStorage';
+export const PROVIDER_INDEXED_DB = 'indexedDB';
+export const PROVIDER_MEMORY = 'memory';
+
+// Scope for data shared by every profile (e.g. the profile list)
+export const GLOBAL_SCOPE = 'global';
+
+// Separates a scope from the key: `bgc_{scope}:{key}` (unscoped: `bgc_{key}`)
+const SCOPE_SEPARATOR = ':';
+
+// BroadcastChannel used to tell other tabs about writes
+const CHANGE_CHANNEL = 'bgc-storage';
+
+// Origin of a change: a normal save, or an import (which may lower data on purpose)
+export const CHANGE_SAVE = 'save';
+export const CHANGE_IMPORT = 'import';
+
+// Export document identification
+export const EXPORT_FORMAT = 'bgc-progress';
+export const EXPORT_VERSION = 2;
+
+// First export version covering every scope (version 1 held one profile)
+const SCOPED_EXPORT_VERSION = 2;
+
+// Import modes
+export const IMPORT_MERGE = 'merge';
+export const IMPORT_REPLACE = 'replace';
+
 class StorageService {
   /**
    * Constructor
    * @param {string} prefix - Prefix for all storage keys
+   * @param {StorageBackend} [backend] - Backend (defaults to LocalStorage, or memory if unavailable)
    */
-  constructor(prefix = 'bgc_') {
+  constructor(prefix = 'bgc_', backend = createDefaultBackend()) {
     this.prefix = prefix;
+    this.backend = backend;
+
+    // Current key scope ('' = default)
+    this.scope = '';
+
+    // Change listeners and cross-tab channel
+    this.listeners = new Set();
+    this.channel = null;
+    this.listenForRemoteChanges();
+  }
+
+  // ====================
+  // Backend Selection
+  // ====================
+
+  /**
+   * Switch to the configured storage provider
+   * Falls back to the current backend if the provider cannot be opened.
+   * The first time a provider is used, existing data is copied over from the
+   * current backend so switching providers keeps saved progress.
+   * @param {object} options - Storage config {provider, prefix}
+   * @returns {Promise<string>} Name of the provider in use
+   */
+  async configure(options = {}) {
+    if (options.prefix) {
+      this.prefix = options.prefix;
+    }
+
+    const provider = options.provider || PROVIDER_LOCAL_STORAGE;
+    if (provider === this.backend.name) {
+      return this.backend.name;
+    }
+
+    const backend = await openBackend(provider);
+    if (!backend) {
+      console.warn(`Storage provider "${provider}" is not available, using ${this.backend.name}`);
+      return this.backend.name;
+    }
+
+    this.copyData(this.backend, backend);
+    this.backend = backend;
+    return backend.name;
+  }
+
+  /**
+   * Copy prefixed data into a backend that has none yet
+   * @param {StorageBackend} from - Current backend
+   * @param {StorageBackend} to - New backend
+   */
+  copyData(from, to) {
+    try {
+      const isPrefixed = key => key.startsWith(this.prefix);
+      if (to.keys().some(isPrefixed)) return;
+
+      from.keys()
+        .filter(isPrefixed)
+        .forEach(key => to.setItem(key, from.getItem(key)));
+    } catch (error) {
+      console.error(`Failed to copy data from ${from.name} to ${to.name}:`, error);
+    }
+  }
+
+  /**
+   * Get the name of the provider in use
+   * @returns {string} Provider name
+   */
+  getProvider() {
+    return this.backend.name;
+  }
+
+  // ====================
+  // Scopes
+  // ====================
+
+  /**
+   * Set the scope used by all key-based methods
+   * @param {string} scope - Scope name ('' for the default scope)
+   */
+  setScope(scope) {
+    this.scope = scope || '';
+  }
+
+  /**
+   * Get the current scope
+   * @returns {string} Scope name ('' for the default scope)
+   */
+  getScope() {
+    return this.scope;
+  }
+
+  /**
+   * Run storage calls against another scope
+   * The callback must be synchronous; the previous scope is restored afterwards.
+   * @param {string} scope - Scope name
+   * @param {Function} callback - () => any
+   * @returns {any} Callback result
+   */
+  runInScope(scope, callback) {
+    const previousScope = this.scope;
+    this.scope = scope || '';
+
+    try {
+      return callback();
+    } finally {
+      this.scope = previousScope;
+    }
+  }
+
+  /**
+   * Build the full backend key for a key in the current scope
+   * @param {string} key - Key without prefix
+   * @returns {string} Full key
+   */
+  getFullKey(key) {
+    return this.prefix + (this.scope ? this.scope + SCOPE_SEPARATOR : '') + key;
+  }
+
+  /**
+   * Split a full backend key into scope and key
+   * @param {string} fullKey - Full key
+   * @returns {{scope: string, key: string}|null} Parts, or null if not ours
+   */
+  parseFullKey(fullKey) {
+    if (!fullKey.startsWith(this.prefix)) return null;
+
+    const rest = fullKey.slice(this.prefix.length);
+    const separatorIndex = rest.indexOf(SCOPE_SEPARATOR);
+
+    if (separatorIndex === -1) {
+      return { scope: '', key: rest };
+    }
+
+    return {
+      scope: rest.slice(0, separatorIndex),
+      key: rest.slice(separatorIndex + SCOPE_SEPARATOR.length)
+    };
+  }
+
+  /**
+   * Get the full keys belonging to the current scope
+   * @returns {Array<string>} Full keys
+   */
+  getScopedFullKeys() {
+    return this.backend.keys().filter(fullKey => {
+      const parts = this.parseFullKey(fullKey);
+      return parts !== null && parts.scope === this.scope;
+    });
   }
 
+  // ====================
+  // Sync API
+  // ====================
+
   /**
-   * Save data to LocalStorage
+   * Save data to storage
    * @param {string} key - Key without prefix
    * @param {any} value - Value to store (will be JSON stringified if object)
    * @returns {boolean} Success status
    */
   save(key, value) {
     try {
-      const fullKey = this.prefix + key;
-      const serialized = typeof value === 'object' ? JSON.stringify(value) : String(value);
-      localStorage.setItem(fullKey, serialized);
+      const fullKey = this.getFullKey(key);
+      const oldRaw = this.backend.getItem(fullKey);
+      const newRaw = serialize(value);
+
+      this.backend.setItem(fullKey, newRaw);
+      this.emitChange(fullKey, oldRaw, newRaw);
       return true;
     } catch (error) {
-      console.error(`Failed to save to LocalStorage (key: ${key}):`, error);
+      console.error(`Failed to save to ${this.backend.name} (key: ${key}):`, error);
 
       // Handle QuotaExceededError
       if (error.name === 'QuotaExceededError') {
-        console.warn('LocalStorage quota exceeded. Consider clearing old data.');
+        console.warn(`${this.backend.name} quota exceeded. Consider clearing old data.`);
       }
 
       return false;
@@ -37,95 +233,598 @@ class StorageService {
   }
 
   /**
-   * Load data from LocalStorage
+   * Load data from storage
    * @param {string} key - Key without prefix
    * @param {any} defaultValue - Default value if key doesn't exist
    * @returns {any} Stored value or defaultValue
    */
   load(key, defaultValue = null) {
     try {
-      const fullKey = this.prefix + key;
-      const item = localStorage.getItem(fullKey);
+      const item = this.backend.getItem(this.getFullKey(key));
 
       if (item === null) {
         return defaultValue;
       }
 
       // Try to parse as JSON, fallback to raw string
-      try {
-        return JSON.parse(item);
-      } catch {
-        return item;
-      }
+      return parseStored(item);
     } catch (error) {
-      console.error(`Failed to load from LocalStorage (key: ${key}):`, error);
+      console.error(`Failed to load from ${this.backend.name} (key: ${key}):`, error);
       return defaultValue;
     }
   }
 
   /**
-   * Load numeric value from LocalStorage
+   * Load numeric value from storage
    * @param {string} key - Key without prefix
    * @param {number} defaultValue - Default value if key doesn't exist or is not a number
    * @returns {number} Stored number or defaultValue
    */
   loadNumber(key, defaultValue = 0) {
-    const value = this.load(key, defaultValue);
+    const value = this.load(key, null);
+
+    // Missing key: return default as-is (Number(null) would be 0)
+    if (value === null) {
+      return defaultValue;
+    }
+
     const number = Number(value);
     return isNaN(number) ? defaultValue : number;
   }
 
   /**
-   * Remove data from LocalStorage
+   * Load the raw stored string
+   * @param {string} key - Key without prefix
+   * @returns {string|null} Raw value or null if missing
+   */
+  loadRaw(key) {
+    try {
+      return this.backend.getItem(this.getFullKey(key));
+    } catch (error) {
+      console.error(`Failed to load from ${this.backend.name} (key: ${key}):`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove data from storage
    * @param {string} key - Key without prefix
    * @returns {boolean} Success status
    */
   remove(key) {
     try {
-      const fullKey = this.prefix + key;
-      localStorage.removeItem(fullKey);
+      const fullKey = this.getFullKey(key);
+      const oldRaw = this.backend.getItem(fullKey);
+
+      this.backend.removeItem(fullKey);
+      this.emitChange(fullKey, oldRaw, null);
       return true;
     } catch (error) {
-      console.error(`Failed to remove from LocalStorage (key: ${key}):`, error);
+      console.error(`Failed to remove from ${this.backend.name} (key: ${key}):`, error);
       return false;
     }
   }
 
   /**
-   * Clear all data with this service's prefix
+   * Clear all data in the current scope
    * @returns {boolean} Success status
    */
   clearAll() {
     try {
-      const keys = Object.keys(localStorage);
-      const prefixedKeys = keys.filter(key => key.startsWith(this.prefix));
-
-      prefixedKeys.forEach(key => {
-        localStorage.removeItem(key);
+      this.getScopedFullKeys().forEach(key => {
+        const oldRaw = this.backend.getItem(key);
+        this.backend.removeItem(key);
+        this.emitChange(key, oldRaw, null);
       });
 
       return true;
     } catch (error) {
-      console.error('Failed to clear LocalStorage:', error);
+      console.error(`Failed to clear ${this.backend.name}:`, error);
       return false;
     }
   }
 
   /**
-   * Check if LocalStorage is available
-   * @returns {boolean} True if LocalStorage is available and working
+   * Get all keys in the current scope
+   * @returns {Array<string>} Keys without prefix and scope
    */
-  isAvailable() {
+  keys() {
     try {
-      const testKey = this.prefix + '__test__';
-      localStorage.setItem(testKey, 'test');
-      localStorage.removeItem(testKey);
+      return this.getScopedFullKeys()
+        .map(fullKey => this.parseFullKey(fullKey).key);
+    } catch (error) {
+      console.error(`Failed to list ${this.backend.name} keys:`, error);
+      return [];
+    }
+  }
+
+  // ====================
+  // Async API
+  // ====================
+
+  /**
+   * Save data and wait until the backend has persisted it
+   * @param {string} key - Key without prefix
+   * @param {any} value - Value to store
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveAsync(key, value) {
+    try {
+      const fullKey = this.getFullKey(key);
+      const oldRaw = this.backend.getItem(fullKey);
+      const newRaw = serialize(value);
+
+      await this.backend.setItemAsync(fullKey, newRaw);
+      this.emitChange(fullKey, oldRaw, newRaw);
       return true;
     } catch (error) {
-      console.warn('LocalStorage is not available:', error);
+      console.error(`Failed to save to ${this.backend.name} (key: ${key}):`, error);
       return false;
     }
   }
+
+  /**
+   * Load data (async)
+   * @param {string} key - Key without prefix
+   * @param {any} defaultValue - Default value if key doesn't exist
+   * @returns {Promise<any>} Stored value or defaultValue
+   */
+  async loadAsync(key, defaultValue = null) {
+    try {
+      const item = await this.backend.getItemAsync(this.getFullKey(key));
+      return item === null ? defaultValue : parseStored(item);
+    } catch (error) {
+      console.error(`Failed to load from ${this.backend.name} (key: ${key}):`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Remove data and wait until the backend has persisted it
+   * @param {string} key - Key without prefix
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeAsync(key) {
+    try {
+      const fullKey = this.getFullKey(key);
+      const oldRaw = this.backend.getItem(fullKey);
+
+      await this.backend.removeItemAsync(fullKey);
+      this.emitChange(fullKey, oldRaw, null);
+      return true;
+    } catch (error) {
+      console.error(`Failed to remove from ${this.backend.name} (key: ${key}):`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Wait until all pending writes have been persisted
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.backend.flush();
+  }
+
+  // ====================
+  // Change Events
+  // ====================
+
+  /**
+   * Subscribe to stored value changes (this tab and other tabs)
+   * @param {Function} listener - ({scope, key, oldValue, newValue, remote, origin}) => void
+   *   key is without prefix and scope, values are parsed (null when missing),
+   *   origin is CHANGE_IMPORT for import writes, else CHANGE_SAVE
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Start receiving writes made by other tabs
+   * BroadcastChannel works for every shared backend; browsers without it fall
+   * back to the `storage` event, which only reports LocalStorage writes.
+   */
+  listenForRemoteChanges() {
+    if (typeof window === 'undefined') return;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANGE_CHANNEL);
+      this.channel.onmessage = event => this.handleRemoteChange(event.data);
+      return;
+    }
+
+    window.addEventListener('storage', event => {
+      // key is null when another tab calls localStorage.clear()
+      if (event.key === null || this.backend.name !== PROVIDER_LOCAL_STORAGE) return;
+
+      // The storage event cannot say where a write came from
+      this.handleRemoteChange({
+        key: event.key,
+        oldValue: event.oldValue,
+        newValue: event.newValue,
+        origin: CHANGE_SAVE
+      });
+    });
+  }
+
+  /**
+   * Report a write made by this tab
+   * @param {string} fullKey - Full key
+   * @param {string|null} oldRaw - Previous raw value
+   * @param {string|null} newRaw - New raw value (null when removed)
+   * @param {string} [origin] - CHANGE_SAVE or CHANGE_IMPORT
+   */
+  emitChange(fullKey, oldRaw, newRaw, origin = CHANGE_SAVE) {
+    if (oldRaw === newRaw) return;
+
+    // In-memory data is private to this tab
+    if (this.channel && this.backend.name !== PROVIDER_MEMORY) {
+      try {
+        this.channel.postMessage({ key: fullKey, oldValue: oldRaw, newValue: newRaw, origin });
+      } catch (error) {
+        console.warn('Failed to broadcast storage change:', error);
+      }
+    }
+
+    this.notify(fullKey, oldRaw, newRaw, false, origin);
+  }
+
+  /**
+   * Apply and report a write made by another tab
+   * @param {object} message - {key, oldValue, newValue, origin} with full key and raw values
+   */
+  handleRemoteChange(message) {
+    if (!message || typeof message.key !== 'string' || !message.key.startsWith(this.prefix)) {
+      return;
+    }
+
+    // Backends with their own cache (IndexedDB) still hold this tab's view,
+    // which is a better "before" value than the sender's possibly stale one
+    const localRaw = this.backend.getItem(message.key);
+    const oldRaw = localRaw !== message.newValue ? localRaw : message.oldValue;
+
+    this.backend.applyRemoteChange(message.key, message.newValue);
+    this.notify(message.key, oldRaw, message.newValue, true, message.origin || CHANGE_SAVE);
+  }
+
+  /**
+   * Call change listeners
+   * @param {string} fullKey - Full key
+   * @param {string|null} oldRaw - Previous raw value
+   * @param {string|null} newRaw - New raw value
+   * @param {boolean} remote - True if the write came from another tab
+   * @param {string} origin - CHANGE_SAVE or CHANGE_IMPORT
+   */
+  notify(fullKey, oldRaw, newRaw, remote, origin) {
+    const { scope, key } = this.parseFullKey(fullKey);
+    const change = {
+      scope,
+      key,
+      oldValue: oldRaw === null ? null : parseStored(oldRaw),
+      newValue: newRaw === null ? null : parseStored(newRaw),
+      remote,
+      origin
+    };
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error(`Storage change listener failed (key: ${change.key}):`, error);
+      }
+    });
+  }
+
+  // ====================
+  // Export / Import
+  // ====================
+
+  /**
+   * Export every prefixed key, in every scope, into a versioned document
+   * Values are kept as raw stored strings so the round trip is lossless.
+   * Data keys name their scope like the stored keys do: `{key}` for the
+   * default scope, `{scope}:{key}` for the others (profiles and global).
+   * @returns {object} Export document {format, version, exportedAt, prefix, checksum, data}
+   */
+  exportAll() {
+    const data = {};
+
+    try {
+      this.backend.keys()
+        .filter(fullKey => fullKey.startsWith(this.prefix))
+        .sort()
+        .forEach(fullKey => {
+          const raw = this.backend.getItem(fullKey);
+          if (raw !== null) {
+            data[fullKey.slice(this.prefix.length)] = raw;
+          }
+        });
+    } catch (error) {
+      console.error(`Failed to export ${this.backend.name} data:`, error);
+    }
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      prefix: this.prefix,
+      checksum: this.computeChecksum(data),
+      data: data
+    };
+  }
+
+  /**
+   * Read every key in the current scope
+   * @returns {object} Key (without prefix and scope) to raw stored string
+   */
+  readScope() {
+    const data = {};
+    this.keys().forEach(key => {
+      const raw = this.loadRaw(key);
+      if (raw !== null) {
+        data[key] = raw;
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Build the export data key for a key in the current scope
+   * @param {string} key - Key without prefix
+   * @returns {string} `{key}` or `{scope}:{key}`
+   */
+  getScopedKey(key) {
+    return (this.scope ? this.scope + SCOPE_SEPARATOR : '') + key;
+  }
+
+  /**
+   * Parse and validate an export document
+   * Version 1 files hold only the profile that was active when exporting;
+   * their keys are moved into the current scope, which is where they import.
+   * @param {string|object} input - JSON text or already parsed document
+   * @returns {{exported: object|null, errors: Array<string>}} Parsed document and validation errors
+   */
+  parseExport(input) {
+    let exported = input;
+
+    if (typeof input === 'string') {
+      try {
+        exported = JSON.parse(input);
+      } catch {
+        return { exported: null, errors: ['File is not valid JSON'] };
+      }
+    }
+
+    const errors = [];
+
+    if (!exported || typeof exported !== 'object') {
+      return { exported: null, errors: ['Export document must be an object'] };
+    }
+
+    if (exported.format !== EXPORT_FORMAT) {
+      errors.push(`Unknown format: ${exported.format}`);
+    }
+
+    if (typeof exported.version !== 'number' || exported.version > EXPORT_VERSION) {
+      errors.push(`Unsupported export version: ${exported.version}`);
+    }
+
+    if (!exported.data || typeof exported.data !== 'object' || Array.isArray(exported.data)) {
+      errors.push('Missing data section');
+    } else {
+      Object.entries(exported.data).forEach(([key, value]) => {
+        if (typeof value !== 'string') {
+          errors.push(`Invalid value for key "${key}"`);
+        }
+      });
+
+      if (errors.length === 0 && exported.checksum !== this.computeChecksum(exported.data)) {
+        errors.push('Checksum mismatch - the file may be corrupted or edited');
+      }
+    }
+
+    if (errors.length > 0) {
+      return { exported: null, errors };
+    }
+
+    if (exported.version < SCOPED_EXPORT_VERSION) {
+      const data = {};
+      Object.entries(exported.data).forEach(([key, raw]) => {
+        data[this.getScopedKey(key)] = raw;
+      });
+      exported = { ...exported, data };
+    }
+
+    return { exported, errors };
+  }
+
+  /**
+   * Split export data by scope
+   * @param {object} data - Export data (`{key}` and `{scope}:{key}` to raw value)
+   * @returns {object} Scope ('' for the default scope) to {key: raw value}
+   */
+  groupByScope(data) {
+    const groups = {};
+    Object.entries(data).forEach(([scopedKey, raw]) => {
+      const { scope, key } = this.parseFullKey(this.prefix + scopedKey);
+      groups[scope] = groups[scope] || {};
+      groups[scope][key] = raw;
+    });
+    return groups;
+  }
+
+  /**
+   * Preview what an import would change
+   * Replace only removes keys from scopes (profiles) that are in the file.
+   * @param {object} exported - Validated export document
+   * @param {object} options - {mode, mergeValue(key, current, incoming, scope)}
+   * @returns {Array<object>} Changes [{scope, key, status, current, incoming, result}]
+   *   status: 'new' | 'unchanged' | 'updated' | 'kept' | 'removed'
+   */
+  previewImport(exported, options = {}) {
+    const mode = options.mode || IMPORT_MERGE;
+    const mergeValue = options.mergeValue || (current => current);
+    const changes = [];
+
+    Object.entries(this.groupByScope(exported.data)).forEach(([scope, data]) => {
+      this.runInScope(scope, () => {
+        Object.entries(data).forEach(([key, incomingRaw]) => {
+          const currentRaw = this.loadRaw(key);
+          const incoming = parseStored(incomingRaw);
+
+          if (currentRaw === null) {
+            changes.push({ scope, key, status: 'new', current: null, incoming, result: incoming });
+            return;
+          }
+
+          const current = parseStored(currentRaw);
+          const result = mode === IMPORT_REPLACE ? incoming : mergeValue(key, current, incoming, scope);
+          const resultRaw = serialize(result);
+
+          let status = 'updated';
+          if (resultRaw === currentRaw) {
+            status = currentRaw === incomingRaw ? 'unchanged' : 'kept';
+          }
+
+          changes.push({ scope, key, status, current, incoming, result });
+        });
+
+        // Replace drops keys that are not in the file
+        if (mode === IMPORT_REPLACE) {
+          this.keys()
+            .filter(key => !(key in data))
+            .forEach(key => {
+              const current = this.load(key);
+              changes.push({ scope, key, status: 'removed', current, incoming: null, result: null });
+            });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Import an export document
+   * @param {object} exported - Validated export document
+   * @param {object} options - {mode: 'merge'|'replace', mergeValue(key, current, incoming, scope)}
+   * @returns {boolean} Success status
+   */
+  importAll(exported, options = {}) {
+    const changes = this.previewImport(exported, options);
+
+    try {
+      changes.forEach(change => {
+        const fullKey = this.runInScope(change.scope, () => this.getFullKey(change.key));
+
+        if (change.status === 'removed') {
+          const oldRaw = this.backend.getItem(fullKey);
+          this.backend.removeItem(fullKey);
+          this.emitChange(fullKey, oldRaw, null, CHANGE_IMPORT);
+        } else if (change.status === 'new' || change.status === 'updated') {
+          const oldRaw = this.backend.getItem(fullKey);
+          const newRaw = serialize(change.result);
+          this.backend.setItem(fullKey, newRaw);
+          this.emitChange(fullKey, oldRaw, newRaw, CHANGE_IMPORT);
+        }
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to import data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Compute checksum of export data (order-independent)
+   * @param {object} data - Key/raw value map
+   * @returns {string} Checksum
+   */
+  computeChecksum(data) {
+    const canonical = Object.keys(data)
+      .sort()
+      .map(key => `${key}=${data[key]}`)
+      .join('\n');
+    return hashString(canonical);
+  }
+
+  /**
+   * Check if the current backend is available
+   * @returns {boolean} True if the backend is available and working
+   */
+  isAvailable() {
+    return this.backend.isAvailable();
+  }
+}
+
+/**
+ * Create the backend used before configure() runs
+ * @returns {StorageBackend} LocalStorage, or memory if LocalStorage is unusable
+ */
+function createDefaultBackend() {
+  const backend = new LocalStorageBackend();
+  if (typeof localStorage !== 'undefined' && backend.isAvailable()) {
+    return backend;
+  }
+
+  console.warn('Falling back to in-memory storage - progress will not be kept after closing the page');
+  return new MemoryStorageBackend();
+}
+
+/**
+ * Create and open a backend for a provider
+ * @param {string} provider - Provider name
+ * @returns {Promise<StorageBackend|null>} Opened backend or null if unavailable
+ */
+async function openBackend(provider) {
+  let backend;
+
+  switch (provider) {
+    case PROVIDER_LOCAL_STORAGE:
+      backend = new LocalStorageBackend();
+      break;
+    case PROVIDER_INDEXED_DB:
+      backend = new IndexedDBStorageBackend();
+      break;
+    case PROVIDER_MEMORY:
+      backend = new MemoryStorageBackend();
+      break;
+    default:
+      console.warn(`Unknown storage provider: ${provider}`);
+      return null;
+  }
+
+  try {
+    return (await backend.open()) ? backend : null;
+  } catch (error) {
+    console.warn(`Failed to open storage provider "${provider}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Parse a raw stored string the same way load() does
+ * @param {string} raw - Raw stored string
+ * @returns {any} Parsed value
+ */
+export function parseStored(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Serialize a value the same way save() does
+ * @param {any} value - Value to store
+ * @returns {string} Serialized value
+ */
+export function serialize(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
 }
 
 // Export singleton instance
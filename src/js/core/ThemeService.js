@@ -0,0 +1,215 @@
+/**
+ * ThemeService.js
+ * Colour themes (light, dark, high contrast) chosen per profile
+ *
+ * The theme is set as <html data-theme="...">; common.css and the game
+ * stylesheets define their colours as CSS custom properties for each theme.
+ * Canvas drawing reads the same properties with getThemeColor().
+ *
+ * The default choice, 'system', follows prefers-color-scheme (and
+ * prefers-contrast: more). Dark is only used while the darkModeEnabled
+ * feature flag is on; high contrast is always available.
+ */
+
+import { storageService, GLOBAL_SCOPE } from './StorageService.js';
+import { featureFlags } from './FeatureFlagService.js';
+import { ACTIVE_PROFILE_KEY } from './ProfileService.js';
+
+// Storage key for the profile's choice
+export const THEME_KEY = 'theme';
+
+export const THEME_SYSTEM = 'system';
+export const THEME_LIGHT = 'light';
+export const THEME_DARK = 'dark';
+export const THEME_HIGH_CONTRAST = 'high-contrast';
+
+// Choices with their labels
+export const THEMES = {
+  [THEME_SYSTEM]: { label: 'System' },
+  [THEME_LIGHT]: { label: 'Light' },
+  [THEME_DARK]: { label: 'Dark' },
+  [THEME_HIGH_CONTRAST]: { label: 'High contrast' }
+};
+
+class ThemeService {
+  /**
+   * Constructor
+   * @param {StorageService} storage - Storage service instance
+   * @param {FeatureFlagService} features - Feature flags (darkModeEnabled)
+   */
+  constructor(storage, features) {
+    this.storage = storage;
+    this.features = features;
+    this.readyPromise = null;
+    this.theme = null;
+    this.choice = null;
+    this.listeners = new Set();
+    this.darkQuery = null;
+    this.contrastQuery = null;
+
+    // Choice changed in another tab, or another profile became active
+    this.storage.onChange(change => {
+      const switchedProfile = change.scope === GLOBAL_SCOPE && change.key === ACTIVE_PROFILE_KEY;
+      const changedChoice = change.key === THEME_KEY && change.scope === this.storage.getScope();
+      if (switchedProfile || changedChoice) {
+        this.apply();
+      }
+    });
+  }
+
+  /**
+   * Apply the theme once flags and storage are ready (once per page)
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initialize();
+    }
+    return this.readyPromise;
+  }
+
+  /**
+   * Watch system preferences and the dark mode flag, then apply
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.features.ready();
+
+    if (typeof window !== 'undefined' && typeof window.matchMedia === 'function') {
+      this.darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+      [this.darkQuery, this.contrastQuery].forEach(query => {
+        query.addEventListener('change', () => this.apply());
+      });
+    }
+
+    this.features.onChange(() => this.apply());
+    this.apply();
+  }
+
+  // ====================
+  // Choice
+  // ====================
+
+  /**
+   * Get the active profile's choice
+   * @returns {string} Theme choice ('system', 'light', 'dark', 'high-contrast')
+   */
+  getChoice() {
+    const choice = this.storage.load(THEME_KEY, THEME_SYSTEM);
+    return THEMES[choice] ? choice : THEME_SYSTEM;
+  }
+
+  /**
+   * Save the active profile's choice and apply it
+   * @param {string} choice - Theme choice
+   */
+  setChoice(choice) {
+    if (!THEMES[choice]) {
+      console.warn(`Unknown theme: ${choice}`);
+      return;
+    }
+
+    if (choice === THEME_SYSTEM) {
+      this.storage.remove(THEME_KEY);
+    } else {
+      this.storage.save(THEME_KEY, choice);
+    }
+  }
+
+  /**
+   * Get the choices that can be used now
+   * @returns {Array<string>} Theme choices (dark only while darkModeEnabled is on)
+   */
+  getAvailableChoices() {
+    return Object.keys(THEMES).filter(choice => choice !== THEME_DARK || this.isDarkAllowed());
+  }
+
+  /**
+   * Check the darkModeEnabled flag
+   * @returns {boolean}
+   */
+  isDarkAllowed() {
+    return this.features.isEnabled('darkModeEnabled');
+  }
+
+  // ====================
+  // Theme
+  // ====================
+
+  /**
+   * Get the theme in use
+   * @returns {string} 'light', 'dark' or 'high-contrast'
+   */
+  getTheme() {
+    return this.theme || this.resolve(this.getChoice());
+  }
+
+  /**
+   * Resolve a choice to the theme to use
+   * @param {string} choice - Theme choice
+   * @returns {string} Theme
+   */
+  resolve(choice) {
+    if (choice === THEME_SYSTEM) {
+      if (this.contrastQuery && this.contrastQuery.matches) return THEME_HIGH_CONTRAST;
+      if (this.darkQuery && this.darkQuery.matches && this.isDarkAllowed()) return THEME_DARK;
+      return THEME_LIGHT;
+    }
+
+    if (choice === THEME_DARK && !this.isDarkAllowed()) {
+      return THEME_LIGHT;
+    }
+    return choice;
+  }
+
+  /**
+   * Set the theme on the page and notify listeners if it or the choice changed
+   */
+  apply() {
+    if (!this.readyPromise) return;
+
+    const choice = this.getChoice();
+    const theme = this.resolve(choice);
+    if (typeof document !== 'undefined') {
+      document.documentElement.setAttribute('data-theme', theme);
+    }
+
+    if (theme === this.theme && choice === this.choice) return;
+    this.theme = theme;
+    this.choice = choice;
+
+    this.listeners.forEach(listener => {
+      try {
+        listener({ theme, choice });
+      } catch (error) {
+        console.error('Theme listener failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribe to theme changes
+   * @param {Function} listener - ({theme, choice}) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+/**
+ * Read a colour from CSS custom properties
+ * @param {string} name - Custom property name (e.g. '--color-primary')
+ * @param {string} fallback - Fallback colour
+ * @param {HTMLElement} [element] - Element to read from (default <html>)
+ * @returns {string} Colour value
+ */
+export function getThemeColor(name, fallback, element = document.documentElement) {
+  const value = getComputedStyle(element).getPropertyValue(name).trim();
+  return value || fallback;
+}
+
+// Export singleton instance
+export const themeService = new ThemeService(storageService, featureFlags);
@@ -0,0 +1,58 @@
+/**
+ * migrations.js
+ * Ordered list of stored-data migrations
+ *
+ * Each migration upgrades data from (version - 1) to version. Migrations only
+ * touch data through the context they receive (get/set/remove/rename/keys), so
+ * the same code runs for dry runs, real upgrades and imported files.
+ * Never edit a released migration - add a new one with the next version.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize Tic-Tac-Toe stats to {wins, losses, draws} integers',
+    migrate(context) {
+      const key = 'tic-tac-toe_stats';
+      if (!context.has(key)) return;
+
+      const stored = context.get(key);
+      const source = stored && typeof stored === 'object' ? stored : {};
+      const normalized = {
+        wins: toCount(source.wins),
+        losses: toCount(source.losses),
+        draws: toCount(source.draws)
+      };
+
+      if (JSON.stringify(stored) !== JSON.stringify(normalized)) {
+        context.set(key, normalized, 'normalized counters');
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Drop corrupted (non-numeric) high scores',
+    migrate(context) {
+      context.keys()
+        .filter(key => key.endsWith('_highscore'))
+        .forEach(key => {
+          const value = context.get(key);
+          if (value === null || value === '' || isNaN(Number(value))) {
+            context.remove(key, `invalid value ${JSON.stringify(value)}`);
+          } else if (typeof value !== 'number') {
+            context.set(key, Number(value), 'converted to number');
+          }
+        });
+    }
+  }
+];
+
+/**
+ * Convert a stored counter to a non-negative integer
+ * @param {any} value - Stored value
+ * @returns {number} Count
+ */
+function toCount(value) {
+  const number = Math.floor(Number(value));
+  return isNaN(number) || number < 0 ? 0 : number;
+}
@@ -0,0 +1,226 @@
+/**
+ * IndexedDBStorageBackend.js
+ * Storage backend using IndexedDB (much larger quota than LocalStorage)
+ *
+ * IndexedDB is asynchronous, so all entries are loaded into an in-memory cache
+ * by open(). Sync reads are served from the cache and sync writes update the
+ * cache immediately and are persisted in the background (write-behind).
+ * Use the async methods or flush() to wait until a write has been persisted.
+ */
+
+import StorageBackend from './StorageBackend.js';
+
+// Database layout
+const DB_NAME = 'bgc-storage';
+const DB_VERSION = 1;
+const STORE_NAME = 'items';
+
+export default class IndexedDBStorageBackend extends StorageBackend {
+  /**
+   * Constructor
+   * @param {string} dbName - Database name
+   */
+  constructor(dbName = DB_NAME) {
+    super('indexedDB');
+    this.dbName = dbName;
+    this.db = null;
+    this.cache = new Map();
+    this.lastWrite = Promise.resolve();
+  }
+
+  /**
+   * Open the database and load all entries into the cache
+   * @returns {Promise<boolean>} True if the database could be opened
+   */
+  async open() {
+    if (this.db) return true;
+
+    if (typeof indexedDB === 'undefined') {
+      console.warn('IndexedDB is not supported in this browser');
+      return false;
+    }
+
+    try {
+      this.db = await openDatabase(this.dbName);
+      await this.loadCache();
+      return true;
+    } catch (error) {
+      // e.g. Firefox private browsing rejects indexedDB.open()
+      console.warn('IndexedDB is not available:', error);
+      this.db = null;
+      return false;
+    }
+  }
+
+  /**
+   * Read every entry of the store into the cache
+   * @returns {Promise<void>}
+   */
+  loadCache() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readonly');
+      const request = transaction.objectStore(STORE_NAME).openCursor();
+
+      this.cache.clear();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          this.cache.set(cursor.key, cursor.value);
+          cursor.continue();
+        }
+      };
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Available once the database has been opened
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.db !== null;
+  }
+
+  /**
+   * Read a raw value from the cache
+   * @param {string} key - Full key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  }
+
+  /**
+   * Write a raw value (persisted in the background)
+   * @param {string} key - Full key
+   * @param {string} value - Raw value
+   */
+  setItem(key, value) {
+    this.setItemAsync(key, value).catch(() => {});
+  }
+
+  /**
+   * Remove a value (persisted in the background)
+   * @param {string} key - Full key
+   */
+  removeItem(key) {
+    this.removeItemAsync(key).catch(() => {});
+  }
+
+  /**
+   * List all stored keys
+   * @returns {Array<string>} Full keys
+   */
+  keys() {
+    return Array.from(this.cache.keys());
+  }
+
+  /**
+   * Update the cache after another tab wrote a value
+   * The other tab already persisted it, so nothing is written here.
+   * @param {string} key - Full key
+   * @param {string|null} value - New raw value (null when removed)
+   */
+  applyRemoteChange(key, value) {
+    if (value === null) {
+      this.cache.delete(key);
+    } else {
+      this.cache.set(key, value);
+    }
+  }
+
+  /**
+   * Read a raw value (async)
+   * @param {string} key - Full key
+   * @returns {Promise<string|null>}
+   */
+  async getItemAsync(key) {
+    return this.getItem(key);
+  }
+
+  /**
+   * Write a raw value and wait until it is persisted
+   * @param {string} key - Full key
+   * @param {string} value - Raw value
+   * @returns {Promise<void>}
+   */
+  setItemAsync(key, value) {
+    this.cache.set(key, String(value));
+    return this.write(store => store.put(String(value), key));
+  }
+
+  /**
+   * Remove a value and wait until it is persisted
+   * @param {string} key - Full key
+   * @returns {Promise<void>}
+   */
+  removeItemAsync(key) {
+    this.cache.delete(key);
+    return this.write(store => store.delete(key));
+  }
+
+  /**
+   * Wait for all pending writes to be persisted
+   * Transactions on the same store complete in the order they were created,
+   * so waiting for the last one is enough.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.lastWrite;
+  }
+
+  /**
+   * Run a write in its own readwrite transaction
+   * @param {Function} operation - (objectStore) => void
+   * @returns {Promise<void>} Resolves when the transaction completes
+   */
+  write(operation) {
+    if (!this.db) {
+      return Promise.reject(new Error('IndexedDB is not open'));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite');
+      operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    promise.catch(error => {
+      console.error('Failed to write to IndexedDB:', error);
+      if (error && error.name === 'QuotaExceededError') {
+        console.warn('IndexedDB quota exceeded. Consider clearing old data.');
+      }
+    });
+
+    // flush() waits for this write whether it succeeds or fails
+    this.lastWrite = promise.catch(() => {});
+    return promise;
+  }
+}
+
+/**
+ * Open (and create/upgrade) the database
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(dbName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB open blocked by another tab'));
+  });
+}
@@ -0,0 +1,66 @@
+/**
+ * LocalStorageBackend.js
+ * Storage backend using window.localStorage
+ */
+
+import StorageBackend from './StorageBackend.js';
+
+export default class LocalStorageBackend extends StorageBackend {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super('localStorage');
+  }
+
+  /**
+   * Check if LocalStorage is available and writable
+   * (fails in some private browsing modes and when storage is disabled)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    try {
+      const testKey = '__bgc_test__';
+      localStorage.setItem(testKey, 'test');
+      localStorage.removeItem(testKey);
+      return true;
+    } catch (error) {
+      console.warn('LocalStorage is not available:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read a raw value
+   * @param {string} key - Full key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    return localStorage.getItem(key);
+  }
+
+  /**
+   * Write a raw value (throws QuotaExceededError when full)
+   * @param {string} key - Full key
+   * @param {string} value - Raw value
+   */
+  setItem(key, value) {
+    localStorage.setItem(key, value);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Full key
+   */
+  removeItem(key) {
+    localStorage.removeItem(key);
+  }
+
+  /**
+   * List all stored keys
+   * @returns {Array<string>} Full keys
+   */
+  keys() {
+    return Object.keys(localStorage);
+  }
+}
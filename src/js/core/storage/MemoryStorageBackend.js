@@ -0,0 +1,59 @@
+/**
+ * MemoryStorageBackend.js
+ * In-memory storage backend (data lasts until the page is closed)
+ * Used when neither LocalStorage nor IndexedDB is usable, e.g. private browsing.
+ */
+
+import StorageBackend from './StorageBackend.js';
+
+export default class MemoryStorageBackend extends StorageBackend {
+  /**
+   * Constructor
+   */
+  constructor() {
+    super('memory');
+    this.items = new Map();
+  }
+
+  /**
+   * Always available
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Read a raw value
+   * @param {string} key - Full key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  /**
+   * Write a raw value
+   * @param {string} key - Full key
+   * @param {string} value - Raw value
+   */
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Full key
+   */
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  /**
+   * List all stored keys
+   * @returns {Array<string>} Full keys
+   */
+  keys() {
+    return Array.from(this.items.keys());
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * StorageBackend.js
+ * Base class for key/value storage backends used by StorageService
+ *
+ * Backends store raw strings under full (prefixed) keys. The sync methods must
+ * be implemented; the async variants default to wrapping them and are
+ * overridden by backends that persist asynchronously (IndexedDB).
+ */
+
+export default class StorageBackend {
+  /**
+   * Constructor
+   * @param {string} name - Provider name (as used in site-config.json)
+   */
+  constructor(name) {
+    if (this.constructor === StorageBackend) {
+      throw new Error('StorageBackend is an abstract class and cannot be instantiated directly');
+    }
+
+    this.name = name;
+  }
+
+  /**
+   * Prepare the backend for use (open databases, load caches)
+   * @returns {Promise<boolean>} True if the backend is usable
+   */
+  async open() {
+    return this.isAvailable();
+  }
+
+  /**
+   * Check if the backend works in this browser
+   * @returns {boolean}
+   */
+  isAvailable() {
+    throw new Error('isAvailable() method must be implemented by subclass');
+  }
+
+  /**
+   * Read a raw value
+   * @param {string} key - Full key
+   * @returns {string|null} Raw value or null if missing
+   */
+  getItem(key) {
+    throw new Error('getItem() method must be implemented by subclass');
+  }
+
+  /**
+   * Write a raw value
+   * @param {string} key - Full key
+   * @param {string} value - Raw value
+   */
+  setItem(key, value) {
+    throw new Error('setItem() method must be implemented by subclass');
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Full key
+   */
+  removeItem(key) {
+    throw new Error('removeItem() method must be implemented by subclass');
+  }
+
+  /**
+   * List all stored keys
+   * @returns {Array<string>} Full keys
+   */
+  keys() {
+    throw new Error('keys() method must be implemented by subclass');
+  }
+
+  /**
+   * Update local state after another tab wrote a value
+   * Backends that read straight from shared storage need nothing here.
+   * @param {string} key - Full key
+   * @param {string|null} value - New raw value (null when removed)
+   */
+  applyRemoteChange(key, value) {
+    // Shared storage already has the new value
+  }
+
+  /**
+   * Read a raw value (async)
+   * @param {string} key - Full key
+   * @returns {Promise<string|null>}
+   */
+  async getItemAsync(key) {
+    return this.getItem(key);
+  }
+
+  /**
+   * Write a raw value and wait until it is persisted
+   * @param {string} key - Full key
+   * @param {string} value - Raw value
+   * @returns {Promise<void>}
+   */
+  async setItemAsync(key, value) {
+    this.setItem(key, value);
+  }
+
+  /**
+   * Remove a value and wait until it is persisted
+   * @param {string} key - Full key
+   * @returns {Promise<void>}
+   */
+  async removeItemAsync(key) {
+    this.removeItem(key);
+  }
+
+  /**
+   * Wait for all pending writes to be persisted
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    // Sync backends persist immediately
+  }
+}
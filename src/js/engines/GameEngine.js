@@ -0,0 +1,56 @@
+/**
+ * GameEngine.js
+ * Base class for DOM-free game engines
+ *
+ * An engine owns one game's rules and state. Controllers call its actions and
+ * update the page from its events; the same engine runs headless in Node for
+ * bots, replays and automated testing.
+ *
+ * Events use EventEmitter: engine.on(event, listener) returns an unsubscribe function.
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { deepClone } from '../utils/helpers.js';
+
+export default class GameEngine extends EventEmitter {
+  /**
+   * Constructor
+   * @param {object} options - {random: () => number} random source (defaults to Math.random)
+   */
+  constructor(options = {}) {
+    super();
+
+    if (this.constructor === GameEngine) {
+      throw new Error('GameEngine is an abstract class and cannot be instantiated directly');
+    }
+
+    this.random = options.random || Math.random;
+    this.state = {};
+  }
+
+  /**
+   * Copy of the current state (safe to keep, e.g. for replays)
+   * @returns {object} State snapshot
+   */
+  getSnapshot() {
+    return deepClone(this.state);
+  }
+
+  /**
+   * Random integer in [0, max)
+   * @param {number} max - Upper bound (exclusive)
+   * @returns {number}
+   */
+  randomInt(max) {
+    return Math.floor(this.random() * max);
+  }
+
+  /**
+   * Random element of an array
+   * @param {Array} array - Array to choose from
+   * @returns {any} Random element
+   */
+  randomChoice(array) {
+    return array[this.randomInt(array.length)];
+  }
+}
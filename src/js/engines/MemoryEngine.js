@@ -0,0 +1,125 @@
+/**
+ * MemoryEngine.js
+ * Memory Game rules: flip two cards per move and match all pairs
+ *
+ * Events: flip {index, value}, move {moves}, match {indices},
+ * mismatch {indices}, unflip {indices}, complete {moves}
+ */
+
+import GameEngine from './GameEngine.js';
+import { shuffleArray } from '../utils/helpers.js';
+
+// Number of card pairs
+export const MEMORY_PAIRS = 8;
+
+export default class MemoryEngine extends GameEngine {
+  /**
+   * Constructor
+   * @param {object} options - {random}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.start();
+  }
+
+  /**
+   * Deal a new shuffled board
+   */
+  start() {
+    // Create cards array [1,1,2,2,...,8,8]
+    const cards = [];
+    for (let i = 1; i <= MEMORY_PAIRS; i++) {
+      cards.push(i, i);
+    }
+
+    this.state = {
+      cards: shuffleArray(cards, this.random),
+      flippedIndices: [],     // Face-up unmatched cards (max 2)
+      matchedIndices: [],     // All matched card indices
+      moves: 0,               // Number of pairs turned over
+      started: false,         // Has the first card been flipped?
+      complete: false         // All pairs matched?
+    };
+  }
+
+  /**
+   * Check if a card can be flipped now
+   * (not while a mismatched pair is still face-up)
+   * @param {number} index - Card index
+   * @returns {boolean}
+   */
+  canFlip(index) {
+    const { cards, flippedIndices, matchedIndices, complete } = this.state;
+
+    return !complete &&
+      index >= 0 && index < cards.length &&
+      flippedIndices.length < 2 &&
+      !flippedIndices.includes(index) &&
+      !matchedIndices.includes(index);
+  }
+
+  /**
+   * Check if a mismatched pair is waiting to be turned back
+   * @returns {boolean}
+   */
+  hasPendingMismatch() {
+    return this.state.flippedIndices.length === 2;
+  }
+
+  /**
+   * Flip a card face-up
+   * @param {number} index - Card index
+   * @returns {boolean} True if the card was flipped
+   */
+  flip(index) {
+    if (!this.canFlip(index)) return false;
+
+    this.state.started = true;
+    this.state.flippedIndices.push(index);
+    this.emit('flip', { index, value: this.state.cards[index] });
+
+    if (this.state.flippedIndices.length === 2) {
+      this.state.moves++;
+      this.emit('move', { moves: this.state.moves });
+      this.resolvePair();
+    }
+
+    return true;
+  }
+
+  /**
+   * Compare the two face-up cards
+   */
+  resolvePair() {
+    const [index1, index2] = this.state.flippedIndices;
+
+    if (this.state.cards[index1] !== this.state.cards[index2]) {
+      // Cards stay face-up until hideMismatch()
+      this.emit('mismatch', { indices: [index1, index2] });
+      return;
+    }
+
+    this.state.matchedIndices.push(index1, index2);
+    this.state.flippedIndices = [];
+    this.emit('match', { indices: [index1, index2] });
+
+    if (this.state.matchedIndices.length === this.state.cards.length) {
+      this.state.complete = true;
+      this.emit('complete', { moves: this.state.moves });
+    }
+  }
+
+  /**
+   * Turn a mismatched pair face-down again
+   * @returns {boolean} True if cards were turned back
+   */
+  hideMismatch() {
+    if (!this.hasPendingMismatch()) return false;
+
+    const indices = this.state.flippedIndices;
+    this.state.flippedIndices = [];
+    this.emit('unflip', { indices });
+
+    return true;
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * NBackEngine.js
+ * Dual N-Back rules: each trial shows a grid position and a number; the
+ * player reports which of them match the trial N steps back
+ *
+ * Time is driven by a TimerScheduler, so a VirtualClock makes rounds
+ * deterministic.
+ *
+ * Events: tick {timeRemaining}, stimulus {position, number, trialIndex},
+ * stimulusHidden, respond {type}, feedback {position, number} (null before
+ * N trials have been shown), end {results}
+ */
+
+import GameEngine from './GameEngine.js';
+import TimerScheduler from '../utils/TimerScheduler.js';
+
+// Timing
+export const NBACK_DURATION = 30; // 30 seconds
+export const STIMULUS_DURATION = 500; // 500ms to show stimulus
+export const RESPONSE_WINDOW = 2000; // 2000ms for player to respond (increased from 1000ms)
+export const FEEDBACK_DURATION = 500; // 500ms to show feedback before the next trial
+
+// Stimuli
+export const GRID_SIZE = 3; // 3x3 grid
+export const NUMBER_RANGE = 9; // Numbers 1-9
+
+export default class NBackEngine extends GameEngine {
+  /**
+   * Constructor
+   * @param {object} options - {random, timers: TimerScheduler}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.timers = options.timers || new TimerScheduler();
+
+    // Timer IDs
+    this.gameTimer = null;
+    this.trialTimer = null;  // Current step of the trial chain
+
+    this.reset(2);
+  }
+
+  /**
+   * Reset state for a difficulty
+   * @param {number} difficulty - N-back level (1=Easy, 2=Normal, 3=Hard)
+   */
+  reset(difficulty) {
+    this.state = {
+      gameState: 'ready', // ready | running | finished
+      difficulty,
+
+      // Current stimulus
+      currentPosition: null, // 0-8 (grid index)
+      currentNumber: null, // 1-9
+
+      // History
+      positionHistory: [],
+      numberHistory: [],
+
+      // Trial tracking
+      trialIndex: 0,
+      totalTrials: 0,
+
+      // Player responses (only for trials where comparison is possible)
+      positionResponses: [], // [{expected: bool, actual: bool, correct: bool}]
+      numberResponses: [],
+
+      // Response tracking for current trial
+      currentPositionResponse: false,
+      currentNumberResponse: false,
+
+      timeRemaining: NBACK_DURATION
+    };
+  }
+
+  /**
+   * Start a round
+   * @param {number} difficulty - N-back level
+   */
+  start(difficulty = this.state.difficulty) {
+    this.stopTimers();
+    this.reset(difficulty);
+    this.state.gameState = 'running';
+
+    this.gameTimer = this.timers.setInterval(() => {
+      this.state.timeRemaining--;
+      this.emit('tick', { timeRemaining: this.state.timeRemaining });
+
+      if (this.state.timeRemaining <= 0) {
+        this.finish();
+      }
+    }, 1000);
+
+    this.startTrial();
+  }
+
+  /**
+   * Show the next stimulus and schedule its response window
+   */
+  startTrial() {
+    if (this.state.gameState !== 'running') return;
+
+    // Generate random position and number
+    this.state.currentPosition = this.randomInt(GRID_SIZE * GRID_SIZE);
+    this.state.currentNumber = this.randomInt(NUMBER_RANGE) + 1;
+
+    this.state.positionHistory.push(this.state.currentPosition);
+    this.state.numberHistory.push(this.state.currentNumber);
+
+    this.state.currentPositionResponse = false;
+    this.state.currentNumberResponse = false;
+
+    this.emit('stimulus', {
+      position: this.state.currentPosition,
+      number: this.state.currentNumber,
+      trialIndex: this.state.trialIndex
+    });
+
+    // Hide stimulus -> record response -> show feedback -> next trial
+    this.trialTimer = this.timers.setTimeout(() => {
+      this.emit('stimulusHidden');
+
+      this.trialTimer = this.timers.setTimeout(() => {
+        this.recordResponse();
+
+        this.trialTimer = this.timers.setTimeout(() => {
+          this.state.trialIndex++;
+          this.startTrial();
+        }, FEEDBACK_DURATION);
+      }, RESPONSE_WINDOW);
+    }, STIMULUS_DURATION);
+  }
+
+  /**
+   * Report a match for the current trial
+   * @param {string} type - 'position' or 'number'
+   * @returns {boolean} True if the response was accepted
+   */
+  respond(type) {
+    if (this.state.gameState !== 'running') return false;
+
+    if (type === 'position') {
+      this.state.currentPositionResponse = true;
+    } else if (type === 'number') {
+      this.state.currentNumberResponse = true;
+    } else {
+      return false;
+    }
+
+    this.emit('respond', { type });
+    return true;
+  }
+
+  /**
+   * Check whether a stimulus matches the one N trials back
+   * @param {Array<number>} history - Position or number history
+   * @param {number} trial - Trial index
+   * @returns {boolean}
+   */
+  isMatch(history, trial) {
+    const nBack = this.state.difficulty;
+    return trial >= nBack && history[trial] === history[trial - nBack];
+  }
+
+  /**
+   * Score the current trial's responses
+   */
+  recordResponse() {
+    const currentTrial = this.state.trialIndex;
+
+    // Only record if we have enough history to compare
+    if (currentTrial < this.state.difficulty) {
+      this.emit('feedback', { position: null, number: null });
+      return;
+    }
+
+    const judge = (history, actual) => {
+      const expected = this.isMatch(history, currentTrial);
+      return { expected, actual, correct: actual === expected };
+    };
+
+    const position = judge(this.state.positionHistory, this.state.currentPositionResponse);
+    const number = judge(this.state.numberHistory, this.state.currentNumberResponse);
+
+    this.state.positionResponses.push(position);
+    this.state.numberResponses.push(number);
+    this.state.totalTrials++;
+
+    this.emit('feedback', { position, number });
+  }
+
+  /**
+   * End the round when time is up
+   */
+  finish() {
+    this.state.gameState = 'finished';
+    this.stopTimers();
+    this.emit('end', { results: this.calculateResults() });
+  }
+
+  /**
+   * Stop without results (e.g. on reset)
+   */
+  stop() {
+    this.stopTimers();
+    if (this.state.gameState === 'running') {
+      this.state.gameState = 'finished';
+    }
+  }
+
+  /**
+   * Cancel the game timer and pending trial steps
+   */
+  stopTimers() {
+    this.timers.clear(this.gameTimer);
+    this.timers.clear(this.trialTimer);
+    this.gameTimer = null;
+    this.trialTimer = null;
+  }
+
+  /**
+   * Calculate game results
+   * `hits` counts matches the player pressed for, so it stays 0 when nothing was pressed.
+   * @returns {object} {position, number, overall: {correct, total, accuracy, hits}, difficulty}
+   */
+  calculateResults() {
+    const summarize = (responses) => {
+      const correct = responses.filter(r => r.correct).length;
+      const hits = responses.filter(r => r.expected && r.actual).length;
+      const total = responses.length;
+      return { correct, total, accuracy: total > 0 ? (correct / total) * 100 : 0, hits };
+    };
+
+    const position = summarize(this.state.positionResponses);
+    const number = summarize(this.state.numberResponses);
+    const overall = summarize([...this.state.positionResponses, ...this.state.numberResponses]);
+
+    return { position, number, overall, difficulty: this.state.difficulty };
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * NineEngine.js
+ * Nine card game rules - both sides play cards 1-9 once each; the higher
+ * card wins the sum of both cards
+ *
+ * Events: select {card}, reveal {playerCard, cpuCard, result},
+ * turn {turn, isPlayerTurn}, complete {winner, playerScore, cpuScore}
+ */
+
+import GameEngine from './GameEngine.js';
+
+// Number of turns (one per card)
+export const NINE_TURNS = 9;
+
+export default class NineEngine extends GameEngine {
+  /**
+   * Constructor
+   * @param {object} options - {random}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.start();
+  }
+
+  /**
+   * Start a new game
+   */
+  start() {
+    this.state = {
+      // Card data
+      playerCards: [1, 2, 3, 4, 5, 6, 7, 8, 9],      // Available cards
+      cpuCards: [1, 2, 3, 4, 5, 6, 7, 8, 9],         // Available cards
+      playerUsedCards: [],                            // Already played
+      cpuUsedCards: [],                               // Already played
+
+      // Turn data
+      currentTurn: 1,                                 // 1-9
+      isPlayerTurn: true,                             // Turn order alternates
+
+      // Selection data
+      playerSelectedCard: null,
+
+      // Last revealed round
+      lastPlayerCard: null,
+      lastCpuCard: null,
+      lastRoundResult: null,
+
+      // Scores
+      playerScore: 0,
+      cpuScore: 0,
+
+      phase: 'selection'  // selection | reveal | complete
+    };
+  }
+
+  /**
+   * Select (or deselect) one of the player's cards
+   * @param {number} card - Card value (1-9)
+   * @returns {boolean} True if the selection changed
+   */
+  select(card) {
+    if (this.state.phase !== 'selection') return false;
+    if (!this.state.playerCards.includes(card)) return false;
+
+    this.state.playerSelectedCard = this.state.playerSelectedCard === card ? null : card;
+    this.emit('select', { card: this.state.playerSelectedCard });
+
+    return true;
+  }
+
+  /**
+   * Play the selected card against the CPU's choice and score the round
+   * @returns {object|null} Round result {winner, playerPoints, cpuPoints} or null if nothing can be played
+   */
+  play() {
+    const playerCard = this.state.playerSelectedCard;
+    if (this.state.phase !== 'selection' || playerCard === null) return null;
+
+    const cpuCard = this.cpuSelectCard();
+
+    // Mark cards as used
+    this.state.playerUsedCards.push(playerCard);
+    this.state.cpuUsedCards.push(cpuCard);
+    this.state.playerCards = this.state.playerCards.filter(c => c !== playerCard);
+    this.state.cpuCards = this.state.cpuCards.filter(c => c !== cpuCard);
+
+    // Resolve and score
+    const result = this.resolveRound(playerCard, cpuCard);
+    this.state.playerScore += result.playerPoints;
+    this.state.cpuScore += result.cpuPoints;
+
+    this.state.lastPlayerCard = playerCard;
+    this.state.lastCpuCard = cpuCard;
+    this.state.lastRoundResult = result;
+    this.state.phase = 'reveal';
+
+    this.emit('reveal', { playerCard, cpuCard, result });
+    return result;
+  }
+
+  /**
+   * Move on after a revealed round (finishes the game after the last turn)
+   * @returns {boolean} True if a new turn started, false if the game is complete
+   */
+  nextTurn() {
+    if (this.state.phase !== 'reveal') return false;
+
+    if (this.state.currentTurn >= NINE_TURNS) {
+      this.state.phase = 'complete';
+      this.emit('complete', {
+        winner: this.getWinner(),
+        playerScore: this.state.playerScore,
+        cpuScore: this.state.cpuScore
+      });
+      return false;
+    }
+
+    this.state.currentTurn++;
+
+    // Alternate turn order (player goes first on odd turns)
+    this.state.isPlayerTurn = (this.state.currentTurn % 2 === 1);
+    this.state.playerSelectedCard = null;
+    this.state.phase = 'selection';
+
+    this.emit('turn', { turn: this.state.currentTurn, isPlayerTurn: this.state.isPlayerTurn });
+    return true;
+  }
+
+  /**
+   * Overall winner by score
+   * @returns {string} 'player', 'cpu', or 'tie'
+   */
+  getWinner() {
+    if (this.state.playerScore > this.state.cpuScore) return 'player';
+    if (this.state.cpuScore > this.state.playerScore) return 'cpu';
+    return 'tie';
+  }
+
+  /**
+   * CPU card selection strategy (Medium difficulty)
+   * @returns {number} Selected card value (1-9)
+   */
+  cpuSelectCard() {
+    const availableCards = [...this.state.cpuCards];
+    const remainingTurns = NINE_TURNS + 1 - this.state.currentTurn;
+    const scoreDiff = this.state.cpuScore - this.state.playerScore;
+
+    // Strategy 1: If behind by a lot (>15 points), play high card
+    if (scoreDiff < -15 && availableCards.length > 3) {
+      return this.randomChoice(availableCards.slice(-3));
+    }
+
+    // Strategy 2: If ahead by a lot (>15 points), save high cards
+    if (scoreDiff > 15 && availableCards.length > 3) {
+      return this.randomChoice(availableCards.slice(0, 3));
+    }
+
+    // Strategy 3: If last 3 turns and losing/tied, play aggressively
+    if (remainingTurns <= 3 && scoreDiff <= 0) {
+      return Math.max(...availableCards);
+    }
+
+    // Strategy 4: Default - play middle-range card with randomness
+    const middleCards = availableCards.filter(c => c >= 4 && c <= 6);
+    if (middleCards.length > 0 && this.random() < 0.6) {
+      return this.randomChoice(middleCards);
+    }
+
+    // Strategy 5: Fallback - random card
+    return this.randomChoice(availableCards);
+  }
+
+  /**
+   * Resolve round - determine winner and points
+   * @param {number} playerCard - Player's card value
+   * @param {number} cpuCard - CPU's card value
+   * @returns {object} Result {winner, playerPoints, cpuPoints}
+   */
+  resolveRound(playerCard, cpuCard) {
+    const totalPoints = playerCard + cpuCard;
+
+    if (playerCard > cpuCard) {
+      return { winner: 'player', playerPoints: totalPoints, cpuPoints: 0 };
+    }
+
+    if (cpuCard > playerCard) {
+      return { winner: 'cpu', playerPoints: 0, cpuPoints: totalPoints };
+    }
+
+    // Tie: No points awarded
+    return { winner: 'tie', playerPoints: 0, cpuPoints: 0 };
+  }
+}
@@ -0,0 +1,406 @@
+/**
+ * RunnerEngine.js
+ * Runner rules: scroll right, jump over obstacles and reach the goal
+ *
+ * The engine advances one animation frame per step(), so a headless run is
+ * just a loop calling step() (and jump()) until the game is over.
+ *
+ * Events: fall, hit, gameover {reason, distance, jumps, wastedJumps},
+ * goal {distance, jumps, wastedJumps}
+ *
+ * A jump is wasted if the player lands without an obstacle having been
+ * below them during the jump.
+ */
+
+import GameEngine from './GameEngine.js';
+
+// World geometry (px)
+export const VIEW_WIDTH = 800;
+export const VIEW_HEIGHT = 400;
+export const GROUND_Y = 320;
+export const PLAYER_WIDTH = 30;
+export const PLAYER_HEIGHT = 50;
+export const PLAYER_X = 100;
+
+// Physics (per frame)
+export const GRAVITY = 0.6;
+export const JUMP_POWER = -13;
+export const SCROLL_SPEED = 5;
+
+// Goal
+export const GOAL_DISTANCE = 500; // 500 meters
+
+// Fall and hit animations (frames)
+const FALL_SPEED = 3;
+const MAX_FALL = 100;
+const FRAMES_PER_FLASH = 6; // ~100ms at 60fps
+const MAX_FLASHES = 6;
+
+// Obstacle sizes by type
+const OBSTACLE_SHAPES = {
+  rock: { offsetY: -40, width: 40, height: 40 },
+  pit: { offsetY: 0, width: 60, height: 100 },   // 60-100px wide (random extra width)
+  step: { offsetY: -60, width: 80, height: 60 },
+  bird: { offsetY: -120, width: 30, height: 20 } // Flying height
+};
+
+export default class RunnerEngine extends GameEngine {
+  /**
+   * Constructor
+   * @param {object} options - {random}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.reset();
+  }
+
+  /**
+   * Reset to the ready state
+   */
+  reset() {
+    this.state = {
+      gameState: 'ready', // ready | running | falling | hit | gameover | goal
+
+      // Player
+      player: {
+        x: PLAYER_X,
+        y: 0,
+        velocityY: 0,
+        isJumping: false,
+        isGrounded: true,
+        animFrame: 0, // For running animation
+        isFalling: false, // Falling into pit
+        fallOffset: 0, // How far fallen into pit
+        jumpCleared: false // An obstacle was below the player during this jump
+      },
+
+      // Jumps
+      jumps: 0,
+      wastedJumps: 0,
+
+      // Scroll & distance
+      scrollOffset: 0,
+      distance: 0,
+      scrollSpeed: SCROLL_SPEED,
+
+      // Obstacles
+      obstacles: [],
+      nextObstacleDistance: 10, // First obstacle at 10m
+
+      frameCount: 0,
+      hitFrames: 0,
+      flashCount: 0 // For hit flash animation
+    };
+  }
+
+  /**
+   * Start a run
+   */
+  start() {
+    this.reset();
+    this.state.gameState = 'running';
+  }
+
+  /**
+   * Check if the run is still animating (running, falling or hit)
+   * @returns {boolean}
+   */
+  isActive() {
+    return ['running', 'falling', 'hit'].includes(this.state.gameState);
+  }
+
+  /**
+   * Jump action
+   * @returns {boolean} True if the player jumped
+   */
+  jump() {
+    const player = this.state.player;
+    if (this.state.gameState !== 'running' || !player.isGrounded) return false;
+
+    player.velocityY = JUMP_POWER;
+    player.isGrounded = false;
+    player.isJumping = true;
+    player.jumpCleared = false;
+    this.state.jumps++;
+    return true;
+  }
+
+  /**
+   * Advance one frame
+   */
+  step() {
+    switch (this.state.gameState) {
+      case 'running':
+        this.stepRunning();
+        break;
+      case 'falling':
+        this.stepFalling();
+        break;
+      case 'hit':
+        this.stepHit();
+        break;
+    }
+  }
+
+  /**
+   * Running frame: physics, scrolling, obstacles, collisions and goal
+   */
+  stepRunning() {
+    this.state.frameCount++;
+
+    this.updatePlayerPhysics();
+
+    // Update scroll
+    this.state.scrollOffset += this.state.scrollSpeed;
+    this.state.distance = Math.floor(this.state.scrollOffset / 10);
+
+    this.updateObstacles();
+    this.generateObstacles();
+
+    if (this.checkCollisions()) return;
+
+    if (this.state.distance >= GOAL_DISTANCE) {
+      this.state.gameState = 'goal';
+      this.emit('goal', {
+        distance: GOAL_DISTANCE,
+        jumps: this.state.jumps,
+        wastedJumps: this.state.wastedJumps
+      });
+    }
+  }
+
+  /**
+   * Falling frame: sink into the pit, then game over
+   */
+  stepFalling() {
+    this.state.player.fallOffset += FALL_SPEED;
+
+    if (this.state.player.fallOffset >= MAX_FALL) {
+      this.gameOver('Fell into pit');
+    }
+  }
+
+  /**
+   * Hit frame: flash a few times, then game over
+   */
+  stepHit() {
+    this.state.hitFrames++;
+    this.state.flashCount = Math.floor(this.state.hitFrames / FRAMES_PER_FLASH);
+
+    if (this.state.flashCount >= MAX_FLASHES) {
+      this.gameOver('Hit obstacle');
+    }
+  }
+
+  /**
+   * End the run
+   * @param {string} reason - Reason shown to the player
+   */
+  gameOver(reason) {
+    this.state.gameState = 'gameover';
+    this.emit('gameover', {
+      reason,
+      distance: this.state.distance,
+      jumps: this.state.jumps,
+      wastedJumps: this.state.wastedJumps
+    });
+  }
+
+  /**
+   * Update player physics
+   */
+  updatePlayerPhysics() {
+    const player = this.state.player;
+
+    if (!player.isGrounded) {
+      // Apply gravity
+      player.velocityY += GRAVITY;
+      player.y -= player.velocityY; // Subtract to make positive Y go up
+
+      // Check ground collision
+      if (player.y <= 0) {
+        player.y = 0;
+        player.velocityY = 0;
+        player.isGrounded = true;
+        player.isJumping = false;
+
+        if (!player.jumpCleared) {
+          this.state.wastedJumps++;
+        }
+      }
+    }
+
+    // Update animation frame (for running)
+    if (this.state.frameCount % 10 === 0) {
+      player.animFrame = (player.animFrame + 1) % 4;
+    }
+  }
+
+  /**
+   * Remove obstacles that are far behind the player
+   */
+  updateObstacles() {
+    this.state.obstacles = this.state.obstacles.filter(
+      obs => obs.worldX + obs.width > this.state.scrollOffset - 100
+    );
+  }
+
+  /**
+   * Generate new obstacles
+   */
+  generateObstacles() {
+    const currentDistance = this.state.distance;
+
+    // Check if it's time to generate next obstacle
+    if (currentDistance >= this.state.nextObstacleDistance) {
+      const type = this.getRandomObstacleType();
+      this.state.obstacles.push(this.createObstacle(type));
+
+      // Set next obstacle distance (15-35m ahead for more frequent obstacles)
+      this.state.nextObstacleDistance = currentDistance + 15 + this.random() * 20;
+    }
+  }
+
+  /**
+   * Get random obstacle type based on distance
+   * @returns {string} 'rock', 'pit', 'step' or 'bird'
+   */
+  getRandomObstacleType() {
+    const distance = this.state.distance;
+    const rand = this.random();
+
+    // Early game (0-100m): mostly ground obstacles, no birds
+    if (distance < 100) {
+      if (rand < 0.6) return 'rock';
+      if (rand < 0.9) return 'pit';
+      return 'step';
+    }
+
+    // Mid game (100-300m): add birds
+    if (distance < 300) {
+      if (rand < 0.35) return 'rock';
+      if (rand < 0.65) return 'pit';
+      if (rand < 0.85) return 'step';
+      return 'bird';
+    }
+
+    // Late game (300m+): all types with balanced distribution
+    if (rand < 0.3) return 'rock';
+    if (rand < 0.55) return 'pit';
+    if (rand < 0.75) return 'step';
+    return 'bird';
+  }
+
+  /**
+   * Create obstacle object (just off the right edge of the view)
+   * @param {string} type - Obstacle type
+   * @returns {object} Obstacle {type, worldX, y, width, height, passed}
+   */
+  createObstacle(type) {
+    const shape = OBSTACLE_SHAPES[type];
+
+    return {
+      type: type,
+      worldX: this.state.scrollOffset + VIEW_WIDTH, // Absolute position in world
+      y: GROUND_Y + shape.offsetY,
+      width: type === 'pit' ? shape.width + this.random() * 40 : shape.width,
+      height: shape.height,
+      passed: false
+    };
+  }
+
+  /**
+   * Check collisions and switch to falling/hit
+   * @returns {boolean} True if the player fell or hit something
+   */
+  checkCollisions() {
+    const playerRect = {
+      x: this.state.player.x,
+      y: GROUND_Y - this.state.player.y - PLAYER_HEIGHT,
+      width: PLAYER_WIDTH,
+      height: PLAYER_HEIGHT
+    };
+
+    for (const obstacle of this.state.obstacles) {
+      // Calculate obstacle's screen position
+      const obstacleScreenX = obstacle.worldX - this.state.scrollOffset;
+
+      // Skip if obstacle is behind player
+      if (obstacleScreenX + obstacle.width < playerRect.x) {
+        obstacle.passed = true;
+        continue;
+      }
+
+      // Skip if obstacle is far ahead
+      if (obstacleScreenX > playerRect.x + playerRect.width) continue;
+
+      // Obstacle is below/beside the player: an airborne jump is not wasted
+      if (!this.state.player.isGrounded) {
+        this.state.player.jumpCleared = true;
+      }
+
+      const obstacleRect = {
+        x: obstacleScreenX,
+        y: obstacle.y,
+        width: obstacle.width,
+        height: obstacle.height
+      };
+
+      if (obstacle.type === 'pit') {
+        // Check if player is over pit and falling
+        if (this.checkPitCollision(playerRect, obstacleRect)) {
+          this.state.gameState = 'falling';
+          this.state.player.isFalling = true;
+          this.state.player.fallOffset = 0;
+          this.emit('fall');
+          return true;
+        }
+      } else if (this.checkAABBCollision(playerRect, obstacleRect)) {
+        // Standard AABB collision for rock, step, bird
+        this.state.gameState = 'hit';
+        this.state.hitFrames = 0;
+        this.state.flashCount = 0;
+        this.emit('hit');
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check AABB collision
+   * @param {object} rect1 - {x, y, width, height}
+   * @param {object} rect2 - {x, y, width, height}
+   * @returns {boolean}
+   */
+  checkAABBCollision(rect1, rect2) {
+    return (
+      rect1.x < rect2.x + rect2.width &&
+      rect1.x + rect1.width > rect2.x &&
+      rect1.y < rect2.y + rect2.height &&
+      rect1.y + rect1.height > rect2.y
+    );
+  }
+
+  /**
+   * Check pit collision
+   * @param {object} playerRect - Player rect
+   * @param {object} pit - Pit rect
+   * @returns {boolean}
+   */
+  checkPitCollision(playerRect, pit) {
+    // Calculate overlap
+    const overlapLeft = Math.max(playerRect.x, pit.x);
+    const overlapRight = Math.min(playerRect.x + playerRect.width, pit.x + pit.width);
+    const overlapWidth = Math.max(0, overlapRight - overlapLeft);
+
+    // Player must be at least 60% over the pit to fall
+    const overlapRatio = overlapWidth / playerRect.width;
+
+    // Player is falling (not high enough to clear pit)
+    const falling = playerRect.y + playerRect.height >= pit.y;
+
+    return overlapRatio >= 0.6 && falling;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * TicTacToeEngine.js
+ * Tic-Tac-Toe rules and CPU opponent (medium difficulty)
+ *
+ * Events: mark {index, symbol}, turn {cpu}, gameover {winner, line, outcome}
+ */
+
+import GameEngine from './GameEngine.js';
+
+// Winning line combinations
+export const WINNING_LINES = [
+  // Horizontal
+  [0, 1, 2],  // Top row
+  [3, 4, 5],  // Middle row
+  [6, 7, 8],  // Bottom row
+
+  // Vertical
+  [0, 3, 6],  // Left column
+  [1, 4, 7],  // Center column
+  [2, 5, 8],  // Right column
+
+  // Diagonal
+  [0, 4, 8],  // Top-left to bottom-right
+  [2, 4, 6]   // Top-right to bottom-left
+];
+
+export default class TicTacToeEngine extends GameEngine {
+  /**
+   * Constructor
+   * @param {object} options - {random, playerSymbol: 'X'|'O'}
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.state = {
+      board: ['', '', '', '', '', '', '', '', ''],  // 9 cells: '' = empty, 'X' or 'O'
+      currentPlayer: 'X',
+      playerSymbol: 'X',
+      cpuSymbol: 'O',
+      gameOver: false,
+      winner: null,       // 'X', 'O', 'draw' or null
+      winningLine: []
+    };
+
+    this.setPlayerSymbol(options.playerSymbol || 'X');
+  }
+
+  /**
+   * Choose the player's symbol (the CPU gets the other one)
+   * @param {string} symbol - 'X' or 'O'
+   */
+  setPlayerSymbol(symbol) {
+    this.state.playerSymbol = symbol;
+    this.state.cpuSymbol = symbol === 'X' ? 'O' : 'X';
+  }
+
+  /**
+   * Start a new game (X always goes first)
+   */
+  start() {
+    this.state.board = ['', '', '', '', '', '', '', '', ''];
+    this.state.currentPlayer = 'X';
+    this.state.gameOver = false;
+    this.state.winner = null;
+    this.state.winningLine = [];
+  }
+
+  /**
+   * Check if the CPU is to move
+   * @returns {boolean}
+   */
+  isCpuTurn() {
+    return !this.state.gameOver && this.state.currentPlayer === this.state.cpuSymbol;
+  }
+
+  /**
+   * Place the player's mark
+   * @param {number} index - Cell index (0-8)
+   * @returns {boolean} True if the move was legal
+   */
+  playerMove(index) {
+    if (this.state.gameOver) return false;
+    if (this.state.currentPlayer !== this.state.playerSymbol) return false;
+    if (this.state.board[index] !== '') return false;
+
+    this.placeMark(index, this.state.playerSymbol);
+    return true;
+  }
+
+  /**
+   * Let the CPU place its mark
+   * @returns {number|null} Chosen cell index or null if it is not the CPU's turn
+   */
+  cpuMove() {
+    if (!this.isCpuTurn()) return null;
+
+    const index = this.getCPUMove();
+    this.placeMark(index, this.state.cpuSymbol);
+    return index;
+  }
+
+  /**
+   * Place a mark, then end the game or pass the turn
+   * @param {number} index - Cell index
+   * @param {string} symbol - 'X' or 'O'
+   */
+  placeMark(index, symbol) {
+    this.state.board[index] = symbol;
+    this.emit('mark', { index, symbol });
+
+    const winResult = this.checkWin();
+    if (winResult.winner) {
+      this.finish(winResult.winner, winResult.line);
+      return;
+    }
+
+    if (this.checkDraw()) {
+      this.finish('draw', []);
+      return;
+    }
+
+    this.state.currentPlayer = symbol === 'X' ? 'O' : 'X';
+    this.emit('turn', { cpu: this.isCpuTurn() });
+  }
+
+  /**
+   * End the game
+   * @param {string} winner - 'X', 'O', or 'draw'
+   * @param {Array<number>} line - Winning line indices
+   */
+  finish(winner, line) {
+    this.state.gameOver = true;
+    this.state.winner = winner;
+    this.state.winningLine = line;
+
+    this.emit('gameover', { winner, line, outcome: this.getOutcome() });
+  }
+
+  /**
+   * Result from the player's point of view
+   * @returns {string|null} 'win', 'loss', 'draw' or null while playing
+   */
+  getOutcome() {
+    const { winner, playerSymbol } = this.state;
+
+    if (!winner) return null;
+    if (winner === 'draw') return 'draw';
+    return winner === playerSymbol ? 'win' : 'loss';
+  }
+
+  /**
+   * Get CPU's next move (Medium difficulty AI)
+   * @returns {number} Cell index (0-8)
+   */
+  getCPUMove() {
+    // 1. Win if possible (70% chance)
+    if (this.random() < 0.7) {
+      const winMove = this.findWinningMove(this.state.cpuSymbol);
+      if (winMove !== null) {
+        return winMove;
+      }
+    }
+
+    // 2. Block player win (80% chance)
+    if (this.random() < 0.8) {
+      const blockMove = this.findWinningMove(this.state.playerSymbol);
+      if (blockMove !== null) {
+        return blockMove;
+      }
+    }
+
+    // 3. Take center (60% chance)
+    if (this.random() < 0.6 && this.state.board[4] === '') {
+      return 4;
+    }
+
+    // 4. Take corner (40% preference)
+    if (this.random() < 0.4) {
+      const corners = [0, 2, 6, 8];
+      const availableCorners = corners.filter(i => this.state.board[i] === '');
+      if (availableCorners.length > 0) {
+        return this.randomChoice(availableCorners);
+      }
+    }
+
+    // 5. Random available cell
+    return this.getRandomMove();
+  }
+
+  /**
+   * Find winning move for given symbol
+   * @param {string} symbol - 'X' or 'O'
+   * @returns {number|null} Winning cell index or null
+   */
+  findWinningMove(symbol) {
+    for (const line of WINNING_LINES) {
+      const [a, b, c] = line;
+      const cells = [this.state.board[a], this.state.board[b], this.state.board[c]];
+
+      // Count occurrences
+      const symbolCount = cells.filter(cell => cell === symbol).length;
+      const emptyCount = cells.filter(cell => cell === '').length;
+
+      // If 2 symbols and 1 empty, this line can win
+      if (symbolCount === 2 && emptyCount === 1) {
+        if (this.state.board[a] === '') return a;
+        if (this.state.board[b] === '') return b;
+        if (this.state.board[c] === '') return c;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get random available cell
+   * @returns {number} Random empty cell index
+   */
+  getRandomMove() {
+    return this.randomChoice(this.getAvailableCells());
+  }
+
+  /**
+   * List empty cells
+   * @returns {Array<number>} Cell indices
+   */
+  getAvailableCells() {
+    return this.state.board
+      .map((cell, index) => (cell === '' ? index : null))
+      .filter(index => index !== null);
+  }
+
+  /**
+   * Check if there's a winner
+   * @returns {{winner: string|null, line: Array<number>|null}}
+   */
+  checkWin() {
+    for (const line of WINNING_LINES) {
+      const [a, b, c] = line;
+
+      if (
+        this.state.board[a] !== '' &&
+        this.state.board[a] === this.state.board[b] &&
+        this.state.board[a] === this.state.board[c]
+      ) {
+        return {
+          winner: this.state.board[a],
+          line: line
+        };
+      }
+    }
+
+    return { winner: null, line: null };
+  }
+
+  /**
+   * Check if game is a draw
+   * @returns {boolean}
+   */
+  checkDraw() {
+    return this.state.board.every(cell => cell !== '');
+  }
+}
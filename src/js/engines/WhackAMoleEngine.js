@@ -0,0 +1,162 @@
+/**
+ * WhackAMoleEngine.js
+ * Whack-a-Mole rules: moles pop up at random holes for a 30 second round
+ *
+ * Time is driven by a TimerScheduler, so a VirtualClock makes rounds
+ * deterministic.
+ *
+ * Events: tick {timeRemaining}, show {index}, hide {index},
+ * hit {index, score}, end {score}
+ */
+
+import GameEngine from './GameEngine.js';
+import TimerScheduler from '../utils/TimerScheduler.js';
+
+// Round length (seconds)
+export const WHACK_DURATION = 30;
+
+// Holes in the 3x3 grid
+export const HOLE_COUNT = 9;
+
+// Spawn configuration
+export const SPAWN_CONFIG = {
+  minDelay: 500,       // 0.5 seconds
+  maxDelay: 1500,      // 1.5 seconds
+  moleVisibility: 1000 // 1 second
+};
+
+export default class WhackAMoleEngine extends GameEngine {
+  /**
+   * Constructor
+   * @param {object} options - {random, timers: TimerScheduler}
+   */
+  constructor(options = {}) {
+    super(options);
+    this.timers = options.timers || new TimerScheduler();
+
+    // Timer IDs
+    this.countdownTimer = null;
+    this.spawnTimer = null;
+    this.moleTimers = {};  // hole index -> timer ID
+
+    this.state = {
+      holes: new Array(HOLE_COUNT).fill(false),
+      score: 0,
+      timeRemaining: WHACK_DURATION,
+      active: false
+    };
+  }
+
+  /**
+   * Start a round (stops a running one first)
+   */
+  start() {
+    this.stop();
+
+    this.state.score = 0;
+    this.state.timeRemaining = WHACK_DURATION;
+    this.state.active = true;
+
+    // Countdown, every second
+    this.countdownTimer = this.timers.setInterval(() => {
+      this.state.timeRemaining--;
+      this.emit('tick', { timeRemaining: this.state.timeRemaining });
+
+      if (this.state.timeRemaining <= 0) {
+        this.finish();
+      }
+    }, 1000);
+
+    this.spawnLoop();
+  }
+
+  /**
+   * Spawn a mole and schedule the next spawn
+   */
+  spawnLoop() {
+    if (!this.state.active) return;
+
+    this.spawnMole();
+    this.spawnTimer = this.timers.setTimeout(() => this.spawnLoop(), this.getRandomSpawnDelay());
+  }
+
+  /**
+   * Show a mole at a random free hole (hidden again after moleVisibility)
+   */
+  spawnMole() {
+    const availableHoles = this.state.holes
+      .map((visible, index) => (visible ? null : index))
+      .filter(index => index !== null);
+
+    if (availableHoles.length === 0) return; // All holes occupied
+
+    const index = this.randomChoice(availableHoles);
+    this.state.holes[index] = true;
+    this.emit('show', { index });
+
+    this.moleTimers[index] = this.timers.setTimeout(
+      () => this.hideMole(index),
+      SPAWN_CONFIG.moleVisibility
+    );
+  }
+
+  /**
+   * Get random spawn delay
+   * @returns {number} Delay in ms (500-1500)
+   */
+  getRandomSpawnDelay() {
+    const { minDelay, maxDelay } = SPAWN_CONFIG;
+    return minDelay + this.random() * (maxDelay - minDelay);
+  }
+
+  /**
+   * Hide the mole at a hole
+   * @param {number} index - Hole index
+   */
+  hideMole(index) {
+    this.timers.clear(this.moleTimers[index]);
+    delete this.moleTimers[index];
+
+    if (!this.state.holes[index]) return;
+
+    this.state.holes[index] = false;
+    this.emit('hide', { index });
+  }
+
+  /**
+   * Whack a hole
+   * @param {number} index - Hole index
+   * @returns {boolean} True if a mole was hit
+   */
+  whack(index) {
+    if (!this.state.active || !this.state.holes[index]) return false;
+
+    this.state.score++;
+    this.hideMole(index);
+    this.emit('hit', { index, score: this.state.score });
+
+    return true;
+  }
+
+  /**
+   * End the round when time is up
+   */
+  finish() {
+    this.stop();
+    this.emit('end', { score: this.state.score });
+  }
+
+  /**
+   * Stop countdown and spawning and hide all moles (no end event)
+   */
+  stop() {
+    this.state.active = false;
+
+    this.timers.clear(this.countdownTimer);
+    this.timers.clear(this.spawnTimer);
+    this.countdownTimer = null;
+    this.spawnTimer = null;
+
+    this.state.holes.forEach((visible, index) => this.hideMole(index));
+  }
+}
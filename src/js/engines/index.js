@@ -0,0 +1,54 @@
+/**
+ * index.js
+ * Game engines by game ID, for headless use (bots, replays, tests)
+ *
+ * Example (Node):
+ *   import { createEngine } from './src/js/engines/index.js';
+ *   const engine = createEngine('tic-tac-toe');
+ *   engine.start();
+ *   engine.playerMove(4);
+ *   engine.cpuMove();
+ */
+
+import MemoryEngine from './MemoryEngine.js';
+import TicTacToeEngine from './TicTacToeEngine.js';
+import NineEngine from './NineEngine.js';
+import NBackEngine from './NBackEngine.js';
+import WhackAMoleEngine from './WhackAMoleEngine.js';
+import RunnerEngine from './RunnerEngine.js';
+
+// Game ID -> engine class
+export const ENGINES = {
+  'memory-game': MemoryEngine,
+  'tic-tac-toe': TicTacToeEngine,
+  'number-nine': NineEngine,
+  'nback-game': NBackEngine,
+  'whack-a-mole': WhackAMoleEngine,
+  'runner-game': RunnerEngine
+};
+
+/**
+ * Create the engine for a game
+ * @param {string} gameId - Game ID
+ * @param {object} options - Engine options ({random}, plus {timers} for timed games)
+ * @returns {GameEngine|null} Engine or null if the game has none
+ */
+export function createEngine(gameId, options = {}) {
+  const Engine = ENGINES[gameId];
+
+  if (!Engine) {
+    console.error(`No engine for game: ${gameId}`);
+    return null;
+  }
+
+  return new Engine(options);
+}
+
+export {
+  MemoryEngine,
+  TicTacToeEngine,
+  NineEngine,
+  NBackEngine,
+  WhackAMoleEngine,
+  RunnerEngine
+};
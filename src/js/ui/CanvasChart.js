@@ -0,0 +1,167 @@
+/**
+ * CanvasChart.js
+ * Minimal line and bar charts drawn on <canvas> (no external libraries)
+ */
+
+import { getThemeColor } from '../core/ThemeService.js';
+
+const PADDING = { top: 16, right: 16, bottom: 28, left: 44 };
+const GRID_LINES = 4;
+
+/**
+ * Draw a line chart
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<{label: string, value: number}>} points - Data points (left to right)
+ * @param {object} options - {color, min, max, formatValue}
+ */
+export function drawLineChart(canvas, points, options = {}) {
+  const chart = prepareChart(canvas, points, options);
+  if (!chart) return;
+
+  const { ctx, area, scaleY } = chart;
+  const color = options.color || getThemeColor('--color-primary', '#3498db');
+  const stepX = points.length > 1 ? area.width / (points.length - 1) : 0;
+  const toX = index => area.x + (points.length > 1 ? index * stepX : area.width / 2);
+
+  // Line
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  points.forEach((point, index) => {
+    const x = toX(index);
+    const y = scaleY(point.value);
+    if (index === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  ctx.stroke();
+
+  // Points
+  ctx.fillStyle = color;
+  points.forEach((point, index) => {
+    ctx.beginPath();
+    ctx.arc(toX(index), scaleY(point.value), 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  // X labels (first and last only to avoid clutter)
+  drawXLabel(ctx, points[0].label, toX(0), area, 'left');
+  if (points.length > 1) {
+    drawXLabel(ctx, points[points.length - 1].label, toX(points.length - 1), area, 'right');
+  }
+}
+
+/**
+ * Draw a bar chart
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<{label: string, value: number}>} bars - Bars (left to right)
+ * @param {object} options - {color, min, max, formatValue}
+ */
+export function drawBarChart(canvas, bars, options = {}) {
+  const chart = prepareChart(canvas, bars, { min: 0, ...options });
+  if (!chart) return;
+
+  const { ctx, area, scaleY } = chart;
+  const color = options.color || getThemeColor('--color-success', '#27ae60');
+  const slotWidth = area.width / bars.length;
+  const barWidth = Math.max(2, slotWidth * 0.7);
+
+  ctx.fillStyle = color;
+  bars.forEach((bar, index) => {
+    const x = area.x + index * slotWidth + (slotWidth - barWidth) / 2;
+    const y = scaleY(bar.value);
+    ctx.fillRect(x, y, barWidth, area.y + area.height - y);
+  });
+
+  // X labels (first and last only to avoid clutter)
+  drawXLabel(ctx, bars[0].label, area.x + slotWidth / 2, area, 'left');
+  if (bars.length > 1) {
+    drawXLabel(ctx, bars[bars.length - 1].label, area.x + area.width - slotWidth / 2, area, 'right');
+  }
+}
+
+/**
+ * Size canvas for device pixel ratio, draw axes and return scale helpers
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {Array<{value: number}>} data - Data values
+ * @param {object} options - {min, max, formatValue}
+ * @returns {object|null} {ctx, area, scaleY} or null if nothing to draw
+ */
+function prepareChart(canvas, data, options) {
+  if (!canvas || !canvas.getContext) return null;
+
+  const ctx = canvas.getContext('2d');
+  const width = canvas.clientWidth || canvas.width;
+  const height = canvas.clientHeight || canvas.height;
+  const ratio = window.devicePixelRatio || 1;
+
+  // Crisp rendering on high-DPI screens
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  if (!data || data.length === 0) return null;
+
+  const values = data.map(item => item.value);
+  let min = options.min !== undefined ? options.min : Math.min(...values);
+  let max = options.max !== undefined ? options.max : Math.max(...values);
+
+  // Avoid a zero-height range (single value or all equal)
+  if (max === min) {
+    max = min + 1;
+  }
+
+  const area = {
+    x: PADDING.left,
+    y: PADDING.top,
+    width: width - PADDING.left - PADDING.right,
+    height: height - PADDING.top - PADDING.bottom
+  };
+
+  const scaleY = value => area.y + area.height - ((value - min) / (max - min)) * area.height;
+  const formatValue = options.formatValue || (value => String(Math.round(value)));
+
+  // Grid lines and Y labels
+  ctx.strokeStyle = getThemeColor('--color-border', '#bdc3c7');
+  ctx.fillStyle = getThemeColor('--color-text-light', '#7f8c8d');
+  ctx.lineWidth = 1;
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+
+  for (let i = 0; i <= GRID_LINES; i++) {
+    const value = min + ((max - min) * i) / GRID_LINES;
+    const y = scaleY(value);
+
+    ctx.beginPath();
+    ctx.moveTo(area.x, y);
+    ctx.lineTo(area.x + area.width, y);
+    ctx.stroke();
+
+    ctx.fillText(formatValue(value), area.x - 6, y);
+  }
+
+  return { ctx, area, scaleY };
+}
+
+/**
+ * Draw a label under the X axis
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {string} label - Label text
+ * @param {number} x - X position
+ * @param {object} area - Plot area
+ * @param {string} align - Text alignment
+ */
+function drawXLabel(ctx, label, x, area, align) {
+  if (!label) return;
+
+  ctx.fillStyle = getThemeColor('--color-text-light', '#7f8c8d');
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  ctx.fillText(label, x, area.y + area.height + 8);
+}
@@ -0,0 +1,75 @@
+/**
+ * FeatureSettings.js
+ * Settings panel for turning site features on or off for the active profile
+ */
+
+import { featureFlags, SOURCE_URL, SOURCE_USER } from '../core/FeatureFlagService.js';
+import { i18n, t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+
+export default class FeatureSettings {
+  /**
+   * Constructor
+   * @param {HTMLElement} container - Element to render the settings into
+   */
+  constructor(container) {
+    this.container = container;
+    this.features = featureFlags;
+
+    // Overrides changed in another tab or the active profile switched
+    this.unsubscribe = this.features.onChange(() => this.render());
+
+    this.render();
+  }
+
+  /**
+   * Render one row per flag
+   */
+  render() {
+    if (!this.container) return;
+
+    const flags = this.features.getFlags();
+    const rows = Object.entries(flags).map(([flag, { enabled, source, label }]) => {
+      let note = '';
+      if (source === SOURCE_URL) {
+        note = html`<span class="feature-settings__note">${t('settings.featureFromUrl')}</span>`;
+      } else if (source === SOURCE_USER) {
+        note = html`<button class="feature-settings__reset" type="button" data-flag="${flag}">${t('settings.useSiteSetting')}</button>`;
+      }
+
+      return html`
+        <li class="feature-settings__item">
+          <label class="feature-settings__label">
+            <input type="checkbox" data-flag="${flag}"
+              ${enabled ? 'checked' : ''} ${source === SOURCE_URL ? 'disabled' : ''}>
+            ${i18n.has(`settings.features.${flag}`) ? t(`settings.features.${flag}`) : label}
+          </label>
+          ${note}
+        </li>
+      `;
+    });
+
+    this.container.innerHTML = html`<ul class="feature-settings">${rows}</ul>`;
+
+    this.container.querySelectorAll('input[data-flag]').forEach(input => {
+      input.addEventListener('change', () => {
+        this.features.setOverride(input.dataset.flag, input.checked);
+      });
+    });
+    this.container.querySelectorAll('.feature-settings__reset').forEach(button => {
+      button.addEventListener('click', () => {
+        this.features.setOverride(button.dataset.flag, null);
+      });
+    });
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
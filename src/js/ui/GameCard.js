@@ -3,24 +3,29 @@
  * Reusable game card component for top page
  */
 
+import { scoreRegistry } from '../core/ScoreRegistry.js';
+import { resolvePath } from '../core/BasePath.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+
 /**
  * Create game card element
  * @param {object} game - Game metadata
  * @param {number|null} highScore - High score to display
- * @param {Function} onClick - Click handler
+ * @param {Function} onClick - Click handler (game, {daily: boolean})
+ * @param {object|null} dailyStatus - Today's Daily Challenge status (games with "daily": true)
  * @returns {HTMLElement} Game card element
  */
-export function createGameCard(game, highScore, onClick) {
+export function createGameCard(game, highScore, onClick, dailyStatus = null) {
   const card = document.createElement('article');
   card.className = 'game-card';
   card.setAttribute('data-game-id', game.id);
 
   // Build card HTML
-  card.innerHTML = `
+  card.innerHTML = html`
     <div class="game-card__thumbnail">
-      <img src="${game.thumbnail}"
+      <img src="${resolvePath(game.thumbnail)}"
            alt="${game.title}"
-           onerror="this.src='data:image/svg+xml,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%22380%22 height=%22214%22%3E%3Crect width=%22380%22 height=%22214%22 fill=%22%233498db%22/%3E%3Ctext x=%2250%25%22 y=%2250%25%22 dominant-baseline=%22middle%22 text-anchor=%22middle%22 font-family=%22Arial%22 font-size=%2224%22 fill=%22white%22%3E${game.title}%3C/text%3E%3C/svg%3E'"
            loading="lazy">
     </div>
     <div class="game-card__content">
@@ -31,87 +36,114 @@ export function createGameCard(game, highScore, onClick) {
       <p class="game-card__description">${game.description}</p>
       <div class="game-card__meta">
         <span>⏱ ${game.estimatedTime}</span>
-        <span>🏆 Best: ${formatHighScore(game.id, highScore)}</span>
+        <span class="game-card__best">🏆 ${t('card.best', { score: scoreRegistry.format(game.id, highScore) })}</span>
       </div>
-      <button class="game-card__button">PLAY NOW</button>
+      ${dailyStatus && html`
+      <div class="game-card__daily">
+        <span class="game-card__daily-status">${formatDailyStatus(game.id, dailyStatus)}</span>
+        <button class="game-card__daily-button">${t('card.daily')}</button>
+      </div>`}
+      <button class="game-card__button">${t('card.play')}</button>
     </div>
   `;
 
+  // Missing thumbnail: show a placeholder with the title instead
+  const thumbnail = card.querySelector('.game-card__thumbnail img');
+  thumbnail.addEventListener('error', () => {
+    const placeholder = createPlaceholderThumbnail(game.title);
+    if (thumbnail.src !== placeholder) {
+      thumbnail.src = placeholder;
+    }
+  });
+
   // Attach event listener
   const button = card.querySelector('.game-card__button');
   button.addEventListener('click', (e) => {
     e.preventDefault();
-    onClick(game);
+    onClick(game, { daily: false });
   });
 
+  const dailyButton = card.querySelector('.game-card__daily-button');
+  if (dailyButton) {
+    dailyButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      onClick(game, { daily: true });
+    });
+  }
+
   return card;
 }
 
 /**
- * Render difficulty stars
- * @param {string} difficulty - "easy", "normal", "medium", "hard", or range like "easy - hard"
- * @returns {string} HTML string with stars
+ * Update the best score shown on an existing card
+ * @param {HTMLElement} card - Game card element
+ * @param {string} gameId - Game ID
+ * @param {number|object|null} highScore - High score to display
  */
-function renderDifficulty(difficulty) {
-  // Handle range difficulty (e.g. "easy - hard")
-  if (difficulty && difficulty.includes(' - ')) {
-    return `<span class="stars">★☆☆～★★★</span> ${capitalize(difficulty)}`;
+export function updateGameCardScore(card, gameId, highScore) {
+  const best = card.querySelector('.game-card__best');
+  if (best) {
+    best.textContent = `🏆 ${t('card.best', { score: scoreRegistry.format(gameId, highScore) })}`;
   }
-  const levels = { easy: 1, normal: 2, medium: 2, hard: 3 };
-  const stars = levels[difficulty] || 1;
-  const filled = '★'.repeat(stars);
-  const empty = '☆'.repeat(3 - stars);
-  return `<span class="stars">${filled}${empty}</span> ${capitalize(difficulty)}`;
 }
 
 /**
- * Format high score based on game type
+ * Update the Daily Challenge status shown on an existing card
+ * @param {HTMLElement} card - Game card element
  * @param {string} gameId - Game ID
- * @param {number|null} highScore - High score value
- * @returns {string} Formatted high score
+ * @param {object} dailyStatus - Today's status {attempt, streak}
  */
-function formatHighScore(gameId, highScore) {
-  if (highScore === null || highScore === undefined) {
-    return '--';
-  }
-
-  // Memory Game: lower is better (moves)
-  if (gameId === 'memory-game') {
-    return `${highScore} moves`;
-  }
-
-  // Tic-Tac-Toe: show win/loss/draw stats
-  if (gameId === 'tic-tac-toe') {
-    if (typeof highScore === 'object') {
-      return `W${highScore.wins || 0}/L${highScore.losses || 0}/D${highScore.draws || 0}`;
-    }
-    return '--';
+export function updateGameCardDaily(card, gameId, dailyStatus) {
+  const status = card.querySelector('.game-card__daily-status');
+  if (status) {
+    status.textContent = formatDailyStatus(gameId, dailyStatus);
   }
+}
 
-  // Whack-a-Mole: higher is better (points)
-  if (gameId === 'whack-a-mole') {
-    return `${highScore} pts`;
-  }
+/**
+ * Format today's Daily Challenge status
+ * @param {string} gameId - Game ID
+ * @param {object} dailyStatus - {attempt, streak}
+ * @returns {string} e.g. "✅ Today: 32 pts · 🔥 3"
+ */
+function formatDailyStatus(gameId, dailyStatus) {
+  const { attempt, streak } = dailyStatus;
+  const streakText = streak > 0 ? ` · 🔥 ${streak}` : '';
 
-  // Number Nine: lower is better (moves)
-  if (gameId === 'number-nine') {
-    return `${highScore} moves`;
+  if (!attempt) {
+    return `📅 ${t('card.todayNotPlayed')}${streakText}`;
   }
 
-  // Runner Game: higher is better (distance in meters)
-  if (gameId === 'runner-game') {
-    return `${highScore}m`;
-  }
+  const result = attempt.score !== null
+    ? scoreRegistry.format(gameId, attempt.score)
+    : t(`outcome.${attempt.outcome || 'played'}`);
+  return `✅ ${t('card.today', { result })}${streakText}`;
+}
 
-  return String(highScore);
+/**
+ * Create a placeholder thumbnail showing the game title
+ * @param {string} title - Game title
+ * @returns {string} SVG data URI
+ */
+function createPlaceholderThumbnail(title) {
+  const svg = html`<svg xmlns="http://www.w3.org/2000/svg" width="380" height="214"><rect width="380" height="214" fill="#3498db"/><text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="Arial" font-size="24" fill="white">${title}</text></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg.toString())}`;
 }
 
 /**
- * Capitalize first letter
- * @param {string} str - String to capitalize
- * @returns {string} Capitalized string
+ * Render difficulty stars
+ * @param {string} difficulty - "easy", "normal", "medium", "hard", or range like "easy - hard"
+ * @returns {SafeHtml} Stars and difficulty name
  */
-function capitalize(str) {
-  if (!str) return '';
-  return str.charAt(0).toUpperCase() + str.slice(1);
+function renderDifficulty(difficulty) {
+  // Handle range difficulty (e.g. "easy - hard")
+  if (difficulty && difficulty.includes(' - ')) {
+    const [from, to] = difficulty.split(' - ');
+    return html`<span class="stars">★☆☆～★★★</span> ${t(`difficulty.${from}`)} - ${t(`difficulty.${to}`)}`;
+  }
+  const levels = { easy: 1, normal: 2, medium: 2, hard: 3 };
+  const stars = levels[difficulty] || 1;
+  const filled = '★'.repeat(stars);
+  const empty = '☆'.repeat(3 - stars);
+  return html`<span class="stars">${filled}${empty}</span> ${t(`difficulty.${difficulty || 'easy'}`)}`;
 }
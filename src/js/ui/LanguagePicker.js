@@ -0,0 +1,60 @@
+/**
+ * LanguagePicker.js
+ * Language select (Automatic, English, 日本語) for this device
+ */
+
+import { i18n, t, SUPPORTED_LOCALES, LOCALE_NAMES } from '../core/I18nService.js';
+import { html, getPageParams } from '../utils/helpers.js';
+
+// Option value for "detect from the browser"
+const AUTOMATIC = '';
+
+export default class LanguagePicker {
+  /**
+   * Constructor
+   * @param {HTMLElement} container - Element to render the picker into
+   */
+  constructor(container) {
+    this.container = container;
+    this.i18n = i18n;
+    this.render();
+  }
+
+  /**
+   * Render the select
+   */
+  render() {
+    if (!this.container) return;
+
+    const choice = this.i18n.getChoice() || AUTOMATIC;
+    const options = [AUTOMATIC, ...SUPPORTED_LOCALES].map(value => html`
+      <option value="${value}" ${value === choice ? 'selected' : ''}>
+        ${value === AUTOMATIC ? t('settings.languageAutomatic') : LOCALE_NAMES[value]}
+      </option>
+    `);
+
+    // ?lang= wins over the saved choice, so say why the choice has no effect
+    const note = getPageParams().has('lang') &&
+      html`<span class="language-picker__note">${t('settings.languageFromUrl')}</span>`;
+
+    this.container.innerHTML = html`
+      <label class="language-picker__label" for="language-picker-select">${t('settings.language')}</label>
+      <select id="language-picker-select" class="language-picker__select">
+        ${options}
+      </select>
+      ${note}
+    `;
+
+    this.container.querySelector('.language-picker__select')
+      .addEventListener('change', (e) => this.handleChange(e.target.value));
+  }
+
+  /**
+   * Save the choice and reload so every string uses the new language
+   * @param {string} value - Locale, or '' for automatic
+   */
+  handleChange(value) {
+    this.i18n.setChoice(value === AUTOMATIC ? null : value);
+    window.location.reload();
+  }
+}
@@ -1,35 +1,85 @@
 /**
  * Modal.js
  * Reusable modal dialog component
+ *
+ * The dialog is announced as role="dialog" aria-modal="true", labelled by its
+ * title. While open, Tab and Shift+Tab stay inside it, Escape and the overlay
+ * close it (unless created with dismissible: false), and focus returns to the
+ * element that opened it. Modals can stack: the most recently opened one is on
+ * top and handles the keyboard, and page scrolling comes back with the last.
+ *
+ * show() returns a promise for the chosen button, so a dialog can be awaited:
+ *   const choice = await modal.show('Delete?', '...', [
+ *     { label: 'Delete', primary: true, value: 'delete' },
+ *     { label: 'Cancel' }
+ *   ]);
+ *   if (choice && choice.value === 'delete') { ... }
+ * Buttons without onClick close the modal; buttons with onClick leave that to
+ * the handler (which may show new content in the same modal).
+ *
+ * Content is markup from html`` (utils/helpers.js) or an element; a plain
+ * string is shown as text, so data in it cannot add markup.
  */
 
+import { SafeHtml, html } from '../utils/helpers.js';
+
+// Open modals, bottom to top
+const openModals = [];
+
+// z-index of the first modal (matches .modal in common.css); stacked ones go above
+const BASE_Z_INDEX = 1000;
+const STACK_Z_STEP = 10;
+
+// Elements Tab can reach inside a modal
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
 export default class Modal {
   /**
    * Constructor
    * @param {string} id - Modal element ID
+   * @param {object} [options] - {onClose: (button|null) => void, dismissible: boolean (Escape/overlay close, default true)}
    */
-  constructor(id) {
+  constructor(id, options = {}) {
     this.id = id;
+    this.onClose = options.onClose || null;
+    this.dismissible = options.dismissible !== false;
     this.modalElement = document.getElementById(id);
+    this.returnFocus = null;
+    this.resolveChoice = null;
+    this.choice = null;
 
     if (!this.modalElement) {
       console.warn(`Modal element with ID "${id}" not found. Creating dynamically.`);
       this.create();
     }
+
+    this.setupAccessibility();
   }
 
   /**
    * Show modal
    * @param {string} title - Modal title
-   * @param {string|HTMLElement} content - Modal content (HTML string or element)
-   * @param {Array<object>} buttons - Button configuration [{label, onClick, primary}]
+   * @param {SafeHtml|HTMLElement|string} content - Modal content (html`` markup, element, or plain text)
+   * @param {Array<object>} buttons - Button configuration [{label, onClick, primary, value}]
+   * @returns {Promise<object|null>} The clicked button's configuration, or null if closed another way
    */
   show(title, content, buttons = []) {
     if (!this.modalElement) {
       console.error('Modal element not available');
-      return;
+      return Promise.resolve(null);
     }
 
+    // Showing new content settles the previous show()
+    this.settle(null);
+    this.choice = null;
+
     // Set title
     const titleElement = this.modalElement.querySelector('.modal-title');
     if (titleElement) {
@@ -40,11 +90,13 @@ export default class Modal {
     const contentElement = this.modalElement.querySelector('.modal-body') ||
                            this.modalElement.querySelector('.modal-content > *:not(.modal-title):not(.modal-buttons)');
     if (contentElement) {
-      if (typeof content === 'string') {
-        contentElement.innerHTML = content;
+      if (content instanceof SafeHtml) {
+        contentElement.innerHTML = content.toString();
       } else if (content instanceof HTMLElement) {
         contentElement.innerHTML = '';
         contentElement.appendChild(content);
+      } else {
+        contentElement.textContent = content === null || content === undefined ? '' : String(content);
       }
     }
 
@@ -55,20 +107,111 @@ export default class Modal {
 
       buttons.forEach(buttonConfig => {
         const button = document.createElement('button');
+        button.type = 'button';
         button.textContent = buttonConfig.label;
         button.className = buttonConfig.primary ? 'btn-primary' : 'btn-secondary';
 
-        button.addEventListener('click', () => {
-          if (buttonConfig.onClick) {
-            buttonConfig.onClick();
-          }
-        });
+        button.addEventListener('click', () => this.choose(buttonConfig));
 
         buttonsContainer.appendChild(button);
       });
     }
 
-    // Show modal
+    const choice = new Promise(resolve => {
+      this.resolveChoice = resolve;
+    });
+
+    if (!this.isVisible()) {
+      this.open();
+    }
+    this.focusInitial();
+
+    return choice;
+  }
+
+  /**
+   * Hide modal
+   * @param {object|null} [button] - Button that closed it (default: the last clicked, null for Escape and overlay)
+   */
+  hide(button = this.choice) {
+    if (!this.modalElement || !this.isVisible()) {
+      return;
+    }
+
+    this.modalElement.classList.add('hidden');
+    this.modalElement.style.zIndex = '';
+
+    const index = openModals.indexOf(this);
+    if (index !== -1) {
+      openModals.splice(index, 1);
+    }
+
+    // Restore body scroll once no modal is open
+    if (openModals.length === 0) {
+      document.body.style.overflow = '';
+      document.removeEventListener('keydown', handleKeydown, true);
+      document.removeEventListener('focusin', handleFocusIn);
+    }
+
+    // Back to where the player was (if it is still on the page)
+    const returnFocus = this.returnFocus;
+    this.returnFocus = null;
+    if (returnFocus && returnFocus.isConnected && typeof returnFocus.focus === 'function') {
+      returnFocus.focus();
+    }
+
+    this.settle(button);
+
+    if (this.onClose) {
+      try {
+        this.onClose(button);
+      } catch (error) {
+        console.error('Modal close callback failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Handle a button click
+   * @param {object} buttonConfig - Button configuration
+   */
+  choose(buttonConfig) {
+    this.choice = buttonConfig;
+    this.settle(buttonConfig);
+
+    if (buttonConfig.onClick) {
+      buttonConfig.onClick();
+    } else {
+      this.hide(buttonConfig);
+    }
+  }
+
+  /**
+   * Resolve the pending show() promise
+   * @param {object|null} button - Chosen button or null
+   */
+  settle(button) {
+    if (this.resolveChoice) {
+      const resolve = this.resolveChoice;
+      this.resolveChoice = null;
+      resolve(button);
+    }
+  }
+
+  /**
+   * Put the modal on top of the stack and make it visible
+   */
+  open() {
+    const active = document.activeElement;
+    this.returnFocus = active && active !== document.body ? active : null;
+
+    if (openModals.length === 0) {
+      document.addEventListener('keydown', handleKeydown, true);
+      document.addEventListener('focusin', handleFocusIn);
+    }
+    openModals.push(this);
+
+    this.modalElement.style.zIndex = String(BASE_Z_INDEX + (openModals.length - 1) * STACK_Z_STEP);
     this.modalElement.classList.remove('hidden');
 
     // Prevent body scroll
@@ -76,17 +219,104 @@ export default class Modal {
   }
 
   /**
-   * Hide modal
+   * Focus the primary button, else the first focusable element, else the dialog
    */
-  hide() {
-    if (!this.modalElement) {
+  focusInitial() {
+    const target = this.modalElement.querySelector('.modal-buttons .btn-primary') ||
+                   this.getFocusable()[0] ||
+                   this.getDialog();
+    if (target) {
+      target.focus();
+    }
+  }
+
+  /**
+   * Get the elements Tab can reach in the dialog
+   * @returns {Array<HTMLElement>} Focusable elements in document order
+   */
+  getFocusable() {
+    const dialog = this.getDialog();
+    if (!dialog) return [];
+    return Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter(element => !element.closest('[hidden]'));
+  }
+
+  /**
+   * Get the dialog box element
+   * @returns {HTMLElement|null} .modal-content
+   */
+  getDialog() {
+    return this.modalElement.querySelector('.modal-content');
+  }
+
+  /**
+   * Keep Tab inside the dialog and close on Escape (top modal only)
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      // Handled here, so games do not also treat it as their pause key
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.dismissible) {
+        this.hide(null);
+      }
       return;
     }
 
-    this.modalElement.classList.add('hidden');
+    if (e.key !== 'Tab') return;
+
+    const focusable = this.getFocusable();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      this.getDialog().focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = this.modalElement.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Give the dialog its ARIA roles and labels, and close on overlay click
+   */
+  setupAccessibility() {
+    const dialog = this.getDialog();
+    if (!dialog) return;
+
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('tabindex', '-1');
+
+    const titleElement = dialog.querySelector('.modal-title');
+    if (titleElement) {
+      titleElement.id = titleElement.id || `${this.id}-title`;
+      dialog.setAttribute('aria-labelledby', titleElement.id);
+    }
+
+    const bodyElement = dialog.querySelector('.modal-body');
+    if (bodyElement) {
+      bodyElement.id = bodyElement.id || `${this.id}-body`;
+      dialog.setAttribute('aria-describedby', bodyElement.id);
+    }
 
-    // Restore body scroll
-    document.body.style.overflow = '';
+    const overlay = this.modalElement.querySelector('.modal-overlay');
+    if (overlay) {
+      overlay.addEventListener('click', () => {
+        if (this.dismissible) {
+          this.hide(null);
+        }
+      });
+    }
   }
 
   /**
@@ -96,7 +326,7 @@ export default class Modal {
     const modal = document.createElement('div');
     modal.id = this.id;
     modal.className = 'modal hidden';
-    modal.innerHTML = `
+    modal.innerHTML = html`
       <div class="modal-overlay"></div>
       <div class="modal-content">
         <h2 class="modal-title"></h2>
@@ -107,10 +337,6 @@ export default class Modal {
 
     document.body.appendChild(modal);
     this.modalElement = modal;
-
-    // Close on overlay click (optional)
-    const overlay = modal.querySelector('.modal-overlay');
-    overlay.addEventListener('click', () => this.hide());
   }
 
   /**
@@ -118,6 +344,36 @@ export default class Modal {
    * @returns {boolean} True if modal is visible
    */
   isVisible() {
-    return this.modalElement && !this.modalElement.classList.contains('hidden');
+    return Boolean(this.modalElement) && !this.modalElement.classList.contains('hidden');
+  }
+}
+
+/**
+ * Get the modal on top of the stack
+ * @returns {Modal|null} Top modal or null if none is open
+ */
+function getTopModal() {
+  return openModals.length > 0 ? openModals[openModals.length - 1] : null;
+}
+
+/**
+ * Route keyboard events to the top modal (capture phase, before game listeners)
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function handleKeydown(e) {
+  const top = getTopModal();
+  if (top) {
+    top.handleKeydown(e);
+  }
+}
+
+/**
+ * Bring focus back into the top modal if it moves behind it
+ * @param {FocusEvent} e - Focus event
+ */
+function handleFocusIn(e) {
+  const top = getTopModal();
+  if (top && !top.modalElement.contains(e.target)) {
+    top.focusInitial();
   }
 }
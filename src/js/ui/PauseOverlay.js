@@ -0,0 +1,91 @@
+/**
+ * PauseOverlay.js
+ * Full-screen "Paused" overlay shared by all games
+ */
+
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+
+export default class PauseOverlay {
+  /**
+   * Constructor
+   * @param {string} id - Overlay element ID
+   */
+  constructor(id = 'pause-overlay') {
+    this.id = id;
+    this.element = document.getElementById(id);
+    this.onResume = null;
+
+    if (!this.element) {
+      this.create();
+    }
+  }
+
+  /**
+   * Show the overlay
+   * @param {object} options - {hint: string, onResume: Function}
+   */
+  show(options = {}) {
+    this.onResume = options.onResume || null;
+
+    const hintElement = this.element.querySelector('.pause-overlay__hint');
+    if (hintElement) {
+      hintElement.textContent = options.hint || '';
+    }
+
+    this.element.classList.remove('hidden');
+
+    const resumeButton = this.element.querySelector('.pause-overlay__resume');
+    if (resumeButton) {
+      resumeButton.focus();
+    }
+  }
+
+  /**
+   * Hide the overlay
+   */
+  hide() {
+    this.element.classList.add('hidden');
+  }
+
+  /**
+   * Remove the overlay from the page
+   */
+  destroy() {
+    this.element.remove();
+    this.onResume = null;
+  }
+
+  /**
+   * Create overlay element dynamically
+   */
+  create() {
+    const overlay = document.createElement('div');
+    overlay.id = this.id;
+    overlay.className = 'pause-overlay hidden';
+    overlay.innerHTML = html`
+      <div class="pause-overlay__content" role="dialog" aria-modal="true" aria-labelledby="${this.id}-title">
+        <h2 class="pause-overlay__title" id="${this.id}-title">⏸ ${t('pause.title')}</h2>
+        <p class="pause-overlay__hint"></p>
+        <button class="btn-primary pause-overlay__resume" type="button">${t('pause.resume')}</button>
+      </div>
+    `;
+
+    overlay.querySelector('.pause-overlay__resume').addEventListener('click', () => {
+      if (this.onResume) {
+        this.onResume();
+      }
+    });
+
+    document.body.appendChild(overlay);
+    this.element = overlay;
+  }
+
+  /**
+   * Check if overlay is currently visible
+   * @returns {boolean} True if overlay is visible
+   */
+  isVisible() {
+    return !this.element.classList.contains('hidden');
+  }
+}
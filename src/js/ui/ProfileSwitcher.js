@@ -0,0 +1,247 @@
+/**
+ * ProfileSwitcher.js
+ * Header control for choosing the active player profile, with a manage dialog
+ * (create, rename, delete, copy records from another profile)
+ */
+
+import Modal from './Modal.js';
+import { profileService, AVATAR_COLORS, DEFAULT_PROFILE_ID, PROFILE_NAME_MAX_LENGTH } from '../core/ProfileService.js';
+import { gameDataService } from '../core/GameDataService.js';
+import { t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+
+export default class ProfileSwitcher {
+  /**
+   * Constructor
+   * @param {HTMLElement} container - Element to render the switcher into
+   * @param {object} options - {onChange: () => void} called when the active profile or its records change
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || (() => {});
+    this.profiles = profileService;
+    this.gameDataService = gameDataService;
+    this.manageModal = null;
+    this.message = '';
+
+    // Profiles added/renamed in other tabs
+    this.unsubscribe = this.profiles.onChange(() => {
+      this.render();
+      if (this.manageModal && this.manageModal.isVisible()) {
+        this.renderManager();
+      }
+    });
+
+    this.render();
+  }
+
+  /**
+   * Render the switcher (avatar, profile select, manage button)
+   */
+  render() {
+    if (!this.container) return;
+
+    const active = this.profiles.getActiveProfile();
+    const options = this.profiles.getProfiles().map(profile => html`
+      <option value="${profile.id}" ${profile.id === active.id ? 'selected' : ''}>
+        ${profile.name}
+      </option>
+    `);
+
+    this.container.innerHTML = html`
+      ${renderAvatar(active)}
+      <select class="profile-switcher__select" aria-label="${t('profiles.activePlayer')}">
+        ${options}
+      </select>
+      <button class="profile-switcher__manage" type="button">${t('profiles.manage')}</button>
+    `;
+
+    this.container.querySelector('.profile-switcher__select')
+      .addEventListener('change', (e) => this.switchTo(e.target.value));
+    this.container.querySelector('.profile-switcher__manage')
+      .addEventListener('click', () => this.openManager());
+  }
+
+  /**
+   * Switch the active profile
+   * @param {string} id - Profile ID
+   */
+  switchTo(id) {
+    if (this.profiles.switchProfile(id)) {
+      this.render();
+      this.onChange();
+    }
+  }
+
+  // ====================
+  // Manage Dialog
+  // ====================
+
+  /**
+   * Open the manage dialog
+   */
+  openManager() {
+    if (!this.manageModal) {
+      this.manageModal = new Modal('profile-modal');
+    }
+
+    this.message = '';
+    this.manageModal.show(t('profiles.title'), this.buildManager(), [
+      {
+        label: t('common.done'),
+        primary: true,
+        onClick: () => this.manageModal.hide()
+      }
+    ]);
+  }
+
+  /**
+   * Replace the manage dialog's content after a change
+   */
+  renderManager() {
+    const body = this.manageModal.modalElement.querySelector('.modal-body');
+    if (body) {
+      body.innerHTML = '';
+      body.appendChild(this.buildManager());
+    }
+  }
+
+  /**
+   * Build the manage dialog content
+   * @returns {HTMLElement} Manager element
+   */
+  buildManager() {
+    const active = this.profiles.getActiveProfile();
+    const profiles = this.profiles.getProfiles();
+    const others = profiles.filter(profile => profile.id !== active.id);
+
+    const rows = profiles.map(profile => html`
+      <li class="profile-manager__item" data-profile-id="${profile.id}">
+        ${renderAvatar(profile)}
+        <input class="profile-manager__name" type="text" value="${profile.name}"
+               maxlength="${PROFILE_NAME_MAX_LENGTH}" aria-label="${t('profiles.name')}">
+        <button type="button" data-action="rename">${t('profiles.rename')}</button>
+        ${profile.id !== DEFAULT_PROFILE_ID && html`<button type="button" data-action="delete">${t('profiles.delete')}</button>`}
+      </li>
+    `);
+
+    const copySection = others.length > 0 && html`
+      <div class="profile-manager__copy">
+        <label>
+          ${t('profiles.copyFrom', { name: active.name })}
+          <select class="profile-manager__copy-source">
+            ${others.map(profile => html`<option value="${profile.id}">${profile.name}</option>`)}
+          </select>
+        </label>
+        <button type="button" data-action="copy">${t('profiles.copy')}</button>
+      </div>
+    `;
+
+    const swatches = AVATAR_COLORS.map((color, index) => html`
+      <label class="profile-manager__swatch" style="background-color: ${color}">
+        <input type="radio" name="profile-color" value="${color}" ${index === profiles.length % AVATAR_COLORS.length ? 'checked' : ''}
+               aria-label="${t('profiles.colour', { number: index + 1 })}">
+      </label>
+    `);
+
+    const manager = document.createElement('div');
+    manager.className = 'profile-manager';
+    manager.innerHTML = html`
+      <ul class="profile-manager__list">${rows}</ul>
+      ${copySection}
+      <form class="profile-manager__create">
+        <input class="profile-manager__new-name" type="text" placeholder="${t('profiles.newName')}"
+               maxlength="${PROFILE_NAME_MAX_LENGTH}" aria-label="${t('profiles.newName')}">
+        <div class="profile-manager__colors">${swatches}</div>
+        <button type="submit">${t('profiles.add')}</button>
+      </form>
+      <p class="profile-manager__message">${this.message}</p>
+    `;
+
+    manager.addEventListener('click', (e) => this.handleManagerClick(e));
+    manager.querySelector('.profile-manager__create')
+      .addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleCreate(manager);
+      });
+
+    return manager;
+  }
+
+  /**
+   * Handle rename/delete/copy buttons in the manage dialog
+   * @param {Event} e - Click event
+   */
+  handleManagerClick(e) {
+    const action = e.target.getAttribute('data-action');
+    if (!action) return;
+
+    const item = e.target.closest('.profile-manager__item');
+    const id = item ? item.getAttribute('data-profile-id') : null;
+
+    if (action === 'rename') {
+      const name = item.querySelector('.profile-manager__name').value;
+      this.message = this.profiles.renameProfile(id, name)
+        ? t('profiles.renamed')
+        : t('profiles.nameRequired');
+    } else if (action === 'delete') {
+      const profile = this.profiles.getProfile(id);
+      if (!profile || !window.confirm(t('profiles.confirmDelete', { name: profile.name }))) return;
+
+      const wasActive = profile.id === this.profiles.getActiveProfile().id;
+      this.profiles.deleteProfile(id);
+      this.message = t('profiles.deleted', { name: profile.name });
+      if (wasActive) {
+        this.onChange();
+      }
+    } else if (action === 'copy') {
+      const source = e.target.closest('.profile-manager').querySelector('.profile-manager__copy-source');
+      const from = this.profiles.getProfile(source.value);
+      if (!from) return;
+
+      if (this.gameDataService.copyProfileRecords(from.id)) {
+        this.message = t('profiles.copied', { name: from.name });
+        this.onChange();
+      } else {
+        this.message = t('profiles.copyFailed');
+      }
+    }
+
+    this.render();
+    this.renderManager();
+  }
+
+  /**
+   * Create a profile from the manage dialog form
+   * @param {HTMLElement} manager - Manager element
+   */
+  handleCreate(manager) {
+    const name = manager.querySelector('.profile-manager__new-name').value;
+    const checked = manager.querySelector('input[name="profile-color"]:checked');
+    const profile = this.profiles.createProfile(name, checked ? checked.value : undefined);
+
+    this.message = profile ? t('profiles.added', { name: profile.name }) : t('profiles.nameRequired');
+    this.render();
+    this.renderManager();
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+/**
+ * Render a profile's avatar (coloured circle with initial)
+ * @param {object} profile - Profile
+ * @returns {SafeHtml} Markup
+ */
+export function renderAvatar(profile) {
+  const initial = profile.name.charAt(0).toUpperCase();
+  return html`<span class="profile-avatar" style="background-color: ${profile.color}" aria-hidden="true">${initial}</span>`;
+}
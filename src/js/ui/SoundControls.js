@@ -0,0 +1,66 @@
+/**
+ * SoundControls.js
+ * Mute button and volume slider shown in game headers while sound is on
+ */
+
+import { audioService } from '../core/AudioService.js';
+import { featureFlags } from '../core/FeatureFlagService.js';
+import { html } from '../utils/helpers.js';
+
+export default class SoundControls {
+  /**
+   * Constructor
+   * @param {HTMLElement} parent - Element to add the controls to (e.g. .game-header)
+   */
+  constructor(parent) {
+    this.audio = audioService;
+    this.element = document.createElement('div');
+    this.element.className = 'sound-controls';
+    parent.appendChild(this.element);
+
+    // Muted in another tab, profile switched, or sound turned on/off
+    this.unsubscribeAudio = this.audio.onChange(() => this.render());
+    this.unsubscribeFlags = featureFlags.onChange(() => this.render());
+
+    this.render();
+  }
+
+  /**
+   * Render the controls (hidden while the soundEnabled flag is off)
+   */
+  render() {
+    const available = featureFlags.isEnabled('soundEnabled');
+    this.element.hidden = !available;
+    if (!available) return;
+
+    const { volume, muted } = this.audio.getSettings();
+    this.element.innerHTML = html`
+      <button class="sound-controls__mute" type="button" aria-pressed="${muted}"
+        aria-label="${muted ? 'Unmute sound' : 'Mute sound'}">${muted ? '🔇' : '🔊'}</button>
+      <input class="sound-controls__volume" type="range" min="0" max="100" step="5"
+        value="${Math.round(volume * 100)}" aria-label="Volume" ${muted ? 'disabled' : ''}>
+    `;
+
+    this.element.querySelector('.sound-controls__mute')
+      .addEventListener('click', () => this.audio.toggleMute());
+    this.element.querySelector('.sound-controls__volume')
+      .addEventListener('change', (e) => this.audio.setVolume(e.target.value / 100));
+  }
+
+  /**
+   * Remove the controls from the page
+   */
+  destroy() {
+    if (this.unsubscribeAudio) {
+      this.unsubscribeAudio();
+      this.unsubscribeAudio = null;
+    }
+
+    if (this.unsubscribeFlags) {
+      this.unsubscribeFlags();
+      this.unsubscribeFlags = null;
+    }
+
+    this.element.remove();
+  }
+}
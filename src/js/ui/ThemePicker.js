@@ -0,0 +1,65 @@
+/**
+ * ThemePicker.js
+ * Colour theme select (System, Light, Dark, High contrast) for the active profile
+ */
+
+import { themeService, THEMES } from '../core/ThemeService.js';
+import { featureFlags } from '../core/FeatureFlagService.js';
+import { i18n, t } from '../core/I18nService.js';
+import { html } from '../utils/helpers.js';
+
+export default class ThemePicker {
+  /**
+   * Constructor
+   * @param {HTMLElement} container - Element to render the picker into
+   */
+  constructor(container) {
+    this.container = container;
+    this.themes = themeService;
+
+    // Choice changed (also in other tabs), or Dark became (un)available
+    this.unsubscribeTheme = this.themes.onChange(() => this.render());
+    this.unsubscribeFlags = featureFlags.onChange(() => this.render());
+
+    this.render();
+  }
+
+  /**
+   * Render the select
+   */
+  render() {
+    if (!this.container) return;
+
+    const choice = this.themes.getChoice();
+    const options = this.themes.getAvailableChoices().map(value => html`
+      <option value="${value}" ${value === choice ? 'selected' : ''}>
+        ${i18n.has(`settings.themes.${value}`) ? t(`settings.themes.${value}`) : THEMES[value].label}
+      </option>
+    `);
+
+    this.container.innerHTML = html`
+      <label class="theme-picker__label" for="theme-picker-select">${t('settings.theme')}</label>
+      <select id="theme-picker-select" class="theme-picker__select">
+        ${options}
+      </select>
+    `;
+
+    this.container.querySelector('.theme-picker__select')
+      .addEventListener('change', (e) => this.themes.setChoice(e.target.value));
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.unsubscribeTheme) {
+      this.unsubscribeTheme();
+      this.unsubscribeTheme = null;
+    }
+
+    if (this.unsubscribeFlags) {
+      this.unsubscribeFlags();
+      this.unsubscribeFlags = null;
+    }
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Toast.js
+ * Short notifications stacked in the top-right corner
+ */
+
+import { html } from '../utils/helpers.js';
+
+// How long a toast stays visible (ms)
+const DEFAULT_DURATION = 4000;
+
+/**
+ * Show a toast notification
+ * @param {object} options - {title, message, icon, type: 'success'|'error'|'', duration}
+ * @returns {HTMLElement} Toast element
+ */
+export function showToast({ title = '', message = '', icon = '', type = 'success', duration = DEFAULT_DURATION } = {}) {
+  const toast = document.createElement('div');
+  toast.className = `notification toast${type ? ` ${type}` : ''}`;
+  toast.setAttribute('role', 'status');
+
+  toast.innerHTML = html`
+    ${icon && html`<span class="toast__icon">${icon}</span>`}
+    <div class="toast__text">
+      ${title && html`<strong class="toast__title">${title}</strong>`}
+      ${message && html`<span class="toast__message">${message}</span>`}
+    </div>
+  `;
+
+  getContainer().appendChild(toast);
+
+  setTimeout(() => toast.remove(), duration);
+  return toast;
+}
+
+/**
+ * Get (or create) the toast container
+ * @returns {HTMLElement} Container element
+ */
+function getContainer() {
+  let container = document.getElementById('toast-container');
+
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'toast-container';
+    container.className = 'toast-container';
+    container.setAttribute('aria-live', 'polite');
+    document.body.appendChild(container);
+  }
+
+  return container;
+}
@@ -0,0 +1,100 @@
+/**
+ * EventEmitter.js
+ * Minimal event emitter with optional list of known event types
+ *
+ * With a type list, subscribing to or emitting an unknown type logs a warning
+ * (catches typos such as 'game:ended').
+ */
+
+export default class EventEmitter {
+  /**
+   * Constructor
+   * @param {Array<string>|null} types - Known event types (null accepts any)
+   */
+  constructor(types = null) {
+    this.types = types ? new Set(types) : null;
+    this.listeners = new Map();  // event -> Set of listeners
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event type
+   * @param {Function} listener - (data) => void
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    this.checkType(event);
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} event - Event type
+   * @param {Function} listener - (data) => void
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, listener) {
+    const unsubscribe = this.on(event, (data) => {
+      unsubscribe();
+      listener(data);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event type
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Notify listeners of an event
+   * A failing listener is logged and does not stop the others.
+   * @param {string} event - Event type
+   * @param {object} [data] - Event data
+   */
+  emit(event, data = {}) {
+    this.checkType(event);
+
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while being notified
+    Array.from(listeners).forEach(listener => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Listener for "${event}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Remove all listeners
+   */
+  clear() {
+    this.listeners.clear();
+  }
+
+  /**
+   * Warn about event types missing from the known list
+   * @param {string} event - Event type
+   */
+  checkType(event) {
+    if (this.types && !this.types.has(event)) {
+      console.warn(`Unknown event type: ${event}`);
+    }
+  }
+}
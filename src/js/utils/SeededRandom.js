@@ -0,0 +1,84 @@
+/**
+ * SeededRandom.js
+ * Seedable pseudo-random number generator (mulberry32)
+ *
+ * The same seed always produces the same sequence, so a game started with a
+ * given seed deals the same cards, spawns the same moles and makes the same
+ * CPU choices.
+ */
+
+import { hashString, getPageParams } from './helpers.js';
+
+// Largest seed + 1 (seeds are unsigned 32-bit integers)
+const SEED_RANGE = 0x100000000;
+
+export default class SeededRandom {
+  /**
+   * Constructor
+   * @param {number} seed - Seed (unsigned 32-bit integer; defaults to a random seed)
+   */
+  constructor(seed = generateSeed()) {
+    this.reset(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed
+   * @param {number} seed - Seed
+   */
+  reset(seed) {
+    this.seed = seed >>> 0;
+    this.stateValue = this.seed;
+  }
+
+  /**
+   * Next number in the sequence
+   * @returns {number} Number in [0, 1)
+   */
+  next() {
+    this.stateValue = (this.stateValue + 0x6D2B79F5) >>> 0;
+
+    let t = this.stateValue;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  }
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number} Seed (unsigned 32-bit integer)
+ */
+export function generateSeed() {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * SEED_RANGE);
+}
+
+/**
+ * Parse a seed entered by the player (e.g. the ?seed= URL parameter)
+ * Numbers are used as-is; any other text is hashed to a seed.
+ * @param {string|null} value - Seed text
+ * @returns {number|null} Seed or null if empty
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  if (/^\d+$/.test(text) && Number(text) < SEED_RANGE) {
+    return Number(text);
+  }
+
+  return parseInt(hashString(text), 16);
+}
+
+/**
+ * Read the seed from the page URL (?seed=...)
+ * @returns {number|null} Seed or null if not given
+ */
+export function getUrlSeed() {
+  return parseSeed(getPageParams().get('seed'));
+}
@@ -0,0 +1,339 @@
+/**
+ * TimerScheduler.js
+ * Tracks every timeout, interval and animation frame of one game so they can
+ * be paused/resumed together (keeping their remaining time) and cancelled
+ * together on reset or cleanup
+ *
+ * Time comes from a clock object. The default uses the browser's timers;
+ * a VirtualClock makes timing deterministic (advance it by hand in tests).
+ */
+
+// Frame length used by VirtualClock for animation frames (~60fps)
+const VIRTUAL_FRAME_MS = 16;
+
+/**
+ * Clock backed by the browser's timers
+ */
+export const systemClock = {
+  now: () => performance.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle),
+  requestAnimationFrame: (callback) => requestAnimationFrame(callback),
+  cancelAnimationFrame: (handle) => cancelAnimationFrame(handle)
+};
+
+/**
+ * Manually driven clock: nothing fires until advance() is called
+ */
+export class VirtualClock {
+  /**
+   * Constructor
+   * @param {number} startTime - Initial time (ms)
+   */
+  constructor(startTime = 0) {
+    this.time = startTime;
+    this.queue = new Map();  // handle -> {at, callback}
+    this.nextHandle = 1;
+  }
+
+  /**
+   * Current virtual time
+   * @returns {number} Time (ms)
+   */
+  now() {
+    return this.time;
+  }
+
+  /**
+   * Queue a callback
+   * @param {Function} callback - Callback
+   * @param {number} delay - Delay in ms
+   * @returns {number} Handle
+   */
+  setTimeout(callback, delay) {
+    const handle = this.nextHandle++;
+    this.queue.set(handle, { at: this.time + Math.max(0, delay || 0), callback });
+    return handle;
+  }
+
+  /**
+   * Remove a queued callback
+   * @param {number} handle - Handle
+   */
+  clearTimeout(handle) {
+    this.queue.delete(handle);
+  }
+
+  /**
+   * Queue a callback for the next frame (receives the frame timestamp)
+   * @param {Function} callback - (timestamp) => void
+   * @returns {number} Handle
+   */
+  requestAnimationFrame(callback) {
+    return this.setTimeout(() => callback(this.time), VIRTUAL_FRAME_MS);
+  }
+
+  /**
+   * Remove a queued frame callback
+   * @param {number} handle - Handle
+   */
+  cancelAnimationFrame(handle) {
+    this.clearTimeout(handle);
+  }
+
+  /**
+   * Move time forward, running due callbacks in time order
+   * (callbacks queued while advancing run too if they fall due)
+   * @param {number} ms - Time to advance (ms)
+   */
+  advance(ms) {
+    const target = this.time + ms;
+
+    let next = this.nextDue(target);
+    while (next) {
+      this.queue.delete(next.handle);
+      this.time = next.at;
+      next.callback();
+      next = this.nextDue(target);
+    }
+
+    this.time = target;
+  }
+
+  /**
+   * Find the earliest queued callback due by a given time
+   * @param {number} target - Time limit (ms)
+   * @returns {object|null} {handle, at, callback} or null
+   */
+  nextDue(target) {
+    let next = null;
+    this.queue.forEach((entry, handle) => {
+      if (entry.at <= target && (!next || entry.at < next.at)) {
+        next = { handle, ...entry };
+      }
+    });
+    return next;
+  }
+
+  /**
+   * Number of queued callbacks
+   * @returns {number}
+   */
+  pendingCount() {
+    return this.queue.size;
+  }
+}
+
+export default class TimerScheduler {
+  /**
+   * Constructor
+   * @param {object} clock - Clock (systemClock or VirtualClock)
+   */
+  constructor(clock = systemClock) {
+    this.clock = clock;
+    this.timers = new Map();  // id -> timer
+    this.nextId = 1;
+    this.paused = false;
+  }
+
+  /**
+   * Replace the clock (cancels all timers)
+   * @param {object} clock - Clock (systemClock or VirtualClock)
+   */
+  setClock(clock) {
+    this.clearAll();
+    this.clock = clock;
+  }
+
+  /**
+   * Current time of the scheduler's clock
+   * @returns {number} Time (ms)
+   */
+  now() {
+    return this.clock.now();
+  }
+
+  // ====================
+  // Scheduling
+  // ====================
+
+  /**
+   * Run a callback once after a delay
+   * @param {Function} callback - Callback
+   * @param {number} delay - Delay in ms
+   * @returns {number} Timer ID
+   */
+  setTimeout(callback, delay = 0) {
+    return this.add({ callback, delay, repeat: false, frame: false });
+  }
+
+  /**
+   * Run a callback repeatedly
+   * @param {Function} callback - Callback
+   * @param {number} delay - Interval in ms
+   * @returns {number} Timer ID
+   */
+  setInterval(callback, delay) {
+    return this.add({ callback, delay, repeat: true, frame: false });
+  }
+
+  /**
+   * Run a callback on the next animation frame
+   * @param {Function} callback - (timestamp) => void
+   * @returns {number} Timer ID
+   */
+  requestFrame(callback) {
+    return this.add({ callback, delay: 0, repeat: false, frame: true });
+  }
+
+  /**
+   * Promise that resolves after a delay
+   * A delay cancelled by clearAll() never resolves, so an async flow waiting
+   * on it simply stops.
+   * @param {number} ms - Delay in ms
+   * @returns {Promise<void>}
+   */
+  delay(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  /**
+   * Cancel a timer (timeout, interval or frame)
+   * @param {number|null} id - Timer ID
+   */
+  clear(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+
+    this.stop(timer);
+    this.timers.delete(id);
+  }
+
+  /**
+   * Cancel every timer
+   */
+  clearAll() {
+    this.timers.forEach(timer => this.stop(timer));
+    this.timers.clear();
+  }
+
+  // ====================
+  // Pause / Resume
+  // ====================
+
+  /**
+   * Pause every timer, keeping its remaining time
+   * Timers added while paused wait for resumeAll().
+   */
+  pauseAll() {
+    if (this.paused) return;
+
+    this.paused = true;
+    this.timers.forEach(timer => {
+      if (timer.handle === null) return;
+
+      this.stop(timer);
+      if (!timer.frame) {
+        timer.remaining = Math.max(0, timer.remaining - (this.now() - timer.startedAt));
+      }
+    });
+  }
+
+  /**
+   * Resume every timer with its remaining time
+   */
+  resumeAll() {
+    if (!this.paused) return;
+
+    this.paused = false;
+    this.timers.forEach(timer => this.start(timer));
+  }
+
+  /**
+   * Check if timers are paused
+   * @returns {boolean}
+   */
+  isPaused() {
+    return this.paused;
+  }
+
+  /**
+   * Number of active timers
+   * @returns {number}
+   */
+  count() {
+    return this.timers.size;
+  }
+
+  // ====================
+  // Internals
+  // ====================
+
+  /**
+   * Register a timer and start it (unless paused)
+   * @param {object} options - {callback, delay, repeat, frame}
+   * @returns {number} Timer ID
+   */
+  add(options) {
+    const timer = {
+      ...options,
+      id: this.nextId++,
+      remaining: options.delay,
+      startedAt: 0,
+      handle: null
+    };
+
+    this.timers.set(timer.id, timer);
+    if (!this.paused) {
+      this.start(timer);
+    }
+
+    return timer.id;
+  }
+
+  /**
+   * Hand a timer to the clock
+   * @param {object} timer - Timer
+   */
+  start(timer) {
+    if (timer.frame) {
+      timer.handle = this.clock.requestAnimationFrame(timestamp => this.fire(timer, timestamp));
+    } else {
+      timer.startedAt = this.now();
+      timer.handle = this.clock.setTimeout(() => this.fire(timer), timer.remaining);
+    }
+  }
+
+  /**
+   * Take a timer back from the clock
+   * @param {object} timer - Timer
+   */
+  stop(timer) {
+    if (timer.handle === null) return;
+
+    if (timer.frame) {
+      this.clock.cancelAnimationFrame(timer.handle);
+    } else {
+      this.clock.clearTimeout(timer.handle);
+    }
+    timer.handle = null;
+  }
+
+  /**
+   * Run a timer's callback and reschedule intervals
+   * @param {object} timer - Timer
+   * @param {number} [timestamp] - Frame timestamp
+   */
+  fire(timer, timestamp) {
+    timer.handle = null;
+
+    if (timer.repeat) {
+      timer.remaining = timer.delay;
+      this.start(timer);
+    } else {
+      this.timers.delete(timer.id);
+    }
+
+    timer.callback(timestamp);
+  }
+}
@@ -7,11 +7,12 @@
  * Shuffle array using Fisher-Yates algorithm
  * Modifies array in-place
  * @param {Array} array - Array to shuffle
+ * @param {Function} [random] - Random number source returning [0, 1)
  * @returns {Array} Shuffled array (same reference)
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
@@ -30,12 +31,13 @@ export function sleep(ms) {
  * Get random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {Function} [random] - Random number source returning [0, 1)
  * @returns {number} Random integer
  */
-export function getRandomInt(min, max) {
+export function getRandomInt(min, max, random = Math.random) {
   min = Math.ceil(min);
   max = Math.floor(max);
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -67,3 +69,123 @@ export function deepClone(obj) {
 export function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
+
+/**
+ * Hash a string (32-bit FNV-1a)
+ * Fast, non-cryptographic - used for integrity checks
+ * @param {string} str - String to hash
+ * @returns {string} 8-character hex hash
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type = 'application/json') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {any} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Markup built by html`` (inserted as is when nested in another html``)
+ */
+export class SafeHtml {
+  /**
+   * Constructor
+   * @param {string} markup - Markup that is already safe
+   */
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  /**
+   * Get the markup (for innerHTML)
+   * @returns {string} Markup
+   */
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Build HTML with every interpolated value escaped (tagged template)
+ *   html`<h3>${game.title}</h3>`  // a title of '<b>' renders as text
+ * Nested html`` values are inserted as is, arrays are joined, and null,
+ * undefined and false render nothing. Values are escaped for
+ * text and quoted attributes only: do not interpolate into <script>, event
+ * handler attributes (onclick) or unquoted attributes.
+ * @param {TemplateStringsArray} strings - Template strings
+ * @param {...any} values - Interpolated values
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, index) => {
+    markup += renderHtmlValue(value) + strings[index + 1];
+  });
+  return new SafeHtml(markup);
+}
+
+/**
+ * Render one html`` value
+ * @param {any} value - Value
+ * @returns {string} Escaped text or safe markup
+ */
+function renderHtmlValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Get the page's URL parameters
+ * Merges the query string with the query of a hash route
+ * (index-module.html#/games/memory-game?seed=42), which takes precedence.
+ * @returns {URLSearchParams} Parameters (empty outside a browser)
+ */
+export function getPageParams() {
+  if (typeof window === 'undefined' || !window.location) return new URLSearchParams();
+
+  const params = new URLSearchParams(window.location.search || '');
+  const hash = window.location.hash || '';
+  const queryStart = hash.indexOf('?');
+
+  if (hash.startsWith('#/') && queryStart !== -1) {
+    new URLSearchParams(hash.slice(queryStart + 1)).forEach((value, key) => params.set(key, value));
+  }
+  return params;
+}
@@ -0,0 +1,33 @@
+/**
+ * ConfigSchema.test.mjs
+ * Issues reported for a games list whose only entry is invalid
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGamesData, VALIDATION_STRICT } from '../../src/js/core/ConfigSchema.js';
+
+const GAME = {
+  id: 'memory-game',
+  title: 'Memory Game',
+  description: 'Match the pairs',
+  thumbnail: 'assets/images/memory.svg',
+  difficulty: 'easy',
+  estimatedTime: '3 min',
+  category: 'puzzle',
+  htmlPath: 'games/memory.html'
+};
+
+test('strict mode reports only the unknown field of an otherwise valid entry', () => {
+  const result = validateGamesData({ games: [{ ...GAME, colour: 'red' }] }, { mode: VALIDATION_STRICT });
+
+  assert.equal(result.value, null);
+  assert.deepEqual(result.errors, [{ path: 'games[0].colour', message: 'Unknown field' }]);
+});
+
+test('lenient mode still reports a list left empty by skipped entries', () => {
+  const result = validateGamesData({ games: [{ ...GAME, htmlPath: undefined }] });
+
+  assert.equal(result.value, null);
+  assert.deepEqual(result.errors.map(issue => issue.path), ['games[0].htmlPath', 'games']);
+});
@@ -0,0 +1,61 @@
+/**
+ * GameDataService.test.mjs
+ * Records shared by two open tabs (two storage services on one backend)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { storageService, IMPORT_REPLACE, PROVIDER_LOCAL_STORAGE } from '../../src/js/core/StorageService.js';
+import { gameDataService } from '../../src/js/core/GameDataService.js';
+import MemoryStorageBackend from '../../src/js/core/storage/MemoryStorageBackend.js';
+
+const GAME_ID = 'whack-a-mole';
+const RECORD_KEY = 'whack-a-mole_highscore';
+
+/**
+ * Storage shared by every tab, like LocalStorage
+ */
+class SharedBackend extends MemoryStorageBackend {
+  constructor() {
+    super();
+    this.name = PROVIDER_LOCAL_STORAGE;
+  }
+}
+
+/**
+ * Open a second tab next to the page's gameDataService
+ * Writes in the second tab are delivered to the first like a BroadcastChannel message.
+ * @returns {StorageService} The second tab's storage
+ */
+function openSecondTab() {
+  const backend = new SharedBackend();
+  storageService.backend = backend;
+
+  const otherTab = new storageService.constructor(storageService.prefix, backend);
+  otherTab.channel = { postMessage: message => storageService.handleRemoteChange(message) };
+  return otherTab;
+}
+
+test('a replace import in another tab is not reverted', () => {
+  const otherTab = openSecondTab();
+
+  gameDataService.saveResult(GAME_ID, { score: 10 });
+  const backup = gameDataService.exportProgress();
+  gameDataService.saveResult(GAME_ID, { score: 50 });
+  assert.equal(gameDataService.loadRecord(GAME_ID), 50);
+
+  assert.equal(otherTab.importAll(backup, { mode: IMPORT_REPLACE }), true);
+
+  assert.equal(gameDataService.loadRecord(GAME_ID), 10);
+  assert.equal(otherTab.loadNumber(RECORD_KEY, null), 10);
+});
+
+test('a stale save in another tab is still repaired', () => {
+  const otherTab = openSecondTab();
+
+  gameDataService.saveResult(GAME_ID, { score: 30 });
+  otherTab.save(RECORD_KEY, 5);
+
+  assert.equal(gameDataService.loadRecord(GAME_ID), 30);
+  assert.equal(otherTab.loadNumber(RECORD_KEY, null), 30);
+});
@@ -0,0 +1,49 @@
+/**
+ * ProfileService.test.mjs
+ * Stored and imported profile lists with missing names or unknown colours
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { storageService, GLOBAL_SCOPE } from '../../src/js/core/StorageService.js';
+import { profileService, PROFILES_KEY, AVATAR_COLORS, DEFAULT_PROFILE_ID } from '../../src/js/core/ProfileService.js';
+import { renderAvatar } from '../../src/js/ui/ProfileSwitcher.js';
+import MemoryStorageBackend from '../../src/js/core/storage/MemoryStorageBackend.js';
+
+/**
+ * Store a raw profile list
+ * @param {Array<object>} profiles - Profiles as written by another device
+ */
+function storeProfiles(profiles) {
+  storageService.backend = new MemoryStorageBackend();
+  storageService.runInScope(GLOBAL_SCOPE, () => storageService.save(PROFILES_KEY, profiles));
+}
+
+test('stored profiles without a name are dropped and unknown colours replaced', () => {
+  storeProfiles([
+    { id: DEFAULT_PROFILE_ID, name: 'Aki', color: AVATAR_COLORS[2], createdAt: 0 },
+    { id: 'nameless', color: AVATAR_COLORS[1], createdAt: 1 },
+    { id: 'numbered', name: 42, color: AVATAR_COLORS[1], createdAt: 2 },
+    { id: 'painted', name: 'Mio', color: 'url(javascript:alert(1))', createdAt: 3 }
+  ]);
+
+  const profiles = profileService.loadProfiles();
+
+  assert.deepEqual(profiles.map(profile => profile.id), [DEFAULT_PROFILE_ID, 'painted']);
+  assert.equal(profiles[0].color, AVATAR_COLORS[2]);
+  assert.equal(profiles[1].color, AVATAR_COLORS[0]);
+  profiles.forEach(profile => assert.doesNotThrow(() => renderAvatar(profile)));
+});
+
+test('imported profiles without a name are not merged', () => {
+  const current = [{ id: DEFAULT_PROFILE_ID, name: 'Aki', color: AVATAR_COLORS[0], createdAt: 0 }];
+
+  const merged = profileService.mergeProfiles(current, [
+    { id: 'nameless', color: AVATAR_COLORS[1], createdAt: 1 },
+    { id: 'blank', name: '   ', color: AVATAR_COLORS[1], createdAt: 2 },
+    { id: 'guest', name: 'Guest', color: '#000000', createdAt: 3 }
+  ]);
+
+  assert.deepEqual(merged.map(profile => profile.id), [DEFAULT_PROFILE_ID, 'guest']);
+  assert.equal(merged[1].color, AVATAR_COLORS[0]);
+});
@@ -0,0 +1,61 @@
+/**
+ * MemoryEngine.test.mjs
+ * Headless Memory Game runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MEMORY_PAIRS } from '../../src/js/engines/MemoryEngine.js';
+import { createTestEngine, recordEvents } from './helpers.mjs';
+
+/**
+ * Card indices grouped by value
+ * @param {Array<number>} cards - Dealt cards
+ * @returns {Array<Array<number>>} [[index, index], ...]
+ */
+function findPairs(cards) {
+  const pairs = {};
+  cards.forEach((value, index) => {
+    (pairs[value] = pairs[value] || []).push(index);
+  });
+  return Object.values(pairs);
+}
+
+test('the same seed deals the same cards', () => {
+  const first = createTestEngine('memory-game', 42).engine;
+  const second = createTestEngine('memory-game', 42).engine;
+  const other = createTestEngine('memory-game', 43).engine;
+
+  assert.deepEqual(first.state.cards, second.state.cards);
+  assert.notDeepEqual(first.state.cards, other.state.cards);
+  assert.equal(first.state.cards.length, MEMORY_PAIRS * 2);
+});
+
+test('a perfect-memory player finishes in one move per pair', () => {
+  const { engine } = createTestEngine('memory-game', 7);
+  const events = recordEvents(engine, ['match', 'mismatch', 'complete']);
+
+  findPairs(engine.state.cards).forEach(([first, second]) => {
+    assert.equal(engine.flip(first), true);
+    assert.equal(engine.flip(second), true);
+  });
+
+  assert.equal(engine.state.complete, true);
+  assert.equal(events.filter(e => e.event === 'match').length, MEMORY_PAIRS);
+  assert.equal(events.some(e => e.event === 'mismatch'), false);
+  assert.deepEqual(events.at(-1), { event: 'complete', data: { moves: MEMORY_PAIRS } });
+});
+
+test('a mismatch stays face up until hidden', () => {
+  const { engine } = createTestEngine('memory-game', 7);
+  const [[a], [b]] = findPairs(engine.state.cards);
+
+  engine.flip(a);
+  engine.flip(b);
+
+  assert.equal(engine.hasPendingMismatch(), true);
+  assert.equal(engine.canFlip(engine.state.cards.findIndex((_, i) => i !== a && i !== b)), false);
+  assert.equal(engine.hideMismatch(), true);
+  assert.deepEqual(engine.state.flippedIndices, []);
+  assert.equal(engine.state.moves, 1);
+});
@@ -0,0 +1,81 @@
+/**
+ * NBackEngine.test.mjs
+ * Headless N-Back rounds on a virtual clock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { NBACK_DURATION } from '../../src/js/engines/NBackEngine.js';
+import { achievementService } from '../../src/js/core/AchievementService.js';
+import { createTestEngine } from './helpers.mjs';
+
+const ROUND_MS = NBACK_DURATION * 1000;
+
+// "Working Memory Master": 90% accuracy at 3-back
+const MASTER_ACHIEVEMENT = JSON.parse(
+  readFileSync(new URL('../../src/assets/data/achievements.json', import.meta.url), 'utf8')
+).achievements.find(definition => definition.id === 'nback-3-back-90');
+
+/**
+ * Play one round
+ * @param {number} seed - Random seed
+ * @param {number} difficulty - N-back level
+ * @param {Function} [respond] - (engine) => void, called after each stimulus
+ * @returns {{engine: NBackEngine, results: object}}
+ */
+function playRound(seed, difficulty, respond = () => {}) {
+  const { engine, clock } = createTestEngine('nback-game', seed);
+  let results = null;
+  engine.on('stimulus', () => respond(engine));
+  engine.on('end', data => { results = data.results; });
+
+  engine.start(difficulty);
+  clock.advance(ROUND_MS);
+  return { engine, results };
+}
+
+/**
+ * Press for every real match (a perfect player)
+ * @param {NBackEngine} engine - Engine
+ */
+function pressMatches(engine) {
+  const { trialIndex, positionHistory, numberHistory } = engine.state;
+  if (engine.isMatch(positionHistory, trialIndex)) engine.respond('position');
+  if (engine.isMatch(numberHistory, trialIndex)) engine.respond('number');
+}
+
+test('a 3-back round without presses can reach 100% but earns no achievement', () => {
+  // Matches are rare, so never pressing is mostly "correct"
+  const { results } = playRound(3, 3);
+  const event = { gameId: 'nback-game', result: results };
+
+  assert.equal(results.overall.accuracy, 100);
+  assert.equal(results.overall.hits, 0);
+  assert.equal(achievementService.matches(MASTER_ACHIEVEMENT, 'game:end', event), false);
+});
+
+test('a perfect 3-back round earns the achievement', () => {
+  const { results } = playRound(2, 3, pressMatches);
+  const event = { gameId: 'nback-game', result: results };
+
+  assert.ok(results.overall.hits > 0);
+  assert.equal(achievementService.matches(MASTER_ACHIEVEMENT, 'game:end', event), true);
+});
+
+test('a perfect player scores 100% with one hit per match', () => {
+  const { engine, results } = playRound(4, 2, pressMatches);
+  const matches = [...engine.state.positionResponses, ...engine.state.numberResponses]
+    .filter(response => response.expected).length;
+
+  assert.equal(results.overall.accuracy, 100);
+  assert.equal(results.overall.hits, matches);
+});
+
+test('the same seed shows the same stimuli', () => {
+  const first = playRound(21, 2).engine.state;
+  const second = playRound(21, 2).engine.state;
+
+  assert.deepEqual(first.positionHistory, second.positionHistory);
+  assert.deepEqual(first.numberHistory, second.numberHistory);
+});
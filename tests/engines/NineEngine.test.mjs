@@ -0,0 +1,59 @@
+/**
+ * NineEngine.test.mjs
+ * Headless Nine (number card battle) runs against the CPU
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NINE_TURNS } from '../../src/js/engines/NineEngine.js';
+import { createTestEngine, recordEvents } from './helpers.mjs';
+
+/**
+ * Play a full game, the player using cards in a fixed order
+ * @param {number} seed - Random seed
+ * @param {Array<number>} order - Cards in play order
+ * @returns {{engine: NineEngine, events: Array<object>}}
+ */
+function playInOrder(seed, order) {
+  const { engine } = createTestEngine('number-nine', seed);
+  const events = recordEvents(engine, ['reveal', 'complete']);
+
+  order.forEach(card => {
+    engine.select(card);
+    engine.play();
+    engine.nextTurn();
+  });
+
+  return { engine, events };
+}
+
+test('a full game uses every card once and scores each round', () => {
+  const { engine, events } = playInOrder(5, [9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  const reveals = events.filter(e => e.event === 'reveal');
+
+  assert.equal(reveals.length, NINE_TURNS);
+  assert.deepEqual([...engine.state.cpuUsedCards].sort(), [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(engine.state.phase, 'complete');
+
+  const sum = (who) => reveals.reduce((total, { data }) => total + data.result[`${who}Points`], 0);
+  assert.equal(engine.state.playerScore, sum('player'));
+  assert.equal(engine.state.cpuScore, sum('cpu'));
+
+  const complete = events.filter(e => e.event === 'complete');
+  assert.equal(complete.length, 1);
+  assert.equal(complete[0].data.winner, engine.getWinner());
+});
+
+test('the same seed replays the same CPU cards', () => {
+  const order = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+  assert.deepEqual(
+    playInOrder(11, order).engine.state.cpuUsedCards,
+    playInOrder(11, order).engine.state.cpuUsedCards
+  );
+});
+
+test('a tied round scores nothing', () => {
+  const { engine } = createTestEngine('number-nine', 1);
+  assert.deepEqual(engine.resolveRound(5, 5), { winner: 'tie', playerPoints: 0, cpuPoints: 0 });
+  assert.deepEqual(engine.resolveRound(6, 3), { winner: 'player', playerPoints: 9, cpuPoints: 0 });
+});
@@ -0,0 +1,65 @@
+/**
+ * RunnerEngine.test.mjs
+ * Headless Runner runs, one engine step per frame
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEngine, recordEvents } from './helpers.mjs';
+
+// Safety limit on frames per run (the goal takes about 1000)
+const MAX_FRAMES = 5000;
+
+/**
+ * Run until the game ends
+ * @param {number} seed - Random seed
+ * @param {Function} [input] - (engine) => void, called before each step
+ * @returns {{engine: RunnerEngine, events: Array<object>, frames: number}}
+ */
+function run(seed, input = () => {}) {
+  const { engine } = createTestEngine('runner-game', seed);
+  const events = recordEvents(engine, ['gameover', 'goal']);
+  let frames = 0;
+
+  engine.start();
+  while (engine.isActive() && frames < MAX_FRAMES) {
+    input(engine);
+    engine.step();
+    frames++;
+  }
+
+  return { engine, events, frames };
+}
+
+test('a runner that never jumps is stopped by the first obstacle', () => {
+  const { engine, events, frames } = run(12);
+
+  assert.ok(frames < MAX_FRAMES);
+  assert.equal(engine.state.gameState, 'gameover');
+  assert.equal(events.length, 1);
+  assert.equal(events[0].event, 'gameover');
+  assert.equal(events[0].data.jumps, 0);
+  assert.ok(events[0].data.distance < 100);
+});
+
+test('the same seed and inputs replay the same run', () => {
+  // Jump every 40 frames
+  const jumpEvery40 = (engine) => {
+    if (engine.state.frameCount % 40 === 0) engine.jump();
+  };
+  const first = run(30, jumpEvery40);
+  const second = run(30, jumpEvery40);
+
+  assert.deepEqual(first.events, second.events);
+  assert.deepEqual(first.engine.getSnapshot(), second.engine.getSnapshot());
+  assert.ok(first.engine.state.jumps > 0);
+});
+
+test('jumping is only possible while running on the ground', () => {
+  const { engine } = createTestEngine('runner-game', 1);
+  assert.equal(engine.jump(), false);  // Not started
+
+  engine.start();
+  assert.equal(engine.jump(), true);
+  assert.equal(engine.jump(), false);  // Already in the air
+});
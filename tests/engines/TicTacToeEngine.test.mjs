@@ -0,0 +1,68 @@
+/**
+ * TicTacToeEngine.test.mjs
+ * Headless Tic-Tac-Toe runs against the CPU
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEngine, recordEvents } from './helpers.mjs';
+
+/**
+ * Play a full game, the player always taking the first free cell
+ * @param {number} seed - Random seed
+ * @returns {{engine: TicTacToeEngine, events: Array<object>}}
+ */
+function playFirstFreeCell(seed) {
+  const { engine } = createTestEngine('tic-tac-toe', seed);
+  const events = recordEvents(engine, ['mark', 'gameover']);
+  engine.start();
+
+  while (!engine.state.gameOver) {
+    if (engine.isCpuTurn()) {
+      engine.cpuMove();
+    } else {
+      engine.playerMove(engine.getAvailableCells()[0]);
+    }
+  }
+
+  return { engine, events };
+}
+
+test('a full game ends once with a consistent outcome', () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const { engine, events } = playFirstFreeCell(seed);
+    const gameovers = events.filter(e => e.event === 'gameover');
+
+    assert.equal(gameovers.length, 1);
+    assert.equal(gameovers[0].data.outcome, engine.getOutcome());
+    assert.ok(['win', 'loss', 'draw'].includes(engine.getOutcome()));
+
+    if (engine.state.winner !== 'draw') {
+      const [a, b, c] = engine.state.winningLine;
+      const { board } = engine.state;
+      assert.equal(board[a], engine.state.winner);
+      assert.equal(board[b], engine.state.winner);
+      assert.equal(board[c], engine.state.winner);
+    }
+  }
+});
+
+test('the same seed replays the same CPU moves', () => {
+  const first = playFirstFreeCell(99);
+  const second = playFirstFreeCell(99);
+
+  assert.deepEqual(first.engine.state.board, second.engine.state.board);
+  assert.deepEqual(first.events, second.events);
+});
+
+test('illegal player moves are rejected', () => {
+  const { engine } = createTestEngine('tic-tac-toe', 1);
+  engine.start();
+
+  assert.equal(engine.playerMove(4), true);
+  assert.equal(engine.isCpuTurn(), true);
+  assert.equal(engine.playerMove(0), false);  // CPU's turn
+
+  engine.cpuMove();
+  assert.equal(engine.playerMove(4), false);  // Taken
+});
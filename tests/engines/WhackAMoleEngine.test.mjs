@@ -0,0 +1,59 @@
+/**
+ * WhackAMoleEngine.test.mjs
+ * Headless Whack-a-Mole rounds on a virtual clock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WHACK_DURATION } from '../../src/js/engines/WhackAMoleEngine.js';
+import { createTestEngine, recordEvents } from './helpers.mjs';
+
+const ROUND_MS = WHACK_DURATION * 1000;
+
+test('a round without whacks ends on time with no score', () => {
+  const { engine, clock } = createTestEngine('whack-a-mole', 3);
+  const events = recordEvents(engine, ['show', 'end']);
+
+  engine.start();
+  clock.advance(ROUND_MS - 1);
+  assert.equal(engine.state.active, true);
+
+  clock.advance(1);
+  assert.equal(engine.state.active, false);
+  assert.deepEqual(events.filter(e => e.event === 'end'), [{ event: 'end', data: { score: 0 } }]);
+  assert.ok(events.some(e => e.event === 'show'));
+
+  // Nothing keeps running after the round
+  assert.equal(clock.pendingCount(), 0);
+  assert.ok(engine.state.holes.every(visible => !visible));
+});
+
+test('whacking every mole scores one point per mole, the same for a seed', () => {
+  const play = (seed) => {
+    const { engine, clock } = createTestEngine('whack-a-mole', seed);
+    let shown = 0;
+    engine.on('show', ({ index }) => {
+      shown++;
+      engine.whack(index);
+    });
+
+    engine.start();
+    clock.advance(ROUND_MS);
+    return { score: engine.state.score, shown };
+  };
+
+  const first = play(8);
+  assert.ok(first.score > 0);
+  assert.equal(first.score, first.shown);
+  assert.deepEqual(play(8), first);
+});
+
+test('empty holes cannot be whacked', () => {
+  const { engine } = createTestEngine('whack-a-mole', 3);
+  engine.start();
+
+  const empty = engine.state.holes.findIndex(visible => !visible);
+  assert.equal(engine.whack(empty), false);
+  assert.equal(engine.state.score, 0);
+  engine.stop();
+});
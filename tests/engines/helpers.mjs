@@ -0,0 +1,36 @@
+/**
+ * helpers.mjs
+ * Shared setup for engine specs: seeded random sources and virtual timers
+ */
+
+import SeededRandom from '../../src/js/utils/SeededRandom.js';
+import TimerScheduler, { VirtualClock } from '../../src/js/utils/TimerScheduler.js';
+import { createEngine } from '../../src/js/engines/index.js';
+
+/**
+ * Create an engine driven by a seed and a virtual clock
+ * @param {string} gameId - Game ID
+ * @param {number} seed - Random seed
+ * @returns {{engine: GameEngine, clock: VirtualClock}}
+ */
+export function createTestEngine(gameId, seed) {
+  const rng = new SeededRandom(seed);
+  const clock = new VirtualClock();
+  const engine = createEngine(gameId, {
+    random: () => rng.next(),
+    timers: new TimerScheduler(clock)
+  });
+  return { engine, clock };
+}
+
+/**
+ * Record every emission of some engine events
+ * @param {GameEngine} engine - Engine
+ * @param {Array<string>} events - Event names
+ * @returns {Array<{event: string, data: any}>} Live list of emissions
+ */
+export function recordEvents(engine, events) {
+  const log = [];
+  events.forEach(event => engine.on(event, data => log.push({ event, data })));
+  return log;
+}